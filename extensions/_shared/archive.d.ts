@@ -0,0 +1,14 @@
+import type { Embeddings } from "./embeddings.js";
+
+export type ArchiveSource = {
+  id: string;
+  lancedb?: unknown;
+  dbPath?: string;
+  embeddings?: Embeddings;
+  tables?: string[];
+  files?: Array<{ name: string; path: string; merge?: (current: any, incoming: any) => void }>;
+};
+
+export function addArchiveSource(source: ArchiveSource): void;
+
+export function registerArchiveSource(api: unknown, source: ArchiveSource): void;
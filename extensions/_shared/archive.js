@@ -0,0 +1,445 @@
+import fs from "node:fs";
+import { dirname } from "node:path";
+import { gunzipSync, gzipSync } from "node:zlib";
+import { registerLayerCli } from "./cli.js";
+import { encryptionEnabled, loadKeyring, openJson, openRow, sealJson, sealRow } from "./encryption.js";
+import { readJson, updateJson } from "./json-store.js";
+import { rekeyStores } from "./rekey.js";
+import { plainRow } from "./reindex.js";
+import { embeddingInfo, encryptedColumns, loadSchemaRecord, recordTable, vectorDimensions } from "./vector-table.js";
+
+export const ARCHIVE_FORMAT = "openclaw-memory-archive";
+export const ARCHIVE_VERSION = 2;
+
+const SOURCES_KEY = Symbol.for("openclaw.memory-suite.archive-sources");
+const MANIFEST = "manifest.json";
+const BLOCK = 512;
+const PAGE_SIZE = 256;
+
+// Layers loaded in this process, keyed by plugin id.
+function archiveSources() {
+  if (!globalThis[SOURCES_KEY]) globalThis[SOURCES_KEY] = new Map();
+  return globalThis[SOURCES_KEY];
+}
+
+// The archive is a gzipped ustar file, so `tar -xzf` can also unpack it by hand.
+function tarHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 99) throw new Error(`archive: entry name too long: ${name}`);
+  const header = Buffer.alloc(BLOCK);
+  header.write(name, 0);
+  header.write("0000600\0", 100);
+  header.write("0000000\0", 108);
+  header.write("0000000\0", 116);
+  header.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+  header.write(`${Math.floor(mtime / 1000).toString(8).padStart(11, "0")}\0`, 136);
+  header.fill(" ", 148, 156);
+  header.write("0", 156);
+  header.write("ustar\0", 257);
+  header.write("00", 263);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+  return header;
+}
+
+function packTar(entries) {
+  const now = Date.now();
+  const parts = [];
+  for (const entry of entries) {
+    parts.push(tarHeader(entry.name, entry.data.length, now), entry.data);
+    parts.push(Buffer.alloc((BLOCK - (entry.data.length % BLOCK)) % BLOCK));
+  }
+  parts.push(Buffer.alloc(BLOCK * 2));
+  return Buffer.concat(parts);
+}
+
+function headerField(header, start, length) {
+  return header.toString("utf8", start, start + length).replace(/\0.*$/s, "").trim();
+}
+
+function unpackTar(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  while (offset + BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + BLOCK);
+    if (header.every((byte) => byte === 0)) break;
+    const name = headerField(header, 0, 100);
+    const size = parseInt(headerField(header, 124, 12), 8) || 0;
+    const type = headerField(header, 156, 1);
+    offset += BLOCK;
+    if (!type || type === "0") entries.set(name, buffer.subarray(offset, offset + size));
+    offset += Math.ceil(size / BLOCK) * BLOCK;
+  }
+  return entries;
+}
+
+// With a key set the table's encrypted columns stay sealed (under the current key) unless the export
+// asks for plaintext; import opens whatever it can with the configured keys.
+function exportRow(row, { vectors, sealed, columns }) {
+  const data = openRow(plainRow(row));
+  if (vectors && data.vector) {
+    data.vector = Array.from(data.vector);
+  } else {
+    delete data.vector;
+  }
+  return sealed ? sealRow(data, columns) : data;
+}
+
+function parseJsonl(buffer) {
+  if (!buffer) return [];
+  return buffer
+    .toString("utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function sameEmbedding(a, b) {
+  return Boolean(a) && a.provider === b.provider && a.model === b.model && Number(a.dimensions) === Number(b.dimensions);
+}
+
+// Rows from another schema version: drop unknown columns and default the missing ones.
+function alignRow(row, fields) {
+  const out = {};
+  for (const field of fields) {
+    if (row[field.name] !== undefined && row[field.name] !== null) {
+      out[field.name] = row[field.name];
+    } else {
+      out[field.name] = /utf8/i.test(String(field.type)) ? "" : 0;
+    }
+  }
+  return out;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+// Default merge for JSON stores: keep what is already there and add what is missing, recursively.
+export function mergeMissing(current, incoming) {
+  for (const [key, value] of Object.entries(incoming || {})) {
+    if (current[key] === undefined) {
+      current[key] = value;
+    } else if (isPlainObject(current[key]) && isPlainObject(value)) {
+      mergeMissing(current[key], value);
+    }
+  }
+  return current;
+}
+
+function selectSources(layers) {
+  const sources = [...archiveSources().values()];
+  if (!layers) return sources;
+  const unknown = layers.filter((id) => !archiveSources().has(id));
+  if (unknown.length) {
+    throw new Error(`archive: unknown layers ${unknown.join(", ")} (loaded: ${[...archiveSources().keys()].join(", ")})`);
+  }
+  return sources.filter((source) => layers.includes(source.id));
+}
+
+async function exportTable(source, tableName, { vectors, sealed, logger }) {
+  const db = await source.lancedb.connect(source.dbPath);
+  if (!(await db.tableNames()).includes(tableName)) return null;
+  const table = await db.openTable(tableName);
+  const dimensions = vectorDimensions(await table.schema());
+  const recorded = loadSchemaRecord(source.dbPath, logger).tables[tableName] || {};
+  const rows = await table.query().toArray();
+  const encrypted = encryptedColumns(source.dbPath, tableName, logger);
+  return {
+    rows: rows.map((row) => exportRow(row, { vectors, sealed, columns: encrypted })),
+    embedding: { ...embeddingInfo(source.embeddings, dimensions), ...(recorded.embedding || {}), dimensions },
+    schemaVersion: Number.isFinite(recorded.version) ? recorded.version : 1,
+    encrypted
+  };
+}
+
+// Writes every registered layer (or only `layers`) into one archive file, readable only by its owner,
+// and returns its manifest. With a key set, content stays sealed unless `plaintext` is passed.
+export async function exportArchive(file, { vectors = false, layers = null, plaintext = false, logger } = {}) {
+  const sealed = encryptionEnabled() && !plaintext;
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    createdAt: new Date().toISOString(),
+    vectors,
+    sealedWith: sealed ? loadKeyring().current.id : null,
+    sources: {}
+  };
+  const entries = [];
+  for (const source of selectSources(layers)) {
+    const record = { tables: {}, files: {} };
+    for (const tableName of source.tables || []) {
+      const exported = await exportTable(source, tableName, { vectors, sealed, logger });
+      if (!exported) continue;
+      const name = `tables/${source.id}/${tableName}.jsonl`;
+      entries.push({ name, data: Buffer.from(exported.rows.map((row) => JSON.stringify(row)).join("\n")) });
+      record.tables[tableName] = {
+        file: name,
+        rows: exported.rows.length,
+        embedding: exported.embedding,
+        schemaVersion: exported.schemaVersion,
+        encrypted: exported.encrypted
+      };
+    }
+    for (const store of source.files || []) {
+      if (!fs.existsSync(store.path)) continue;
+      const name = `files/${source.id}/${store.name}.json`;
+      const data = readJson(store.path, { logger });
+      entries.push({ name, data: Buffer.from(JSON.stringify(sealed ? sealJson(data) : data, null, 2)) });
+      record.files[store.name] = name;
+    }
+    manifest.sources[source.id] = record;
+  }
+  entries.unshift({ name: MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2)) });
+
+  fs.mkdirSync(dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, gzipSync(packTar(entries)), { mode: 0o600 });
+  fs.renameSync(tmp, file);
+  return manifest;
+}
+
+export function readArchive(file) {
+  const entries = unpackTar(gunzipSync(fs.readFileSync(file)));
+  const raw = entries.get(MANIFEST);
+  if (!raw) throw new Error(`archive: ${file} has no ${MANIFEST}`);
+  const manifest = JSON.parse(raw.toString("utf8"));
+  if (manifest.format !== ARCHIVE_FORMAT) throw new Error(`archive: ${file} is not a memory archive`);
+  if (!(manifest.version <= ARCHIVE_VERSION)) {
+    throw new Error(`archive: format version ${manifest.version} is newer than supported version ${ARCHIVE_VERSION}`);
+  }
+  return { manifest, entries };
+}
+
+async function importTable(source, tableName, rows, info, { mode, vectors, dryRun, logger }) {
+  const { lancedb, dbPath, embeddings } = source;
+  const dimensions = await embeddings.resolveDimensions();
+  const target = embeddingInfo(embeddings, dimensions);
+  // Stored vectors are reused only when they came from the same model; otherwise the text is re-embedded.
+  const reembed =
+    !vectors ||
+    !sameEmbedding(info.embedding, target) ||
+    rows.some((row) => !Array.isArray(row.vector) || row.vector.length !== dimensions);
+
+  const db = await lancedb.connect(dbPath);
+  const exists = (await db.tableNames()).includes(tableName);
+  let table = exists ? await db.openTable(tableName) : null;
+  let incoming = rows;
+  if (table && mode === "merge") {
+    const known = new Set((await table.query().select(["id"]).toArray()).map((row) => row.id));
+    incoming = rows.filter((row) => !known.has(row.id));
+  }
+  const summary = { table: tableName, rows: rows.length, imported: incoming.length, reembedded: reembed };
+  if (dryRun) return summary;
+
+  // Every page is embedded before the table is touched, so a provider failure midway leaves it as it was.
+  const staged = [];
+  for (let start = 0; start < incoming.length; start += PAGE_SIZE) {
+    let page = incoming.slice(start, start + PAGE_SIZE);
+    if (reembed) {
+      const embedded = await embeddings.embed(page.map((row) => String(row.text ?? "")));
+      page = page.map((row, idx) => ({ ...row, vector: embedded[idx] }));
+      logger?.info?.(`${tableName}: embedded ${Math.min(start + PAGE_SIZE, incoming.length)}/${incoming.length}`);
+    }
+    staged.push(page);
+  }
+
+  if (table && mode === "replace") await table.delete("true");
+  const columns = [...new Set([...encryptedColumns(dbPath, tableName, logger), ...(info.encrypted || [])])];
+  let fields = table ? (await table.schema()).fields : null;
+  let done = 0;
+  for (const page of staged) {
+    if (fields) {
+      await table.add(page.map((row) => sealRow(alignRow(row, fields), columns)));
+    } else {
+      table = await db.createTable(tableName, page.map((row) => sealRow(row, columns)));
+      fields = (await table.schema()).fields;
+    }
+    done += page.length;
+    logger?.info?.(`${tableName}: imported ${done}/${incoming.length}`);
+  }
+  if (table) {
+    recordTable(dbPath, tableName, {
+      embedding: target,
+      ...(exists ? {} : { version: info.schemaVersion || 1, encrypted: columns, migratedAt: Date.now() })
+    }, logger);
+  }
+  return summary;
+}
+
+async function importFile(store, incoming, { mode, dryRun, logger }) {
+  if (!dryRun) {
+    await updateJson(store.path, (current) => {
+      if (mode === "replace") {
+        for (const key of Object.keys(current)) delete current[key];
+        Object.assign(current, incoming);
+      } else {
+        (store.merge || mergeMissing)(current, incoming);
+      }
+    }, { logger });
+  }
+  return { file: store.name };
+}
+
+// mode "merge" keeps existing rows and entries and adds the archive's new ones (rows by id);
+// "replace" empties each imported table and store first. Layers that are not loaded are skipped.
+export async function importArchive(file, { mode = "merge", layers = null, dryRun = false, logger } = {}) {
+  if (mode !== "merge" && mode !== "replace") throw new Error(`archive: unknown import mode "${mode}" (merge or replace)`);
+  const { manifest, entries } = readArchive(file);
+  const sources = archiveSources();
+  const report = [];
+  for (const [id, record] of Object.entries(manifest.sources || {})) {
+    if (layers && !layers.includes(id)) continue;
+    const source = sources.get(id);
+    if (!source) {
+      report.push({ source: id, skipped: "layer not loaded" });
+      continue;
+    }
+    for (const [tableName, info] of Object.entries(record.tables || {})) {
+      if (!(source.tables || []).includes(tableName)) {
+        report.push({ source: id, table: tableName, skipped: "unknown table" });
+        continue;
+      }
+      const rows = parseJsonl(entries.get(info.file)).map(openRow);
+      const result = await importTable(source, tableName, rows, info, { mode, vectors: manifest.vectors, dryRun, logger });
+      report.push({ source: id, ...result });
+    }
+    for (const [name, path] of Object.entries(record.files || {})) {
+      const store = (source.files || []).find((item) => item.name === name);
+      if (!store || !entries.has(path)) {
+        report.push({ source: id, file: name, skipped: "unknown file" });
+        continue;
+      }
+      const incoming = openJson(JSON.parse(entries.get(path).toString("utf8")));
+      report.push({ source: id, ...(await importFile(store, incoming, { mode, dryRun, logger })) });
+    }
+  }
+  return { manifest, report };
+}
+
+function parseLayers(value) {
+  if (!value) return null;
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function describeRow(item, mode) {
+  const target = item.table ? `${item.source}/${item.table}` : `${item.source}/${item.file || "*"}.json`;
+  if (item.skipped) return `${target}: skipped (${item.skipped})`;
+  if (!item.table) return `${target}: ${mode === "replace" ? "replaced" : "merged"}`;
+  const reembedded = item.reembedded && item.imported ? " (re-embedded)" : "";
+  return `${target}: ${item.imported}/${item.rows} rows${reembedded}`;
+}
+
+function buildExportCommand(cmd, logger) {
+  cmd
+    .argument("<file>", "Archive to write (.tar.gz)")
+    .option("--vectors", "Include embedding vectors (larger, but import skips re-embedding with the same model)")
+    .option("--layers <ids>", "Comma-separated plugin ids to export (default: every loaded layer)")
+    .option("--plaintext", "Decrypt the content into the archive (by default it stays sealed when a key is set)")
+    .action(async (file, opts) => {
+      try {
+        const plaintext = opts.plaintext === true;
+        if (plaintext && encryptionEnabled()) {
+          console.error(`Warning: ${file} will hold every exported memory decrypted; keep it as safe as the key.`);
+        }
+        const manifest = await exportArchive(file, {
+          vectors: opts.vectors === true,
+          layers: parseLayers(opts.layers),
+          plaintext,
+          logger
+        });
+        for (const [id, record] of Object.entries(manifest.sources)) {
+          const tables = Object.entries(record.tables).map(([name, info]) => `${name}=${info.rows}`);
+          const files = Object.keys(record.files);
+          console.log(`${id}: ${[...tables, ...files].join(", ") || "nothing to export"}`);
+        }
+        console.log(`Wrote ${file}`);
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
+
+function buildImportCommand(cmd, logger) {
+  cmd
+    .argument("<file>", "Archive written by `memory export`")
+    .option("--mode <mode>", "merge (keep existing, add new) or replace", "merge")
+    .option("--layers <ids>", "Comma-separated plugin ids to import (default: all in the archive)")
+    .option("--dry-run", "Show what would be imported")
+    .action(async (file, opts) => {
+      try {
+        const { manifest, report } = await importArchive(file, {
+          mode: opts.mode,
+          layers: parseLayers(opts.layers),
+          dryRun: opts.dryRun === true,
+          logger
+        });
+        console.log(`Archive from ${manifest.createdAt} (${opts.dryRun ? "dry run, " : ""}mode ${opts.mode})`);
+        for (const item of report) console.log(describeRow(item, opts.mode));
+        if (!opts.dryRun) console.log("Restart the gateway so running layers reopen their tables.");
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
+
+function describeRekey(item, dryRun) {
+  const key = (id) => (id ? `key ${id}` : "plaintext");
+  if (item.table) {
+    if (!item.changed) return `${item.table}: ${item.rows} rows, up to date`;
+    return `${item.table}: ${item.changed}/${item.rows} rows ${dryRun ? "to rewrite" : "rewritten"} as ${key(item.to)}`;
+  }
+  if (!item.changed) return `${item.file}: up to date`;
+  return `${item.file}: ${key(item.from)} -> ${key(item.to)}${dryRun ? " (dry run)" : ""}`;
+}
+
+function buildRekeyCommand(cmd, logger) {
+  cmd
+    .option("--layers <ids>", "Comma-separated plugin ids to rewrite (default: every loaded layer)")
+    .option("--dry-run", "Show which tables and files are not under the current key")
+    .action(async (opts) => {
+      try {
+        const current = loadKeyring().current;
+        const report = await rekeyStores(selectSources(parseLayers(opts.layers)), {
+          dryRun: opts.dryRun === true,
+          logger
+        });
+        console.log(`Target: ${current ? `key ${current.id}` : "plaintext (no OPENCLAW_MEMORY_KEY set)"}`);
+        for (const item of report) console.log(describeRekey(item, opts.dryRun === true));
+        if (!opts.dryRun) console.log("Restart the gateway so running layers reopen their tables.");
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
+
+// source: { id, lancedb?, dbPath?, embeddings?, tables?: string[], files?: [{ name, path, merge? }] }.
+// `merge(current, incoming)` mutates the stored value; it defaults to mergeMissing.
+export function addArchiveSource(source) {
+  archiveSources().set(source.id, source);
+}
+
+// Every layer registered in this process (memory-meta counts their table rows for metrics).
+export function listArchiveSources() {
+  return [...archiveSources().values()];
+}
+
+// Adds the layer to the archive and the `memory export` / `memory import` / `memory rekey` commands to the CLI.
+export function registerArchiveSource(api, source) {
+  addArchiveSource(source);
+  registerLayerCli(api, { command: "export", description: "Export every memory layer into one archive" }, (cmd) =>
+    buildExportCommand(cmd, api.logger)
+  );
+  registerLayerCli(api, { command: "import", description: "Import a memory archive (merge or replace)" }, (cmd) =>
+    buildImportCommand(cmd, api.logger)
+  );
+  registerLayerCli(api, { command: "rekey", description: "Re-encrypt every memory store with the current key" }, (cmd) =>
+    buildRekeyCommand(cmd, api.logger)
+  );
+}
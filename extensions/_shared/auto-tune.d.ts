@@ -0,0 +1,30 @@
+export type RecallThresholds = {
+  minScore: number;
+  recallLimit: number;
+};
+
+export type AutoTuneConfig = {
+  enabled: boolean;
+  intervalMinutes: number;
+  minFeedback: number;
+  maxAvgChars: number;
+  minScoreMin: number;
+  minScoreMax: number;
+  recallLimitMin: number;
+  recallLimitMax: number;
+};
+
+export type AutoTuner = {
+  layer: string;
+  thresholds(): RecallThresholds;
+  tune(): Promise<(RecallThresholds & Record<string, unknown>) | null>;
+};
+
+export function normalizeAutoTuneConfig(raw: unknown, base: RecallThresholds): AutoTuneConfig;
+
+export function createAutoTuner(opts: {
+  layer: string;
+  base: RecallThresholds;
+  config?: AutoTuneConfig;
+  logger?: unknown;
+}): AutoTuner;
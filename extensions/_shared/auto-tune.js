@@ -0,0 +1,161 @@
+import { readJson, updateJson } from "./json-store.js";
+import { resolveMetaPath } from "./meta-routing.js";
+
+const LOW_USEFUL_RATE = 0.4;
+const HIGH_USEFUL_RATE = 0.75;
+const MIN_SCORE_STEP = 0.05;
+const CACHE_TTL_MS = 15000;
+
+const DEFAULTS = {
+  enabled: true,
+  intervalMinutes: 60,
+  minFeedback: 5,
+  maxAvgChars: 1500,
+  minScoreSpread: 0.15,
+  recallLimitSpread: 2
+};
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round2(value) {
+  return Number(value.toFixed(2));
+}
+
+// base: the layer's configured { minScore, recallLimit }; bounds default to a band around it.
+export function normalizeAutoTuneConfig(raw, base) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  const minScoreMin = round2(clamp(toNumber(cfg.minScoreMin, base.minScore - DEFAULTS.minScoreSpread), 0, 1));
+  const recallLimitMin = Math.max(1, Math.floor(toNumber(cfg.recallLimitMin, base.recallLimit - DEFAULTS.recallLimitSpread)));
+  return {
+    enabled: cfg.enabled !== false,
+    intervalMinutes: Math.max(1, toNumber(cfg.intervalMinutes, DEFAULTS.intervalMinutes)),
+    minFeedback: Math.max(1, Math.floor(toNumber(cfg.minFeedback, DEFAULTS.minFeedback))),
+    maxAvgChars: Math.max(0, Math.floor(toNumber(cfg.maxAvgChars, DEFAULTS.maxAvgChars))),
+    minScoreMin,
+    minScoreMax: round2(clamp(toNumber(cfg.minScoreMax, base.minScore + DEFAULTS.minScoreSpread), minScoreMin, 1)),
+    recallLimitMin,
+    recallLimitMax: Math.max(
+      recallLimitMin,
+      Math.floor(toNumber(cfg.recallLimitMax, base.recallLimit + DEFAULTS.recallLimitSpread))
+    )
+  };
+}
+
+function withinBounds(values, cfg) {
+  return {
+    minScore: round2(clamp(values.minScore, cfg.minScoreMin, cfg.minScoreMax)),
+    recallLimit: clamp(Math.round(values.recallLimit), cfg.recallLimitMin, cfg.recallLimitMax)
+  };
+}
+
+// Uses only the feedback received since the previous tuning, so each step reacts to how the
+// last adjustment performed. Returns null while there is not enough new feedback.
+export function computeTuning(entry, current, cfg) {
+  const previous = entry.tuning || {};
+  const usefulUp = entry.useful_up || 0;
+  const usefulDown = entry.useful_down || 0;
+  const up = usefulUp >= (previous.useful_up || 0) ? usefulUp - (previous.useful_up || 0) : usefulUp;
+  const down = usefulDown >= (previous.useful_down || 0) ? usefulDown - (previous.useful_down || 0) : usefulDown;
+  const samples = up + down;
+  if (samples < cfg.minFeedback) return null;
+
+  const rate = up / samples;
+  const activations = entry.activations || 0;
+  const avgChars = activations ? (entry.chars_injected || 0) / activations : 0;
+  const costly = cfg.maxAvgChars > 0 && avgChars > cfg.maxAvgChars;
+  let { minScore, recallLimit } = current;
+  const reasons = [];
+  if (rate < LOW_USEFUL_RATE) {
+    minScore += MIN_SCORE_STEP;
+    recallLimit -= 1;
+    reasons.push("low useful rate");
+  } else if (rate > HIGH_USEFUL_RATE) {
+    minScore -= MIN_SCORE_STEP;
+    if (!costly) recallLimit += 1;
+    reasons.push("high useful rate");
+  }
+  if (costly && recallLimit >= current.recallLimit) {
+    recallLimit -= 1;
+    reasons.push("costly activations");
+  }
+
+  return {
+    ...withinBounds({ minScore, recallLimit }, cfg),
+    useful_up: usefulUp,
+    useful_down: usefulDown,
+    useful_rate: round2(rate),
+    avg_chars: Math.round(avgChars),
+    reason: reasons.join(", ") || "steady",
+    tuned_at: Date.now()
+  };
+}
+
+export function createAutoTuner({ layer, base, config, logger }) {
+  const cfg = config || normalizeAutoTuneConfig(null, base);
+  let cached = null;
+
+  // An unreadable meta.json (e.g. one that no longer decrypts) counts as "not tuned yet", so the
+  // layer keeps its configured thresholds instead of failing the hook.
+  const readTuning = () => {
+    try {
+      const meta = readJson(resolveMetaPath(), { logger });
+      return meta.routing_stats?.layers?.[layer]?.tuning || null;
+    } catch (err) {
+      logger?.warn?.(`auto-tune: cannot read ${layer} tuning: ${String(err)}`);
+      return null;
+    }
+  };
+
+  // Effective thresholds for the next recall: the persisted tuned values clamped to the
+  // configured bounds, or the configured values when nothing has been tuned yet.
+  function thresholds() {
+    if (!cfg.enabled) return { ...base };
+    const now = Date.now();
+    if (!cached || now - cached.at > CACHE_TTL_MS) {
+      cached = { at: now, tuning: readTuning() };
+    }
+    return cached.tuning ? withinBounds(cached.tuning, cfg) : { ...base };
+  }
+
+  // Best effort, never rejects: hooks may fire and forget.
+  async function tune() {
+    if (!cfg.enabled) return null;
+    let result = null;
+    try {
+      const known = cached ? cached.tuning : readTuning();
+      if (known && Date.now() - (known.tuned_at || 0) < cfg.intervalMinutes * 60000) return null;
+      await updateJson(resolveMetaPath(), (meta) => {
+        const entry = meta.routing_stats?.layers?.[layer];
+        if (!entry) return false;
+        const tunedAt = entry.tuning?.tuned_at || 0;
+        if (Date.now() - tunedAt < cfg.intervalMinutes * 60000) return false;
+        const current = entry.tuning ? withinBounds(entry.tuning, cfg) : { ...base };
+        const next = computeTuning(entry, current, cfg);
+        if (!next) return false;
+        entry.tuning = next;
+        meta.routing_stats.last_updated_at = Date.now();
+        result = next;
+      }, { logger });
+    } catch (err) {
+      logger?.warn?.(`auto-tune: ${layer} tuning failed: ${String(err)}`);
+      return null;
+    }
+    if (result) {
+      cached = { at: Date.now(), tuning: result };
+      logger?.info?.(
+        `auto-tune: ${layer} minScore=${result.minScore} recallLimit=${result.recallLimit} ` +
+          `(useful_rate=${result.useful_rate}, ${result.reason})`
+      );
+    }
+    return result;
+  }
+
+  return { layer, thresholds, tune };
+}
@@ -0,0 +1,15 @@
+export function registerLayerCli(
+  api: unknown,
+  opts: { command: string; description: string },
+  build: (cmd: unknown) => void,
+): void;
+
+export function addConfigCommand(
+  parent: unknown,
+  opts: {
+    pluginId: string;
+    rawConfig: unknown;
+    normalize: (raw: unknown, logger?: unknown) => unknown;
+    logger?: unknown;
+  },
+): void;
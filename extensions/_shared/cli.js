@@ -0,0 +1,178 @@
+import { activePresetName, listPresets } from "./presets.js";
+
+const ROOT_COMMAND = "memory";
+const ROOT_DESCRIPTION = "Inspect and manage the memory layers";
+const GROUPS_KEY = Symbol.for("openclaw.memory-suite.cli-groups");
+const DEFAULT_LIMIT = 20;
+const MAX_CELL_CHARS = 60;
+const SEARCH_OVERFETCH = 5;
+const RELATIVE_UNITS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+const registeredApis = new WeakSet();
+
+// Groups from every loaded layer, keyed by name; a reloaded plugin replaces its own entries.
+function cliGroups() {
+  if (!globalThis[GROUPS_KEY]) globalThis[GROUPS_KEY] = new Map();
+  return globalThis[GROUPS_KEY];
+}
+
+function findCommand(parent, name) {
+  return (parent.commands || []).find((cmd) => cmd.name() === name);
+}
+
+// Each layer contributes one group (or more) under the shared `memory` command, e.g. `memory graph`.
+// Every plugin registers the root; whichever registrar the host runs first builds all the groups
+// and the rest only add what is still missing, so it works whether or not the host dedupes by name.
+export function registerLayerCli(api, { command, description }, build) {
+  if (typeof api.registerCli !== "function") return;
+  cliGroups().set(command, { description, build });
+  if (registeredApis.has(api)) return;
+  registeredApis.add(api);
+  api.registerCli(
+    ({ program }) => {
+      const root = findCommand(program, ROOT_COMMAND) || program.command(ROOT_COMMAND).description(ROOT_DESCRIPTION);
+      for (const [name, group] of cliGroups()) {
+        if (findCommand(root, name)) continue;
+        group.build(root.command(name).description(group.description));
+      }
+    },
+    { commands: [ROOT_COMMAND] }
+  );
+}
+
+function maskSecrets(value) {
+  if (Array.isArray(value)) return value.map(maskSecrets);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = /apikey|token|secret|password/i.test(key) && typeof item === "string" && item ? "***" : maskSecrets(item);
+  }
+  return out;
+}
+
+// `config` prints the effective configuration: the preset merged with explicit values and normalized.
+export function addConfigCommand(parent, { pluginId, rawConfig, normalize, logger }) {
+  parent
+    .command("config")
+    .description("Print the effective configuration (preset + explicit values)")
+    .option("--preset <name>", "Preview the configuration under another preset")
+    .action((opts) => {
+      const raw = { ...(rawConfig || {}), ...(opts.preset ? { preset: opts.preset } : {}) };
+      const output = {
+        plugin: pluginId,
+        preset: activePresetName(raw, logger),
+        availablePresets: listPresets(logger),
+        config: maskSecrets(normalize(raw, logger))
+      };
+      console.log(JSON.stringify(output, null, 2));
+    });
+}
+
+// Accepts an ISO date/time or a relative age such as 30m, 12h, 7d or 2w.
+export function parseDateOption(value, name) {
+  if (value === undefined || value === null || value === "") return null;
+  const raw = String(value).trim();
+  const relative = raw.match(/^(\d+(?:\.\d+)?)\s*([mhdw])$/i);
+  if (relative) return Date.now() - Number(relative[1]) * RELATIVE_UNITS[relative[2].toLowerCase()];
+  const parsed = Date.parse(raw);
+  if (Number.isNaN(parsed)) throw new Error(`${name}: expected an ISO date or a relative age like 7d, got "${raw}"`);
+  return parsed;
+}
+
+export function parseFilters(opts) {
+  const limit = Math.floor(Number(opts.limit ?? DEFAULT_LIMIT));
+  return {
+    agent: typeof opts.agent === "string" && opts.agent.trim() ? opts.agent.trim() : null,
+    since: parseDateOption(opts.since, "--since"),
+    until: parseDateOption(opts.until, "--until"),
+    limit: Number.isFinite(limit) && limit > 0 ? limit : DEFAULT_LIMIT
+  };
+}
+
+// Rows without a recorded agent (captured before agents were tracked) never match --agent.
+export function applyFilters(rows, filters, { timeKey = "createdAt" } = {}) {
+  const out = [];
+  for (const row of rows) {
+    if (filters.agent && row.agentId !== filters.agent) continue;
+    const ts = Number(row[timeKey]) || 0;
+    if (filters.since !== null && ts < filters.since) continue;
+    if (filters.until !== null && ts > filters.until) continue;
+    out.push(row);
+    if (out.length >= filters.limit) break;
+  }
+  return out;
+}
+
+function formatCell(value, column) {
+  if (value === undefined || value === null || value === "") return "";
+  if (column.time) {
+    const ts = Number(value);
+    return ts ? new Date(ts).toISOString().replace("T", " ").slice(0, 16) : "";
+  }
+  if (typeof value === "number" && !Number.isInteger(value)) return value.toFixed(2);
+  const text = (Array.isArray(value) ? value.join(", ") : String(value)).replace(/\s+/g, " ").trim();
+  const max = column.width || MAX_CELL_CHARS;
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+// columns: [{ key, label?, width?, time? }]. --json prints the rows untouched (timestamps in ms).
+export function printRows(rows, columns, { json = false } = {}) {
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (!rows.length) {
+    console.log("No results.");
+    return;
+  }
+  const headers = columns.map((column) => column.label || column.key);
+  const cells = rows.map((row) => columns.map((column) => formatCell(row[column.key], column)));
+  const widths = headers.map((header, idx) => Math.max(header.length, ...cells.map((line) => line[idx].length)));
+  const render = (line) => line.map((cell, idx) => cell.padEnd(widths[idx])).join("  ").trimEnd();
+  console.log(render(headers));
+  console.log(render(widths.map((width) => "-".repeat(width))));
+  for (const line of cells) console.log(render(line));
+}
+
+// A read-only listing with the shared --agent/--since/--until/--limit/--json options.
+// load({ query, filters, opts }) returns rows; they are filtered here in the order returned.
+export function addQueryCommand(parent, { name, description, argument, options = [], columns, timeKey, load }) {
+  const cmd = parent.command(name).description(description);
+  if (argument) cmd.argument(argument.name, argument.description);
+  for (const [flags, help, fallback] of options) cmd.option(flags, help, fallback);
+  cmd
+    .option("--agent <id>", "Only entries captured by this agent")
+    .option("--since <date>", "Only entries at or after this date (ISO or relative: 30m, 12h, 7d)")
+    .option("--until <date>", "Only entries at or before this date (ISO or relative)")
+    .option("--limit <n>", "Max rows", String(DEFAULT_LIMIT))
+    .option("--json", "Print JSON instead of a table")
+    .action(async (...params) => {
+      const query = argument ? params[0] : undefined;
+      const opts = params[argument ? 1 : 0] || {};
+      try {
+        const filters = parseFilters(opts);
+        const rows = await load({ query, filters, opts });
+        printRows(applyFilters(rows, filters, { timeKey }), columns, { json: opts.json === true });
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+  return cmd;
+}
+
+// `search <query>` over a VectorTable; over-fetches so --agent/--since can still fill --limit.
+export function addSearchCommand(parent, { table, embeddings, toRow, columns, timeKey }) {
+  return addQueryCommand(parent, {
+    name: "search",
+    description: "Semantic search",
+    argument: { name: "<query>", description: "Search query" },
+    columns: [...columns, { key: "score" }],
+    timeKey,
+    load: async ({ query, filters }) => {
+      const vector = await embeddings.embed(query);
+      const results = await table.search(vector, filters.limit * SEARCH_OVERFETCH, 0, { text: query });
+      return results.map((item) => ({ ...toRow(item.entry), score: item.score }));
+    }
+  });
+}
@@ -0,0 +1,114 @@
+const DEFAULT_CHAT_URL = "http://127.0.0.1:11434/v1";
+
+const DEFAULTS = {
+  enabled: true,
+  intervalMinutes: 720,
+  similarity: 0.85,
+  windowHours: 72,
+  minClusterSize: 3,
+  maxClusterSize: 20,
+  demoteFactor: 0.5,
+  summarizer: "extractive",
+  llm: {
+    baseUrl: DEFAULT_CHAT_URL,
+    apiKey: "local",
+    model: "",
+    timeoutMs: 30000,
+    maxTokens: 400
+  }
+};
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+export function normalizeConsolidationConfig(raw) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  const llm = cfg.llm && typeof cfg.llm === "object" ? cfg.llm : {};
+  const minClusterSize = Math.max(2, Math.floor(toNumber(cfg.minClusterSize, DEFAULTS.minClusterSize)));
+  const model = typeof llm.model === "string" ? llm.model.trim() : DEFAULTS.llm.model;
+  return {
+    enabled: cfg.enabled !== false,
+    intervalMinutes: Math.max(1, toNumber(cfg.intervalMinutes, DEFAULTS.intervalMinutes)),
+    similarity: Math.max(0, Math.min(1, toNumber(cfg.similarity, DEFAULTS.similarity))),
+    windowHours: Math.max(0, toNumber(cfg.windowHours, DEFAULTS.windowHours)),
+    minClusterSize,
+    maxClusterSize: Math.max(minClusterSize, Math.floor(toNumber(cfg.maxClusterSize, DEFAULTS.maxClusterSize))),
+    demoteFactor: Math.max(0, Math.min(1, toNumber(cfg.demoteFactor, DEFAULTS.demoteFactor))),
+    // "llm" needs llm.model; without one the extractive summary is used.
+    summarizer: cfg.summarizer === "llm" && model ? "llm" : "extractive",
+    llm: {
+      baseUrl: typeof llm.baseUrl === "string" && llm.baseUrl.trim() ? llm.baseUrl.trim() : DEFAULTS.llm.baseUrl,
+      apiKey: typeof llm.apiKey === "string" && llm.apiKey ? llm.apiKey : DEFAULTS.llm.apiKey,
+      model,
+      timeoutMs: Math.max(1000, toNumber(llm.timeoutMs, DEFAULTS.llm.timeoutMs)),
+      maxTokens: Math.max(32, Math.floor(toNumber(llm.maxTokens, DEFAULTS.llm.maxTokens)))
+    }
+  };
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// items: [{ id, vector, ts, group }]. Each unclustered item, oldest first, seeds a cluster with the
+// later items of the same group within windowMs whose similarity to the seed reaches the threshold.
+// Only clusters of at least minSize are returned; their items are not reused.
+export function clusterBySimilarity(items, { threshold, windowMs, minSize, maxSize }) {
+  const sorted = items.slice().sort((a, b) => a.ts - b.ts);
+  const used = new Set();
+  const clusters = [];
+  for (let i = 0; i < sorted.length; i += 1) {
+    const seed = sorted[i];
+    if (used.has(seed.id)) continue;
+    const cluster = [seed];
+    for (let j = i + 1; j < sorted.length && cluster.length < maxSize; j += 1) {
+      const item = sorted[j];
+      if (item.ts - seed.ts > windowMs) break;
+      if (used.has(item.id) || item.group !== seed.group) continue;
+      if (cosineSimilarity(seed.vector, item.vector) >= threshold) cluster.push(item);
+    }
+    if (cluster.length < minSize) continue;
+    for (const item of cluster) used.add(item.id);
+    clusters.push(cluster);
+  }
+  return clusters;
+}
+
+// One completion from an OpenAI-compatible /chat/completions endpoint (Ollama, vLLM, LM Studio...).
+export async function chatComplete(llm, messages) {
+  const url = llm.baseUrl.replace(/\/$/, "") + "/chat/completions";
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), llm.timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${llm.apiKey}`
+      },
+      body: JSON.stringify({ model: llm.model, messages, temperature: 0, max_tokens: llm.maxTokens, stream: false }),
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new Error(`chat completion failed (${res.status}): ${detail.slice(0, 200)}`);
+    }
+    const data = await res.json();
+    const text = String(data?.choices?.[0]?.message?.content ?? "").trim();
+    if (!text) throw new Error(`chat completion from ${llm.model} returned no text`);
+    return text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,27 @@
+export type ContextItem = {
+  text: string;
+  score?: number;
+  ref?: string;
+};
+
+export type ContextSection = {
+  layer: string;
+  tag: string;
+  header?: string;
+  numbered?: boolean;
+  joiner?: string;
+  maxChars?: number;
+  items: ContextItem[];
+};
+
+export function activateOrchestrator(): void;
+
+export function isOrchestrated(): boolean;
+
+export function offerContext(event: unknown, ctx: unknown, section: ContextSection): boolean;
+
+export function takeOffers(event: unknown, ctx: unknown): ContextSection[];
+
+export function renderSection(section: ContextSection, items?: ContextItem[]): string;
+
+export function resetContextBudget(): void;
@@ -0,0 +1,78 @@
+// Coordination between the memory layers and memory-orchestrator. State lives on globalThis so
+// every plugin sees the same instance even if the loader gives each one its own module cache.
+const STATE_KEY = Symbol.for("openclaw.memory.context-budget");
+const RUN_TTL_MS = 60000;
+
+function getState() {
+  if (!globalThis[STATE_KEY]) {
+    globalThis[STATE_KEY] = { active: false, runs: new Map() };
+  }
+  return globalThis[STATE_KEY];
+}
+
+function runKey(event, ctx) {
+  const session = ctx?.sessionKey || ctx?.agentId || "default";
+  return `${session}\u0000${event?.prompt || ""}`;
+}
+
+function truncate(text, maxChars) {
+  if (!text || typeof text !== "string") return "";
+  if (text.length <= maxChars) return text;
+  return text.slice(0, maxChars).trim() + "...";
+}
+
+export function activateOrchestrator() {
+  getState().active = true;
+}
+
+export function isOrchestrated() {
+  return getState().active;
+}
+
+// section: { layer, tag, header?, numbered?, joiner?, maxChars?, items: [{ text, score?, ref? }] }
+// Returns true when the orchestrator will inject the section, in which case the layer must not
+// return its own prependContext (or record routing for it).
+export function offerContext(event, ctx, section) {
+  const state = getState();
+  if (!state.active) return false;
+  const now = Date.now();
+  for (const [key, run] of state.runs) {
+    if (now - run.startedAt > RUN_TTL_MS) state.runs.delete(key);
+  }
+  if (!section || !Array.isArray(section.items) || !section.items.length) return true;
+  const key = runKey(event, ctx);
+  let run = state.runs.get(key);
+  if (!run) {
+    run = { startedAt: now, sections: [] };
+    state.runs.set(key, run);
+  }
+  run.sections.push(section);
+  return true;
+}
+
+export function takeOffers(event, ctx) {
+  const state = getState();
+  const key = runKey(event, ctx);
+  const run = state.runs.get(key);
+  state.runs.delete(key);
+  return run ? run.sections : [];
+}
+
+export function renderSection(section, items = section.items) {
+  if (!items || !items.length) return "";
+  // Items citing a row carry its ref (see provenance.js), e.g. "1. [gr:1a2b3c4d] api --calls--> auth".
+  const lines = items.map((item, idx) => {
+    const text = item.ref ? `[${item.ref}] ${item.text}` : item.text;
+    return section.numbered ? `${idx + 1}. ${text}` : text;
+  });
+  let body = lines.join(section.joiner || "\n");
+  if (section.maxChars) body = truncate(body, section.maxChars);
+  if (!body) return "";
+  const header = section.header ? `${section.header}\n` : "";
+  return `<${section.tag}>\n${header}${body}\n</${section.tag}>`;
+}
+
+// Forgets the orchestrator and any pending offers (a fresh gateway, e.g. between tests).
+export function resetContextBudget() {
+  delete globalThis[STATE_KEY];
+}
@@ -0,0 +1,125 @@
+import fs from "node:fs";
+import { createHash } from "node:crypto";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+
+const DEFAULT_CACHE_PATH = join(homedir(), ".openclaw", "memory", "embedding-cache.jsonl");
+
+const SHARED_CACHES = new Map();
+
+function expandHome(path) {
+  if (!path) return path;
+  if (path === "~") return homedir();
+  if (path.startsWith("~/")) return join(homedir(), path.slice(2));
+  return path;
+}
+
+export function embeddingCacheKey(provider, model, dimensions, text) {
+  return createHash("sha256")
+    .update(`${provider}\u0000${model}\u0000${dimensions || ""}\u0000${text}`)
+    .digest("hex");
+}
+
+export class EmbeddingCache {
+  constructor({ maxEntries = 2000, persistPath = "" } = {}) {
+    this.maxEntries = maxEntries;
+    this.persistPath = persistPath;
+    this.entries = new Map();
+    this.persistedLines = 0;
+    this.hits = 0;
+    this.misses = 0;
+    if (this.persistPath) this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.persistPath)) return;
+      const lines = fs.readFileSync(this.persistPath, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line) continue;
+        try {
+          const { k, v } = JSON.parse(line);
+          if (typeof k === "string" && Array.isArray(v)) this.remember(k, v);
+          this.persistedLines += 1;
+        } catch {
+          // skip torn line from an interrupted append
+        }
+      }
+    } catch {
+      // best effort
+    }
+  }
+
+  get(key) {
+    const vector = this.entries.get(key);
+    if (!vector) {
+      this.misses += 1;
+      return null;
+    }
+    // Re-insert to mark as most recently used.
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    this.hits += 1;
+    return vector;
+  }
+
+  set(key, vector) {
+    this.remember(key, vector);
+    if (this.persistPath) this.append(key, vector);
+  }
+
+  remember(key, vector) {
+    this.entries.delete(key);
+    this.entries.set(key, vector);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  append(key, vector) {
+    try {
+      fs.mkdirSync(dirname(this.persistPath), { recursive: true });
+      fs.appendFileSync(this.persistPath, JSON.stringify({ k: key, v: vector }) + "\n");
+      this.persistedLines += 1;
+      if (this.persistedLines > this.maxEntries * 2) this.compact();
+    } catch {
+      // best effort
+    }
+  }
+
+  compact() {
+    const lines = [];
+    for (const [k, v] of this.entries) {
+      lines.push(JSON.stringify({ k, v }));
+    }
+    const tmpPath = `${this.persistPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, lines.length ? lines.join("\n") + "\n" : "");
+    fs.renameSync(tmpPath, this.persistPath);
+    this.persistedLines = lines.length;
+  }
+}
+
+export function normalizeCacheConfig(raw) {
+  const cache = raw && typeof raw === "object" ? raw : {};
+  const maxEntries = Number(cache.maxEntries);
+  return {
+    enabled: cache.enabled !== false,
+    maxEntries: Number.isFinite(maxEntries) && maxEntries > 0 ? Math.floor(maxEntries) : 2000,
+    persist: cache.persist === true,
+    path: typeof cache.path === "string" && cache.path.trim() ? cache.path.trim() : DEFAULT_CACHE_PATH
+  };
+}
+
+// One cache per backing file, so every layer in the gateway process shares hits.
+export function getSharedCache(cfg) {
+  const persistPath = cfg.persist ? expandHome(cfg.path) : "";
+  const id = persistPath || "memory";
+  let cache = SHARED_CACHES.get(id);
+  if (!cache) {
+    cache = new EmbeddingCache({ maxEntries: cfg.maxEntries, persistPath });
+    SHARED_CACHES.set(id, cache);
+  } else if (cfg.maxEntries > cache.maxEntries) {
+    cache.maxEntries = cfg.maxEntries;
+  }
+  return cache;
+}
@@ -0,0 +1,37 @@
+export type EmbeddingProvider = "openai" | "ollama" | "hash";
+
+export type EmbeddingConfig = {
+  provider: EmbeddingProvider;
+  model: string;
+  apiKey: string;
+  baseUrl: string;
+  dimensions: number | null;
+  batchSize: number;
+  cache: {
+    enabled: boolean;
+    maxEntries: number;
+    persist: boolean;
+    path: string;
+  };
+};
+
+export type Embeddings = {
+  provider: EmbeddingProvider;
+  model: string;
+  dimensions: number | null;
+  embed(text: string): Promise<number[]>;
+  embed(texts: string[]): Promise<number[][]>;
+  embedBatch(texts: string[]): Promise<number[][]>;
+  resolveDimensions(): Promise<number>;
+};
+
+export const EMBEDDING_PROVIDERS: string[];
+
+export function knownDimensions(model: string): number | null;
+
+export function normalizeEmbeddingConfig(
+  raw: unknown,
+  defaults?: Partial<Pick<EmbeddingConfig, "provider" | "model" | "apiKey">>,
+): EmbeddingConfig;
+
+export function createEmbeddings(cfg: EmbeddingConfig, logger?: unknown): Embeddings;
@@ -0,0 +1,289 @@
+import { createHash } from "node:crypto";
+import { embeddingCacheKey, getSharedCache, normalizeCacheConfig } from "./embedding-cache.js";
+import { recordEmbedding } from "./meta-routing.js";
+
+export const EMBEDDING_PROVIDERS = ["openai", "ollama", "hash"];
+
+const DEFAULT_PROVIDER = "openai";
+const DEFAULT_OPENAI_URL = "https://api.openai.com/v1";
+const DEFAULT_OLLAMA_URL = "http://127.0.0.1:11434";
+const DEFAULT_HASH_DIMENSIONS = 256;
+const DEFAULT_BATCH_SIZE = 64;
+const PROBE_TEXT = "dimension probe";
+
+const KNOWN_DIMENSIONS = {
+  "text-embedding-3-small": 1536,
+  "text-embedding-3-large": 3072,
+  "text-embedding-ada-002": 1536,
+  "nomic-embed-text": 768,
+  "mxbai-embed-large": 1024,
+  "bge-m3": 1024,
+  "bge-large": 1024,
+  "snowflake-arctic-embed": 1024,
+  "snowflake-arctic-embed2": 1024,
+  "all-minilm": 384
+};
+
+function resolveEnvVars(value) {
+  if (!value || typeof value !== "string") return value;
+  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
+    const envValue = process.env[envVar];
+    if (!envValue) {
+      throw new Error(`Environment variable ${envVar} is not set`);
+    }
+    return envValue;
+  });
+}
+
+export function knownDimensions(model) {
+  if (!model || typeof model !== "string") return null;
+  const key = model.trim().toLowerCase();
+  if (KNOWN_DIMENSIONS[key]) return KNOWN_DIMENSIONS[key];
+  // Ollama tags (nomic-embed-text:latest, bge-m3:567m) share the base model's size.
+  const base = key.split(":")[0].split("/").pop();
+  return KNOWN_DIMENSIONS[base] || null;
+}
+
+export function normalizeEmbeddingConfig(raw, defaults = {}) {
+  const embedding = raw && typeof raw === "object" ? raw : {};
+
+  const providerRaw = typeof embedding.provider === "string" && embedding.provider.trim()
+    ? embedding.provider.trim().toLowerCase()
+    : defaults.provider || DEFAULT_PROVIDER;
+  if (!EMBEDDING_PROVIDERS.includes(providerRaw)) {
+    throw new Error(`Unsupported embedding provider: ${providerRaw}`);
+  }
+
+  const fallbackModel = providerRaw === "hash" ? "hash" : defaults.model;
+  const model = typeof embedding.model === "string" && embedding.model.trim() ? embedding.model.trim() : fallbackModel;
+  if (!model) {
+    throw new Error("embedding.model is required");
+  }
+
+  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : defaults.apiKey;
+  const baseUrlRaw = typeof embedding.baseUrl === "string" ? embedding.baseUrl.trim() : "";
+
+  const dimensionsRaw = Number(embedding.dimensions);
+  const dimensions = Number.isFinite(dimensionsRaw) && dimensionsRaw > 0 ? Math.floor(dimensionsRaw) : null;
+  const batchSizeRaw = Number(embedding.batchSize);
+  const batchSize = Number.isFinite(batchSizeRaw) && batchSizeRaw > 0 ? Math.floor(batchSizeRaw) : DEFAULT_BATCH_SIZE;
+
+  return {
+    provider: providerRaw,
+    model,
+    apiKey: resolveEnvVars(apiKeyRaw) || defaults.apiKey || "local",
+    baseUrl: resolveEnvVars(baseUrlRaw) || "",
+    dimensions,
+    batchSize,
+    cache: normalizeCacheConfig(embedding.cache)
+  };
+}
+
+class BaseEmbeddings {
+  constructor(cfg, logger) {
+    this.logger = logger;
+    this.provider = cfg.provider;
+    this.model = cfg.model;
+    this.dimensions = cfg.dimensions || knownDimensions(cfg.model);
+    this.configuredDimensions = cfg.dimensions || null;
+    this.batchSize = cfg.batchSize || DEFAULT_BATCH_SIZE;
+    this.cache = cfg.cache && cfg.cache.enabled !== false ? getSharedCache(normalizeCacheConfig(cfg.cache)) : null;
+    this.inflight = new Map();
+    this.probePromise = null;
+  }
+
+  // embed("text") resolves to one vector; embed(["a", "b"]) resolves to one vector per input,
+  // served from the cache where possible and fetched in as few provider requests as possible.
+  async embed(input) {
+    if (Array.isArray(input)) return this.embedBatch(input);
+    const [vector] = await this.embedBatch([input]);
+    return vector;
+  }
+
+  async embedBatch(texts) {
+    const keys = texts.map((text) => embeddingCacheKey(this.provider, this.model, this.configuredDimensions, String(text ?? "")));
+    const results = new Array(texts.length);
+    const pending = [];
+    const missing = new Map();
+
+    keys.forEach((key, idx) => {
+      const cached = this.cache ? this.cache.get(key) : null;
+      if (cached) {
+        results[idx] = cached;
+      } else if (this.inflight.has(key)) {
+        pending.push(this.inflight.get(key).then((vector) => (results[idx] = vector)));
+      } else if (missing.has(key)) {
+        missing.get(key).indexes.push(idx);
+      } else {
+        missing.set(key, { text: String(texts[idx] ?? ""), indexes: [idx] });
+      }
+    });
+
+    const cached = results.filter(Boolean).length;
+    if (cached) recordEmbedding(this.provider, this.model, { cached }, this.logger);
+
+    const batch = Array.from(missing.entries());
+    for (let start = 0; start < batch.length; start += this.batchSize) {
+      const chunk = batch.slice(start, start + this.batchSize);
+      const request = this.request(chunk.map(([, item]) => item.text)).then((vectors) => {
+        if (!Array.isArray(vectors) || vectors.length !== chunk.length) {
+          throw new Error(`${this.provider} embedding returned ${vectors?.length ?? 0} vectors for ${chunk.length} inputs`);
+        }
+        return vectors.map((vector) => this.checkVector(vector));
+      });
+      request.then(
+        () => recordEmbedding(this.provider, this.model, { texts: chunk.length }, this.logger),
+        () => recordEmbedding(this.provider, this.model, { texts: chunk.length, error: true }, this.logger)
+      );
+      chunk.forEach(([key], offset) => {
+        const promise = request.then((vectors) => vectors[offset]);
+        promise.catch(() => {});
+        this.inflight.set(key, promise);
+      });
+      pending.push(
+        request
+          .then((vectors) => {
+            chunk.forEach(([key, item], offset) => {
+              if (this.cache) this.cache.set(key, vectors[offset]);
+              for (const idx of item.indexes) results[idx] = vectors[offset];
+            });
+          })
+          .finally(() => {
+            for (const [key] of chunk) this.inflight.delete(key);
+          })
+      );
+    }
+
+    await Promise.all(pending);
+    return results;
+  }
+
+  async resolveDimensions() {
+    if (this.dimensions) return this.dimensions;
+    if (!this.probePromise) {
+      this.probePromise = this.embed(PROBE_TEXT).then(
+        (vector) => {
+          if (!Array.isArray(vector) || vector.length === 0) {
+            throw new Error(`Embedding probe returned no vector for model ${this.model}`);
+          }
+          this.dimensions = vector.length;
+          return this.dimensions;
+        },
+        (err) => {
+          this.probePromise = null;
+          throw err;
+        }
+      );
+    }
+    return this.probePromise;
+  }
+
+  checkVector(vector) {
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`${this.provider} embedding returned no vector for model ${this.model}`);
+    }
+    if (this.dimensions && vector.length !== this.dimensions) {
+      throw new Error(
+        `${this.provider} embedding for ${this.model} has ${vector.length} dimensions, expected ${this.dimensions}`
+      );
+    }
+    return vector;
+  }
+}
+
+class OpenAIEmbeddings extends BaseEmbeddings {
+  constructor(cfg, logger) {
+    super(cfg, logger);
+    this.apiKey = cfg.apiKey;
+    this.url = (cfg.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_OPENAI_URL).replace(/\/$/, "") + "/embeddings";
+    // Only text-embedding-3 models accept a requested size; other servers reject the field.
+    this.requestDimensions = cfg.dimensions && /^text-embedding-3/.test(cfg.model) ? cfg.dimensions : null;
+  }
+
+  async request(texts) {
+    const request = { model: this.model, input: texts };
+    if (this.requestDimensions) request.dimensions = this.requestDimensions;
+    const res = await fetch(this.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify(request)
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new Error(`openai embed failed (${res.status}): ${detail.slice(0, 200)}`);
+    }
+    const data = await res.json();
+    if (!Array.isArray(data?.data)) return [];
+    return data.data
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((item) => item.embedding);
+  }
+}
+
+class OllamaEmbeddings extends BaseEmbeddings {
+  constructor(cfg, logger) {
+    super(cfg, logger);
+    this.url = (cfg.baseUrl || DEFAULT_OLLAMA_URL).replace(/\/$/, "") + "/api/embed";
+  }
+
+  async request(texts) {
+    const res = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ model: this.model, input: texts, truncate: true })
+    });
+    if (!res.ok) {
+      const detail = await res.text().catch(() => "");
+      throw new Error(`ollama embed failed (${res.status}): ${detail.slice(0, 200)}`);
+    }
+    const data = await res.json();
+    return Array.isArray(data?.embeddings) ? data.embeddings : [];
+  }
+}
+
+function hashFeatures(text) {
+  const tokens = String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+  const features = [...tokens];
+  for (let i = 0; i + 1 < tokens.length; i += 1) {
+    features.push(`${tokens[i]} ${tokens[i + 1]}`);
+  }
+  return features;
+}
+
+class HashEmbeddings extends BaseEmbeddings {
+  constructor(cfg, logger) {
+    super(cfg, logger);
+    this.dimensions = cfg.dimensions || DEFAULT_HASH_DIMENSIONS;
+  }
+
+  async request(texts) {
+    return texts.map((text) => this.hashVector(text));
+  }
+
+  hashVector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const feature of hashFeatures(text)) {
+      const digest = createHash("sha1").update(feature).digest();
+      const index = digest.readUInt32BE(0) % this.dimensions;
+      vector[index] += digest[4] & 1 ? 1 : -1;
+    }
+    const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  }
+}
+
+// `logger` is the owning plugin's; it receives the warnings of the usage stats kept in meta.json.
+export function createEmbeddings(cfg, logger) {
+  if (cfg.provider === "ollama") return new OllamaEmbeddings(cfg, logger);
+  if (cfg.provider === "hash") return new HashEmbeddings(cfg, logger);
+  return new OpenAIEmbeddings(cfg, logger);
+}
@@ -0,0 +1,35 @@
+export const KEY_ENV: string;
+export const KEY_FILE_ENV: string;
+export const PREVIOUS_KEY_ENV: string;
+export const PREVIOUS_KEY_FILE_ENV: string;
+export const ENCRYPTED_COLUMNS: string[];
+
+export type Keyring = {
+  signature: string;
+  current: { id: string; key: Buffer } | null;
+  keys: Map<string, Buffer>;
+};
+
+export function loadKeyring(): Keyring;
+
+export function encryptionEnabled(): boolean;
+
+export function isEncrypted(value: unknown): boolean;
+
+export function encryptedKeyId(value: unknown): string | null;
+
+export function encryptText(value: string): string;
+
+export function decryptText(value: string): string;
+
+export function sealJson(data: unknown): unknown;
+
+export function openJson(data: unknown): unknown;
+
+export function jsonKeyId(data: unknown): string | null;
+
+export function sealRow<T extends Record<string, unknown>>(row: T, columns?: string[]): T;
+
+export function openRow<T extends Record<string, unknown>>(row: T): T;
+
+export function rowNeedsRekey(row: Record<string, unknown>, columns?: string[]): boolean;
@@ -0,0 +1,149 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from "node:crypto";
+import fs from "node:fs";
+
+export const KEY_ENV = "OPENCLAW_MEMORY_KEY";
+export const KEY_FILE_ENV = "OPENCLAW_MEMORY_KEY_FILE";
+export const PREVIOUS_KEY_ENV = "OPENCLAW_MEMORY_PREVIOUS_KEY";
+export const PREVIOUS_KEY_FILE_ENV = "OPENCLAW_MEMORY_PREVIOUS_KEY_FILE";
+
+// LanceDB columns sealed in every table; schemas add their own content columns (see vector-table.js).
+// Ids, vectors, numeric and enum-like columns stay in the clear so they remain queryable.
+export const ENCRYPTED_COLUMNS = ["text", "meta"];
+
+const PREFIX = "enc:v1:";
+const JSON_FIELD = "$encrypted";
+const ALGORITHM = "aes-256-gcm";
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Fixed on purpose: a passphrase must derive the same key in every process and on every machine
+// (gateways sharing a dbPath, archives, the previous key while rotating) without a salt file whose
+// loss would make the data unreadable. It only slows down guessing weak passphrases; use a random key.
+const KDF_SALT = "openclaw-memory-suite";
+
+let cached = null;
+
+// 64 hex chars or base64 of 32 bytes are used as-is; anything else is a passphrase run through scrypt.
+function parseKey(material) {
+  const value = material.trim();
+  if (/^[0-9a-f]{64}$/i.test(value)) return Buffer.from(value, "hex");
+  if (/^[A-Za-z0-9+/]{43}=?$/.test(value)) {
+    const decoded = Buffer.from(value, "base64");
+    if (decoded.length === 32) return decoded;
+  }
+  return scryptSync(value, KDF_SALT, 32);
+}
+
+function readKey(valueEnv, fileEnv) {
+  const file = process.env[fileEnv];
+  if (file) {
+    let material;
+    try {
+      material = fs.readFileSync(file, "utf8");
+    } catch (err) {
+      throw new Error(`encryption: cannot read ${fileEnv} ${file}: ${String(err)}`);
+    }
+    if (!material.trim()) throw new Error(`encryption: key file ${file} is empty`);
+    return parseKey(material);
+  }
+  const value = process.env[valueEnv];
+  return value && value.trim() ? parseKey(value) : null;
+}
+
+function keyId(key) {
+  return createHash("sha256").update(key).digest("hex").slice(0, 12);
+}
+
+// Resolved from the environment on each call and cached until it changes, so tests and the
+// rekey command can switch keys in-process.
+export function loadKeyring() {
+  const signature = [KEY_ENV, KEY_FILE_ENV, PREVIOUS_KEY_ENV, PREVIOUS_KEY_FILE_ENV]
+    .map((name) => process.env[name] || "")
+    .join("\0");
+  if (cached?.signature === signature) return cached;
+  const current = readKey(KEY_ENV, KEY_FILE_ENV);
+  const previous = readKey(PREVIOUS_KEY_ENV, PREVIOUS_KEY_FILE_ENV);
+  const keys = new Map();
+  for (const key of [previous, current]) if (key) keys.set(keyId(key), key);
+  cached = { signature, current: current ? { id: keyId(current), key: current } : null, keys };
+  return cached;
+}
+
+export function encryptionEnabled() {
+  return Boolean(loadKeyring().current);
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// Id of the key a value was sealed with, or null for plaintext.
+export function encryptedKeyId(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length, value.indexOf(":", PREFIX.length)) : null;
+}
+
+// Plaintext is returned unchanged when no key is configured.
+export function encryptText(value) {
+  const { current } = loadKeyring();
+  if (!current || typeof value !== "string" || isEncrypted(value)) return value;
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, current.key, iv);
+  const data = Buffer.concat([cipher.update(value, "utf8"), cipher.final()]);
+  return `${PREFIX}${current.id}:${Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64")}`;
+}
+
+// Plaintext passes through, so stores written before encryption was enabled stay readable.
+export function decryptText(value) {
+  if (!isEncrypted(value)) return value;
+  const id = encryptedKeyId(value);
+  const key = loadKeyring().keys.get(id);
+  if (!key) {
+    throw new Error(`encryption: no key for data sealed with key ${id}; set ${KEY_ENV} or ${PREVIOUS_KEY_ENV}`);
+  }
+  const raw = Buffer.from(value.slice(PREFIX.length + id.length + 1), "base64");
+  const decipher = createDecipheriv(ALGORITHM, key, raw.subarray(0, IV_BYTES));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString("utf8");
+}
+
+// JSON stores are sealed whole as { "$encrypted": "enc:v1:..." }.
+export function sealJson(data) {
+  return encryptionEnabled() ? { [JSON_FIELD]: encryptText(JSON.stringify(data)) } : data;
+}
+
+export function openJson(data) {
+  if (!data || typeof data[JSON_FIELD] !== "string") return data;
+  return JSON.parse(decryptText(data[JSON_FIELD]));
+}
+
+export function jsonKeyId(data) {
+  return data && typeof data[JSON_FIELD] === "string" ? encryptedKeyId(data[JSON_FIELD]) : null;
+}
+
+export function sealRow(row, columns = ENCRYPTED_COLUMNS) {
+  if (!encryptionEnabled()) return row;
+  const out = { ...row };
+  for (const column of columns) {
+    if (typeof out[column] === "string" && out[column]) out[column] = encryptText(out[column]);
+  }
+  return out;
+}
+
+// Values carry their own marker, so any sealed column is opened whatever the schema says.
+export function openRow(row) {
+  const out = { ...row };
+  for (const [column, value] of Object.entries(out)) {
+    if (isEncrypted(value)) out[column] = decryptText(value);
+  }
+  return out;
+}
+
+// True when a sealed value is not under the current key, or one of `columns` is still plaintext
+// while a key is set.
+export function rowNeedsRekey(row, columns = ENCRYPTED_COLUMNS) {
+  const currentId = loadKeyring().current?.id || null;
+  return Object.entries(row).some(([column, value]) => {
+    if (typeof value !== "string" || !value) return false;
+    if (isEncrypted(value)) return encryptedKeyId(value) !== currentId;
+    return Boolean(currentId) && columns.includes(column);
+  });
+}
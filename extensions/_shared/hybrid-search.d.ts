@@ -0,0 +1,34 @@
+export const HYBRID_MODES: string[];
+
+export type HybridConfig = {
+  enabled: boolean;
+  mode: "rrf" | "weighted";
+  rrfK: number;
+  textWeight: number;
+};
+
+export type HybridHit = {
+  row: Record<string, unknown>;
+  score: number;
+  vectorScore: number;
+  textScore: number;
+};
+
+export function normalizeHybridConfig(raw: unknown): HybridConfig;
+
+export function lexicalAvailable(): boolean;
+
+export function ensureTextIndex(table: unknown, lancedb: unknown): Promise<void>;
+
+export function hybridSearch(
+  table: unknown,
+  opts: {
+    lancedb: unknown;
+    vector: number[];
+    text?: string;
+    limit: number;
+    filter?: string | null;
+    config?: HybridConfig;
+    logger?: unknown;
+  },
+): Promise<HybridHit[]>;
@@ -0,0 +1,125 @@
+import { encryptionEnabled } from "./encryption.js";
+
+export const HYBRID_MODES = ["rrf", "weighted"];
+
+const DEFAULTS = {
+  enabled: false,
+  mode: "rrf",
+  rrfK: 60,
+  textWeight: 0.3
+};
+
+// Long prompts add little beyond their first sentences and make BM25 slower.
+const MAX_QUERY_CHARS = 1000;
+
+const TEXT_INDEXES = new WeakMap();
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// raw: { enabled, mode: "rrf" | "weighted", rrfK, textWeight }
+export function normalizeHybridConfig(raw) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  return {
+    enabled: cfg.enabled === true,
+    mode: HYBRID_MODES.includes(cfg.mode) ? cfg.mode : DEFAULTS.mode,
+    rrfK: Math.max(1, Math.floor(toNumber(cfg.rrfK, DEFAULTS.rrfK))),
+    textWeight: Math.max(0, Math.min(1, toNumber(cfg.textWeight, DEFAULTS.textWeight)))
+  };
+}
+
+// BM25 over ciphertext matches nothing, so sealed tables stay vector-only.
+export function lexicalAvailable() {
+  return !encryptionEnabled();
+}
+
+// Same scale as vectorSearch: LanceDB's default metric is squared L2, turned into 1 / (1 + d).
+// Rows come back with the vector as an Arrow Vector, which has no index access: copy it first.
+function vectorScore(query, vector) {
+  if (!vector) return 0;
+  const values = Array.from(vector);
+  let distance = 0;
+  for (let i = 0; i < query.length; i += 1) {
+    const diff = query[i] - (values[i] ?? 0);
+    distance += diff * diff;
+  }
+  return 1 / (1 + distance);
+}
+
+// Creates the full-text index over `text` once per table handle. Rows added afterwards are still
+// searched (unindexed) and folded into the index by table.optimize().
+export function ensureTextIndex(table, lancedb) {
+  if (!TEXT_INDEXES.has(table)) {
+    const ready = (async () => {
+      const indices = await table.listIndices();
+      if (indices.some((index) => index.indexType === "FTS" && index.columns.includes("text"))) return;
+      await table.createIndex("text", { config: lancedb.Index.fts() });
+    })();
+    TEXT_INDEXES.set(table, ready);
+    ready.catch(() => TEXT_INDEXES.delete(table));
+  }
+  return TEXT_INDEXES.get(table);
+}
+
+// Fuses the vector and BM25 rankings. Each hit keeps vectorScore (computed from the row's vector for
+// lexical-only hits) and textScore (BM25 relative to the best lexical hit). "weighted" scores
+// (1 - textWeight) * vectorScore + textWeight * textScore; "rrf" orders by reciprocal-rank fusion and
+// lifts vectorScore by up to textWeight for lexical matches, so minScore thresholds keep their scale.
+function fuseResults(vectorRows, textRows, query, config, limit) {
+  const hits = new Map();
+  const hit = (row) => {
+    if (!hits.has(row.id)) hits.set(row.id, { row, vectorScore: null, textScore: 0, fused: 0 });
+    return hits.get(row.id);
+  };
+  vectorRows.forEach((row, rank) => {
+    const item = hit(row);
+    item.vectorScore = 1 / (1 + (row._distance ?? 0));
+    item.fused += 1 / (config.rrfK + rank + 1);
+  });
+  const best = Math.max(0, ...textRows.map((row) => row._score || 0));
+  textRows.forEach((row, rank) => {
+    const item = hit(row);
+    item.textScore = best > 0 ? (row._score || 0) / best : 0;
+    item.fused += 1 / (config.rrfK + rank + 1);
+  });
+
+  const fused = [...hits.values()].map((item) => {
+    const vector = item.vectorScore ?? vectorScore(query, item.row.vector);
+    const score =
+      config.mode === "weighted"
+        ? (1 - config.textWeight) * vector + config.textWeight * item.textScore
+        : Math.min(1, vector + config.textWeight * item.textScore);
+    return { row: item.row, score, vectorScore: vector, textScore: item.textScore, fused: item.fused };
+  });
+  fused.sort((a, b) => (config.mode === "weighted" ? b.score - a.score : b.fused - a.fused));
+  return fused.slice(0, limit);
+}
+
+// Vector search, plus BM25 over `text` fused in when config.enabled and `text` is given. Returns
+// [{ row, score, vectorScore, textScore }] best first; without the lexical side scores are the plain
+// vector similarity. `filter` is a SQL prefilter applied to both queries.
+export async function hybridSearch(table, { lancedb, vector, text, limit, filter = null, config, logger }) {
+  let vectorQuery = table.vectorSearch(vector);
+  if (filter) vectorQuery = vectorQuery.where(filter);
+  const vectorRows = await vectorQuery.limit(limit).toArray();
+  const queryText = typeof text === "string" ? text.trim().slice(0, MAX_QUERY_CHARS) : "";
+  if (!config?.enabled || !queryText || !lexicalAvailable()) {
+    return vectorRows.map((row) => {
+      const score = 1 / (1 + (row._distance ?? 0));
+      return { row, score, vectorScore: score, textScore: 0 };
+    });
+  }
+
+  let textRows = [];
+  try {
+    await ensureTextIndex(table, lancedb);
+    let textQuery = table.query().fullTextSearch(queryText);
+    if (filter) textQuery = textQuery.where(filter);
+    textRows = await textQuery.limit(limit).toArray();
+  } catch (err) {
+    logger?.warn?.(`hybrid search: full-text query failed, using vector results only: ${String(err)}`);
+  }
+  return fuseResults(vectorRows, textRows, vector, config, limit);
+}
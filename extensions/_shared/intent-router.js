@@ -0,0 +1,353 @@
+import { createEmbeddings, normalizeEmbeddingConfig } from "./embeddings.js";
+import { recordRoutingDecision } from "./meta-routing.js";
+
+// Hash embeddings only capture word overlap, so their similarities run lower than semantic models.
+const HASH_THRESHOLD = 0.3;
+const SEMANTIC_THRESHOLD = 0.45;
+// Much wider than the hash provider default so short prompts rarely collide with unrelated examples;
+// the vectors are cheap to recompute, so they skip the embedding cache.
+const LEXICAL_DIMENSIONS = 4093;
+
+// Whole words only: a bare "log" or "como" used to route almost every Spanish prompt.
+function keywords(...terms) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.join("|")})(?![\\p{L}\\p{N}])`, "iu");
+}
+
+export const INTENT_LAYERS = {
+  episodic: {
+    examples: [
+      "what happened last time we deployed",
+      "what did we do yesterday",
+      "remember when the build broke last week",
+      "qué pasó la última vez",
+      "qué hicimos ayer con el servidor",
+      "te acuerdas de lo que ocurrió la semana pasada"
+    ],
+    pattern: keywords(
+      "qu[eé] pas[oó]",
+      "qu[eé] ha pasado",
+      "qu[eé] ocurri[oó]",
+      "ayer",
+      "hace (?:un|una|poco|\\d+)",
+      "la otra vez",
+      "[uú]ltima vez",
+      "la vez pasada",
+      "semana pasada",
+      "mes pasado",
+      "te acuerdas",
+      "recuerdas",
+      "yesterday",
+      "last (?:time|week|month)",
+      "earlier",
+      "the other day",
+      "what happened",
+      "remember when",
+      "recientes?",
+      "recientemente",
+      "recent(?:ly)?",
+      "previous(?:ly)?",
+      "historial"
+    )
+  },
+  procedural: {
+    examples: [
+      "how do I deploy the api",
+      "steps to fix the failing build",
+      "how to configure nginx",
+      "cómo instalo postgres",
+      "pasos para arreglar el error de docker",
+      "guía para configurar el servidor"
+    ],
+    pattern: keywords(
+      "c[oó]mo (?:se|puedo|hago|hacer|instalo|instalar|configuro|configurar|arreglo|arreglar|resuelvo|resolver|despliego|desplegar)",
+      "how (?:do|to|can|did)",
+      "procedimiento",
+      "paso a paso",
+      "pasos",
+      "instrucciones",
+      "gu[ií]a",
+      "tutorial",
+      "check ?list",
+      "runbook",
+      "playbook",
+      "workflow",
+      "steps",
+      "arregl\\p{L}*",
+      "resolv\\p{L}*",
+      "fix(?:ed|ing)?",
+      "soluci[oó]n",
+      "diagn[oó]stic\\p{L}*",
+      "setup",
+      "instal\\p{L}*",
+      "configur\\p{L}*",
+      "comandos?",
+      "commands?",
+      "verific\\p{L}*",
+      "orquest\\p{L}*"
+    )
+  },
+  entity: {
+    examples: [
+      "what do we know about client Acme",
+      "profile of the vendor",
+      "who is on the platform team",
+      "perfil del cliente",
+      "datos del proveedor",
+      "información de la cuenta de Acme"
+    ],
+    pattern: keywords(
+      "clientes?",
+      "clients?",
+      "perfil(?:es)?",
+      "profiles?",
+      "entity",
+      "entities",
+      "entidad(?:es)?",
+      "staff",
+      "equipo",
+      "team",
+      "proveedor(?:es)?",
+      "vendors?",
+      "partners?",
+      "cuentas?",
+      "accounts?",
+      "proyectos?",
+      "projects?",
+      "productos?",
+      "products?",
+      "servicios?",
+      "services?",
+      "svc"
+    )
+  },
+  graph: {
+    examples: [
+      "who changed the config",
+      "what caused the outage",
+      "what depends on postgres",
+      "quién hizo el cambio",
+      "por qué falló el despliegue",
+      "qué servicios dependen de redis"
+    ],
+    pattern: keywords(
+      "qui[eé]n",
+      "who",
+      "causas?",
+      "causal",
+      "relaci[oó]n(?:es)?",
+      "relations?",
+      "relationships?",
+      "dependenc\\p{L}*",
+      "depend(?:s|en)?",
+      "impacto",
+      "impact",
+      "responsable",
+      "root cause",
+      "why",
+      "por qu[eé]"
+    )
+  },
+  goal: {
+    examples: [
+      "what are our current goals",
+      "what is the plan for this sprint",
+      "which tasks have priority",
+      "cuáles son los objetivos",
+      "qué tareas son prioritarias",
+      "cuál es el plan para la migración"
+    ],
+    pattern: keywords(
+      "goals?",
+      "objetivos?",
+      "intent",
+      "intenci[oó]n",
+      "plan(?:es)?",
+      "tasks?",
+      "tareas?",
+      "prioridad(?:es)?",
+      "priority",
+      "priorities",
+      "milestones?",
+      "roadmap"
+    )
+  },
+  timeline: {
+    examples: [
+      "when did the incident happen",
+      "timeline of the outage",
+      "when was the last deploy",
+      "cuándo fue el incidente",
+      "fecha del último despliegue",
+      "cronología de eventos"
+    ],
+    pattern: keywords(
+      "timeline",
+      "historial",
+      "cu[aá]ndo (?:fue|pas[oó]|ocurri[oó]|se)",
+      "cuándo",
+      "fechas?",
+      "[uú]ltima vez",
+      "eventos?",
+      "events?",
+      "incidentes?",
+      "incidents?",
+      "cronolog\\p{L}*",
+      "when (?:did|was|were)"
+    )
+  },
+  sentiment: {
+    examples: [
+      "how am I feeling lately",
+      "what is my mood",
+      "am I frustrated",
+      "cómo me siento",
+      "cuál es mi estado de ánimo",
+      "estoy frustrado"
+    ],
+    pattern: keywords(
+      "sentiment",
+      "emocional",
+      "estado de [aá]nimo",
+      "mood",
+      "feelings?",
+      "c[oó]mo me siento",
+      "frustrad\\p{L}*",
+      "how (?:do|am) i feel\\p{L}*"
+    )
+  },
+  meta: {
+    examples: [
+      "show memory stats",
+      "how is the memory system doing",
+      "routing statistics",
+      "estado de la memoria",
+      "estadísticas de memoria",
+      "estado del sistema de memoria"
+    ],
+    pattern: keywords(
+      "meta ?memory",
+      "memory stats",
+      "routing stats",
+      "estad[ií]sticas de (?:la )?memoria",
+      "estado de (?:la )?memoria",
+      "estado del sistema"
+    )
+  },
+  blackboard: {
+    examples: [
+      "what is on the blackboard",
+      "shared decisions so far",
+      "pending to-do items",
+      "qué hay en la pizarra",
+      "decisiones del equipo",
+      "tareas pendientes"
+    ],
+    pattern: keywords(
+      "bb:",
+      "blackboard",
+      "pizarra",
+      "tablero",
+      "tareas",
+      "pendientes",
+      "to-?do list",
+      "to-do",
+      "decisi[oó]n(?:es)?",
+      "decisions?",
+      "plan",
+      "roadmap"
+    )
+  }
+};
+
+export function normalizeIntentConfig(raw) {
+  const intent = raw && typeof raw === "object" ? raw : {};
+  const threshold = Number(intent.threshold);
+  return {
+    enabled: intent.enabled !== false,
+    threshold: intent.threshold !== undefined && Number.isFinite(threshold) ? Math.max(0, Math.min(1, threshold)) : null,
+    examples: Array.isArray(intent.examples)
+      ? intent.examples.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim())
+      : [],
+    replaceExamples: intent.replaceExamples === true
+  };
+}
+
+let lexicalEmbeddings = null;
+
+// Layers without an embedding provider still get an offline (hash) classifier, shared by all of them
+// (its usage stats warn through the first layer's logger).
+function getLexicalEmbeddings(logger) {
+  if (!lexicalEmbeddings) {
+    lexicalEmbeddings = createEmbeddings(
+      normalizeEmbeddingConfig({ provider: "hash", dimensions: LEXICAL_DIMENSIONS, cache: { enabled: false } }),
+      logger
+    );
+  }
+  return lexicalEmbeddings;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (!normA || !normB) return 0;
+  return dot / Math.sqrt(normA * normB);
+}
+
+export function createIntentRouter({ layer, embeddings, config, logger }) {
+  const definition = INTENT_LAYERS[layer];
+  if (!definition) throw new Error(`intent-router: unknown layer ${layer}`);
+  const cfg = config || normalizeIntentConfig();
+  const provider = embeddings || getLexicalEmbeddings(logger);
+  const examples = cfg.replaceExamples && cfg.examples.length ? cfg.examples : [...definition.examples, ...cfg.examples];
+  const threshold = cfg.threshold ?? (provider.provider === "hash" ? HASH_THRESHOLD : SEMANTIC_THRESHOLD);
+  let prototypes = null;
+  let degraded = false;
+
+  const loadPrototypes = () => {
+    if (!prototypes) {
+      prototypes = provider.embed(examples).catch((err) => {
+        prototypes = null;
+        throw err;
+      });
+    }
+    return prototypes;
+  };
+
+  const matchesKeywords = (prompt) => definition.pattern.test(String(prompt || ""));
+
+  async function classify(prompt) {
+    let confidence = null;
+    if (cfg.enabled) {
+      try {
+        const [vectors, query] = await Promise.all([loadPrototypes(), provider.embed(String(prompt || ""))]);
+        confidence = Number(vectors.reduce((best, vector) => Math.max(best, cosine(query, vector)), 0).toFixed(3));
+        degraded = false;
+      } catch (err) {
+        if (!degraded) {
+          logger?.warn?.(`intent-router: ${layer} classifier unavailable, using keywords: ${String(err)}`);
+          degraded = true;
+        }
+      }
+    }
+    let decision;
+    if (confidence !== null && confidence >= threshold) {
+      decision = { recall: true, confidence, method: "intent" };
+    } else if (matchesKeywords(prompt)) {
+      // Explicit keywords still win when the classifier is unsure, disabled or down.
+      decision = { recall: true, confidence: confidence ?? 1, method: "keyword" };
+    } else {
+      decision = { recall: false, confidence: confidence ?? 0, method: confidence === null ? "keyword" : "intent" };
+    }
+    recordRoutingDecision(layer, decision, logger);
+    return decision;
+  }
+
+  return { layer, threshold, classify };
+}
@@ -0,0 +1,49 @@
+export const FEEDBACK_ACTIONS: string[];
+
+export type ItemFeedback = {
+  useful: number;
+  wrong: number;
+  outdated: boolean;
+  pinned: boolean;
+  hidden: boolean;
+  updatedAt: number;
+};
+
+export function applyAction(record: ItemFeedback | undefined, action: string, now?: number): ItemFeedback | null;
+
+export function feedbackFactor(record: ItemFeedback | undefined): number;
+
+export function loadItemFeedback(dbPath: string, tableName: string, logger?: unknown): Record<string, ItemFeedback>;
+
+export function recordItemFeedback(
+  dbPath: string,
+  tableName: string,
+  ids: string[],
+  action: string,
+  logger?: unknown,
+): Promise<void>;
+
+export function withItemFeedback<T extends object>(
+  items: T[],
+  feedback: Record<string, ItemFeedback>,
+  scoreKey: keyof T & string,
+  idOf?: (item: T) => string | undefined,
+): Array<T & { pinned?: boolean }>;
+
+export function byPinnedThen<T extends { pinned?: boolean }>(compare: (a: T, b: T) => number): (a: T, b: T) => number;
+
+export function registerFeedbackTarget(
+  layer: string,
+  target: {
+    find(idPrefix: string, ctx: Record<string, unknown> | null): Promise<string[]>;
+    apply(ids: string[], action: string): Promise<void>;
+  },
+): void;
+
+export function registerTableFeedback(layer: string, table: unknown, scope: unknown, logger?: unknown): void;
+
+export function applyItemFeedback(
+  ref: string,
+  action: string,
+  ctx?: Record<string, unknown> | null,
+): Promise<{ ref: string; layer: string; action: string; ids: string[] }>;
@@ -0,0 +1,130 @@
+import { join } from "node:path";
+import { readJson, updateJson } from "./json-store.js";
+import { formatRef, parseRef } from "./provenance.js";
+import { resolveScope, scopeFilter } from "./scope.js";
+
+// useful / wrong stack; outdated, pin and never-show are flags that unpin and reset clear.
+export const FEEDBACK_ACTIONS = ["useful", "wrong", "outdated", "pin", "unpin", "never-show", "reset"];
+
+const FEEDBACK_FILE = "feedback.json";
+const USEFUL_STEP = 0.1;
+const USEFUL_MAX = 1.5;
+const WRONG_FACTOR = 0.5;
+const OUTDATED_FACTOR = 0.3;
+const MAX_MATCHES = 5;
+const TARGETS_KEY = Symbol.for("openclaw.memory-suite.feedback-targets");
+
+function targets() {
+  if (!globalThis[TARGETS_KEY]) globalThis[TARGETS_KEY] = new Map();
+  return globalThis[TARGETS_KEY];
+}
+
+function feedbackPath(dbPath) {
+  return join(dbPath, FEEDBACK_FILE);
+}
+
+function normalizeStore(data) {
+  if (!data.tables || typeof data.tables !== "object") data.tables = {};
+  return data;
+}
+
+// record: { useful, wrong, outdated, pinned, hidden, updatedAt }; null when the action clears it.
+export function applyAction(record, action, now = Date.now()) {
+  if (action === "reset") return null;
+  const next = { useful: 0, wrong: 0, outdated: false, pinned: false, hidden: false, ...record, updatedAt: now };
+  if (action === "useful") next.useful += 1;
+  else if (action === "wrong") next.wrong += 1;
+  else if (action === "outdated") next.outdated = true;
+  else if (action === "pin") next.pinned = true;
+  else if (action === "unpin") next.pinned = false;
+  else if (action === "never-show") next.hidden = true;
+  return next;
+}
+
+// The multiplier recall applies to a row's score: 0 hides it, pinned rows are not scaled down.
+export function feedbackFactor(record) {
+  if (!record) return 1;
+  if (record.hidden) return 0;
+  const boost = Math.min(USEFUL_MAX, 1 + USEFUL_STEP * (record.useful || 0));
+  if (record.pinned) return boost;
+  return boost * WRONG_FACTOR ** (record.wrong || 0) * (record.outdated ? OUTDATED_FACTOR : 1);
+}
+
+// id -> record for one table; {} when nobody gave feedback.
+export function loadItemFeedback(dbPath, tableName, logger) {
+  return readJson(feedbackPath(dbPath), { normalize: normalizeStore, logger }).tables[tableName] || {};
+}
+
+export async function recordItemFeedback(dbPath, tableName, ids, action, logger) {
+  await updateJson(
+    feedbackPath(dbPath),
+    (store) => {
+      normalizeStore(store);
+      const rows = store.tables[tableName] || (store.tables[tableName] = {});
+      for (const id of ids) {
+        const next = applyAction(rows[id], action);
+        if (next) rows[id] = next;
+        else delete rows[id];
+      }
+    },
+    { normalize: normalizeStore, logger }
+  );
+}
+
+// Scales items[scoreKey] by the feedback on each item's row id, drops never-show rows and marks
+// pinned ones, which callers keep regardless of minScore and rank first.
+export function withItemFeedback(items, feedback, scoreKey, idOf = (item) => item.entry?.id) {
+  const out = [];
+  for (const item of items) {
+    const record = feedback[idOf(item)];
+    if (!record) {
+      out.push(item);
+      continue;
+    }
+    const factor = feedbackFactor(record);
+    if (factor === 0) continue;
+    out.push({ ...item, [scoreKey]: item[scoreKey] * factor, pinned: Boolean(record.pinned) });
+  }
+  return out;
+}
+
+export function byPinnedThen(compare) {
+  return (a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || compare(a, b);
+}
+
+// target: { find(idPrefix, ctx) -> [full ids], apply(ids, action) }; registered by each layer for its own
+// rows. find() only returns rows the calling run (ctx) may recall; without a run (null) it sees every row.
+export function registerFeedbackTarget(layer, target) {
+  targets().set(layer, target);
+}
+
+// Feedback on rows of a VectorTable (its dbPath holds feedback.json next to the table), within the
+// caller's scope (`scope` is the layer's config).
+export function registerTableFeedback(layer, table, scope, logger) {
+  registerFeedbackTarget(layer, {
+    find: async (idPrefix, ctx) => {
+      const filter = ctx ? scopeFilter(resolveScope(ctx, scope), scope) : null;
+      return (await table.findByIdPrefix(idPrefix, MAX_MATCHES, filter)).map((entry) => entry.id);
+    },
+    apply: (ids, action) => recordItemFeedback(table.dbPath, table.tableName, ids, action, logger)
+  });
+}
+
+// Acts on the one row `ref` cites. A short ref matching several rows is refused rather than applied to
+// all of them, so a never-show cannot hide memories nobody cited.
+export async function applyItemFeedback(ref, action, ctx = null) {
+  if (!FEEDBACK_ACTIONS.includes(action)) {
+    throw new Error(`unknown feedback action: ${action} (expected ${FEEDBACK_ACTIONS.join(", ")})`);
+  }
+  const parsed = parseRef(ref);
+  if (!parsed) throw new Error(`not a memory reference: ${ref} (expected e.g. gr:1a2b3c4d)`);
+  const target = targets().get(parsed.layer);
+  if (!target) throw new Error(`layer ${parsed.layer} is not loaded`);
+  const cited = formatRef(parsed.layer, parsed.idPrefix);
+  const ids = await target.find(parsed.idPrefix, ctx);
+  if (ids.length > 1) {
+    throw new Error(`${cited} matches ${ids.length} memories; use the full ref (8 characters after the prefix)`);
+  }
+  if (ids.length) await target.apply(ids, action);
+  return { ref: cited, layer: parsed.layer, action, ids };
+}
@@ -0,0 +1,161 @@
+import fs from "node:fs";
+import { randomUUID } from "node:crypto";
+import { dirname } from "node:path";
+import { openJson, sealJson } from "./encryption.js";
+
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+
+const QUEUES = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function emptyValue(options) {
+  return typeof options.fallback === "function" ? options.fallback() : {};
+}
+
+function quarantine(path, logger) {
+  const target = `${path}.corrupt-${Date.now()}`;
+  try {
+    fs.renameSync(path, target);
+    logger?.warn?.(`json-store: ${path} is corrupted; moved to ${target} and starting fresh`);
+  } catch (err) {
+    logger?.warn?.(`json-store: ${path} is corrupted and could not be moved aside: ${String(err)}`);
+  }
+}
+
+// Callers pass their plugin's logger (options.logger); it is where unreadable and corrupted files are
+// reported. Readers never see a half-written file (writes are rename-based), so reads take no lock.
+// A file that does not parse is moved aside instead of being silently overwritten; an encrypted
+// file that cannot be decrypted throws instead, so it is never replaced by an empty store.
+export function readJson(path, options = {}) {
+  const normalize = typeof options.normalize === "function" ? options.normalize : (data) => data;
+  let raw;
+  try {
+    raw = fs.readFileSync(path, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") options.logger?.warn?.(`json-store: cannot read ${path}: ${String(err)}`);
+    return normalize(emptyValue(options));
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    data = null;
+  }
+  if (!data || typeof data !== "object") {
+    quarantine(path, options.logger);
+    return normalize(emptyValue(options));
+  }
+  return normalize(openJson(data));
+}
+
+export function writeJsonAtomic(path, data) {
+  fs.mkdirSync(dirname(path), { recursive: true });
+  const tmpPath = `${path}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, JSON.stringify(sealJson(data), null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpPath, path);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+async function acquireLock(lockPath) {
+  const started = Date.now();
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, `${process.pid} ${Date.now()}`, { flag: "wx" });
+      return;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+    }
+    try {
+      // A holder that crashed leaves its lock behind; reclaim it once it is old enough.
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+    } catch {
+      continue;
+    }
+    if (Date.now() - started > LOCK_TIMEOUT_MS) {
+      throw new Error(`json-store: timed out waiting for ${lockPath}`);
+    }
+    await sleep(LOCK_RETRY_MS);
+  }
+}
+
+async function flush(path, batch) {
+  const options = batch[0].options;
+  fs.mkdirSync(dirname(path), { recursive: true });
+  const lockPath = `${path}.lock`;
+  await acquireLock(lockPath);
+  try {
+    let data = readJson(path, options);
+    let changed = false;
+    // Each mutator works on its own copy, so one that throws halfway leaves nothing behind in the batch.
+    const errors = batch.map((job) => {
+      const draft = structuredClone(data);
+      try {
+        if (job.mutator(draft) !== false) changed = true;
+        data = draft;
+        return null;
+      } catch (err) {
+        return err;
+      }
+    });
+    if (changed) writeJsonAtomic(path, data);
+    batch.forEach((job, idx) => (errors[idx] ? job.reject(errors[idx]) : job.resolve(data)));
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+async function drain(path, queue) {
+  while (queue.pending.length) {
+    const batch = queue.pending.splice(0);
+    try {
+      await flush(path, batch);
+    } catch (err) {
+      for (const job of batch) job.reject(err);
+    }
+  }
+  queue.running = null;
+}
+
+// Applies a synchronous mutator to the stored value under a lock and writes the result
+// atomically. Updates queued for the same file in one tick share a single read and write.
+// Returning false from the mutator skips the write; throwing rejects that update and drops its changes.
+export function updateJson(path, mutator, options = {}) {
+  let queue = QUEUES.get(path);
+  if (!queue) {
+    queue = { pending: [], running: null };
+    QUEUES.set(path, queue);
+  }
+  return new Promise((resolve, reject) => {
+    queue.pending.push({ mutator, options, resolve, reject });
+    if (!queue.running) {
+      queue.running = new Promise((start) => setImmediate(start)).then(() => drain(path, queue));
+    }
+  });
+}
+
+// Resolves once every queued update, including those queued while waiting, is written or rejected.
+export async function pendingWrites() {
+  for (;;) {
+    const running = [...QUEUES.values()].map((queue) => queue.running).filter(Boolean);
+    if (!running.length) return;
+    await Promise.all(running);
+  }
+}
@@ -0,0 +1,49 @@
+import { formatRef } from "./provenance.js";
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// The `limit` a tool call asked for, within 1..MAX_LIMIT.
+export function toolLimit(value, fallback = DEFAULT_LIMIT) {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.max(1, Math.min(MAX_LIMIT, n)) : fallback;
+}
+
+// Layer tools are registered as factories: the gateway builds them for each agent run with that run's
+// context (agentId, sessionKey and, when the gateway sets it, the tenant key), so run(params, ctx) can
+// scope rows by the same rules as the layer's recall. A failing run comes back as an error result.
+export function registerLayerTool(api, { name, label, description, parameters, run }) {
+  if (typeof api.registerTool !== "function") return;
+  api.registerTool(
+    (ctx) => ({
+      name,
+      label,
+      description,
+      parameters,
+      async execute(_toolCallId, params) {
+        try {
+          return await run(params || {}, ctx || {});
+        } catch (err) {
+          const message = err instanceof Error ? err.message : String(err);
+          api.logger?.warn?.(`${name}: ${message}`);
+          return { content: [{ type: "text", text: `${name} failed: ${message}` }], details: { error: "failed" } };
+        }
+      }
+    }),
+    { name }
+  );
+}
+
+// A numbered list of rows with their refs ("1. [gr:1a2b3c4d] ..."), and the rows themselves as details.
+// Rows are the layer's CLI rows (plain JSON: no vectors or meta blobs), so details stay serializable.
+export function toolResult(layer, rows, { noun, line }) {
+  if (!rows.length) {
+    return { content: [{ type: "text", text: `No ${noun} found.` }], details: { count: 0, rows: [] } };
+  }
+  const cited = rows.map((row) => ({ ref: formatRef(layer, row.id), ...row }));
+  const lines = cited.map((row, idx) => `${idx + 1}. [${row.ref}] ${line(row)}`);
+  return {
+    content: [{ type: "text", text: `Found ${cited.length} ${noun}:\n\n${lines.join("\n")}` }],
+    details: { count: cited.length, rows: cited }
+  };
+}
@@ -0,0 +1,42 @@
+export function resolveMetaPath(): string;
+
+export function recordRouting(layer: string, chars: number, logger?: unknown): Promise<void>;
+
+export const LATENCY_BUCKETS_MS: number[];
+
+export function recordRecallLatency(layer: string, durationMs: number, logger?: unknown): Promise<void>;
+
+export function latencyQuantile(latency: unknown, q: number): number | null;
+
+export function classifyError(err: unknown): string;
+
+export function recordRecallEmpty(layer: string, logger?: unknown): Promise<void>;
+
+export function recordRecallSkipped(layer: string, logger?: unknown): Promise<void>;
+
+export function recordRecallError(layer: string, err: unknown, logger?: unknown): Promise<void>;
+
+export function timedRecall<E, C, R>(
+  layer: string,
+  handler: (event: E, ctx: C) => Promise<R>,
+  logger?: unknown,
+): (event: E, ctx: C) => Promise<R>;
+
+export function recordCapture(layer: string, items?: number, logger?: unknown): Promise<void>;
+
+export function recordEmbedding(
+  provider: string,
+  model: string,
+  counts?: { texts?: number; cached?: number; error?: boolean },
+  logger?: unknown,
+): Promise<void>;
+
+export function flushEmbeddingStats(logger?: unknown): Promise<void>;
+
+export function recordRoutingFeedback(layer: string, useful: boolean, logger?: unknown): Promise<void>;
+
+export function recordRoutingDecision(
+  layer: string,
+  decision: { recall: boolean; confidence: number; method?: string },
+  logger?: unknown,
+): Promise<void>;
@@ -1,31 +1,14 @@
-import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
+import { updateJson } from "./json-store.js";
 
 const DEFAULT_META_PATH = join(homedir(), ".openclaw", "memory", "meta.json");
 
-function resolveMetaPath() {
-  return process.env.OPENCLAW_META_PATH || DEFAULT_META_PATH;
-}
+// Upper bounds (ms) of the recall latency histogram; slower calls land in "+Inf".
+export const LATENCY_BUCKETS_MS = [10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
 
-function loadMeta(path) {
-  try {
-    if (!fs.existsSync(path)) return {};
-    const raw = fs.readFileSync(path, "utf8");
-    const data = JSON.parse(raw);
-    return data && typeof data === "object" ? data : {};
-  } catch {
-    return {};
-  }
-}
-
-function saveMeta(path, meta) {
-  try {
-    fs.mkdirSync(join(path, ".."), { recursive: true });
-    fs.writeFileSync(path, JSON.stringify(meta, null, 2));
-  } catch {
-    // best effort
-  }
+export function resolveMetaPath() {
+  return process.env.OPENCLAW_META_PATH || DEFAULT_META_PATH;
 }
 
 function ensureLayer(stats, layer) {
@@ -40,46 +23,240 @@ function ensureLayer(stats, layer) {
   return entry;
 }
 
-export function recordRouting(layer, chars) {
-  if (!layer) return;
-  const path = resolveMetaPath();
-  const meta = loadMeta(path);
-  const stats = meta.routing_stats || (meta.routing_stats = {});
-  const entry = ensureLayer(stats, layer);
-
+// Best effort: the returned promise never rejects, so hooks may fire and forget. Every recorder takes the
+// calling plugin's logger last, for the warnings of a meta.json that cannot be read.
+export function recordRouting(layer, chars, logger) {
+  if (!layer) return Promise.resolve();
   const safeChars = Number.isFinite(Number(chars)) ? Number(chars) : 0;
-  entry.activations = (entry.activations || 0) + 1;
-  entry.chars_injected = (entry.chars_injected || 0) + safeChars;
-  entry.last_activated_at = Date.now();
-
-  stats.total_activations = (stats.total_activations || 0) + 1;
-  stats.total_chars_injected = (stats.total_chars_injected || 0) + safeChars;
-  stats.current_session_chars = (stats.current_session_chars || 0) + safeChars;
-  stats.current_session_activations = (stats.current_session_activations || 0) + 1;
-  stats.last_updated_at = Date.now();
-
-  saveMeta(path, meta);
-}
-
-export function recordRoutingFeedback(layer, useful) {
-  if (!layer) return;
-  const path = resolveMetaPath();
-  const meta = loadMeta(path);
-  const stats = meta.routing_stats || (meta.routing_stats = {});
-  const entry = ensureLayer(stats, layer);
-
-  if (useful) {
-    entry.useful_up = (entry.useful_up || 0) + 1;
-  } else {
-    entry.useful_down = (entry.useful_down || 0) + 1;
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+
+    entry.activations = (entry.activations || 0) + 1;
+    entry.chars_injected = (entry.chars_injected || 0) + safeChars;
+    entry.last_activated_at = Date.now();
+
+    stats.total_activations = (stats.total_activations || 0) + 1;
+    stats.total_chars_injected = (stats.total_chars_injected || 0) + safeChars;
+    stats.current_session_chars = (stats.current_session_chars || 0) + safeChars;
+    stats.current_session_activations = (stats.current_session_activations || 0) + 1;
+    stats.last_updated_at = Date.now();
+  }, { logger }).catch(() => {});
+}
+
+function bucketFor(ms) {
+  const bound = LATENCY_BUCKETS_MS.find((limit) => ms <= limit);
+  return bound === undefined ? "+Inf" : String(bound);
+}
+
+// durationMs: how long the layer's before_agent_start hook took, whether or not it injected anything.
+// latency.buckets holds per-bucket (not cumulative) counts keyed by upper bound.
+export function recordRecallLatency(layer, durationMs, logger) {
+  if (!layer) return Promise.resolve();
+  const ms = Math.max(0, Number(durationMs) || 0);
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+    const latency = entry.latency || (entry.latency = { count: 0, sum_ms: 0, max_ms: 0 });
+    const buckets = latency.buckets || (latency.buckets = {});
+
+    latency.count += 1;
+    latency.sum_ms = Number((latency.sum_ms + ms).toFixed(3));
+    latency.max_ms = Math.max(latency.max_ms || 0, Math.round(ms));
+    latency.last_ms = Math.round(ms);
+    buckets[bucketFor(ms)] = (buckets[bucketFor(ms)] || 0) + 1;
+  }, { logger }).catch(() => {});
+}
+
+// Upper bound (ms) of the bucket holding the q-quantile, Infinity past the last bound, or null
+// when nothing was recorded with buckets.
+export function latencyQuantile(latency, q) {
+  const buckets = latency?.buckets;
+  if (!buckets) return null;
+  const total = Object.values(buckets).reduce((acc, count) => acc + count, 0);
+  if (!total) return null;
+  let seen = 0;
+  for (const bound of LATENCY_BUCKETS_MS) {
+    seen += buckets[String(bound)] || 0;
+    if (seen >= q * total) return bound;
   }
+  return Infinity;
+}
+
+// A coarse type for error counters; messages are not kept (they may quote captured text).
+export function classifyError(err) {
+  const text = [err?.name, err?.code, err?.cause?.code, err?.message ?? err].filter(Boolean).join(" ");
+  if (/AbortError|timed? ?out|ETIMEDOUT/i.test(text)) return "timeout";
+  if (/ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up/i.test(text)) return "network";
+  if (/encryption:/.test(text)) return "encryption";
+  if (/embed/i.test(text)) return "embedding";
+  if (/lance|table|schema|column|field named/i.test(text)) return "storage";
+  return "other";
+}
+
+// outcome: "empty" (searched, nothing good enough), "skipped" (the router said no) or "error".
+function recordOutcome(layer, outcome, errorType, logger) {
+  if (!layer) return Promise.resolve();
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+    const outcomes = entry.outcomes || (entry.outcomes = { empty: 0, skipped: 0, error: 0 });
+
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+    if (errorType) {
+      const errors = entry.errors || (entry.errors = {});
+      errors[errorType] = (errors[errorType] || 0) + 1;
+      entry.last_error_at = Date.now();
+    }
+  }, { logger }).catch(() => {});
+}
+
+export function recordRecallEmpty(layer, logger) {
+  return recordOutcome(layer, "empty", null, logger);
+}
 
-  const total = (entry.useful_up || 0) + (entry.useful_down || 0);
-  if (total > 0) {
-    entry.useful_rate = Number((entry.useful_up / total).toFixed(2));
+export function recordRecallSkipped(layer, logger) {
+  return recordOutcome(layer, "skipped", null, logger);
+}
+
+// A recall that failed (and was only logged): counted per layer and per classifyError type.
+export function recordRecallError(layer, err, logger) {
+  return recordOutcome(layer, "error", classifyError(err), logger);
+}
+
+// Wraps a before_agent_start handler so every call is recorded with recordRecallLatency.
+export function timedRecall(layer, handler, logger) {
+  return async (event, ctx) => {
+    const started = Date.now();
+    try {
+      return await handler(event, ctx);
+    } finally {
+      recordRecallLatency(layer, Date.now() - started, logger);
+    }
+  };
+}
+
+// items: how many rows/items an agent_end capture stored for the layer.
+export function recordCapture(layer, items = 1, logger) {
+  const count = Math.max(0, Math.floor(Number(items) || 0));
+  if (!layer || !count) return Promise.resolve();
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+
+    entry.captures = (entry.captures || 0) + 1;
+    entry.captured_items = (entry.captured_items || 0) + count;
+    entry.last_captured_at = Date.now();
+  }, { logger }).catch(() => {});
+}
+
+// Every embed() is counted, so the counters stay in memory and reach meta.json in one write per
+// EMBEDDING_FLUSH_MS (or when flushEmbeddingStats() is called, e.g. at agent_end) instead of one per call.
+const EMBEDDING_FLUSH_MS = 30000;
+const pendingEmbeddings = new Map();
+let embeddingTimer = null;
+let embeddingLogger;
+
+function embeddingEntry(provider, model) {
+  return { provider, model: model || "", requests: 0, texts: 0, cached: 0, errors: 0 };
+}
+
+// One provider request (or cache lookup) of an embedding client: texts sent, texts served from
+// the cache and whether the request failed. Kept per provider/model under meta.embedding_stats.
+export function recordEmbedding(provider, model, { texts = 0, cached = 0, error = false } = {}, logger) {
+  if (!provider) return Promise.resolve();
+  const key = `${provider}/${model || ""}`;
+  const entry = pendingEmbeddings.get(key) || embeddingEntry(provider, model);
+  pendingEmbeddings.set(key, entry);
+  if (texts) {
+    entry.requests += 1;
+    entry.texts += texts;
   }
-  entry.last_feedback_at = Date.now();
+  entry.cached += cached;
+  if (error) {
+    entry.errors += 1;
+    entry.last_error_at = Date.now();
+  }
+  if (logger) embeddingLogger = logger;
+  if (!embeddingTimer) {
+    embeddingTimer = setTimeout(() => flushEmbeddingStats(), EMBEDDING_FLUSH_MS);
+    embeddingTimer.unref?.();
+  }
+  return Promise.resolve();
+}
+
+// Writes the embedding counters recorded since the last flush. Best effort, never rejects.
+export function flushEmbeddingStats(logger) {
+  clearTimeout(embeddingTimer);
+  embeddingTimer = null;
+  if (!pendingEmbeddings.size) return Promise.resolve();
+  const batch = [...pendingEmbeddings.entries()];
+  pendingEmbeddings.clear();
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.embedding_stats || (meta.embedding_stats = {});
+    const models = stats.by_model || (stats.by_model = {});
+    for (const [key, counts] of batch) {
+      const entry = models[key] || (models[key] = embeddingEntry(counts.provider, counts.model));
+      entry.requests += counts.requests;
+      entry.texts += counts.texts;
+      entry.cached += counts.cached;
+      entry.errors += counts.errors;
+      if (counts.last_error_at) entry.last_error_at = counts.last_error_at;
+    }
+    stats.last_updated_at = Date.now();
+  }, { logger: logger || embeddingLogger }).catch(() => {});
+}
+
+export function recordRoutingFeedback(layer, useful, logger) {
+  if (!layer) return Promise.resolve();
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+
+    if (useful) {
+      entry.useful_up = (entry.useful_up || 0) + 1;
+    } else {
+      entry.useful_down = (entry.useful_down || 0) + 1;
+    }
+
+    const total = (entry.useful_up || 0) + (entry.useful_down || 0);
+    if (total > 0) {
+      entry.useful_rate = Number((entry.useful_up / total).toFixed(2));
+    }
+    entry.last_feedback_at = Date.now();
+
+    stats.last_updated_at = Date.now();
+  }, { logger }).catch(() => {});
+}
+
+// decision: { recall, confidence, method } from the intent router, recorded whether or not the layer fires.
+export function recordRoutingDecision(layer, decision, logger) {
+  if (!layer || !decision) return Promise.resolve();
+  const confidence = Math.max(0, Math.min(1, Number(decision.confidence) || 0));
+  const method = decision.method || "unknown";
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.routing_stats || (meta.routing_stats = {});
+    const entry = ensureLayer(stats, layer);
+    const decisions = entry.decisions || (entry.decisions = {
+      recalled: 0,
+      skipped: 0,
+      confidence_sum: 0,
+      by_method: {}
+    });
+
+    if (decision.recall) {
+      decisions.recalled += 1;
+    } else {
+      decisions.skipped += 1;
+      // A "no" from the router is a skipped recall for the layer.
+      const outcomes = entry.outcomes || (entry.outcomes = { empty: 0, skipped: 0, error: 0 });
+      outcomes.skipped += 1;
+    }
+    decisions.confidence_sum = Number((decisions.confidence_sum + confidence).toFixed(4));
+    decisions.avg_confidence = Number((decisions.confidence_sum / (decisions.recalled + decisions.skipped)).toFixed(2));
+    decisions.by_method[method] = (decisions.by_method[method] || 0) + 1;
+    decisions.last = { recall: Boolean(decision.recall), confidence, method, at: Date.now() };
 
-  stats.last_updated_at = Date.now();
-  saveMeta(path, meta);
+    stats.last_updated_at = Date.now();
+  }, { logger }).catch(() => {});
 }
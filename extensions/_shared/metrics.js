@@ -0,0 +1,177 @@
+import http from "node:http";
+import { listArchiveSources } from "./archive.js";
+import { LATENCY_BUCKETS_MS } from "./meta-routing.js";
+
+export const METRICS_CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+const PREFIX = "openclaw_memory";
+const HOST = "127.0.0.1";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? String(n) : "NaN";
+}
+
+// family: { name, type, help, unit?, samples: [{ suffix?, labels?, value }] }
+function renderFamily(family) {
+  const name = `${PREFIX}_${family.name}`;
+  const lines = [`# TYPE ${name} ${family.type}`];
+  if (family.unit) lines.push(`# UNIT ${name} ${family.unit}`);
+  lines.push(`# HELP ${name} ${family.help}`);
+  for (const sample of family.samples) {
+    lines.push(`${name}${sample.suffix || ""}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return lines.join("\n");
+}
+
+function counter(name, help, samples) {
+  return { name, type: "counter", help, samples: samples.map((sample) => ({ ...sample, suffix: "_total" })) };
+}
+
+function gauge(name, help, samples) {
+  return { name, type: "gauge", help, samples };
+}
+
+// Cumulative buckets from the per-bucket counts of recordRecallLatency. Latencies recorded before
+// buckets existed only show up in +Inf, _count and _sum.
+function histogram(layer, latency) {
+  const buckets = latency.buckets || {};
+  let seen = 0;
+  const samples = LATENCY_BUCKETS_MS.map((bound) => {
+    seen += buckets[String(bound)] || 0;
+    return { suffix: "_bucket", labels: { layer, le: String(bound / 1000) }, value: seen };
+  });
+  return [
+    ...samples,
+    { suffix: "_bucket", labels: { layer, le: "+Inf" }, value: latency.count || 0 },
+    { suffix: "_count", labels: { layer }, value: latency.count || 0 },
+    { suffix: "_sum", labels: { layer }, value: (latency.sum_ms || 0) / 1000 }
+  ];
+}
+
+// The meta.json routing/embedding stats and the per-table row counts as OpenMetrics text.
+// tables: [{ source, table, rows }]
+export function renderOpenMetrics(meta, tables = []) {
+  const layers = Object.entries(meta?.routing_stats?.layers || {}).sort(([a], [b]) => a.localeCompare(b));
+  const models = Object.values(meta?.embedding_stats?.by_model || {});
+  const perLayer = (pick) =>
+    layers
+      .filter(([, entry]) => pick(entry) !== undefined)
+      .map(([layer, entry]) => ({ labels: { layer }, value: pick(entry) }));
+  const feedback = (useful, key) =>
+    perLayer((e) => e[key] || 0).map((sample) => ({ ...sample, labels: { ...sample.labels, useful } }));
+  const perModel = (key) =>
+    models.map((entry) => ({ labels: { provider: entry.provider, model: entry.model }, value: entry[key] || 0 }));
+
+  const outcomes = layers.flatMap(([layer, entry]) =>
+    Object.entries(entry.outcomes || {}).map(([outcome, value]) => ({ labels: { layer, outcome }, value }))
+  );
+  const errors = layers.flatMap(([layer, entry]) =>
+    Object.entries(entry.errors || {}).map(([type, value]) => ({ labels: { layer, type }, value }))
+  );
+
+  const families = [
+    counter("sessions", "Agent runs seen by memory-meta.", [{ value: meta?.sessions || 0 }]),
+    counter("layer_activations", "Recalls that injected context, per layer.", perLayer((e) => e.activations || 0)),
+    counter("layer_injected_chars", "Characters injected, per layer.", perLayer((e) => e.chars_injected || 0)),
+    counter("layer_feedback", "Useful/not useful feedback received, per layer.", [
+      ...feedback("true", "useful_up"),
+      ...feedback("false", "useful_down")
+    ]),
+    gauge("layer_useful_rate", "Share of feedback marking the layer useful.", perLayer((e) => e.useful_rate)),
+    {
+      name: "recall_duration_seconds",
+      type: "histogram",
+      unit: "seconds",
+      help: "Time spent in the layer's before_agent_start hook.",
+      samples: layers.filter(([, entry]) => entry.latency).flatMap(([layer, entry]) => histogram(layer, entry.latency))
+    },
+    counter("recall_outcomes", "Recalls that returned nothing, were skipped or failed, per layer.", outcomes),
+    counter("recall_errors", "Failed recalls, per layer and error type.", errors),
+    counter("layer_captures", "agent_end runs that stored something, per layer.", perLayer((e) => e.captures)),
+    counter("layer_captured_items", "Rows or items stored by capture, per layer.", perLayer((e) => e.captured_items)),
+    counter("embedding_requests", "Embedding provider requests.", perModel("requests")),
+    counter("embedding_texts", "Texts sent to the embedding provider.", perModel("texts")),
+    counter("embedding_cache_hits", "Texts served from the embedding cache.", perModel("cached")),
+    counter("embedding_errors", "Failed embedding provider requests.", perModel("errors")),
+    gauge(
+      "table_rows",
+      "Rows per LanceDB table.",
+      tables.map((item) => ({ labels: { source: item.source, table: item.table }, value: item.rows }))
+    )
+  ];
+  return `${families.map(renderFamily).join("\n")}\n# EOF\n`;
+}
+
+// Row counts of every table of the loaded layers; a table that cannot be opened is left out.
+export async function countTableRows({ sources = listArchiveSources(), logger } = {}) {
+  const counts = [];
+  for (const source of sources) {
+    if (!source.lancedb || !source.dbPath || !source.tables?.length) continue;
+    try {
+      const db = await source.lancedb.connect(source.dbPath);
+      const names = await db.tableNames();
+      for (const table of source.tables) {
+        if (!names.includes(table)) continue;
+        counts.push({ source: source.id, table, rows: await (await db.openTable(table)).countRows() });
+      }
+    } catch (err) {
+      logger?.warn?.(`metrics: cannot count rows of ${source.id}: ${String(err)}`);
+    }
+  }
+  return counts;
+}
+
+// A service for api.registerService serving `collect()` on http://127.0.0.1:<port><path>.
+// Port 0 picks a free port; the bound address is logged on start.
+export function createMetricsService({ id, port, path, collect, logger }) {
+  let server = null;
+  return {
+    id,
+    start: () =>
+      new Promise((resolve) => {
+        server = http.createServer(async (req, res) => {
+          const url = new URL(req.url || "/", `http://${HOST}`);
+          if (req.method !== "GET" || url.pathname !== path) {
+            res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end("not found\n");
+            return;
+          }
+          try {
+            const body = await collect();
+            res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+            res.end(body);
+          } catch (err) {
+            logger?.warn?.(`${id}: collect failed: ${String(err)}`);
+            res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+            res.end("metrics unavailable\n");
+          }
+        });
+        server.on("error", (err) => {
+          logger?.warn?.(`${id}: cannot listen on ${HOST}:${port}: ${String(err)}`);
+          server = null;
+          resolve();
+        });
+        server.listen(port, HOST, () => {
+          logger?.info?.(`${id}: serving metrics on http://${HOST}:${server.address().port}${path}`);
+          resolve();
+        });
+      }),
+    stop: () =>
+      new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections?.();
+        server = null;
+      })
+  };
+}
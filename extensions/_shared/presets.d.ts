@@ -0,0 +1,9 @@
+export const BUILTIN_PRESETS: Record<string, Record<string, Record<string, unknown>>>;
+
+export function resolvePresetsPath(): string;
+
+export function listPresets(logger?: unknown): string[];
+
+export function activePresetName(raw: unknown, logger?: unknown): string;
+
+export function applyPreset(pluginId: string, raw: unknown, logger?: unknown): Record<string, unknown>;
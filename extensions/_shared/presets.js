@@ -0,0 +1,110 @@
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { readJson } from "./json-store.js";
+
+const DEFAULT_PRESETS_PATH = join(homedir(), ".openclaw", "memory", "presets.json");
+const DEFAULT_PRESET = "balanced";
+const MAX_EXTENDS_DEPTH = 8;
+
+// Values per plugin id, applied under the plugin's own config. balanced is every plugin's defaults.
+export const BUILTIN_PRESETS = {
+  balanced: {},
+  precision: {
+    "memory-lancedb-strict": { recallLimit: 2, recallMinScore: 0.85 },
+    "memory-rerank": { maxDocuments: 5, minScore: 0.88 },
+    "memory-epiproc": {
+      episodic: { recallLimit: 2, minScore: 0.55 },
+      procedural: { recallLimit: 2, minScore: 0.5 }
+    },
+    "memory-entity": { recallLimit: 3, minScore: 0.7 },
+    "memory-graph": { recallLimit: 3, minScore: 0.5 },
+    "memory-goal": { recallLimit: 3, minScore: 0.6 },
+    "memory-timeline": { recallLimit: 3, minScore: 0.55 },
+    "memory-toolskill": { minTotal: 3, minSuccessRate: 0.75 },
+    "memory-blackboard": { alwaysRecall: false, maxItems: 10 },
+    "memory-orchestrator": { dedupeThreshold: 0.75 }
+  },
+  speed: {
+    "memory-lancedb-strict": { recallLimit: 2 },
+    "memory-rerank": { ltmLimit: 10, maxDocuments: 4, timeoutMs: 3000, maxTotalMs: 6000 },
+    "memory-epiproc": {
+      episodic: { recallLimit: 2, maxChars: 600 },
+      procedural: { recallLimit: 1, maxChars: 700 }
+    },
+    "memory-entity": { recallLimit: 2, maxChars: 600 },
+    "memory-graph": { recallLimit: 2, maxChars: 600 },
+    "memory-goal": { recallLimit: 2, maxChars: 600 },
+    "memory-timeline": { recallLimit: 2, maxChars: 600 },
+    "memory-toolskill": { recallLimit: 2, maxChars: 500 },
+    "memory-blackboard": { alwaysRecall: false, maxItems: 8 },
+    "memory-sentiment": { maxItems: 3 },
+    "memory-meta": { maxChars: 400 },
+    "memory-orchestrator": { maxChars: 2500 }
+  }
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+export function resolvePresetsPath() {
+  return process.env.OPENCLAW_MEMORY_PRESETS || DEFAULT_PRESETS_PATH;
+}
+
+// presets.json: { "active": "<name>", "presets": { "<name>": { "extends": "<name>", "<plugin id>": {...} } } }
+export function loadPresetsFile(logger) {
+  return readJson(resolvePresetsPath(), {
+    logger,
+    normalize: (data) => ({
+      active: typeof data.active === "string" ? data.active : "",
+      presets: isPlainObject(data.presets) ? data.presets : {}
+    })
+  });
+}
+
+function presetNames(presets) {
+  return [...new Set([...Object.keys(BUILTIN_PRESETS), ...Object.keys(presets)])];
+}
+
+export function listPresets(logger) {
+  return presetNames(loadPresetsFile(logger).presets);
+}
+
+export function activePresetName(raw, logger) {
+  const explicit = isPlainObject(raw) && typeof raw.preset === "string" ? raw.preset.trim() : "";
+  return explicit || loadPresetsFile(logger).active || DEFAULT_PRESET;
+}
+
+function presetValues(name, pluginId, presets, depth = 0) {
+  if (depth > MAX_EXTENDS_DEPTH) throw new Error(`presets: "extends" chain too deep at ${name}`);
+  const custom = presets[name];
+  if (isPlainObject(custom)) {
+    const parent = typeof custom.extends === "string" ? presetValues(custom.extends, pluginId, presets, depth + 1) : {};
+    return deepMerge(parent, isPlainObject(custom[pluginId]) ? custom[pluginId] : {});
+  }
+  if (BUILTIN_PRESETS[name]) return BUILTIN_PRESETS[name][pluginId] || {};
+  throw new Error(`presets: unknown preset "${name}" (available: ${presetNames(presets).join(", ")})`);
+}
+
+// Returns the plugin's raw config layered over its preset: explicit values always win.
+// An unknown preset is reported to `logger` and ignored so a typo never disables a layer.
+export function applyPreset(pluginId, raw, logger) {
+  const cfg = isPlainObject(raw) ? raw : {};
+  const explicit = { ...cfg };
+  delete explicit.preset;
+  try {
+    const presets = loadPresetsFile(logger).presets;
+    return deepMerge(presetValues(activePresetName(cfg, logger), pluginId, presets), explicit);
+  } catch (err) {
+    logger?.warn?.(`${pluginId}: ${err.message}`);
+    return explicit;
+  }
+}
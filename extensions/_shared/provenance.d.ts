@@ -0,0 +1,49 @@
+export const REF_PREFIXES: Record<string, string>;
+
+export type MessageOrigin = {
+  role: string;
+  index: number;
+  excerpt: string;
+};
+
+export type ResolvedEntry = {
+  ref: string;
+  layer: string;
+  id: string;
+  text: string;
+  columns: Record<string, unknown>;
+  details: Record<string, unknown>;
+  origin: {
+    tenant: string;
+    agentId: string;
+    sessionKey: string;
+    capturedAt: number | null;
+    source: string | null;
+    message: MessageOrigin | null;
+  };
+};
+
+export function formatRef(layer: string, id: string): string;
+
+export function parseRef(ref: string): { layer: string; idPrefix: string } | null;
+
+export function messageOrigin(
+  role: string,
+  index: number,
+  text: string,
+  redactor?: { redact(text: string): string },
+): MessageOrigin;
+
+export function describeEntry(layer: string, entry: Record<string, unknown>): ResolvedEntry;
+
+export function registerRefResolver(
+  layer: string,
+  resolve: (idPrefix: string, ctx: Record<string, unknown> | null) => Promise<ResolvedEntry[]>,
+): void;
+
+export function registerTableRefs(layer: string, table: unknown, scope: unknown): void;
+
+export function resolveRef(
+  ref: string,
+  ctx?: Record<string, unknown> | null,
+): Promise<{ ref: string; layer: string; matches: ResolvedEntry[] }>;
@@ -0,0 +1,96 @@
+import { resolveScope, scopeFilter } from "./scope.js";
+import { parseMeta } from "./vector-table.js";
+
+// Short, stable citations for injected items: `<prefix>:<first 8 chars of the row id>`.
+export const REF_PREFIXES = {
+  episodic: "ep",
+  procedural: "pr",
+  entity: "en",
+  graph: "gr",
+  goal: "go",
+  timeline: "tl",
+  blackboard: "bb",
+  ltm: "lt"
+};
+
+const REF_ID_CHARS = 8;
+const EXCERPT_CHARS = 160;
+const MAX_MATCHES = 5;
+const RESOLVERS_KEY = Symbol.for("openclaw.memory-suite.ref-resolvers");
+// Shown under origin (or dropped, for the vector) rather than as plain columns.
+const ORIGIN_COLUMNS = ["id", "text", "vector", "meta", "tenant", "agentId", "sessionKey", "createdAt"];
+
+// Layers loaded in this process, keyed by layer name; a reloaded plugin replaces its own resolver.
+function resolvers() {
+  if (!globalThis[RESOLVERS_KEY]) globalThis[RESOLVERS_KEY] = new Map();
+  return globalThis[RESOLVERS_KEY];
+}
+
+export function formatRef(layer, id) {
+  const prefix = REF_PREFIXES[layer];
+  if (!prefix || !id) return "";
+  return `${prefix}:${String(id).replace(/-/g, "").slice(0, REF_ID_CHARS)}`;
+}
+
+// "gr:1a2b3c4d" -> { layer: "graph", idPrefix: "1a2b3c4d" }, or null when it is not a ref.
+export function parseRef(ref) {
+  const match = String(ref || "").trim().match(/^\[?([a-z]+):([0-9a-f]{4,8})\]?$/i);
+  if (!match) return null;
+  const layer = Object.keys(REF_PREFIXES).find((name) => REF_PREFIXES[name] === match[1].toLowerCase());
+  return layer ? { layer, idPrefix: match[2].toLowerCase() } : null;
+}
+
+// Where a captured row came from, stored as meta.message: the role and position of the message in
+// the turn and a short excerpt, redacted like the row itself.
+export function messageOrigin(role, index, text, redactor) {
+  const clean = redactor ? redactor.redact(String(text || "")) : String(text || "");
+  const excerpt = clean.length > EXCERPT_CHARS ? `${clean.slice(0, EXCERPT_CHARS).trim()}...` : clean;
+  return { role, index, excerpt };
+}
+
+// A row as returned by memory_resolve: its columns (no vector) and where it came from.
+export function describeEntry(layer, entry) {
+  const columns = { ...entry };
+  for (const key of ORIGIN_COLUMNS) delete columns[key];
+  const { message, source, capturedAt, agentId, ...details } = parseMeta(entry);
+  return {
+    ref: formatRef(layer, entry.id),
+    layer,
+    id: entry.id,
+    text: entry.text,
+    columns,
+    details,
+    origin: {
+      tenant: entry.tenant || "",
+      agentId: entry.agentId || agentId || "",
+      sessionKey: entry.sessionKey || "",
+      capturedAt: capturedAt || entry.createdAt || null,
+      source: source || null,
+      message: message || null
+    }
+  };
+}
+
+// resolve(idPrefix, ctx) -> [described rows]; registered by each layer for its own rows. `ctx` is the
+// calling agent run's context, and only rows that run may recall come back; the CLI passes null and
+// sees every row.
+export function registerRefResolver(layer, resolve) {
+  resolvers().set(layer, resolve);
+}
+
+// Rows of a VectorTable, found by id prefix within the caller's scope (`scope` is the layer's config).
+export function registerTableRefs(layer, table, scope) {
+  registerRefResolver(layer, async (idPrefix, ctx) => {
+    const filter = ctx ? scopeFilter(resolveScope(ctx, scope), scope) : null;
+    return (await table.findByIdPrefix(idPrefix, MAX_MATCHES, filter)).map((entry) => describeEntry(layer, entry));
+  });
+}
+
+export async function resolveRef(ref, ctx = null) {
+  const parsed = parseRef(ref);
+  if (!parsed) throw new Error(`not a memory reference: ${ref} (expected e.g. gr:1a2b3c4d)`);
+  const resolve = resolvers().get(parsed.layer);
+  if (!resolve) throw new Error(`layer ${parsed.layer} is not loaded`);
+  const matches = await resolve(parsed.idPrefix, ctx);
+  return { ref: formatRef(parsed.layer, parsed.idPrefix), layer: parsed.layer, matches };
+}
@@ -0,0 +1,76 @@
+export type PurgeMode = "delete" | "redact";
+
+export const PURGE_MODES: PurgeMode[];
+
+export const FORGOTTEN: string;
+
+export type PurgeSubject = {
+  kind: "name" | "email" | "phone" | "entity";
+  fingerprint: string;
+  test(text: string): boolean;
+  indexIn(text: string): number;
+  replace(text: string): string;
+};
+
+export type PurgeItem = {
+  id: string;
+  text: string;
+  ref?: string;
+  tenant?: string;
+  agentId?: string;
+};
+
+export type PurgeTarget = {
+  name: string;
+  layer: string;
+  find(subject: PurgeSubject): Promise<PurgeItem[]>;
+  apply(ids: string[], mode: PurgeMode, subject: PurgeSubject): Promise<number>;
+};
+
+export type PurgeReport = {
+  kind: PurgeSubject["kind"];
+  fingerprint: string;
+  mode: PurgeMode;
+  tenant: string | null;
+  matches: Array<{
+    target: string;
+    layer: string;
+    ref: string;
+    id: string;
+    tenant: string;
+    agentId: string;
+    excerpt: string;
+  }>;
+  applied: boolean;
+  removed?: Record<string, number>;
+};
+
+export function parseSubject(raw: string): PurgeSubject;
+
+export function mentions(value: unknown, subject: PurgeSubject): boolean;
+
+export function forget<T>(value: T, subject: PurgeSubject): T;
+
+export function addPurgeTarget(target: PurgeTarget): void;
+
+export function resetPurgeTargets(): void;
+
+export function registerPurgeTarget(api: unknown, target: PurgeTarget): void;
+
+export function tablePurgeTarget(layer: string, table: unknown): PurgeTarget;
+
+export function purgeAuditPath(): string;
+
+export function purgeSubject(
+  rawSubject: string,
+  options?: {
+    mode?: PurgeMode;
+    tenant?: string | null;
+    match?: (item: PurgeItem) => boolean;
+    confirm?: boolean;
+    by?: string;
+    logger?: unknown;
+  },
+): Promise<PurgeReport>;
+
+export function formatPurgeReport(report: PurgeReport): string;
@@ -0,0 +1,256 @@
+import { createHash } from "node:crypto";
+import { dirname, join } from "node:path";
+import { registerLayerCli } from "./cli.js";
+import { readJson, updateJson } from "./json-store.js";
+import { resolveMetaPath } from "./meta-routing.js";
+import { formatRef } from "./provenance.js";
+import { parseMeta } from "./vector-table.js";
+
+export const PURGE_MODES = ["delete", "redact"];
+
+// What a redacted mention becomes, in the same form as the redaction engine's labels.
+export const FORGOTTEN = "[redacted:forgotten]";
+
+const TARGETS_KEY = Symbol.for("openclaw.memory-suite.purge-targets");
+const AUDIT_FILE = "purge-audit.json";
+const AUDIT_STORE = { fallback: () => ({ records: [] }), normalize: normalizeAudit };
+const EXCERPT_CHARS = 120;
+const MIN_PHONE_DIGITS = 7;
+// Ids, scope and supersession links are not content: purging "Acme" must not match an "acme" tenant.
+const NOT_CONTENT = new Set(["id", "vector", "tenant", "agentId", "sessionKey", "supersededBy"]);
+
+// Stores loaded in this process, keyed by target name; a reloaded plugin replaces its own targets.
+function targets() {
+  if (!globalThis[TARGETS_KEY]) globalThis[TARGETS_KEY] = new Map();
+  return globalThis[TARGETS_KEY];
+}
+
+function normalizeAudit(data) {
+  if (!Array.isArray(data.records)) data.records = [];
+  return data;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// The subject as a matcher: an email or a phone number (matched with any separators), an entity key
+// ("client::Acme Corp", as in the entity index) or a name, matched as whole words in any case.
+export function parseSubject(raw) {
+  const value = String(raw || "").trim();
+  if (!value) throw new Error("purge: the subject is empty");
+  const digits = value.replace(/\D/g, "");
+  let kind = "name";
+  let source;
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+    kind = "email";
+    source = escapeRegex(value);
+  } else if (/^\+?[\d\s().-]+$/.test(value) && digits.length >= MIN_PHONE_DIGITS) {
+    kind = "phone";
+    source = `(?<!\\d)${digits.split("").join("[\\s().-]*")}(?!\\d)`;
+  } else {
+    const name = value.includes("::") ? value.split("::").pop().trim() : value;
+    if (value.includes("::")) kind = "entity";
+    if (!name) throw new Error(`purge: no name in entity key "${value}"`);
+    const words = name.split(/\s+/).map(escapeRegex).join("\\s+");
+    source = `(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`;
+  }
+  return {
+    kind,
+    // Audit records keep this instead of the subject itself.
+    fingerprint: createHash("sha256").update(value.toLowerCase()).digest("hex").slice(0, 16),
+    test: (text) => new RegExp(source, "iu").test(text),
+    indexIn: (text) => text.search(new RegExp(source, "iu")),
+    replace: (text) => text.replace(new RegExp(source, "giu"), FORGOTTEN)
+  };
+}
+
+// True when any string in `value` (a row, a JSON item, nested objects) mentions the subject.
+export function mentions(value, subject) {
+  if (typeof value === "string") return subject.test(value);
+  if (Array.isArray(value)) return value.some((item) => mentions(item, subject));
+  if (value && typeof value === "object") {
+    return Object.entries(value).some(([key, item]) => !NOT_CONTENT.has(key) && mentions(item, subject));
+  }
+  return false;
+}
+
+// A copy of `value` with every mention replaced by FORGOTTEN.
+export function forget(value, subject) {
+  if (typeof value === "string") return subject.replace(value);
+  if (Array.isArray(value)) return value.map((item) => forget(item, subject));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, NOT_CONTENT.has(key) ? item : forget(item, subject)])
+    );
+  }
+  return value;
+}
+
+// target: { name, layer, find(subject) -> [{ id, text, ref?, tenant?, agentId? }], apply(ids, mode, subject) -> count }
+// `name` is the table or file (entities, entities.json...) and `layer` the one its refs belong to.
+export function addPurgeTarget(target) {
+  targets().set(target.name, target);
+}
+
+// Forgets every registered target (a fresh gateway, e.g. between tests).
+export function resetPurgeTargets() {
+  delete globalThis[TARGETS_KEY];
+}
+
+// Adds the store to purges and the `memory purge` command to the CLI.
+export function registerPurgeTarget(api, target) {
+  addPurgeTarget(target);
+  registerLayerCli(api, { command: "purge", description: "Find and forget a person or client in every layer" }, (cmd) =>
+    buildPurgeCommand(cmd, api.logger)
+  );
+}
+
+async function applyToTable(table, ids, mode, subject) {
+  if (mode === "delete") {
+    await table.deleteIds(ids);
+    return ids.length;
+  }
+  const wanted = new Set(ids);
+  const redacted = (await table.list())
+    .filter((entry) => wanted.has(entry.id))
+    .map((entry) => {
+      const row = forget({ ...entry, meta: parseMeta(entry) }, subject);
+      return { ...row, meta: JSON.stringify(row.meta) };
+    });
+  const vectors = await table.embeddings.embed(redacted.map((entry) => entry.text));
+  await table.replaceRows(redacted.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+  return redacted.length;
+}
+
+// A VectorTable: the text, the other columns and the meta fields are searched (after decryption);
+// redacted rows keep their id and are re-embedded.
+export function tablePurgeTarget(layer, table) {
+  return {
+    name: table.tableName,
+    layer,
+    find: async (subject) =>
+      (await table.list()).filter((entry) => mentions({ ...entry, meta: parseMeta(entry) }, subject)),
+    apply: async (ids, mode, subject) => {
+      const count = await applyToTable(table, ids, mode, subject);
+      // Earlier table versions still hold the forgotten rows; drop them so they cannot be checked out.
+      await table.optimize({ cleanupOlderThan: new Date() });
+      return count;
+    }
+  };
+}
+
+// The part of `text` around its first mention (or its start, when the mention is in another field).
+function excerpt(text, subject) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  if (flat.length <= EXCERPT_CHARS) return flat;
+  const start = Math.max(0, Math.min(flat.length - EXCERPT_CHARS, subject.indexIn(flat) - EXCERPT_CHARS / 2));
+  return `${start > 0 ? "..." : ""}${flat.slice(start, start + EXCERPT_CHARS).trim()}...`;
+}
+
+// Every mention in the loaded stores, optionally within one tenant (stores without tenants count as "")
+// and only the items `match(item)` accepts (a scopeMatcher, for the agent tool).
+export async function previewPurge(rawSubject, { tenant = null, match = null } = {}) {
+  const subject = parseSubject(rawSubject);
+  const matches = [];
+  for (const target of targets().values()) {
+    for (const item of await target.find(subject)) {
+      if (tenant !== null && (item.tenant || "") !== tenant) continue;
+      if (match && !match(item)) continue;
+      matches.push({
+        target: target.name,
+        layer: target.layer,
+        ref: item.ref ?? formatRef(target.layer, item.id),
+        id: item.id,
+        tenant: item.tenant || "",
+        agentId: item.agentId || "",
+        excerpt: excerpt(item.text, subject)
+      });
+    }
+  }
+  return { subject, matches };
+}
+
+export function purgeAuditPath() {
+  return join(dirname(resolveMetaPath()), AUDIT_FILE);
+}
+
+// Preview, or with `confirm` delete/redact every match and append an audit record (which stores no
+// subject or text: its kind and fingerprint, and the refs and ids removed from each store).
+export async function purgeSubject(rawSubject, options = {}) {
+  const { mode = "delete", tenant = null, match = null, confirm = false, by = "cli", logger } = options;
+  if (!PURGE_MODES.includes(mode)) throw new Error(`purge: unknown mode ${mode} (expected ${PURGE_MODES.join(", ")})`);
+  const { subject, matches } = await previewPurge(rawSubject, { tenant, match });
+  const report = { kind: subject.kind, fingerprint: subject.fingerprint, mode, tenant, matches, applied: false };
+  if (!confirm || !matches.length) return report;
+
+  const removed = {};
+  for (const target of targets().values()) {
+    const ids = matches.filter((match) => match.target === target.name).map((match) => match.id);
+    if (ids.length) removed[target.name] = await target.apply(ids, mode, subject);
+  }
+  const record = {
+    at: Date.now(),
+    by,
+    mode,
+    tenant,
+    subject: { kind: subject.kind, fingerprint: subject.fingerprint },
+    removed,
+    items: matches.map(({ target, ref, id }) => ({ target, ref, id }))
+  };
+  await updateJson(purgeAuditPath(), (audit) => audit.records.push(record), { ...AUDIT_STORE, logger });
+  return { ...report, applied: true, removed };
+}
+
+export function readPurgeAudit(logger) {
+  return readJson(purgeAuditPath(), { ...AUDIT_STORE, logger }).records;
+}
+
+export function formatPurgeReport(report) {
+  const lines = [];
+  const scope = report.tenant !== null ? ` in tenant "${report.tenant}"` : "";
+  if (!report.matches.length) return `No mentions of this ${report.kind} found${scope}.`;
+  lines.push(`${report.matches.length} mention(s) of this ${report.kind}${scope}:`);
+  for (const match of report.matches) {
+    const where = [match.tenant && `tenant ${match.tenant}`, match.agentId && `agent ${match.agentId}`].filter(Boolean);
+    const label = match.ref ? `[${match.ref}] ` : "";
+    lines.push(`- ${match.target}: ${label}${match.excerpt}${where.length ? ` (${where.join(", ")})` : ""}`);
+  }
+  if (report.applied) {
+    const counts = Object.entries(report.removed).map(([target, count]) => `${target} ${count}`);
+    const done = report.mode === "redact" ? "Redacted" : "Deleted";
+    lines.push(`${done}: ${counts.join(", ")}. Recorded in the purge audit.`);
+  } else {
+    lines.push(`Nothing changed yet: confirm to ${report.mode} these.`);
+  }
+  return lines.join("\n");
+}
+
+function buildPurgeCommand(cmd, logger) {
+  cmd
+    .argument("[subject]", "Name, email, phone or entity key (client::Acme Corp)")
+    .option("--mode <mode>", "delete the rows and items, or redact the mentions in place", "delete")
+    .option("--tenant <tenant>", "Only rows of this tenant")
+    .option("--confirm", "Apply the purge (without it only the preview is printed)")
+    .option("--audit", "Print the purge audit instead")
+    .option("--json", "Print the report as JSON")
+    .action(async (subject, opts) => {
+      try {
+        if (opts.audit) {
+          console.log(JSON.stringify(readPurgeAudit(logger), null, 2));
+          return;
+        }
+        if (!subject) throw new Error("purge: a subject is required (or --audit)");
+        const report = await purgeSubject(subject, {
+          mode: opts.mode,
+          tenant: typeof opts.tenant === "string" ? opts.tenant : null,
+          confirm: opts.confirm === true,
+          logger
+        });
+        console.log(opts.json ? JSON.stringify(report, null, 2) : formatPurgeReport(report));
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,33 @@
+export const REDACTION_DETECTORS: string[];
+
+export type RedactionPattern = {
+  name: string;
+  pattern: string;
+  flags: string;
+  label: string;
+};
+
+export type RedactionConfig = {
+  enabled: boolean;
+  detectors: Record<string, boolean>;
+  labels: Record<string, string>;
+  patterns: RedactionPattern[];
+  allow: string[];
+  allowPatterns: string[];
+  entropyMinLength: number;
+  entropyThreshold: number;
+};
+
+export type Redactor = {
+  enabled: boolean;
+  scan(text: string): { text: string; counts: Record<string, number> };
+  redact(text: string): string;
+};
+
+export function shannonEntropy(value: string): number;
+
+export function normalizeRedactionConfig(raw: unknown): RedactionConfig;
+
+export function recordRedactions(layer: string, counts: Record<string, number>, logger?: unknown): Promise<void>;
+
+export function createRedactor(config: unknown, opts?: { layer?: string; logger?: unknown }): Redactor;
@@ -0,0 +1,220 @@
+import { updateJson } from "./json-store.js";
+import { resolveMetaPath } from "./meta-routing.js";
+
+const FLUSH_DELAY_MS = 1000;
+
+const DEFAULTS = {
+  enabled: true,
+  entropyMinLength: 24,
+  entropyThreshold: 4.2
+};
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function ibanValid(value) {
+  const compact = value.replace(/\s+/g, "").toUpperCase();
+  if (compact.length < 15 || compact.length > 34) return false;
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+export function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Applied in this order, so specific detectors run before the generic ones. A detector with
+// `secretGroup` only replaces group 2 of a (prefix)(secret)(suffix?) pattern and keeps the rest.
+const BUILTIN_DETECTORS = [
+  {
+    id: "private-key",
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  { id: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}/g },
+  {
+    id: "connection-string",
+    pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)([^\s@/]+)(@)/gi,
+    secretGroup: true
+  },
+  { id: "aws-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: "github-token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+  {
+    id: "slack-token",
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}|https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/]+/g
+  },
+  { id: "openai-key", pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+  {
+    id: "secret-assignment",
+    pattern:
+      /(\b(?:api[_-]?key|access[_-]?key|secret(?:[_-]?key)?|client[_-]?secret|token|password|passwd|pwd|authorization)\s*[:=]\s*)((?:bearer\s+)?(?:"[^"]*"|'[^']*'|[^\s,;"']+))()/gi,
+    secretGroup: true
+  },
+  { id: "bearer", pattern: /(\bbearer\s+)([A-Za-z0-9._~+/=-]{8,})()/gi, secretGroup: true },
+  { id: "email", pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  {
+    id: "iban",
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g,
+    valid: ibanValid
+  },
+  {
+    id: "credit-card",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    valid: (value) => luhnValid(value.replace(/\D/g, ""))
+  },
+  {
+    id: "phone",
+    // Not a fragment of a longer digit group (e.g. a card number that failed the Luhn check).
+    pattern: /(?<![\w+(]|\d[\s.-])(?:\+?\d{1,3}[\s.-]?)?\(?\d{2,4}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b(?![\s.-]?\d)/g,
+    valid: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      // Bare digit runs are ids or timestamps; dotted quads are IP addresses.
+      if (!/[+\s().-]/.test(value) || /^\d{1,3}(?:\.\d{1,3}){3}$/.test(value)) return false;
+      return digits >= 9 && digits <= 15;
+    }
+  },
+  {
+    id: "entropy",
+    pattern: /[A-Za-z0-9+/_=-]{16,}/g,
+    valid: (value, cfg) =>
+      value.length >= cfg.entropyMinLength &&
+      /\d/.test(value) &&
+      /[A-Za-z]/.test(value) &&
+      shannonEntropy(value) >= cfg.entropyThreshold
+  }
+];
+
+export const REDACTION_DETECTORS = BUILTIN_DETECTORS.map((detector) => detector.id);
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function compilePattern(source, flags, logger) {
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    logger?.warn?.(`redaction: ignoring invalid pattern /${source}/: ${String(err)}`);
+    return null;
+  }
+}
+
+// raw: { enabled, detectors: { <id>: false }, labels: { <id>: "..." }, patterns: [{ name, pattern, flags?, label? }],
+//        allow: ["exact text"], allowPatterns: ["regex"], entropyMinLength, entropyThreshold }
+export function normalizeRedactionConfig(raw) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  const detectors = cfg.detectors && typeof cfg.detectors === "object" ? cfg.detectors : {};
+  const labels = cfg.labels && typeof cfg.labels === "object" ? cfg.labels : {};
+  const strings = (value) => (Array.isArray(value) ? value.filter((item) => typeof item === "string" && item) : []);
+  return {
+    enabled: cfg.enabled !== false,
+    detectors: Object.fromEntries(REDACTION_DETECTORS.map((id) => [id, detectors[id] !== false])),
+    labels: Object.fromEntries(Object.entries(labels).filter(([, label]) => typeof label === "string")),
+    patterns: (Array.isArray(cfg.patterns) ? cfg.patterns : [])
+      .filter((item) => item && typeof item.pattern === "string" && item.pattern)
+      .map((item) => ({
+        name: typeof item.name === "string" && item.name ? item.name : "custom",
+        pattern: item.pattern,
+        flags: typeof item.flags === "string" ? item.flags : "",
+        label: typeof item.label === "string" ? item.label : ""
+      })),
+    allow: strings(cfg.allow),
+    allowPatterns: strings(cfg.allowPatterns),
+    entropyMinLength: Math.max(8, Math.floor(toNumber(cfg.entropyMinLength, DEFAULTS.entropyMinLength))),
+    entropyThreshold: Math.max(0, toNumber(cfg.entropyThreshold, DEFAULTS.entropyThreshold))
+  };
+}
+
+// Best effort: the returned promise never rejects. `logger` gets the warnings of an unreadable meta.json.
+export function recordRedactions(layer, counts, logger) {
+  const entries = Object.entries(counts).filter(([, count]) => count > 0);
+  if (!layer || !entries.length) return Promise.resolve();
+  return updateJson(resolveMetaPath(), (meta) => {
+    const stats = meta.redaction || (meta.redaction = { total: 0, by_detector: {}, by_layer: {} });
+    for (const [id, count] of entries) {
+      stats.total = (stats.total || 0) + count;
+      stats.by_detector[id] = (stats.by_detector[id] || 0) + count;
+      stats.by_layer[layer] = (stats.by_layer[layer] || 0) + count;
+    }
+    stats.last_redacted_at = Date.now();
+  }, { logger }).catch(() => {});
+}
+
+// redact(text) returns the cleaned text; scan(text) also returns { counts } per detector.
+// Counts are batched into meta.json under `redaction` for the given layer.
+export function createRedactor(config, { layer, logger } = {}) {
+  const cfg = normalizeRedactionConfig(config);
+  const custom = cfg.patterns
+    .map((item) => {
+      const flags = item.flags.includes("g") ? item.flags : `${item.flags}g`;
+      const pattern = compilePattern(item.pattern, flags, logger);
+      return pattern ? { id: item.name, pattern, label: item.label } : null;
+    })
+    .filter(Boolean);
+  const detectors = [...custom, ...BUILTIN_DETECTORS.filter((detector) => cfg.detectors[detector.id])];
+  const allow = new Set(cfg.allow.map((item) => item.toLowerCase()));
+  const allowPatterns = cfg.allowPatterns.map((source) => compilePattern(source, "i", logger)).filter(Boolean);
+  const pending = {};
+  let flushTimer = null;
+
+  const allowed = (value) => allow.has(value.toLowerCase()) || allowPatterns.some((pattern) => pattern.test(value));
+  const labelFor = (detector) => detector.label || cfg.labels[detector.id] || `[redacted:${detector.id}]`;
+
+  const flush = () => {
+    flushTimer = null;
+    const counts = { ...pending };
+    for (const id of Object.keys(pending)) delete pending[id];
+    recordRedactions(layer, counts, logger);
+  };
+
+  function scan(text) {
+    const counts = {};
+    if (!cfg.enabled || !text) return { text: text || "", counts };
+    let out = String(text);
+    for (const detector of detectors) {
+      out = out.replace(detector.pattern, (match, ...groups) => {
+        const secret = detector.secretGroup ? groups[1] : match;
+        if (!secret || allowed(secret) || allowed(match)) return match;
+        if (detector.valid && !detector.valid(secret, cfg)) return match;
+        counts[detector.id] = (counts[detector.id] || 0) + 1;
+        return detector.secretGroup ? `${groups[0]}${labelFor(detector)}${groups[2] || ""}` : labelFor(detector);
+      });
+    }
+    if (layer && Object.keys(counts).length) {
+      for (const [id, count] of Object.entries(counts)) pending[id] = (pending[id] || 0) + count;
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+        flushTimer.unref?.();
+      }
+    }
+    return { text: out, counts };
+  }
+
+  return {
+    enabled: cfg.enabled,
+    scan,
+    redact: (text) => scan(text).text
+  };
+}
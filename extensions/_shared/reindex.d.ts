@@ -0,0 +1,13 @@
+import type { Embeddings } from "./embeddings.js";
+
+type ReindexOptions = {
+  lancedb: unknown;
+  dbPath: string;
+  embeddings: Embeddings;
+  tables: string[];
+  logger?: unknown;
+};
+
+export function recoverInterruptedSwap(dbPath: string, tableName: string, logger?: unknown): boolean;
+
+export function addReindexCommand(parent: unknown, opts: ReindexOptions): void;
@@ -0,0 +1,191 @@
+import fs from "node:fs";
+import { join } from "node:path";
+import { openRow } from "./encryption.js";
+import { embeddingInfo, loadSchemaRecord, recordTable, vectorDimensions } from "./vector-table.js";
+
+const STAGING_SUFFIX = "__reindex";
+const BACKUP_SUFFIX = "__backup";
+const DISCARDED_SUFFIX = "__discarded";
+const PAGE_SIZE = 256;
+
+function tableDir(dbPath, tableName) {
+  return join(dbPath, `${tableName}.lance`);
+}
+
+export function plainRow(row) {
+  const data = { ...row };
+  delete data._rowid;
+  delete data._distance;
+  return data;
+}
+
+function placeholderRow(arrowSchema, dimensions) {
+  const row = {};
+  for (const field of arrowSchema.fields) {
+    if (field.name === "vector") {
+      row.vector = new Array(dimensions).fill(0);
+    } else {
+      row[field.name] = /utf8/i.test(String(field.type)) ? "" : 0;
+    }
+  }
+  row.id = "__schema__";
+  return row;
+}
+
+function describe(info) {
+  if (!info) return "unknown";
+  const model = info.model ? `${info.provider || "?"}/${info.model}` : "unknown model";
+  return info.dimensions ? `${model} (${info.dimensions})` : model;
+}
+
+export function backupTableName(tableName) {
+  return tableName + BACKUP_SUFFIX;
+}
+
+export function reindexStatus(dbPath, tableName, logger) {
+  return loadSchemaRecord(dbPath, logger).tables[tableName]?.reindex || null;
+}
+
+// A swap is two directory renames; finish or undo one that was interrupted between them.
+export function recoverInterruptedSwap(dbPath, tableName, logger) {
+  const reindex = reindexStatus(dbPath, tableName, logger);
+  if (!reindex || reindex.state !== "swapping") return false;
+  const live = tableDir(dbPath, tableName);
+  const staging = tableDir(dbPath, tableName + STAGING_SUFFIX);
+  const backup = tableDir(dbPath, backupTableName(tableName));
+  if (!fs.existsSync(live) && fs.existsSync(staging)) {
+    fs.renameSync(staging, live);
+  }
+  if (fs.existsSync(live) && fs.existsSync(backup) && !fs.existsSync(staging)) {
+    recordTable(dbPath, tableName, { embedding: reindex.current, reindex: { ...reindex, state: "pending" } }, logger);
+  } else {
+    recordTable(dbPath, tableName, { reindex: null }, logger);
+  }
+  return true;
+}
+
+export async function reindexTable({ lancedb, dbPath, tableName, embeddings, logger, dryRun = false }) {
+  recoverInterruptedSwap(dbPath, tableName, logger);
+  const pending = reindexStatus(dbPath, tableName, logger);
+  if (pending && pending.state === "pending") {
+    throw new Error(`${tableName}: previous reindex is not confirmed yet; run "reindex --confirm" or "reindex --rollback" first`);
+  }
+
+  const db = await lancedb.connect(dbPath);
+  const names = await db.tableNames();
+  if (!names.includes(tableName)) {
+    return { table: tableName, rows: 0, skipped: "table does not exist" };
+  }
+  if (!fs.existsSync(tableDir(dbPath, tableName))) {
+    throw new Error(`${tableName}: reindex needs a local dbPath (${dbPath})`);
+  }
+
+  const source = await db.openTable(tableName);
+  const sourceSchema = await source.schema();
+  const recorded = loadSchemaRecord(dbPath, logger).tables[tableName]?.embedding || {};
+  const previous = { ...recorded, dimensions: vectorDimensions(sourceSchema) };
+  const dimensions = await embeddings.resolveDimensions();
+  const current = embeddingInfo(embeddings, dimensions);
+  const rows = (await source.query().toArray()).map(plainRow);
+  const summary = { table: tableName, rows: rows.length, previous, current };
+  if (dryRun) return summary;
+
+  const stagingName = tableName + STAGING_SUFFIX;
+  if (names.includes(stagingName)) await db.dropTable(stagingName);
+  const staging = await db.createTable(stagingName, [placeholderRow(sourceSchema, dimensions)]);
+  await staging.delete('id = "__schema__"');
+  for (let start = 0; start < rows.length; start += PAGE_SIZE) {
+    const page = rows.slice(start, start + PAGE_SIZE);
+    // Rows keep their stored (possibly encrypted) text; only the embedding input is decrypted.
+    const vectors = await embeddings.embed(page.map((row) => String(openRow(row).text ?? "")));
+    await staging.add(page.map((row, idx) => ({ ...row, vector: vectors[idx] })));
+    logger?.info?.(`${tableName}: re-embedded ${Math.min(start + PAGE_SIZE, rows.length)}/${rows.length}`);
+  }
+  const copied = await staging.countRows();
+  if (copied !== rows.length) {
+    await db.dropTable(stagingName);
+    throw new Error(`${tableName}: reindex copied ${copied} of ${rows.length} rows; original table left untouched`);
+  }
+
+  const backupName = backupTableName(tableName);
+  if (names.includes(backupName)) await db.dropTable(backupName);
+  const reindex = { state: "swapping", backup: backupName, rows: rows.length, previous, current, at: Date.now() };
+  recordTable(dbPath, tableName, { reindex }, logger);
+  fs.renameSync(tableDir(dbPath, tableName), tableDir(dbPath, backupName));
+  fs.renameSync(tableDir(dbPath, stagingName), tableDir(dbPath, tableName));
+  recordTable(dbPath, tableName, { embedding: current, reindex: { ...reindex, state: "pending" } }, logger);
+  return { ...summary, backup: backupName };
+}
+
+export async function confirmReindex({ lancedb, dbPath, tableName, logger }) {
+  const reindex = reindexStatus(dbPath, tableName, logger);
+  if (!reindex || reindex.state !== "pending") return { table: tableName, confirmed: false };
+  const db = await lancedb.connect(dbPath);
+  if ((await db.tableNames()).includes(reindex.backup)) await db.dropTable(reindex.backup);
+  recordTable(dbPath, tableName, { reindex: null }, logger);
+  return { table: tableName, confirmed: true, dropped: reindex.backup };
+}
+
+export async function rollbackReindex({ lancedb, dbPath, tableName, logger }) {
+  const reindex = reindexStatus(dbPath, tableName, logger);
+  if (!reindex || reindex.state !== "pending") return { table: tableName, restored: false };
+  const backup = tableDir(dbPath, reindex.backup);
+  if (!fs.existsSync(backup)) {
+    throw new Error(`${tableName}: backup ${reindex.backup} is missing; cannot roll back`);
+  }
+  const discardedName = tableName + DISCARDED_SUFFIX;
+  const db = await lancedb.connect(dbPath);
+  if ((await db.tableNames()).includes(discardedName)) await db.dropTable(discardedName);
+  fs.renameSync(tableDir(dbPath, tableName), tableDir(dbPath, discardedName));
+  fs.renameSync(backup, tableDir(dbPath, tableName));
+  await db.dropTable(discardedName);
+  recordTable(dbPath, tableName, { embedding: reindex.previous, reindex: null }, logger);
+  return { table: tableName, restored: true };
+}
+
+// Adds `reindex` under a layer's CLI command. Running processes keep their open table
+// handles, so the gateway must be restarted after a swap.
+export function addReindexCommand(parent, { lancedb, dbPath, embeddings, tables, logger }) {
+  parent
+    .command("reindex")
+    .description("Re-embed stored rows with the configured embedding model")
+    .option("--table <name>", `Only this table (${tables.join(", ")})`)
+    .option("--dry-run", "Show what would be re-embedded")
+    .option("--confirm", "Drop the backup kept by the last reindex")
+    .option("--rollback", "Restore the backup kept by the last reindex")
+    .action(async (opts) => {
+      try {
+        const selected = opts.table ? tables.filter((name) => name === opts.table) : tables;
+        if (!selected.length) throw new Error(`Unknown table: ${opts.table}. Expected one of: ${tables.join(", ")}`);
+        for (const tableName of selected) {
+          const target = { lancedb, dbPath, tableName, logger };
+          if (opts.confirm) {
+            const result = await confirmReindex(target);
+            const done = result.confirmed ? `dropped backup ${result.dropped}` : "nothing to confirm";
+            console.log(`${tableName}: ${done}`);
+            continue;
+          }
+          if (opts.rollback) {
+            const result = await rollbackReindex(target);
+            console.log(`${tableName}: ${result.restored ? "restored previous table" : "nothing to roll back"}`);
+            continue;
+          }
+          const result = await reindexTable({ ...target, embeddings, dryRun: opts.dryRun === true });
+          const change = `${describe(result.previous)} -> ${describe(result.current)}`;
+          if (result.skipped) {
+            console.log(`${tableName}: skipped (${result.skipped})`);
+          } else if (opts.dryRun) {
+            console.log(`${tableName}: ${result.rows} rows, ${change}`);
+          } else {
+            console.log(`${tableName}: re-embedded ${result.rows} rows, ${change}; backup kept as ${result.backup}`);
+          }
+        }
+        if (!opts.dryRun && !opts.confirm && !opts.rollback) {
+          console.log("Restart the gateway, check recall, then run `reindex --confirm` (or `reindex --rollback`).");
+        }
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,87 @@
+import fs from "node:fs";
+import { join } from "node:path";
+import { jsonKeyId, loadKeyring, openRow, rowNeedsRekey, sealRow } from "./encryption.js";
+import { updateJson } from "./json-store.js";
+import { resolveMetaPath } from "./meta-routing.js";
+import { plainRow } from "./reindex.js";
+import { encryptedColumns } from "./vector-table.js";
+
+const PAGE_SIZE = 256;
+
+function targetKeyId() {
+  return loadKeyring().current?.id || null;
+}
+
+// The JSON stores of a source: its registered files plus the bookkeeping files in its dbPath
+// (schema.json, references.json...).
+function storePaths(source) {
+  const paths = (source.files || []).map((store) => store.path);
+  if (source.dbPath && fs.existsSync(source.dbPath)) {
+    for (const name of fs.readdirSync(source.dbPath)) {
+      if (name.endsWith(".json")) paths.push(join(source.dbPath, name));
+    }
+  }
+  return paths;
+}
+
+async function rekeyFile(path, { dryRun, logger }) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path, "utf8"));
+  } catch {
+    return null;
+  }
+  const from = jsonKeyId(data);
+  const to = targetKeyId();
+  const item = { file: path, from, to, changed: from !== to };
+  // The mutator changes nothing: updateJson decrypts with whichever key matches and writes with the current one.
+  if (item.changed && !dryRun) await updateJson(path, () => {}, { logger });
+  return item;
+}
+
+async function rekeyTable(source, tableName, { dryRun, logger }) {
+  const db = await source.lancedb.connect(source.dbPath);
+  if (!(await db.tableNames()).includes(tableName)) return null;
+  const table = await db.openTable(tableName);
+  const columns = encryptedColumns(source.dbPath, tableName, logger);
+  const rows = (await table.query().toArray()).map(plainRow);
+  const stale = rows.filter((row) => rowNeedsRekey(row, columns));
+  const item = { table: `${source.id}/${tableName}`, rows: rows.length, changed: stale.length, to: targetKeyId() };
+  if (dryRun || !stale.length) return item;
+  for (let start = 0; start < stale.length; start += PAGE_SIZE) {
+    const page = stale
+      .slice(start, start + PAGE_SIZE)
+      .map((row) => sealRow(openRow({ ...row, vector: Array.from(row.vector || []) }), columns));
+    await table.mergeInsert("id").whenMatchedUpdateAll().execute(page);
+    logger?.info?.(`${tableName}: re-encrypted ${Math.min(start + PAGE_SIZE, stale.length)}/${stale.length}`);
+  }
+  // Older table versions still hold the previous ciphertext (or plaintext); drop them now.
+  await table.optimize({ cleanupOlderThan: new Date() });
+  return item;
+}
+
+// Rewrites every table and JSON store of the given archive sources (and meta.json) with the
+// current key, or as plaintext when no key is set. Values under OPENCLAW_MEMORY_PREVIOUS_KEY are
+// decrypted on the way; anything sealed with an unknown key fails before it is rewritten.
+export async function rekeyStores(sources, { dryRun = false, logger } = {}) {
+  const report = [];
+  const seen = new Set();
+  for (const source of sources) {
+    for (const tableName of source.tables || []) {
+      const item = await rekeyTable(source, tableName, { dryRun, logger });
+      if (item) report.push(item);
+    }
+    for (const path of storePaths(source)) {
+      if (seen.has(path)) continue;
+      seen.add(path);
+      const item = await rekeyFile(path, { dryRun, logger });
+      if (item) report.push(item);
+    }
+  }
+  const metaPath = resolveMetaPath();
+  if (!seen.has(metaPath)) {
+    const item = await rekeyFile(metaPath, { dryRun, logger });
+    if (item) report.push(item);
+  }
+  return report;
+}
@@ -0,0 +1,284 @@
+import { join } from "node:path";
+import { printRows } from "./cli.js";
+import { readJson, updateJson } from "./json-store.js";
+import { registerIntervalService } from "./schedule.js";
+
+const REFERENCES_FILE = "references.json";
+const DAY_MS = 86400000;
+const REPORT_LIMIT = 20;
+
+const DEFAULTS = {
+  enabled: true,
+  intervalMinutes: 360,
+  maxAgeDays: 0,
+  maxRows: 0,
+  minDecayedScore: 0,
+  keepReferenced: true
+};
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// Every rule is off (0) by default, so nothing is pruned until a layer configures one.
+export function normalizeRetentionConfig(raw) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  return {
+    enabled: cfg.enabled !== false,
+    intervalMinutes: Math.max(1, toNumber(cfg.intervalMinutes, DEFAULTS.intervalMinutes)),
+    maxAgeDays: Math.max(0, toNumber(cfg.maxAgeDays, DEFAULTS.maxAgeDays)),
+    maxRows: Math.max(0, Math.floor(toNumber(cfg.maxRows, DEFAULTS.maxRows))),
+    minDecayedScore: Math.max(0, Math.min(1, toNumber(cfg.minDecayedScore, DEFAULTS.minDecayedScore))),
+    keepReferenced: cfg.keepReferenced !== false
+  };
+}
+
+function hasRules(rule) {
+  return rule.maxAgeDays > 0 || rule.maxRows > 0 || rule.minDecayedScore > 0;
+}
+
+function referencesPath(dbPath) {
+  return join(dbPath, REFERENCES_FILE);
+}
+
+function normalizeReferences(data) {
+  if (!data.tables || typeof data.tables !== "object") data.tables = {};
+  return data;
+}
+
+// Rows injected by recall are "referenced" as of that moment; retention keeps them while the
+// last reference is inside the retention window. Best effort, never rejects.
+export async function markReferenced(dbPath, tableName, ids, logger) {
+  const list = ids.filter(Boolean);
+  if (!list.length) return;
+  try {
+    await updateJson(
+      referencesPath(dbPath),
+      (store) => {
+        normalizeReferences(store);
+        const refs = store.tables[tableName] || (store.tables[tableName] = {});
+        const now = Date.now();
+        for (const id of list) refs[id] = now;
+      },
+      { logger }
+    );
+  } catch (err) {
+    logger?.warn?.(`retention: cannot record references for ${tableName}: ${String(err)}`);
+  }
+}
+
+async function forgetReferences(dbPath, tableName, ids, logger) {
+  await updateJson(
+    referencesPath(dbPath),
+    (store) => {
+      normalizeReferences(store);
+      const refs = store.tables[tableName];
+      if (!refs) return false;
+      for (const id of ids) delete refs[id];
+    },
+    { logger }
+  );
+}
+
+// The score multiplier recall applies to a row of this age: a perfect match still ranks at this.
+export function decayFactor(ts, halfLifeDays, now = Date.now()) {
+  const halfLifeMs = halfLifeDays * DAY_MS;
+  if (!(halfLifeMs > 0)) return 1;
+  return Math.exp(-Math.max(0, now - (Number(ts) || now)) / halfLifeMs);
+}
+
+// Scoped rows count towards maxRows of their own tenant and agent; unscoped rows share one partition.
+function partitionOf(partitions, row) {
+  const key = `${row.tenant || ""}\u0000${row.agentId || ""}`;
+  let partition = partitions.get(key);
+  if (!partition) partitions.set(key, (partition = { kept: [], protected: 0 }));
+  return partition;
+}
+
+// rows: [{ id, ts, tenant?, agentId?, referenced }]. Age and score rules prune outright; maxRows then
+// drops the oldest remaining rows of each tenant and agent, so a busy agent cannot push out the rows
+// of a quiet one. Referenced rows are never pruned but still count towards their partition's maxRows.
+export function planRetention(rows, rule, { halfLifeDays, now = Date.now() } = {}) {
+  const prune = [];
+  const partitions = new Map();
+  let protectedCount = 0;
+  for (const row of rows) {
+    const partition = partitionOf(partitions, row);
+    if (rule.keepReferenced && row.referenced) {
+      protectedCount += 1;
+      partition.protected += 1;
+      continue;
+    }
+    const ageDays = (now - (Number(row.ts) || now)) / DAY_MS;
+    if (rule.maxAgeDays > 0 && ageDays > rule.maxAgeDays) {
+      prune.push({ ...row, reason: "maxAgeDays" });
+    } else if (rule.minDecayedScore > 0 && decayFactor(row.ts, halfLifeDays, now) < rule.minDecayedScore) {
+      prune.push({ ...row, reason: "minDecayedScore" });
+    } else {
+      partition.kept.push(row);
+    }
+  }
+  if (rule.maxRows > 0) {
+    for (const { kept, protected: protectedRows } of partitions.values()) {
+      const excess = kept.length + protectedRows - rule.maxRows;
+      if (excess <= 0) continue;
+      kept.sort((a, b) => (Number(a.ts) || 0) - (Number(b.ts) || 0));
+      for (const row of kept.slice(0, excess)) prune.push({ ...row, reason: "maxRows" });
+    }
+  }
+  return { rows: rows.length, protected: protectedCount, prune };
+}
+
+// Rows superseded by a pruned row: id -> its nearest surviving successor, or "" when the whole chain
+// after it was pruned and it is current again. History and recall never follow a missing id.
+function planRelinks(entries, prunedIds) {
+  const pruned = new Set(prunedIds);
+  const successorOf = new Map(entries.map((entry) => [entry.id, entry.supersededBy || ""]));
+  const relinks = new Map();
+  for (const entry of entries) {
+    if (pruned.has(entry.id) || !pruned.has(entry.supersededBy)) continue;
+    const seen = new Set();
+    let successor = entry.supersededBy;
+    while (pruned.has(successor) && !seen.has(successor)) {
+      seen.add(successor);
+      successor = successorOf.get(successor);
+    }
+    relinks.set(entry.id, pruned.has(successor) ? "" : successor);
+  }
+  return relinks;
+}
+
+async function applyRelinks(table, relinks) {
+  const bySuccessor = new Map();
+  for (const [id, successor] of relinks) {
+    const ids = bySuccessor.get(successor) || [];
+    ids.push(id);
+    bySuccessor.set(successor, ids);
+  }
+  for (const [successor, ids] of bySuccessor) {
+    await table.updateIds(ids, successor ? { supersededBy: successor } : { supersededBy: "", supersededAt: 0 });
+  }
+}
+
+// target: { table: VectorTable, rule, timeKey?, halfLifeDays, isReferenced?(entry, entries) }
+export async function applyRetention(target, { dryRun = false, logger } = {}) {
+  const { table, rule, timeKey = "createdAt", halfLifeDays } = target;
+  const tableName = table.tableName;
+  const now = Date.now();
+  const entries = await table.list();
+  const store = readJson(referencesPath(table.dbPath), { normalize: normalizeReferences, logger });
+  const refs = store.tables[tableName] || {};
+  const windowMs = rule.maxAgeDays > 0 ? rule.maxAgeDays * DAY_MS : Infinity;
+  const recalled = (id) => refs[id] !== undefined && now - refs[id] <= windowMs;
+  const rows = entries.map((entry) => ({
+    id: entry.id,
+    ts: entry[timeKey] || entry.createdAt,
+    text: entry.text,
+    tenant: entry.tenant,
+    agentId: entry.agentId,
+    referenced: recalled(entry.id) || Boolean(target.isReferenced?.(entry, entries))
+  }));
+  const plan = planRetention(rows, rule, { halfLifeDays, now });
+  const ids = plan.prune.map((row) => row.id);
+  const relinks = planRelinks(entries, ids);
+  const report = {
+    table: tableName,
+    rows: plan.rows,
+    protected: plan.protected,
+    pruned: plan.prune,
+    relinked: relinks.size,
+    dryRun
+  };
+  if (dryRun || !ids.length) return report;
+
+  await table.deleteIds(ids);
+  await applyRelinks(table, relinks);
+  await forgetReferences(table.dbPath, tableName, ids, logger);
+  try {
+    await table.optimize();
+  } catch (err) {
+    logger?.warn?.(`retention: ${tableName} compaction failed: ${String(err)}`);
+  }
+  logger?.info?.(`retention: pruned ${ids.length}/${plan.rows} rows from ${tableName}`);
+  return report;
+}
+
+// Applies each target's rule every rule.intervalMinutes; targets without rules are not scheduled.
+export function registerRetention(api, { id, targets }) {
+  const jobs = targets
+    .filter((target) => target.rule.enabled && hasRules(target.rule))
+    .map((target) => ({
+      name: `retention ${target.table.tableName}`,
+      intervalMinutes: target.rule.intervalMinutes,
+      run: () => applyRetention(target, { logger: api.logger })
+    }));
+  registerIntervalService(api, { id: `${id}-retention`, jobs });
+}
+
+const SUMMARY_COLUMNS = [
+  { key: "table" },
+  { key: "rows" },
+  { key: "protected" },
+  { key: "pruned" },
+  { key: "relinked" },
+  { key: "reasons" }
+];
+
+const PRUNED_COLUMNS = [
+  { key: "ts", label: "when", time: true },
+  { key: "reason" },
+  { key: "agentId", label: "agent" },
+  { key: "id", width: 36 },
+  { key: "text" }
+];
+
+function countReasons(pruned) {
+  const counts = {};
+  for (const row of pruned) counts[row.reason] = (counts[row.reason] || 0) + 1;
+  return Object.entries(counts).map(([reason, count]) => `${reason}=${count}`);
+}
+
+// Adds `retention` under a layer's CLI group: applies the configured rules now, or reports
+// what they would prune with --dry-run.
+export function addRetentionCommand(parent, { targets, logger }) {
+  parent
+    .command("retention")
+    .description("Apply the retention rules now (prune old or excess rows)")
+    .option("--dry-run", "Only report what would be pruned")
+    .option("--limit <n>", "Pruned rows listed per table in the report", String(REPORT_LIMIT))
+    .option("--json", "Print the full report as JSON")
+    .action(async (opts) => {
+      try {
+        const reports = [];
+        for (const target of targets) {
+          if (!hasRules(target.rule)) {
+            const rows = await target.table.count();
+            reports.push({ table: target.table.tableName, rows, protected: 0, pruned: [], relinked: 0 });
+            continue;
+          }
+          reports.push(await applyRetention(target, { dryRun: opts.dryRun === true, logger }));
+        }
+        if (opts.json) {
+          console.log(JSON.stringify(reports, null, 2));
+          return;
+        }
+        printRows(
+          reports.map((report) => ({ ...report, pruned: report.pruned.length, reasons: countReasons(report.pruned) })),
+          SUMMARY_COLUMNS
+        );
+        const limit = Math.max(0, Math.floor(toNumber(opts.limit, REPORT_LIMIT)));
+        for (const report of reports) {
+          if (!opts.dryRun || !report.pruned.length || !limit) continue;
+          console.log(`\n${report.table}: would prune ${report.pruned.length}`);
+          printRows(report.pruned.slice(0, limit), PRUNED_COLUMNS);
+        }
+        if (targets.every((target) => !hasRules(target.rule))) {
+          console.log("No retention rules configured (retention.maxAgeDays / maxRows / minDecayedScore).");
+        }
+      } catch (err) {
+        console.error(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      }
+    });
+}
@@ -0,0 +1,44 @@
+const FIRST_RUN_DELAY_MS = 60000;
+
+// A service for api.registerService that runs each job every job.intervalMinutes, the first time
+// shortly after start. A job never overlaps itself and its errors are logged, not thrown.
+export function createIntervalService({ id, jobs, logger }) {
+  const timers = [];
+
+  const wrap = (job) => {
+    let running = false;
+    return async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (err) {
+        logger?.warn?.(`${id}: ${job.name} failed: ${String(err)}`);
+      } finally {
+        running = false;
+      }
+    };
+  };
+
+  return {
+    id,
+    start: () => {
+      for (const job of jobs) {
+        const run = wrap(job);
+        const first = setTimeout(run, FIRST_RUN_DELAY_MS);
+        const every = setInterval(run, job.intervalMinutes * 60000);
+        first.unref?.();
+        every.unref?.();
+        timers.push(first, every);
+      }
+    },
+    stop: () => {
+      for (const timer of timers.splice(0)) clearTimeout(timer);
+    }
+  };
+}
+
+export function registerIntervalService(api, { id, jobs }) {
+  if (typeof api.registerService !== "function" || !jobs.length) return;
+  api.registerService(createIntervalService({ id, jobs, logger: api.logger }));
+}
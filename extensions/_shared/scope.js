@@ -0,0 +1,130 @@
+import { openRow } from "./encryption.js";
+import { idFilter, parseMeta } from "./vector-table.js";
+
+export const SCOPE_LEVELS = ["global", "tenant", "agent", "session"];
+
+// Real (plaintext) columns so recall can prefilter on them; rows written before scoping have them empty.
+export const SCOPE_COLUMNS = { tenant: "", agentId: "", sessionKey: "" };
+
+const DEFAULTS = {
+  recall: "agent",
+  tenantKey: "tenantId",
+  includeUnscoped: true
+};
+
+const BACKFILL_BATCH = 200;
+
+function strings(value) {
+  if (!Array.isArray(value)) return [];
+  return value.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim());
+}
+
+// raw: { recall, tenantKey, sharedAgents: ["agentId"], shareWith: { <agentId|*>: ["agentId"|"*"] }, includeUnscoped }
+// `defaults` lets a layer pick another default recall scope (the blackboard is shared per tenant).
+export function normalizeScopeConfig(raw, defaults = {}) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  const base = { ...DEFAULTS, ...defaults };
+  const shareWith = cfg.shareWith && typeof cfg.shareWith === "object" ? cfg.shareWith : {};
+  return {
+    recall: SCOPE_LEVELS.includes(cfg.recall) ? cfg.recall : base.recall,
+    tenantKey: typeof cfg.tenantKey === "string" && cfg.tenantKey.trim() ? cfg.tenantKey.trim() : base.tenantKey,
+    includeUnscoped: typeof cfg.includeUnscoped === "boolean" ? cfg.includeUnscoped : base.includeUnscoped,
+    sharedAgents: strings(cfg.sharedAgents),
+    shareWith: Object.fromEntries(
+      Object.entries(shareWith)
+        .map(([agentId, grants]) => [agentId, strings(grants)])
+        .filter(([, grants]) => grants.length)
+    )
+  };
+}
+
+function readPath(source, path) {
+  return path.split(".").reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), source);
+}
+
+// The namespace a hook runs in. The tenant comes from ctx[tenantKey] (dotted paths allowed) and is
+// empty when the gateway does not set it.
+export function resolveScope(ctx, cfg) {
+  const tenant = readPath(ctx, cfg.tenantKey);
+  return {
+    tenant: tenant === undefined || tenant === null ? "" : String(tenant),
+    agentId: ctx?.agentId || "main",
+    sessionKey: ctx?.sessionKey || ""
+  };
+}
+
+// Other agents whose memories this agent may read: sharedAgents, plus shareWith[agentId] and shareWith["*"].
+function shareGrants(scope, cfg) {
+  const grants = [...cfg.sharedAgents, ...(cfg.shareWith[scope.agentId] || []), ...(cfg.shareWith["*"] || [])];
+  return [...new Set(grants)].filter((agentId) => agentId !== scope.agentId);
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// SQL prefilter for VectorTable.search, or null when every row is visible. The tenant always has to
+// match (except for "global"); within it an agent sees its own rows (only the current session's at
+// "session"), unscoped legacy rows when includeUnscoped, and the rows of the agents shared with it.
+export function scopeFilter(scope, cfg) {
+  if (cfg.recall === "global") return null;
+  const tenant = `tenant = ${quote(scope.tenant)}`;
+  if (cfg.recall === "tenant") return tenant;
+  // Backticks keep the camelCase column names from being lowercased by the SQL parser.
+  const clauses = [
+    cfg.recall === "session"
+      ? `(\`agentId\` = ${quote(scope.agentId)} AND \`sessionKey\` = ${quote(scope.sessionKey)})`
+      : `\`agentId\` = ${quote(scope.agentId)}`
+  ];
+  if (cfg.includeUnscoped) clauses.push("`agentId` = ''");
+  const grants = shareGrants(scope, cfg);
+  if (grants.includes("*")) clauses.push(`\`agentId\` <> ${quote(scope.agentId)}`);
+  else if (grants.length) clauses.push(`\`agentId\` IN (${grants.map(quote).join(", ")})`);
+  return `${tenant} AND (${clauses.join(" OR ")})`;
+}
+
+// Rows written in exactly this tenant and agent: the ones a capture there may replace (supersession.js).
+export function ownerFilter(scope) {
+  return `tenant = ${quote(scope.tenant)} AND \`agentId\` = ${quote(scope.agentId)}`;
+}
+
+// The same rule as scopeFilter for rows kept outside LanceDB (JSON stores).
+export function scopeMatcher(scope, cfg) {
+  if (cfg.recall === "global") return () => true;
+  const grants = shareGrants(scope, cfg);
+  return (row) => {
+    if ((row?.tenant || "") !== scope.tenant) return false;
+    if (cfg.recall === "tenant") return true;
+    const agentId = row.agentId || "";
+    if (agentId === scope.agentId) return cfg.recall === "agent" || (row.sessionKey || "") === scope.sessionKey;
+    if (!agentId) return cfg.includeUnscoped;
+    return grants.includes("*") || grants.includes(agentId);
+  };
+}
+
+// Schema migration adding the scope columns; rows that recorded agentId/sessionKey in their meta get
+// them copied over, the rest stay unscoped.
+export function scopeMigration(version) {
+  return {
+    version,
+    description: "tenant/agentId/sessionKey scope columns",
+    up: async (table) => {
+      const rows = await table.query().select(["id", "meta"]).toArray();
+      const groups = new Map();
+      for (const row of rows) {
+        const meta = parseMeta(openRow({ meta: row.meta }));
+        const agentId = typeof meta.agentId === "string" ? meta.agentId : "";
+        const sessionKey = typeof meta.sessionKey === "string" ? meta.sessionKey : "";
+        if (!agentId && !sessionKey) continue;
+        const key = JSON.stringify([agentId, sessionKey]);
+        if (!groups.has(key)) groups.set(key, { values: { agentId, sessionKey }, ids: [] });
+        groups.get(key).ids.push(row.id);
+      }
+      for (const { values, ids } of groups.values()) {
+        for (let i = 0; i < ids.length; i += BACKFILL_BATCH) {
+          await table.update({ where: idFilter(ids.slice(i, i + BACKFILL_BATCH)), values });
+        }
+      }
+    }
+  };
+}
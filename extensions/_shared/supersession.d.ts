@@ -0,0 +1,59 @@
+export const SUPERSESSION_COLUMNS: { supersededBy: string; supersededAt: number };
+
+export const CURRENT_ROWS: string;
+
+export type SupersessionConfig = {
+  enabled: boolean;
+  minSimilarity: number;
+  candidates: number;
+  history: boolean;
+  historyLimit: number;
+};
+
+export type SupersessionRow = {
+  id: string;
+  text: string;
+  supersededBy?: string;
+  supersededAt?: number;
+};
+
+export type SupersessionReason = "duplicate" | "update" | "contradiction";
+
+export function normalizeSupersessionConfig(raw: unknown): SupersessionConfig;
+
+export function hasUpdateCue(text: string): boolean;
+
+export function contradicts(a: string, b: string): boolean;
+
+export function supersessionReason<T extends SupersessionRow>(
+  newer: T,
+  older: T,
+  score: number,
+  opts: {
+    config: SupersessionConfig;
+    keyOf?: ((entry: T) => string) | null;
+    related?: ((newer: T, older: T) => boolean) | null;
+    valueText?: ((entry: T) => string) | null;
+  },
+): SupersessionReason | null;
+
+export function supersedeOlder(
+  table: unknown,
+  stored: SupersessionRow[],
+  opts: {
+    config: SupersessionConfig;
+    scope: { tenant: string; agentId: string };
+    keyOf?: (entry: SupersessionRow) => string;
+    related?: (newer: SupersessionRow, older: SupersessionRow) => boolean;
+    valueText?: (entry: SupersessionRow) => string;
+  },
+): Promise<Array<{ id: string; by: string; reason: SupersessionReason }>>;
+
+export function currentFilter(filter: string | null, config: SupersessionConfig): string | null;
+
+export function historyLines(
+  table: { findWhere(filter: string): Promise<SupersessionRow[]> },
+  layer: string,
+  ids: string[],
+  config: SupersessionConfig,
+): Promise<Map<string, string>>;
@@ -0,0 +1,190 @@
+import { formatRef } from "./provenance.js";
+import { ownerFilter } from "./scope.js";
+import { idFilter } from "./vector-table.js";
+
+// Real columns so recall can prefilter current rows; rows written before supersession stay current.
+export const SUPERSESSION_COLUMNS = { supersededBy: "", supersededAt: 0 };
+
+// Backticks keep the camelCase column name from being lowercased by the SQL parser.
+export const CURRENT_ROWS = "`supersededBy` = ''";
+
+const DEFAULTS = {
+  enabled: true,
+  minSimilarity: 0.7,
+  candidates: 5,
+  history: false,
+  historyLimit: 2
+};
+
+const HISTORY_EXCERPT_CHARS = 120;
+const HISTORY_BATCH = 50;
+
+// Wording that reports a change over something said before ("migrated to", "ya no usa", ...).
+const UPDATE_CUES = [
+  /\b(migrated|migrating|switched|moved|replaced|replacing|renamed|deprecated|upgraded|downgraded)\b/i,
+  /\b(now uses?|no longer|instead of|changed to|from now on|anymore)\b/i,
+  /\b(ahora usa(mos|n)?|ya no|migr(o|amos|aron)|cambi(o|amos|aron)|reemplaz\w*|sustitu\w*|en lugar de|en vez de)\b/i
+];
+// "no" only negates the word right after it: "no usa redis", not "no, ..." or a trailing "no".
+const NEGATION = /\b(not|never|don't|doesn't|isn't|aren't|won't|nunca|jamas)\b|n't\b|\bno\s+(?=\p{L})/iu;
+// Left out when comparing what two rows state: negations, auxiliaries and articles.
+const FILLER = new Set([
+  "not", "never", "nunca", "jamas", "don", "doesn", "didn", "isn", "aren", "won", "does", "did", "the", "los", "las"
+]);
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+// raw: { enabled, minSimilarity, candidates, history, historyLimit }
+export function normalizeSupersessionConfig(raw) {
+  const cfg = raw && typeof raw === "object" ? raw : {};
+  return {
+    enabled: cfg.enabled !== false,
+    minSimilarity: Math.max(0, Math.min(1, toNumber(cfg.minSimilarity, DEFAULTS.minSimilarity))),
+    candidates: Math.max(1, Math.floor(toNumber(cfg.candidates, DEFAULTS.candidates))),
+    history: cfg.history === true,
+    historyLimit: Math.max(1, Math.floor(toNumber(cfg.historyLimit, DEFAULTS.historyLimit)))
+  };
+}
+
+// Underscores count as spaces so relation names such as "migrated_to" carry their cue.
+function cueSource(text) {
+  return String(text || "").replace(/_/g, " ");
+}
+
+export function hasUpdateCue(text) {
+  return UPDATE_CUES.some((pattern) => pattern.test(cueSource(text)));
+}
+
+// One side negates what the other states ("uses redis" / "does not use redis").
+export function contradicts(a, b) {
+  return NEGATION.test(cueSource(a)) !== NEGATION.test(cueSource(b));
+}
+
+// The words a value is made of, without negations or fillers and with a plural "s" dropped.
+function valueWords(text) {
+  const words = String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  const kept = words.filter((word) => word.length > 2 && !FILLER.has(word));
+  return new Set(kept.map((word) => (word.length > 3 ? word.replace(/s$/, "") : word)));
+}
+
+function sameValue(a, b) {
+  const left = valueWords(a);
+  const right = valueWords(b);
+  return left.size === right.size && [...left].every((word) => right.has(word));
+}
+
+// Rows about the same thing, by default: they have a word in common.
+function shareWords(newer, older) {
+  const words = valueWords(newer.text);
+  return [...valueWords(older.text)].some((word) => words.has(word));
+}
+
+// The older value says something the newer one no longer mentions.
+function replacesValue(newer, older) {
+  const current = valueWords(newer);
+  return [...valueWords(older)].some((word) => !current.has(word));
+}
+
+function joinFilters(...filters) {
+  const parts = filters.filter(Boolean);
+  return parts.length ? parts.map((part) => `(${part})`).join(" AND ") : null;
+}
+
+// Why `newer` replaces `older` (a close neighbour scoring `score`), or null when both stand:
+// - "duplicate" / "update": same key (keyOf), with the same or a different text;
+// - "contradiction": related rows (related, default sharing a word) at minSimilarity or more where the newer text
+//   negates the same value (valueText, default the text) or reports a change to a different one.
+export function supersessionReason(newer, older, score, { config, keyOf = null, related = null, valueText = null }) {
+  if (keyOf) {
+    const key = keyOf(newer);
+    if (key && key === keyOf(older)) return newer.text === older.text ? "duplicate" : "update";
+  }
+  if (score < config.minSimilarity) return null;
+  if (!(related || shareWords)(newer, older)) return null;
+  if (newer.text === older.text) return "duplicate";
+  const value = valueText || ((entry) => entry.text);
+  if (contradicts(newer.text, older.text) && sameValue(value(newer), value(older))) return "contradiction";
+  return hasUpdateCue(newer.text) && replacesValue(value(newer), value(older)) ? "contradiction" : null;
+}
+
+// After a capture: marks the current rows of `table` that the freshly stored entries replace. Only rows
+// written in the same tenant and agent (`scope`) are candidates. Returns [{ id, by, reason }].
+export async function supersedeOlder(table, stored, { config, scope, keyOf, related, valueText }) {
+  if (!config.enabled || !stored.length) return [];
+  const fresh = stored.map((entry) => entry.id);
+  const candidates = joinFilters(ownerFilter(scope), CURRENT_ROWS, `NOT (${idFilter(fresh)})`);
+  const marked = new Map();
+  for (const entry of stored) {
+    const neighbours = await table.search(entry.vector, config.candidates, 0, { filter: candidates });
+    for (const { entry: older, score } of neighbours) {
+      if (marked.has(older.id)) continue;
+      const reason = supersessionReason(entry, older, score, { config, keyOf, related, valueText });
+      if (reason) marked.set(older.id, { id: older.id, by: entry.id, reason });
+    }
+  }
+  const now = Date.now();
+  const byNewer = new Map();
+  for (const { id, by } of marked.values()) {
+    if (!byNewer.has(by)) byNewer.set(by, []);
+    byNewer.get(by).push(id);
+  }
+  for (const [by, ids] of byNewer) await table.updateIds(ids, { supersededBy: by, supersededAt: now });
+  return [...marked.values()];
+}
+
+// Recall filter: only current rows, unless supersession is turned off (then every row shows again).
+export function currentFilter(filter, config) {
+  return config.enabled ? joinFilters(filter, CURRENT_ROWS) : filter;
+}
+
+// The versions the given rows replaced, following supersededBy back `limit` steps: id -> older rows,
+// newest first. findWhere(filter) returns rows matching a SQL filter (VectorTable.findWhere).
+async function loadHistory(findWhere, ids, limit) {
+  const history = new Map();
+  let frontier = ids.map((id) => ({ id, root: id }));
+  for (let step = 0; step < limit && frontier.length; step += 1) {
+    const rootOf = new Map(frontier.map(({ id, root }) => [id, root]));
+    const next = [];
+    for (let i = 0; i < frontier.length; i += HISTORY_BATCH) {
+      const batch = frontier.slice(i, i + HISTORY_BATCH).map(({ id }) => `'${String(id).replace(/'/g, "''")}'`);
+      for (const row of await findWhere(`\`supersededBy\` IN (${batch.join(", ")})`)) {
+        const root = rootOf.get(row.supersededBy);
+        if (!history.has(root)) history.set(root, []);
+        history.get(root).push(row);
+        next.push({ id: row.id, root });
+      }
+    }
+    frontier = next;
+  }
+  for (const rows of history.values()) rows.sort((a, b) => (b.supersededAt || 0) - (a.supersededAt || 0));
+  return history;
+}
+
+// For recall: id -> the "previously: ..." lines to append to that row's item, or an empty map unless
+// history is on. `table` only needs findWhere(filter) (VectorTable, or ltm's MemoryDB).
+export async function historyLines(table, layer, ids, config) {
+  if (!config.enabled || !config.history || !ids.length) return new Map();
+  const history = await loadHistory((filter) => table.findWhere(filter), ids, config.historyLimit);
+  const refOf = (id) => formatRef(layer, id);
+  return new Map([...history].map(([id, rows]) => [id, formatHistory(rows, refOf, config.historyLimit)]));
+}
+
+function oneLine(text) {
+  const flat = String(text || "").replace(/\s+/g, " ").trim();
+  return flat.length > HISTORY_EXCERPT_CHARS ? `${flat.slice(0, HISTORY_EXCERPT_CHARS).trim()}...` : flat;
+}
+
+// "   previously: [en:1a2b3c4d] Entity: Acme Type: client ... (until 2026-01-31)", one line per older row.
+function formatHistory(rows, refOf, limit) {
+  return rows
+    .slice(0, limit)
+    .map((row) => {
+      const ref = refOf(row.id);
+      const until = row.supersededAt ? ` (until ${new Date(row.supersededAt).toISOString().slice(0, 10)})` : "";
+      return `\n   previously: ${ref ? `[${ref}] ` : ""}${oneLine(row.text)}${until}`;
+    })
+    .join("");
+}
@@ -0,0 +1,289 @@
+import fs from "node:fs";
+import { tmpdir } from "node:os";
+import { basename, join } from "node:path";
+import { resetContextBudget } from "./context-budget.js";
+import { pendingWrites } from "./json-store.js";
+import { flushEmbeddingStats } from "./meta-routing.js";
+import { resetPurgeTargets } from "./purge.js";
+
+// Offline and deterministic (feature hashing): the same text always embeds to the same vector.
+export const TEST_EMBEDDING = { provider: "hash", dimensions: 64 };
+
+export const DEFAULT_CTX = { agentId: "main", sessionKey: "test-session" };
+
+const META_PATH_ENV = "OPENCLAW_META_PATH";
+
+// A temp directory per test for LanceDB tables and JSON stores; meta.json (routing stats, redaction
+// counters...) points into it until cleanup().
+export function createTempEnv(prefix = "openclaw-memory-test-") {
+  const dir = fs.mkdtempSync(join(tmpdir(), prefix));
+  const previous = process.env[META_PATH_ENV];
+  const metaPath = join(dir, "meta.json");
+  process.env[META_PATH_ENV] = metaPath;
+  return {
+    dir,
+    metaPath,
+    path: (...parts) => join(dir, ...parts),
+    cleanup: () => {
+      if (previous === undefined) delete process.env[META_PATH_ENV];
+      else process.env[META_PATH_ENV] = previous;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Stores and counters are written fire-and-forget (recordRouting, redaction counters); wait until
+// every write they queued has reached disk. Batched embedding counters are flushed first.
+export async function settle() {
+  // Hooks may queue a write from a callback of work they already awaited; let those run first.
+  await new Promise((resolve) => setImmediate(resolve));
+  flushEmbeddingStats();
+  await pendingWrites();
+}
+
+export function userMessage(text) {
+  return { role: "user", content: text };
+}
+
+// toolCalls: [{ id, name, args }]
+export function assistantMessage(text, toolCalls = []) {
+  const content = text ? [{ type: "text", text }] : [];
+  for (const call of toolCalls) {
+    content.push({ type: "toolCall", id: call.id, name: call.name, arguments: call.args || {} });
+  }
+  return { role: "assistant", content };
+}
+
+export function toolResult({ id, name, content = "", exitCode = 0, isError = false }) {
+  return { role: "toolResult", toolCallId: id, toolName: name, content, isError, details: { exitCode } };
+}
+
+// The messages of one scripted turn: the user text, each tool call with its result and the final reply.
+// tools: [{ name, args?, exitCode?, isError?, output? }]
+export function turn({ user = "", assistant = "", tools = [] } = {}) {
+  const calls = tools.map((tool, idx) => ({ ...tool, id: tool.id || `call-${idx + 1}` }));
+  const messages = [];
+  if (user) messages.push(userMessage(user));
+  if (calls.length) {
+    messages.push(assistantMessage("", calls));
+    for (const call of calls) {
+      const { id, name, output, exitCode, isError } = call;
+      messages.push(toolResult({ id, name, content: output, exitCode, isError }));
+    }
+  }
+  if (assistant) messages.push(assistantMessage(assistant));
+  return messages;
+}
+
+export function agentEndEvent(messages, { success = true, durationMs = 1000 } = {}) {
+  return { messages, success, durationMs };
+}
+
+export function beforeAgentStartEvent(prompt, messages = []) {
+  return { prompt, messages };
+}
+
+function camelCase(value) {
+  return value.replace(/-(\w)/g, (_, char) => char.toUpperCase());
+}
+
+// The subset of commander the layers use: command, description, argument, option, action.
+class FakeCommand {
+  constructor(spec) {
+    const [name, ...args] = spec.trim().split(/\s+/);
+    this.commandName = name;
+    this.commands = [];
+    this.args = [];
+    this.options = [];
+    this.handler = null;
+    for (const arg of args) this.argument(arg);
+  }
+
+  name() {
+    return this.commandName;
+  }
+
+  command(spec) {
+    const cmd = new FakeCommand(spec);
+    this.commands.push(cmd);
+    return cmd;
+  }
+
+  description() {
+    return this;
+  }
+
+  argument(spec) {
+    this.args.push({ name: spec.replace(/[<>[\].]/g, ""), required: spec.startsWith("<") });
+    return this;
+  }
+
+  option(flags, _description, fallback) {
+    const long = flags.match(/--([\w-]+)/)?.[1];
+    if (!long) throw new Error(`test harness: unsupported option flags "${flags}"`);
+    const negated = long.startsWith("no-");
+    this.options.push({
+      flag: long,
+      key: camelCase(negated ? long.slice(3) : long),
+      takesValue: /[<[]/.test(flags),
+      negated,
+      fallback: negated ? true : fallback
+    });
+    return this;
+  }
+
+  requiredOption(flags, description, fallback) {
+    return this.option(flags, description, fallback);
+  }
+
+  action(handler) {
+    this.handler = handler;
+    return this;
+  }
+
+  async run(tokens) {
+    const [next, ...rest] = tokens;
+    const sub = this.commands.find((cmd) => cmd.name() === next);
+    if (sub) return sub.run(rest);
+    if (!this.handler) throw new Error(`test harness: unknown command "${next ?? ""}" under "${this.commandName}"`);
+    const opts = {};
+    for (const option of this.options) if (option.fallback !== undefined) opts[option.key] = option.fallback;
+    const positional = [];
+    for (let i = 0; i < tokens.length; i += 1) {
+      const token = tokens[i];
+      if (!token.startsWith("--")) {
+        positional.push(token);
+        continue;
+      }
+      const [flag, inline] = token.slice(2).split(/=(.*)/s);
+      const option = this.options.find((item) => item.flag === flag);
+      if (!option) throw new Error(`test harness: unknown option --${flag} for "${this.commandName}"`);
+      if (option.negated) opts[option.key] = false;
+      else if (!option.takesValue) opts[option.key] = true;
+      else opts[option.key] = inline !== undefined ? inline : tokens[(i += 1)];
+    }
+    const missing = this.args.slice(positional.length).find((arg) => arg.required);
+    if (missing) throw new Error(`test harness: missing argument <${missing.name}> for "${this.commandName}"`);
+    return this.handler(...this.args.map((_, idx) => positional[idx]), opts, this);
+  }
+}
+
+function createFakeApi(host, plugin, pluginConfig) {
+  const log = (level) => (message) => host.logs.push(`[${level}] ${message}`);
+  return {
+    id: plugin.id,
+    name: plugin.name,
+    source: "test",
+    config: {},
+    pluginConfig,
+    runtime: {
+      system: { runCommandWithTimeout: (argv, opts) => host.runCommand(argv, opts) }
+    },
+    logger: { info: log("info"), warn: log("warn"), error: log("error"), debug: log("debug") },
+    resolvePath: (path) => path,
+    on: (hookName, handler, opts) => {
+      host.hooks.push({ pluginId: plugin.id, hookName, handler, priority: opts?.priority || 0 });
+    },
+    registerTool: (tool, opts) => host.tools.push({ pluginId: plugin.id, tool, opts }),
+    registerCli: (registrar, opts) => host.clis.push({ pluginId: plugin.id, registrar, opts }),
+    registerService: (service) => host.services.push(service)
+  };
+}
+
+// A stand-in for the gateway: load() registers plugins against fake APIs, fire() runs a hook across
+// all of them by priority, and runCli() executes `openclaw ...` commands with captured output.
+// runCommand(argv, opts) answers api.runtime.system.runCommandWithTimeout; by default `openclaw ...`
+// argv is run through the host's own CLI (so memory-rerank can query `ltm search`).
+export function createTestHost({ runCommand } = {}) {
+  // Each host is a fresh gateway: no orchestrator or purge targets left by a previous test.
+  resetContextBudget();
+  resetPurgeTargets();
+  const host = {
+    hooks: [],
+    tools: [],
+    clis: [],
+    services: [],
+    logs: [],
+
+    async load(plugin, pluginConfig = {}) {
+      const api = createFakeApi(host, plugin, pluginConfig);
+      await plugin.register(api);
+      return api;
+    },
+
+    // Higher priority first, registration order within the same priority.
+    async fire(hookName, event, ctx = DEFAULT_CTX) {
+      const handlers = host.hooks
+        .map((hook, idx) => ({ ...hook, idx }))
+        .filter((hook) => hook.hookName === hookName)
+        .sort((a, b) => b.priority - a.priority || a.idx - b.idx);
+      const results = [];
+      for (const hook of handlers) {
+        const result = await hook.handler(event, ctx);
+        if (result !== undefined) results.push({ pluginId: hook.pluginId, result });
+      }
+      return results;
+    },
+
+    // The prependContext blocks returned for a prompt, joined as the gateway injects them.
+    async recall(prompt, ctx = DEFAULT_CTX) {
+      const results = await host.fire("before_agent_start", beforeAgentStartEvent(prompt), ctx);
+      return results
+        .map(({ result }) => result?.prependContext)
+        .filter(Boolean)
+        .join("\n\n");
+    },
+
+    async capture(messages, ctx = DEFAULT_CTX, opts) {
+      await host.fire("agent_end", agentEndEvent(messages, opts), ctx);
+    },
+
+    // Factories (registerTool((ctx) => tool)) are built with `ctx` like the gateway does for each run.
+    tool(name, ctx = DEFAULT_CTX) {
+      const found = host.tools.find((item) => (item.opts?.name || item.tool?.name) === name);
+      if (!found) throw new Error(`test harness: no tool named ${name}`);
+      return typeof found.tool === "function" ? found.tool(ctx) : found.tool;
+    },
+
+    async runCli(argv) {
+      const program = new FakeCommand("openclaw");
+      for (const { registrar } of host.clis) await registrar({ program, config: {}, logger: console });
+      const stdout = [];
+      const stderr = [];
+      const { log, error } = console;
+      const previousExitCode = process.exitCode;
+      process.exitCode = undefined;
+      console.log = (...args) => stdout.push(args.join(" "));
+      console.error = (...args) => stderr.push(args.join(" "));
+      let exitCode;
+      try {
+        await program.run(argv);
+      } catch (err) {
+        stderr.push(err instanceof Error ? err.message : String(err));
+        process.exitCode = 1;
+      } finally {
+        console.log = log;
+        console.error = error;
+        exitCode = process.exitCode || 0;
+        process.exitCode = previousExitCode;
+      }
+      return { stdout: stdout.join("\n"), stderr: stderr.join("\n"), exitCode };
+    },
+
+    async runCommand(argv, opts) {
+      if (runCommand) return runCommand(argv, opts);
+      if (basename(argv[0] || "") !== "openclaw") return { stdout: "", stderr: "", code: 0 };
+      const result = await host.runCli(argv.slice(1).filter((arg) => arg !== "--no-color"));
+      return { stdout: result.stdout, stderr: result.stderr, code: result.exitCode };
+    },
+
+    async startServices() {
+      for (const service of host.services) await service.start?.();
+    },
+
+    async stopServices() {
+      for (const service of host.services) await service.stop?.();
+    }
+  };
+  return host;
+}
@@ -0,0 +1,41 @@
+import type { Embeddings } from "./embeddings.js";
+
+export type TableSchema = {
+  name: string;
+  version?: number;
+  columns?: Record<string, string | number>;
+  timestamps?: string[];
+  migrations?: Array<{
+    version: number;
+    description?: string;
+    up?: (table: unknown, ctx: { added: string[] }) => Promise<unknown>;
+  }>;
+};
+
+export function vectorDimensions(arrowSchema: unknown): number | null;
+
+export function assertVectorDimensions(
+  table: { schema(): Promise<unknown> },
+  embeddings: Embeddings,
+  tableName: string,
+): Promise<void>;
+
+export function idFilter(ids: string[]): string;
+
+export function loadSchemaRecord(
+  dbPath: string,
+  logger?: unknown,
+): { tables: Record<string, Record<string, unknown>> };
+
+export class VectorTable {
+  constructor(opts: {
+    lancedb: unknown;
+    dbPath: string;
+    embeddings: Embeddings;
+    schema: TableSchema;
+    logger?: unknown;
+    hybrid?: unknown;
+  });
+  tableName: string;
+  count(): Promise<number>;
+}
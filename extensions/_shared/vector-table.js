@@ -0,0 +1,345 @@
+import { randomUUID } from "node:crypto";
+import { join } from "node:path";
+import { ENCRYPTED_COLUMNS, openRow, sealRow } from "./encryption.js";
+import { hybridSearch, lexicalAvailable, normalizeHybridConfig } from "./hybrid-search.js";
+import { readJson, writeJsonAtomic } from "./json-store.js";
+import { recoverInterruptedSwap } from "./reindex.js";
+
+// Every table carries these; schemas only declare their extra columns.
+const BASE_COLUMNS = ["id", "text", "vector", "createdAt"];
+const SCHEMA_FILE = "schema.json";
+const ID_BATCH = 200;
+
+const DB_CONNECTIONS = new Map();
+
+async function getConnection(lancedb, dbPath) {
+  if (DB_CONNECTIONS.has(dbPath)) return DB_CONNECTIONS.get(dbPath);
+  const conn = lancedb.connect(dbPath);
+  DB_CONNECTIONS.set(dbPath, conn);
+  try {
+    return await conn;
+  } catch (err) {
+    DB_CONNECTIONS.delete(dbPath);
+    throw err;
+  }
+}
+
+function sqlDefault(value) {
+  if (typeof value === "number") return `CAST(${Number.isFinite(value) ? value : 0} AS DOUBLE)`;
+  return `CAST('${String(value ?? "").replace(/'/g, "''")}' AS STRING)`;
+}
+
+export function idFilter(ids) {
+  return `id IN (${ids.map((id) => `'${String(id).replace(/'/g, "''")}'`).join(", ")})`;
+}
+
+export function schemaRecordPath(dbPath) {
+  return join(dbPath, SCHEMA_FILE);
+}
+
+function normalizeSchemaRecord(data) {
+  if (!data.tables || typeof data.tables !== "object") data.tables = {};
+  return data;
+}
+
+export function loadSchemaRecord(dbPath, logger) {
+  return readJson(schemaRecordPath(dbPath), { normalize: normalizeSchemaRecord, logger });
+}
+
+// Columns sealed when a key is set, as recorded by the table's schema (text and meta otherwise).
+export function encryptedColumns(dbPath, tableName, logger) {
+  const recorded = loadSchemaRecord(dbPath, logger).tables[tableName]?.encrypted;
+  return Array.isArray(recorded) ? recorded : ENCRYPTED_COLUMNS;
+}
+
+export function recordTable(dbPath, tableName, patch, logger) {
+  const record = loadSchemaRecord(dbPath, logger);
+  record.tables[tableName] = { ...(record.tables[tableName] || {}), ...patch };
+  writeJsonAtomic(schemaRecordPath(dbPath), record);
+}
+
+export function vectorDimensions(arrowSchema) {
+  const field = arrowSchema?.fields?.find((item) => item.name === "vector");
+  const size = Number(field?.type?.listSize);
+  return Number.isFinite(size) && size > 0 ? size : null;
+}
+
+export function embeddingInfo(embeddings, dimensions) {
+  return {
+    provider: embeddings.provider,
+    model: embeddings.model,
+    dimensions: dimensions || embeddings.dimensions || null
+  };
+}
+
+export async function assertVectorDimensions(table, embeddings, tableName) {
+  const stored = vectorDimensions(await table.schema());
+  const expected = await embeddings.resolveDimensions();
+  if (stored && expected && stored !== expected) {
+    throw new Error(
+      `${tableName}: table has ${stored}-dimension vectors but ${embeddings.provider}/${embeddings.model} produces ${expected}; run the layer's "reindex" command to re-embed it`
+    );
+  }
+}
+
+// Entries keep free-form details in a JSON `meta` column.
+export function parseMeta(entry) {
+  try {
+    const meta = JSON.parse(entry?.meta || "{}");
+    return meta && typeof meta === "object" ? meta : {};
+  } catch {
+    return {};
+  }
+}
+
+export function defineSchema(schema) {
+  if (!schema || typeof schema.name !== "string" || !schema.name) {
+    throw new Error("vector table schema requires a name");
+  }
+  const version = Math.max(1, Math.floor(Number(schema.version) || 1));
+  const migrations = Array.isArray(schema.migrations) ? schema.migrations.slice() : [];
+  migrations.sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!(migration.version > 1 && migration.version <= version)) {
+      throw new Error(`${schema.name}: migration version ${migration.version} is outside 2..${version}`);
+    }
+  }
+  return {
+    name: schema.name,
+    version,
+    columns: { ...(schema.columns || {}) },
+    // Numeric columns stamped with the write time when an entry leaves them unset.
+    timestamps: Array.isArray(schema.timestamps) ? schema.timestamps.slice() : [],
+    // String columns holding memory content, sealed together with text and meta when a key is set.
+    encrypted: [...new Set([...ENCRYPTED_COLUMNS, ...(Array.isArray(schema.encrypted) ? schema.encrypted : [])])],
+    migrations
+  };
+}
+
+export class VectorTable {
+  // lancedb is passed in by each plugin so the native dependency resolves from the
+  // plugin's own node_modules rather than from _shared.
+  // `hybrid` (see hybrid-search.js) fuses BM25 over `text` into searches that pass the query text.
+  constructor({ lancedb, dbPath, embeddings, schema, logger, hybrid }) {
+    this.lancedb = lancedb;
+    this.dbPath = dbPath;
+    this.embeddings = embeddings;
+    this.schema = defineSchema(schema);
+    this.tableName = this.schema.name;
+    this.logger = logger;
+    this.hybrid = normalizeHybridConfig(hybrid);
+    if (this.hybrid.enabled && !lexicalAvailable()) {
+      logger?.warn?.(`${this.tableName}: hybrid search is disabled while encryption at rest is on (text is sealed)`);
+    }
+    this.db = null;
+    this.table = null;
+    this.initPromise = null;
+  }
+
+  async ensureInitialized() {
+    if (this.table) return;
+    if (this.initPromise) return this.initPromise;
+    this.initPromise = this.doInitialize().catch((err) => {
+      this.initPromise = null;
+      throw err;
+    });
+    return this.initPromise;
+  }
+
+  async doInitialize() {
+    recoverInterruptedSwap(this.dbPath, this.tableName, this.logger);
+    this.db = await getConnection(this.lancedb, this.dbPath);
+    const tables = await this.db.tableNames();
+    if (tables.includes(this.tableName)) {
+      const table = await this.db.openTable(this.tableName);
+      await assertVectorDimensions(table, this.embeddings, this.tableName);
+      await this.migrate(table);
+      this.table = table;
+      return;
+    }
+
+    const vectorDim = await this.embeddings.resolveDimensions();
+    const table = await this.db.createTable(this.tableName, [
+      {
+        id: "__schema__",
+        text: "",
+        vector: new Array(vectorDim).fill(0),
+        createdAt: 0,
+        ...this.schema.columns
+      }
+    ]);
+    await table.delete('id = "__schema__"');
+    recordTable(this.dbPath, this.tableName, {
+      version: this.schema.version,
+      columns: Object.keys(this.schema.columns),
+      encrypted: this.schema.encrypted,
+      embedding: embeddingInfo(this.embeddings, vectorDim),
+      migratedAt: Date.now()
+    }, this.logger);
+    this.table = table;
+  }
+
+  async migrate(table) {
+    const recorded = loadSchemaRecord(this.dbPath, this.logger).tables[this.tableName];
+    // Tables created before versions were recorded are at the baseline schema.
+    const fromVersion = recorded && Number.isFinite(recorded.version) ? recorded.version : 1;
+    if (fromVersion > this.schema.version) {
+      throw new Error(
+        `${this.tableName}: stored schema version ${fromVersion} is newer than supported version ${this.schema.version}`
+      );
+    }
+
+    const arrowSchema = await table.schema();
+    const existing = new Set(arrowSchema.fields.map((field) => field.name));
+    const missing = Object.keys(this.schema.columns).filter((name) => !existing.has(name));
+    if (missing.length) {
+      await table.addColumns(missing.map((name) => ({ name, valueSql: sqlDefault(this.schema.columns[name]) })));
+      this.logger?.info?.(`${this.tableName}: added columns ${missing.join(", ")}`);
+    }
+
+    const pending = this.schema.migrations.filter((migration) => migration.version > fromVersion);
+    for (const migration of pending) {
+      if (typeof migration.up === "function") {
+        await migration.up(table, { added: missing });
+      }
+      this.logger?.info?.(
+        `${this.tableName}: migrated to schema v${migration.version}${migration.description ? ` (${migration.description})` : ""}`
+      );
+    }
+
+    const encrypted = this.schema.encrypted;
+    const sameEncrypted = recorded?.encrypted?.join() === encrypted.join();
+    if (!recorded || fromVersion !== this.schema.version || missing.length || !sameEncrypted) {
+      recordTable(this.dbPath, this.tableName, {
+        version: this.schema.version,
+        columns: Object.keys(this.schema.columns),
+        encrypted,
+        migratedAt: Date.now()
+      }, this.logger);
+    }
+  }
+
+  toEntry(row) {
+    const entry = {
+      id: row.id,
+      text: row.text,
+      vector: row.vector,
+      createdAt: row.createdAt
+    };
+    for (const name of Object.keys(this.schema.columns)) {
+      entry[name] = row[name];
+    }
+    return openRow(entry);
+  }
+
+  async store(entry) {
+    const [stored] = await this.storeMany([entry]);
+    return stored;
+  }
+
+  async storeMany(entries) {
+    await this.ensureInitialized();
+    const now = Date.now();
+    const fullEntries = entries.map((entry) => {
+      const fullEntry = {
+        ...this.schema.columns,
+        ...entry,
+        id: randomUUID(),
+        createdAt: entry.createdAt || now
+      };
+      for (const name of this.schema.timestamps) {
+        if (!fullEntry[name]) fullEntry[name] = now;
+      }
+      return fullEntry;
+    });
+    if (fullEntries.length) await this.table.add(fullEntries.map((entry) => sealRow(entry, this.schema.encrypted)));
+    return fullEntries;
+  }
+
+  // `filter` is a SQL predicate applied before the nearest-neighbour limit (e.g. a scope filter).
+  // `text` is the query as typed, used for the lexical side when hybrid search is enabled.
+  async search(vector, limit = 5, minScore = 0, { filter = null, text = "" } = {}) {
+    await this.ensureInitialized();
+    const results = await hybridSearch(this.table, {
+      lancedb: this.lancedb,
+      vector,
+      text,
+      limit,
+      filter,
+      config: this.hybrid,
+      logger: this.logger
+    });
+    return results
+      .map((item) => ({ entry: this.toEntry(item.row), score: item.score }))
+      .filter((item) => item.score >= minScore);
+  }
+
+  // All rows, for listings and batch jobs; vectors are only read when asked for. Callers filter and sort.
+  async list({ vectors = false } = {}) {
+    await this.ensureInitialized();
+    const columns = ["id", "text", "createdAt", ...(vectors ? ["vector"] : []), ...Object.keys(this.schema.columns)];
+    const rows = await this.table.query().select(columns).toArray();
+    return rows.map((row) => {
+      const entry = this.toEntry(row);
+      if (vectors) entry.vector = Array.from(row.vector || []);
+      else delete entry.vector;
+      return entry;
+    });
+  }
+
+  // Rows whose id starts with `prefix` (hex, as in a citation ref), for resolving refs; `filter` is
+  // an extra SQL predicate (e.g. the caller's scope).
+  async findByIdPrefix(prefix, limit = 5, filter = null) {
+    if (!/^[0-9a-f-]+$/i.test(prefix)) return [];
+    const byId = `id LIKE '${prefix.toLowerCase()}%'`;
+    return this.findWhere(filter ? `${byId} AND (${filter})` : byId, limit);
+  }
+
+  // Rows matching a SQL predicate, without their vectors.
+  async findWhere(filter, limit = 100) {
+    await this.ensureInitialized();
+    const rows = await this.table.query().where(filter).limit(limit).toArray();
+    return rows.map((row) => {
+      const entry = this.toEntry(row);
+      delete entry.vector;
+      return entry;
+    });
+  }
+
+  async deleteIds(ids) {
+    await this.ensureInitialized();
+    for (let i = 0; i < ids.length; i += ID_BATCH) {
+      await this.table.delete(idFilter(ids.slice(i, i + ID_BATCH)));
+    }
+  }
+
+  async updateIds(ids, values) {
+    await this.ensureInitialized();
+    const sealed = sealRow(values, this.schema.encrypted);
+    for (let i = 0; i < ids.length; i += ID_BATCH) {
+      await this.table.update({ where: idFilter(ids.slice(i, i + ID_BATCH)), values: sealed });
+    }
+  }
+
+  // Writes rows back under their own id and createdAt (e.g. redacted by a purge); entries carry their vector.
+  async replaceRows(entries) {
+    await this.ensureInitialized();
+    if (!entries.length) return;
+    await this.deleteIds(entries.map((entry) => entry.id));
+    await this.table.add(entries.map((entry) => sealRow({ ...this.schema.columns, ...entry }, this.schema.encrypted)));
+  }
+
+  // Compacts fragments left by deletes and drops old table versions (older than a week unless
+  // options.cleanupOlderThan says otherwise).
+  async optimize(options) {
+    await this.ensureInitialized();
+    return this.table.optimize(options);
+  }
+
+  async count() {
+    await this.ensureInitialized();
+    return this.table.countRows();
+  }
+}
+
+export { BASE_COLUMNS };
@@ -1,16 +1,27 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { dirname, join } from "node:path";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { Type } from "@sinclair/typebox";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { addConfigCommand, addQueryCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { applyAction, feedbackFactor, registerFeedbackTarget } from "../_shared/item-feedback.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { registerLayerTool } from "../_shared/layer-tools.js";
+import { recordCapture, recordRecallEmpty, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { describeEntry, formatRef, messageOrigin, registerRefResolver } from "../_shared/provenance.js";
+import { forget, mentions, registerPurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, scopeMatcher } from "../_shared/scope.js";
 
 const DEFAULTS = {
   enabled: true,
   path: "",
   maxItems: 20,
-  alwaysRecall: true,
-  redaction: {
-    enabled: true
-  }
+  alwaysRecall: true
 };
 
 function resolveDefaultPath() {
@@ -22,41 +33,20 @@ function toNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-blackboard", raw, logger);
   return {
     enabled: cfg.enabled !== false,
     path: typeof cfg.path === "string" && cfg.path.trim() ? cfg.path.trim() : resolveDefaultPath(),
     maxItems: Math.max(1, Math.floor(toNumber(cfg.maxItems, DEFAULTS.maxItems))),
     alwaysRecall: cfg.alwaysRecall !== false,
-    redaction: {
-      enabled: redaction.enabled !== false
-    }
+    intent: normalizeIntentConfig(cfg.intent),
+    redaction: normalizeRedactionConfig(cfg.redaction),
+    // The board is shared by every agent of a tenant unless configured otherwise.
+    scope: normalizeScopeConfig(cfg.scope, { recall: "tenant" })
   };
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
-function shouldRecall(prompt) {
-  const p = String(prompt || "").toLowerCase();
-  return /\bbb:|blackboard|pizarra|tablero|tareas|todo|decision|decisión|plan|roadmap/.test(p);
-}
-
 function extractTextContent(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -70,27 +60,57 @@ function extractTextContent(content) {
   return parts.join("\n");
 }
 
-function loadBoard(path) {
-  try {
-    if (!fs.existsSync(path)) return { items: [] };
-    const raw = fs.readFileSync(path, "utf8");
-    const data = JSON.parse(raw);
-    if (!data || typeof data !== "object") return { items: [] };
-    if (!Array.isArray(data.items)) data.items = [];
-    return data;
-  } catch {
-    return { items: [] };
-  }
+function normalizeBoard(data) {
+  if (!Array.isArray(data.items)) data.items = [];
+  return data;
+}
+
+const BOARD_STORE = { fallback: () => ({ items: [] }), normalize: normalizeBoard };
+
+// The same item posted in two tenants is kept twice.
+function itemKey(item) {
+  return `${item.tenant || ""}::${String(item.type).toLowerCase()}::${String(item.text).toLowerCase()}`;
+}
+
+// Items are plain JSON without a row id; the citation id is derived from the same key, so it stays
+// stable across updates and archive merges.
+function itemId(item) {
+  return createHash("sha1").update(itemKey(item)).digest("hex").slice(0, 12);
+}
+
+function describeItem(item) {
+  const { message, updatedAt, feedback, ...columns } = item;
+  return describeEntry("blackboard", {
+    ...columns,
+    id: itemId(item),
+    createdAt: updatedAt,
+    meta: JSON.stringify({ message })
+  });
 }
 
-function saveBoard(path, board) {
-  try {
-    fs.writeFileSync(path, JSON.stringify(board, null, 2));
-  } catch {
-    // best effort
+// Archive merge: union of items, keeping the latest update of each.
+function mergeBoard(current, incoming) {
+  normalizeBoard(current);
+  for (const item of Array.isArray(incoming.items) ? incoming.items : []) {
+    const key = itemKey(item);
+    const idx = current.items.findIndex((existing) => itemKey(existing) === key);
+    if (idx < 0) {
+      current.items.push(item);
+    } else if ((item.updatedAt || 0) > (current.items[idx].updatedAt || 0)) {
+      current.items[idx] = item;
+    }
   }
 }
 
+const ITEM_TYPES = ["decision", "todo", "risk", "fact", "note", "question"];
+
+const BOARD_COLUMNS = [
+  { key: "updatedAt", label: "updated", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "type" },
+  { key: "text", width: 80 }
+];
+
 function parseBlackboardLines(text) {
   if (!text || typeof text !== "string") return { items: [], clear: false };
   const items = [];
@@ -132,11 +152,12 @@ function parseBlackboardLines(text) {
 }
 
 function upsertItem(items, newItem) {
-  const key = `${newItem.type.toLowerCase()}::${newItem.text.toLowerCase()}`;
-  const existingIndex = items.findIndex((item) => `${item.type.toLowerCase()}::${item.text.toLowerCase()}` === key);
+  const key = itemKey(newItem);
+  const existingIndex = items.findIndex((item) => itemKey(item) === key);
   const now = Date.now();
   if (existingIndex >= 0) {
     items[existingIndex].updatedAt = now;
+    if (newItem.message) items[existingIndex].message = newItem.message;
   } else {
     items.push({ ...newItem, updatedAt: now });
   }
@@ -148,63 +169,216 @@ const memoryBlackboardPlugin = {
   description: "Shared multi-agent blackboard",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const boardPath = api.resolvePath(cfg.path);
     fs.mkdirSync(dirname(boardPath), { recursive: true });
+    const intent = createIntentRouter({ layer: "blackboard", config: cfg.intent, logger: api.logger });
+    const redactor = createRedactor(cfg.redaction, { layer: "blackboard", logger: api.logger });
+
+    registerArchiveSource(api, {
+      id: "memory-blackboard",
+      files: [{ name: "blackboard", path: boardPath, merge: mergeBoard }]
+    });
+
+    registerLayerCli(api, { command: "blackboard", description: "Shared blackboard (memory-blackboard)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "show",
+        description: "Show blackboard items, most recently updated first",
+        options: [["--type <type>", "Only this item type (decision, todo, risk, fact, note, question)"]],
+        columns: BOARD_COLUMNS,
+        timeKey: "updatedAt",
+        load: async ({ opts }) => {
+          const board = readJson(boardPath, { ...BOARD_STORE, logger: api.logger });
+          return board.items
+            .filter((item) => !opts.type || item.type === String(opts.type).toLowerCase())
+            .map((item) => ({ ...item, agentId: item.agentId || "" }))
+            .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        }
+      });
+      addConfigCommand(cmd, {
+        pluginId: "memory-blackboard",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    registerRefResolver("blackboard", async (idPrefix, ctx) => {
+      const board = readJson(boardPath, { ...BOARD_STORE, logger: api.logger });
+      const visible = ctx ? scopeMatcher(resolveScope(ctx, cfg.scope), cfg.scope) : () => true;
+      return board.items.filter((item) => itemId(item).startsWith(idPrefix) && visible(item)).map(describeItem);
+    });
+    registerPurgeTarget(api, {
+      name: "blackboard.json",
+      layer: "blackboard",
+      find: async (subject) =>
+        readJson(boardPath, { ...BOARD_STORE, logger: api.logger })
+          .items.filter((item) => mentions(item, subject))
+          .map((item) => ({ ...item, id: itemId(item) })),
+      apply: async (ids, mode, subject) => {
+        const wanted = new Set(ids);
+        let count = 0;
+        await updateJson(
+          boardPath,
+          (board) => {
+            board.items = board.items.flatMap((item) => {
+              if (!wanted.has(itemId(item))) return [item];
+              count += 1;
+              return mode === "redact" ? [forget(item, subject)] : [];
+            });
+          },
+          { ...BOARD_STORE, logger: api.logger }
+        );
+        return count;
+      }
+    });
+    // Feedback is kept on the item itself (`reset` removes it).
+    registerFeedbackTarget("blackboard", {
+      find: async (idPrefix, ctx) => {
+        const board = readJson(boardPath, { ...BOARD_STORE, logger: api.logger });
+        const visible = ctx ? scopeMatcher(resolveScope(ctx, cfg.scope), cfg.scope) : () => true;
+        return board.items.filter((item) => itemId(item).startsWith(idPrefix) && visible(item)).map(itemId);
+      },
+      apply: async (ids, action) => {
+        const wanted = new Set(ids);
+        await updateJson(
+          boardPath,
+          (board) => {
+            for (const item of board.items) {
+              if (!wanted.has(itemId(item))) continue;
+              const feedback = applyAction(item.feedback, action);
+              if (feedback) item.feedback = feedback;
+              else delete item.feedback;
+            }
+          },
+          { ...BOARD_STORE, logger: api.logger }
+        );
+      }
+    });
+
+    // The same as a "todo: ..." line in a message, for agents that post on purpose; redacted alike.
+    registerLayerTool(api, {
+      name: "blackboard_post",
+      label: "Blackboard Post",
+      description:
+        "Post a decision, todo, risk, fact, note or question to the blackboard shared with the other agents. " +
+        "Posting the same type and text again only refreshes it.",
+      parameters: Type.Object({
+        type: Type.Union(ITEM_TYPES.map((type) => Type.Literal(type)), { description: "Item type" }),
+        text: Type.String({ description: "The item, one line" })
+      }),
+      run: async (params, ctx) => {
+        const type = ITEM_TYPES.includes(params.type) ? params.type : "note";
+        const raw = String(params.text || "").replace(/\s+/g, " ").trim();
+        if (!raw) {
+          return { content: [{ type: "text", text: "Nothing to post: text is empty." }], details: { error: "empty" } };
+        }
+        const item = {
+          type,
+          text: redactor.redact(raw),
+          ...resolveScope(ctx, cfg.scope),
+          message: messageOrigin("tool", null, raw, redactor)
+        };
+        let updated = false;
+        await updateJson(
+          boardPath,
+          (board) => {
+            updated = board.items.some((existing) => itemKey(existing) === itemKey(item));
+            upsertItem(board.items, item);
+          },
+          { ...BOARD_STORE, logger: api.logger }
+        );
+        recordCapture("blackboard", 1, api.logger);
+        const ref = formatRef("blackboard", itemId(item));
+        return {
+          content: [{ type: "text", text: `${updated ? "Refreshed" : "Posted"} [${ref}] [${type}] ${item.text}` }],
+          details: { ref, id: itemId(item), type, text: item.text, agentId: item.agentId, updated }
+        };
+      }
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("blackboard", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 2) return;
         const prompt = event.prompt;
-        if (!cfg.alwaysRecall && !shouldRecall(prompt)) return;
-        const board = loadBoard(boardPath);
-        if (!board.items || board.items.length === 0) return;
+        if (!cfg.alwaysRecall && !(await intent.classify(prompt)).recall) return;
+        const board = readJson(boardPath, { ...BOARD_STORE, logger: api.logger });
+        const visible = scopeMatcher(resolveScope(ctx, cfg.scope), cfg.scope);
+        // Pinned items first, then by feedback (useful up, wrong/outdated down), then most recent.
         const sorted = board.items
-          .slice()
-          .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+          .filter((item) => visible(item) && feedbackFactor(item.feedback) > 0)
+          .sort(
+            (a, b) =>
+              Number(Boolean(b.feedback?.pinned)) - Number(Boolean(a.feedback?.pinned)) ||
+              feedbackFactor(b.feedback) - feedbackFactor(a.feedback) ||
+              (b.updatedAt || 0) - (a.updatedAt || 0)
+          )
           .slice(0, cfg.maxItems);
-        const lines = sorted.map((item) => `- [${item.type}] ${item.text}`);
-        const body = lines.join("\n");
-        recordRouting("blackboard", body.length);
-        return { prependContext: `<collab-blackboard>\n${body}\n</collab-blackboard>` };
-      },
+        if (!sorted.length) {
+          recordRecallEmpty("blackboard", api.logger);
+          return;
+        }
+        const section = {
+          layer: "blackboard",
+          tag: "collab-blackboard",
+          items: sorted.map((item) => ({
+            text: `- [${item.type}] ${item.text}`,
+            ref: formatRef("blackboard", itemId(item))
+          }))
+        };
+        if (offerContext(event, ctx, section)) return;
+        const prependContext = renderSection(section);
+        recordRouting("blackboard", prependContext.length, api.logger);
+        return { prependContext };
+      }, api.logger),
       { priority: 60 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
-      const board = loadBoard(boardPath);
       const texts = [];
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "user" && msg.role !== "assistant") continue;
         const text = extractTextContent(msg.content);
-        if (text) texts.push(text);
+        if (text) texts.push({ text, message: messageOrigin(msg.role, index, text, redactor) });
       }
       if (!texts.length) return;
 
-      let didChange = false;
-      for (const raw of texts) {
-        const parsed = parseBlackboardLines(raw);
-        if (parsed.clear) {
-          board.items = [];
-          didChange = true;
-        }
-        for (const item of parsed.items) {
-          const cleaned = {
-            type: item.type,
-            text: redactSensitive(item.text, cfg.redaction.enabled)
-          };
-          upsertItem(board.items, cleaned);
-          didChange = true;
-        }
-      }
+      const parsedTexts = texts.map(({ text, message }) => ({ ...parseBlackboardLines(text), message }));
+      if (!parsedTexts.some((parsed) => parsed.clear || parsed.items.length)) return;
+      const scope = resolveScope(ctx, cfg.scope);
+      const visible = scopeMatcher(scope, cfg.scope);
 
-      if (didChange) {
-        saveBoard(boardPath, board);
+      try {
+        await updateJson(
+          boardPath,
+          (board) => {
+            for (const parsed of parsedTexts) {
+              // A clear only drops the items this scope can see.
+              if (parsed.clear) {
+                board.items = board.items.filter((item) => !visible(item));
+              }
+              for (const item of parsed.items) {
+                const cleaned = {
+                  type: item.type,
+                  text: redactor.redact(item.text),
+                  ...scope,
+                  message: parsed.message
+                };
+                upsertItem(board.items, cleaned);
+              }
+            }
+          },
+          { ...BOARD_STORE, logger: api.logger }
+        );
+        const posted = parsedTexts.reduce((acc, parsed) => acc + parsed.items.length, 0);
+        recordCapture("blackboard", posted, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-blackboard: save failed: ${String(err)}`);
       }
     });
   }
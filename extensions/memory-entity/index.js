@@ -1,10 +1,28 @@
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
+import { createHash } from "node:crypto";
+import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { randomUUID } from "node:crypto";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { createEmbeddings, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { addConfigCommand, addQueryCommand, addSearchCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { byPinnedThen, loadItemFeedback, registerTableFeedback, withItemFeedback } from "../_shared/item-feedback.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { registerLayerTool, toolLimit, toolResult } from "../_shared/layer-tools.js";
+import { addReindexCommand } from "../_shared/reindex.js";
+import { parseMeta, VectorTable } from "../_shared/vector-table.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef, messageOrigin, registerTableRefs } from "../_shared/provenance.js";
+import { forget, mentions, registerPurgeTarget, tablePurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, SCOPE_COLUMNS, scopeFilter, scopeMatcher, scopeMigration } from "../_shared/scope.js";
+import { currentFilter, historyLines, normalizeSupersessionConfig, supersedeOlder, SUPERSESSION_COLUMNS } from "../_shared/supersession.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -17,15 +35,7 @@ const DEFAULTS = {
   minScore: 0.6,
   alwaysRecall: false,
   captureMode: "explicit_or_pattern",
-  maxChars: 1200,
-  redaction: {
-    enabled: true
-  }
-};
-
-const EMBEDDING_DIMENSIONS = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072
+  maxChars: 1200
 };
 
 const TYPE_MAP = {
@@ -53,17 +63,6 @@ function resolveDefaultDbPath() {
   return join(homedir(), ".openclaw", "memory", "entities");
 }
 
-function resolveEnvVars(value) {
-  if (!value || typeof value !== "string") return value;
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
 function toNumber(value, fallback) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -77,123 +76,43 @@ function normalizeCaptureMode(mode) {
   return DEFAULTS.captureMode;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-entity", raw, logger);
   const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
-
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULTS.embedding.model;
-  if (!EMBEDDING_DIMENSIONS[model]) {
-    throw new Error(`Unsupported embedding model: ${model}`);
-  }
-
-  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : DEFAULTS.embedding.apiKey;
-  const apiKey = resolveEnvVars(apiKeyRaw);
+  const recallLimit = Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit)));
+  const minScore = Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore)));
 
   return {
     enabled: cfg.enabled !== false,
     dbPath: typeof cfg.dbPath === "string" && cfg.dbPath.trim() ? cfg.dbPath.trim() : resolveDefaultDbPath(),
-    embedding: {
-      apiKey: apiKey || DEFAULTS.embedding.apiKey,
-      model
-    },
-    recallLimit: Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit))),
-    minScore: Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore))),
+    embedding: normalizeEmbeddingConfig(embedding, DEFAULTS.embedding),
+    recallLimit,
+    minScore,
     alwaysRecall: cfg.alwaysRecall === true,
+    intent: normalizeIntentConfig(cfg.intent),
+    autoTune: normalizeAutoTuneConfig(cfg.autoTune, { minScore, recallLimit }),
     captureMode: normalizeCaptureMode(cfg.captureMode),
     maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
-    redaction: {
-      enabled: redaction.enabled !== false
-    }
+    redaction: normalizeRedactionConfig(cfg.redaction),
+    scope: normalizeScopeConfig(cfg.scope),
+    hybrid: normalizeHybridConfig(cfg.hybrid),
+    supersession: normalizeSupersessionConfig(cfg.supersession)
   };
 }
 
-class Embeddings {
-  constructor(apiKey, model) {
-    this.model = model;
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text) {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text
-    });
-    return response.data[0].embedding;
-  }
-}
-
-class VectorTable {
-  constructor(dbPath, vectorDim, tableName) {
-    this.dbPath = dbPath;
-    this.vectorDim = vectorDim;
-    this.tableName = tableName;
-    this.db = null;
-    this.table = null;
-    this.initPromise = null;
-  }
-
-  async ensureInitialized() {
-    if (this.table) return;
-    if (this.initPromise) return this.initPromise;
-    this.initPromise = this.doInitialize();
-    return this.initPromise;
-  }
-
-  async doInitialize() {
-    this.db = await lancedb.connect(this.dbPath);
-    const tables = await this.db.tableNames();
-    if (tables.includes(this.tableName)) {
-      this.table = await this.db.openTable(this.tableName);
-    } else {
-      this.table = await this.db.createTable(this.tableName, [
-        {
-          id: "__schema__",
-          text: "",
-          vector: new Array(this.vectorDim).fill(0),
-          createdAt: 0,
-          name: "",
-          type: "",
-          meta: "{}"
-        }
-      ]);
-      await this.table.delete('id = "__schema__"');
-    }
-  }
-
-  async store(entry) {
-    await this.ensureInitialized();
-    const fullEntry = {
-      ...entry,
-      id: randomUUID(),
-      createdAt: Date.now()
-    };
-    await this.table.add([fullEntry]);
-    return fullEntry;
-  }
-
-  async search(vector, limit = 5, minScore = 0.5) {
-    await this.ensureInitialized();
-    const results = await this.table.vectorSearch(vector).limit(limit).toArray();
-    const mapped = results.map((row) => {
-      const distance = row._distance ?? 0;
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id,
-          text: row.text,
-          vector: row.vector,
-          createdAt: row.createdAt,
-          name: row.name,
-          type: row.type,
-          meta: row.meta
-        },
-        score
-      };
-    });
-    return mapped.filter((item) => item.score >= minScore);
-  }
-}
+const ENTITIES_SCHEMA = {
+  name: "entities",
+  version: 3,
+  columns: {
+    name: "",
+    type: "",
+    meta: "{}",
+    ...SCOPE_COLUMNS,
+    ...SUPERSESSION_COLUMNS
+  },
+  encrypted: ["name"],
+  migrations: [scopeMigration(2), { version: 3, description: "supersededBy/supersededAt columns" }]
+};
 
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
@@ -201,22 +120,6 @@ function truncate(text, maxChars) {
   return text.slice(0, maxChars).trim() + "...";
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
 function stripInjected(text) {
   if (!text) return text;
   return text
@@ -306,30 +209,64 @@ function extractEntitiesFromText(text, cfg) {
   return entities;
 }
 
-function loadIndex(indexPath) {
-  try {
-    if (!fs.existsSync(indexPath)) return { entities: {} };
-    const raw = fs.readFileSync(indexPath, "utf8");
-    const data = JSON.parse(raw);
-    if (!data || typeof data !== "object") return { entities: {} };
-    if (!data.entities || typeof data.entities !== "object") data.entities = {};
-    return data;
-  } catch {
-    return { entities: {} };
+// A newer profile of the same entity supersedes the older rows (see supersession.js).
+function profileKey(entry) {
+  return `${String(entry.type || "entity").toLowerCase()}::${String(entry.name || "").toLowerCase()}`;
+}
+
+// Profiles are kept per tenant and agent, so two namespaces can hold different profiles of the same name.
+function entityKey(entry) {
+  return `${entry.tenant || ""}::${entry.agentId || ""}::${profileKey(entry)}`;
+}
+
+// Index keys hold the name, so purges (and their audit) refer to entries by a hash of the key.
+function keyId(key) {
+  return createHash("sha1").update(key).digest("hex").slice(0, 12);
+}
+
+// Indexes written before scoping were keyed by type::name only; they are re-keyed on read.
+function normalizeIndex(data) {
+  if (!data.entities || typeof data.entities !== "object") data.entities = {};
+  for (const [key, entry] of Object.entries(data.entities)) {
+    if (!entry || typeof entry !== "object") continue;
+    const scopedKey = entityKey(entry);
+    if (scopedKey === key) continue;
+    delete data.entities[key];
+    const existing = data.entities[scopedKey];
+    if (!existing || (entry.updatedAt || 0) > (existing.updatedAt || 0)) data.entities[scopedKey] = entry;
   }
+  return data;
 }
 
-function saveIndex(indexPath, index) {
-  try {
-    fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
-  } catch {
-    // best effort
+const INDEX_STORE = { fallback: () => ({ entities: {} }), normalize: normalizeIndex };
+
+// Archive merge: the most recently updated profile of each entity wins.
+function mergeIndex(current, incoming) {
+  normalizeIndex(current);
+  for (const [key, entry] of Object.entries(normalizeIndex(incoming).entities)) {
+    const existing = current.entities[key];
+    if (!existing || (entry.updatedAt || 0) > (existing.updatedAt || 0)) current.entities[key] = entry;
   }
 }
 
-function shouldRecallEntities(prompt) {
-  const p = prompt.toLowerCase();
-  return /cliente|client|perfil|profile|entity|staff|equipo|team|service|svc|vendor|proveedor|partner|project|producto|product|account|cuenta/.test(p);
+const ENTITY_COLUMNS = [
+  { key: "updatedAt", label: "updated", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "type" },
+  { key: "name", width: 30 },
+  { key: "summary" }
+];
+
+function entityRow(entry) {
+  const meta = parseMeta(entry);
+  return {
+    id: entry.id,
+    name: entry.name,
+    type: entry.type,
+    agentId: entry.agentId || meta.agentId || "",
+    updatedAt: meta.capturedAt || entry.createdAt,
+    summary: entry.text
+  };
 }
 
 const memoryEntityPlugin = {
@@ -338,128 +275,335 @@ const memoryEntityPlugin = {
   description: "Rich entity profiles for clients/staff/services",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
 
     const indexPath = join(resolvedDbPath, "entities.json");
-    const vectorDim = EMBEDDING_DIMENSIONS[cfg.embedding.model];
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model);
-    const table = new VectorTable(resolvedDbPath, vectorDim, "entities");
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
+    const table = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: ENTITIES_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.hybrid
+    });
+    const intent = createIntentRouter({ layer: "entity", embeddings, config: cfg.intent, logger: api.logger });
+    const redactor = createRedactor(cfg.redaction, { layer: "entity", logger: api.logger });
+    const tuner = createAutoTuner({
+      layer: "entity",
+      base: { minScore: cfg.minScore, recallLimit: cfg.recallLimit },
+      config: cfg.autoTune,
+      logger: api.logger
+    });
+
+    registerArchiveSource(api, {
+      id: "memory-entity",
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      tables: ["entities"],
+      files: [{ name: "entities", path: indexPath, merge: mergeIndex }]
+    });
+    registerTableRefs("entity", table, cfg.scope);
+    registerPurgeTarget(api, tablePurgeTarget("entity", table));
+    // Index entries are keyed by tenant, agent, type and name; a redacted name is re-keyed.
+    registerPurgeTarget(api, {
+      name: "entities.json",
+      layer: "entity",
+      find: async (subject) =>
+        Object.entries(readJson(indexPath, { ...INDEX_STORE, logger: api.logger }).entities)
+          .filter(([, entry]) => mentions(entry, subject))
+          .map(([key, entry]) => ({
+            ...entry,
+            id: keyId(key),
+            ref: formatRef("entity", entry.id),
+            text: entry.summary
+          })),
+      apply: async (ids, mode, subject) => {
+        const wanted = new Set(ids);
+        let count = 0;
+        await updateJson(
+          indexPath,
+          (index) => {
+            for (const [key, entry] of Object.entries(index.entities)) {
+              if (!wanted.has(keyId(key))) continue;
+              delete index.entities[key];
+              count += 1;
+              if (mode === "redact") {
+                const redacted = forget(entry, subject);
+                index.entities[entityKey(redacted)] = redacted;
+              }
+            }
+          },
+          { ...INDEX_STORE, logger: api.logger }
+        );
+        return count;
+      }
+    });
+    registerTableFeedback("entity", table, cfg.scope, api.logger);
+
+    registerLayerCli(api, { command: "entities", description: "Entity memory (memory-entity)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "list",
+        description: "List known entities (latest profile of each), most recently updated first",
+        options: [["--type <type>", "Only this entity type (client, staff, service, ...)"]],
+        columns: ENTITY_COLUMNS,
+        timeKey: "updatedAt",
+        load: async ({ opts }) => {
+          const index = readJson(indexPath, { ...INDEX_STORE, logger: api.logger });
+          return Object.values(index.entities)
+            .filter((entry) => !opts.type || String(entry.type).toLowerCase() === opts.type.toLowerCase())
+            .map((entry) => ({ ...entry, agentId: entry.agentId || "" }))
+            .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+        }
+      });
+      addSearchCommand(cmd, { table, embeddings, toRow: entityRow, columns: ENTITY_COLUMNS, timeKey: "updatedAt" });
+      addReindexCommand(cmd, {
+        lancedb,
+        dbPath: resolvedDbPath,
+        embeddings,
+        tables: ["entities"],
+        logger: api.logger
+      });
+      addConfigCommand(cmd, {
+        pluginId: "memory-entity",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    // The current profile of a named entity (with the versions it replaced); closest profiles when no
+    // entity has that exact name.
+    registerLayerTool(api, {
+      name: "entity_get",
+      label: "Entity Get",
+      description:
+        "Get the stored profile of a client, staff member, service or other entity by name, with its earlier " +
+        "versions. Falls back to the closest profiles when the name is not known.",
+      parameters: Type.Object({
+        name: Type.String({ description: "Entity name, e.g. Acme Corp" }),
+        type: Type.Optional(Type.String({ description: "Entity type (client, staff, service, vendor, ...)" })),
+        limit: Type.Optional(Type.Number({ description: "Max close profiles without an exact match (default: 5)" }))
+      }),
+      run: async (params, ctx) => {
+        const scope = resolveScope(ctx, cfg.scope);
+        const visible = scopeMatcher(scope, cfg.scope);
+        const name = String(params.name || "").trim().toLowerCase();
+        const type = params.type ? normalizeType(params.type) : "";
+        const index = readJson(indexPath, { ...INDEX_STORE, logger: api.logger });
+        let rows = Object.values(index.entities)
+          .filter((entry) => entry && visible(entry) && String(entry.name || "").toLowerCase() === name)
+          .filter((entry) => !type || entry.type === type)
+          .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+          .map((entry) => ({
+            id: entry.id,
+            name: entry.name,
+            type: entry.type,
+            agentId: entry.agentId || "",
+            updatedAt: entry.updatedAt,
+            summary: entry.summary
+          }));
+        const exact = rows.length > 0;
+        if (!exact) {
+          const vector = await embeddings.embed(params.name);
+          const results = await table.search(vector, toolLimit(params.limit), 0, {
+            filter: currentFilter(scopeFilter(scope, cfg.scope), cfg.supersession),
+            text: params.name
+          });
+          rows = results.map((item) => ({ ...entityRow(item.entry), score: item.score }));
+        }
+        const history = await historyLines(table, "entity", rows.map((row) => row.id), {
+          ...cfg.supersession,
+          history: true
+        });
+        const result = toolResult("entity", rows, {
+          noun: exact ? "profiles" : "close profiles",
+          line: (row) => `[${row.type || "entity"}] ${truncate(row.summary || "", 400)}${history.get(row.id) || ""}`
+        });
+        return { ...result, details: { ...result.details, exact } };
+      }
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("entity", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
         const prompt = event.prompt;
-        const index = loadIndex(indexPath);
+        const index = readJson(indexPath, { ...INDEX_STORE, logger: api.logger });
+        const scope = resolveScope(ctx, cfg.scope);
+        const visible = scopeMatcher(scope, cfg.scope);
 
         const promptLower = prompt.toLowerCase();
         const matched = [];
         for (const key of Object.keys(index.entities || {})) {
           const entry = index.entities[key];
-          if (!entry || !entry.name) continue;
+          if (!entry || !entry.name || !visible(entry)) continue;
           if (promptLower.includes(String(entry.name).toLowerCase())) {
-            matched.push(entry);
+            matched.push({ ...entry, score: 1 });
           }
         }
 
-        const allowVector = cfg.alwaysRecall || shouldRecallEntities(prompt);
+        const allowVector = cfg.alwaysRecall || (await intent.classify(prompt)).recall;
+        const { minScore, recallLimit } = tuner.thresholds();
         const vectorResults = [];
         if (allowVector) {
           try {
             const vector = await embeddings.embed(prompt);
-            const results = await table.search(vector, cfg.recallLimit, cfg.minScore);
+            const results = await table.search(vector, recallLimit, 0, {
+              filter: currentFilter(scopeFilter(scope, cfg.scope), cfg.supersession),
+              text: prompt
+            });
             for (const item of results) {
               vectorResults.push({
+                id: item.entry.id,
                 name: item.entry.name,
                 type: item.entry.type,
-                summary: item.entry.text
+                summary: item.entry.text,
+                score: item.score
               });
             }
           } catch (err) {
             api.logger?.warn?.(`memory-entity: recall failed: ${String(err)}`);
+            recordRecallError("entity", err, api.logger);
           }
         }
 
+        const feedback = loadItemFeedback(resolvedDbPath, "entities", api.logger);
+        const ranked = withItemFeedback([...matched, ...vectorResults], feedback, "score", (entry) => entry.id)
+          .filter((entry) => entry.pinned || entry.score >= minScore)
+          .sort(byPinnedThen((a, b) => b.score - a.score));
         const combined = [];
         const seen = new Set();
-        for (const entry of [...matched, ...vectorResults]) {
+        for (const entry of ranked) {
           if (!entry) continue;
-          const key = `${String(entry.type || "entity").toLowerCase()}::${String(entry.name || "").toLowerCase()}`;
+          const key = profileKey(entry);
           if (seen.has(key)) continue;
           seen.add(key);
           combined.push(entry);
-          if (combined.length >= cfg.recallLimit) break;
+          if (combined.length >= recallLimit) break;
         }
 
-        if (!combined.length) return;
-        const lines = combined.map((entry, idx) => {
-          const summary = entry.summary || "";
-          const label = entry.type ? `[${entry.type}]` : "[entity]";
-          return `${idx + 1}. ${label} ${truncate(summary, 400)}`;
-        });
-        const body = truncate(lines.join("\n"), cfg.maxChars);
-        recordRouting("entity", body.length);
-        return { prependContext: `<entity-memories>\n${body}\n</entity-memories>` };
-      },
+        if (!combined.length) {
+          // Without the vector search (router said no) this is a skip, already counted by the router.
+          if (allowVector) recordRecallEmpty("entity", api.logger);
+          return;
+        }
+        const ids = combined.map((entry) => entry.id).filter(Boolean);
+        const history = await historyLines(table, "entity", ids, cfg.supersession);
+        const section = {
+          layer: "entity",
+          tag: "entity-memories",
+          numbered: true,
+          maxChars: cfg.maxChars,
+          items: combined.map((entry) => {
+            const summary = entry.summary || "";
+            const label = entry.type ? `[${entry.type}]` : "[entity]";
+            return {
+              text: `${label} ${truncate(summary, 400)}${history.get(entry.id) || ""}`,
+              score: entry.score,
+              ref: formatRef("entity", entry.id)
+            };
+          })
+        };
+        if (offerContext(event, ctx, section)) return;
+        const prependContext = renderSection(section);
+        recordRouting("entity", prependContext.length, api.logger);
+        return { prependContext };
+      }, api.logger),
       { priority: 44 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
+      tuner.tune();
+      const scope = resolveScope(ctx, cfg.scope);
+      const { agentId } = scope;
       const texts = [];
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "user" && msg.role !== "assistant") continue;
         const text = extractTextContent(msg.content);
-        if (text) texts.push(text);
+        if (text) texts.push({ text, message: messageOrigin(msg.role, index, text, redactor) });
       }
 
       if (!texts.length) return;
 
-      const index = loadIndex(indexPath);
-      const created = [];
-
-      for (const raw of texts) {
+      const entries = [];
+      for (const { text: raw, message } of texts) {
         const entities = extractEntitiesFromText(raw, cfg);
         for (const entity of entities) {
           if (!entity.name) continue;
-          const details = entity.details && entity.details.length ? entity.details.join(" ") : "";
-          const summary = redactSensitive(
-            truncate(`Entity: ${entity.name}\nType: ${entity.type}\nDetails: ${details}`, cfg.maxChars),
-            cfg.redaction.enabled
-          );
-
-          const vector = await embeddings.embed(summary);
-          await table.store({
+          // The name is its own column (and the index key) and details go to meta, so both are redacted apart.
+          const name = redactor.redact(entity.name);
+          const details = redactor.redact(entity.details && entity.details.length ? entity.details.join(" ") : "");
+          const summary = truncate(`Entity: ${name}\nType: ${entity.type}\nDetails: ${details}`, cfg.maxChars);
+          entries.push({
             text: summary,
-            vector,
-            name: entity.name,
+            name,
             type: entity.type,
+            ...scope,
             meta: JSON.stringify({
-              name: entity.name,
+              agentId,
+              name,
               type: entity.type,
               details,
+              message,
               capturedAt: Date.now()
             })
           });
-
-          const key = `${String(entity.type).toLowerCase()}::${String(entity.name).toLowerCase()}`;
-          index.entities[key] = {
-            name: entity.name,
-            type: entity.type,
-            summary,
-            updatedAt: Date.now()
-          };
-          created.push(key);
         }
       }
 
-      if (created.length) {
-        saveIndex(indexPath, index);
+      if (!entries.length) return;
+
+      let stored;
+      try {
+        const vectors = await embeddings.embed(entries.map((entry) => entry.text));
+        stored = await table.storeMany(entries.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+        recordCapture("entity", entries.length, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-entity: capture failed: ${String(err)}`);
+        return;
+      }
+
+      // Profiles only replace earlier profiles of the same entity, in the writer's own namespace.
+      try {
+        await supersedeOlder(table, stored, {
+          config: cfg.supersession,
+          scope,
+          keyOf: profileKey,
+          related: () => false
+        });
+      } catch (err) {
+        api.logger?.warn?.(`memory-entity: supersession failed: ${String(err)}`);
+      }
+
+      try {
+        await updateJson(
+          indexPath,
+          (index) => {
+            for (const entry of stored) {
+              // id is the row the profile was last captured into, so keyword hits cite it too.
+              const profile = {
+                id: entry.id,
+                name: entry.name,
+                type: entry.type,
+                summary: entry.text,
+                ...scope,
+                updatedAt: Date.now()
+              };
+              index.entities[entityKey(profile)] = profile;
+            }
+          },
+          { ...INDEX_STORE, logger: api.logger }
+        );
+      } catch (err) {
+        api.logger?.warn?.(`memory-entity: index update failed: ${String(err)}`);
       }
     });
   }
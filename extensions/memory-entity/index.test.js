@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryEntityPlugin from "./index.js";
+
+describe("memory-entity", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryEntityPlugin, {
+      dbPath: env.path("entities"),
+      embedding: TEST_EMBEDDING,
+      captureMode: "explicit",
+      minScore: 0
+    });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("recalls a captured profile when the prompt names the entity", async () => {
+    await host.capture(turn({ user: "client: Acme Corp\nenterprise plan, renews in March\nprefers email" }));
+
+    const context = await host.recall("draft a renewal note for Acme Corp");
+    expect(context).toContain("<entity-memories>");
+    expect(context).toContain("[client] Entity: Acme Corp");
+    expect(context).toContain("renews in March");
+  });
+
+  test("keeps the latest profile per entity in the index", async () => {
+    await host.capture(turn({ user: "vendor: Initech\nold contact" }));
+    await host.capture(turn({ user: "vendor: Initech\nnew contact is Peter" }));
+
+    const { stdout } = await host.runCli(["memory", "entities", "list", "--type", "vendor", "--json"]);
+    const rows = JSON.parse(stdout);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].summary).toContain("new contact is Peter");
+  });
+
+  test("recalls only the newest profile of an entity once it supersedes the older one", async () => {
+    await host.capture(turn({ user: "client: Globex\nruns its billing on postgres" }));
+    await host.capture(turn({ user: "client: Globex\nmigrated billing to mysql" }));
+
+    const context = await host.recall("is the client billing still on postgres");
+    expect(context).toContain("migrated billing to mysql");
+    expect(context).not.toContain("postgres");
+
+    const rows = JSON.parse((await host.runCli(["memory", "entities", "search", "Globex billing", "--json"])).stdout);
+    expect(rows).toHaveLength(2);
+  });
+
+  test("shows the superseded profile as history when supersession.history is on", async () => {
+    const other = createTestHost();
+    await other.load(memoryEntityPlugin, {
+      dbPath: env.path("entities-history"),
+      embedding: TEST_EMBEDDING,
+      captureMode: "explicit",
+      minScore: 0,
+      supersession: { history: true }
+    });
+    await other.capture(turn({ user: "service: ledger\nhosted on heroku" }));
+    await other.capture(turn({ user: "service: ledger\nmoved to fly.io" }));
+
+    const context = await other.recall("where is the ledger service hosted");
+    expect(context).toContain("moved to fly.io");
+    expect(context).toMatch(/previously: \[en:[0-9a-f]{8}\] Entity: ledger Type: service Details: hosted on heroku \(until /);
+    expect(context.match(/hosted on heroku/g)).toHaveLength(1);
+  });
+
+  test("entity_get returns the caller's current profile with its history, or the closest ones", async () => {
+    const ops = { agentId: "ops", sessionKey: "s-ops" };
+    await host.capture(turn({ user: "vendor: Umbrella\nsupport line open weekdays" }), ops);
+    await host.capture(turn({ user: "vendor: Umbrella\nsupport line now open every day" }), ops);
+    await host.capture(turn({ user: "vendor: Umbrella\nknown to the dev agent only" }), { agentId: "dev" });
+
+    const get = host.tool("entity_get", ops);
+    const found = await get.execute("t1", { name: "umbrella", type: "vendor" });
+    expect(found.details).toMatchObject({ exact: true, count: 1 });
+    expect(found.details.rows[0]).toMatchObject({ name: "Umbrella", type: "vendor", agentId: "ops" });
+    expect(found.content[0].text).toContain("support line now open every day");
+    expect(found.content[0].text).toMatch(/previously: \[en:[0-9a-f]{8}\] .*open weekdays/);
+    expect(found.content[0].text).not.toContain("dev agent");
+
+    const close = await get.execute("t2", { name: "Umbrella support" });
+    expect(close.details.exact).toBe(false);
+    expect(close.details.rows.map((row) => row.agentId)).toEqual(["ops"]);
+  });
+
+  test("redacts the stored name as well as the summary", async () => {
+    await host.capture(turn({ user: "client: jane.doe@example.com\nVIP" }));
+
+    const rows = JSON.parse((await host.runCli(["memory", "entities", "search", "VIP client", "--json"])).stdout);
+    expect(rows[0].name).toBe("[redacted:email]");
+    expect(JSON.stringify(rows)).not.toContain("jane.doe@example.com");
+  });
+});
@@ -1,10 +1,29 @@
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
-import { randomUUID } from "node:crypto";
+import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { createEmbeddings, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { addConfigCommand, addQueryCommand, addSearchCommand, printRows, registerLayerCli } from "../_shared/cli.js";
+import { chatComplete, clusterBySimilarity, normalizeConsolidationConfig } from "../_shared/consolidation.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { byPinnedThen, loadItemFeedback, registerTableFeedback, withItemFeedback } from "../_shared/item-feedback.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { registerLayerTool, toolLimit, toolResult } from "../_shared/layer-tools.js";
+import { formatRef, messageOrigin, registerTableRefs } from "../_shared/provenance.js";
+import { addReindexCommand } from "../_shared/reindex.js";
+import { addRetentionCommand, markReferenced, normalizeRetentionConfig, registerRetention } from "../_shared/retention.js";
+import { parseMeta, VectorTable } from "../_shared/vector-table.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRecallLatency, recordRouting } from "../_shared/meta-routing.js";
+import { registerIntervalService } from "../_shared/schedule.js";
+import { applyPreset } from "../_shared/presets.js";
+import { registerPurgeTarget, tablePurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, SCOPE_COLUMNS, scopeFilter, scopeMigration } from "../_shared/scope.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -35,73 +54,59 @@ const DEFAULTS = {
     maxUserChars: 600,
     maxAssistantChars: 600,
     maxTools: 8
-  },
-  redaction: {
-    enabled: true
   }
 };
 
-const EMBEDDING_DIMENSIONS = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072
-};
-
 function resolveDefaultDbPath() {
   return join(homedir(), ".openclaw", "memory", "epiproc");
 }
 
-function resolveEnvVars(value) {
-  if (!value || typeof value !== "string") return value;
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
 function toNumber(value, fallback) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-epiproc", raw, logger);
   const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
   const episodic = cfg.episodic && typeof cfg.episodic === "object" ? cfg.episodic : {};
   const procedural = cfg.procedural && typeof cfg.procedural === "object" ? cfg.procedural : {};
   const capture = cfg.capture && typeof cfg.capture === "object" ? cfg.capture : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
-
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULTS.embedding.model;
-  if (!EMBEDDING_DIMENSIONS[model]) {
-    throw new Error(`Unsupported embedding model: ${model}`);
-  }
-
-  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : DEFAULTS.embedding.apiKey;
-  const apiKey = resolveEnvVars(apiKeyRaw);
+  const episodicLimits = {
+    recallLimit: Math.max(1, Math.floor(toNumber(episodic.recallLimit, DEFAULTS.episodic.recallLimit))),
+    minScore: Math.max(0, Math.min(1, toNumber(episodic.minScore, DEFAULTS.episodic.minScore)))
+  };
+  const proceduralLimits = {
+    recallLimit: Math.max(1, Math.floor(toNumber(procedural.recallLimit, DEFAULTS.procedural.recallLimit))),
+    minScore: Math.max(0, Math.min(1, toNumber(procedural.minScore, DEFAULTS.procedural.minScore)))
+  };
 
   return {
     enabled: cfg.enabled !== false,
     dbPath: typeof cfg.dbPath === "string" && cfg.dbPath.trim() ? cfg.dbPath.trim() : resolveDefaultDbPath(),
-    embedding: {
-      apiKey: apiKey || DEFAULTS.embedding.apiKey,
-      model
-    },
+    embedding: normalizeEmbeddingConfig(embedding, DEFAULTS.embedding),
     episodic: {
       enabled: episodic.enabled !== false,
       alwaysRecall: episodic.alwaysRecall === true,
-      recallLimit: Math.max(1, Math.floor(toNumber(episodic.recallLimit, DEFAULTS.episodic.recallLimit))),
-      minScore: Math.max(0, Math.min(1, toNumber(episodic.minScore, DEFAULTS.episodic.minScore))),
+      intent: normalizeIntentConfig(episodic.intent),
+      ...episodicLimits,
+      autoTune: normalizeAutoTuneConfig(episodic.autoTune, episodicLimits),
+      retention: normalizeRetentionConfig(episodic.retention),
+      consolidation: normalizeConsolidationConfig(episodic.consolidation),
+      scope: normalizeScopeConfig(episodic.scope),
+      hybrid: normalizeHybridConfig(episodic.hybrid),
       halfLifeDays: Math.max(1, toNumber(episodic.halfLifeDays, DEFAULTS.episodic.halfLifeDays)),
       maxChars: Math.max(200, Math.floor(toNumber(episodic.maxChars, DEFAULTS.episodic.maxChars)))
     },
     procedural: {
       enabled: procedural.enabled !== false,
       alwaysRecall: procedural.alwaysRecall === true,
-      recallLimit: Math.max(1, Math.floor(toNumber(procedural.recallLimit, DEFAULTS.procedural.recallLimit))),
-      minScore: Math.max(0, Math.min(1, toNumber(procedural.minScore, DEFAULTS.procedural.minScore))),
+      intent: normalizeIntentConfig(procedural.intent),
+      ...proceduralLimits,
+      autoTune: normalizeAutoTuneConfig(procedural.autoTune, proceduralLimits),
+      retention: normalizeRetentionConfig(procedural.retention),
+      scope: normalizeScopeConfig(procedural.scope),
+      hybrid: normalizeHybridConfig(procedural.hybrid),
       halfLifeDays: Math.max(1, toNumber(procedural.halfLifeDays, DEFAULTS.procedural.halfLifeDays)),
       minSteps: Math.max(1, Math.floor(toNumber(procedural.minSteps, DEFAULTS.procedural.minSteps))),
       maxSteps: Math.max(1, Math.floor(toNumber(procedural.maxSteps, DEFAULTS.procedural.maxSteps))),
@@ -112,109 +117,38 @@ function normalizeConfig(raw) {
       maxAssistantChars: Math.max(100, Math.floor(toNumber(capture.maxAssistantChars, DEFAULTS.capture.maxAssistantChars))),
       maxTools: Math.max(1, Math.floor(toNumber(capture.maxTools, DEFAULTS.capture.maxTools)))
     },
-    redaction: {
-      enabled: redaction.enabled !== false
-    }
+    redaction: normalizeRedactionConfig(cfg.redaction)
   };
 }
 
-class Embeddings {
-  constructor(apiKey, model) {
-    this.model = model;
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text) {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text
-    });
-    return response.data[0].embedding;
-  }
-}
-
-const DB_CONNECTIONS = new Map();
-
-async function getConnection(dbPath) {
-  if (DB_CONNECTIONS.has(dbPath)) return DB_CONNECTIONS.get(dbPath);
-  const conn = await lancedb.connect(dbPath);
-  DB_CONNECTIONS.set(dbPath, conn);
-  return conn;
-}
-
-class VectorTable {
-  constructor(dbPath, vectorDim, tableName) {
-    this.dbPath = dbPath;
-    this.vectorDim = vectorDim;
-    this.tableName = tableName;
-    this.db = null;
-    this.table = null;
-    this.initPromise = null;
-  }
-
-  async ensureInitialized() {
-    if (this.table) return;
-    if (this.initPromise) return this.initPromise;
-    this.initPromise = this.doInitialize();
-    return this.initPromise;
-  }
-
-  async doInitialize() {
-    this.db = await getConnection(this.dbPath);
-    const tables = await this.db.tableNames();
-    if (tables.includes(this.tableName)) {
-      this.table = await this.db.openTable(this.tableName);
-    } else {
-      this.table = await this.db.createTable(this.tableName, [
-        {
-          id: "__schema__",
-          text: "",
-          vector: new Array(this.vectorDim).fill(0),
-          createdAt: 0,
-          kind: "",
-          meta: "{}"
-        }
-      ]);
-      await this.table.delete('id = "__schema__"');
-    }
-  }
+const EPISODES_SCHEMA = {
+  name: "episodes",
+  version: 3,
+  columns: {
+    kind: "",
+    meta: "{}",
+    consolidatedInto: "",
+    ...SCOPE_COLUMNS
+  },
+  migrations: [
+    { version: 2, description: "consolidatedInto links episodes to their consolidated summary" },
+    scopeMigration(3)
+  ]
+};
 
-  async store(entry) {
-    await this.ensureInitialized();
-    const fullEntry = {
-      ...entry,
-      id: randomUUID(),
-      createdAt: Date.now()
-    };
-    await this.table.add([fullEntry]);
-    return fullEntry;
-  }
+const CONSOLIDATED_KIND = "consolidated";
+const SUMMARY_SOURCE_CHARS = 500;
 
-  async search(vector, limit = 5) {
-    await this.ensureInitialized();
-    const results = await this.table.vectorSearch(vector).limit(limit).toArray();
-    return results.map((row) => {
-      const distance = row._distance ?? 0;
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id,
-          text: row.text,
-          vector: row.vector,
-          createdAt: row.createdAt,
-          kind: row.kind,
-          meta: row.meta
-        },
-        score
-      };
-    });
-  }
-
-  async count() {
-    await this.ensureInitialized();
-    return this.table.countRows();
-  }
-}
+const PROCEDURES_SCHEMA = {
+  name: "procedures",
+  version: 2,
+  columns: {
+    kind: "",
+    meta: "{}",
+    ...SCOPE_COLUMNS
+  },
+  migrations: [scopeMigration(2)]
+};
 
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
@@ -230,22 +164,6 @@ function stripInjected(text) {
     .replace(/<procedural-memories>[\s\S]*?<\/procedural-memories>/gi, "");
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
 function extractTextContent(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -261,22 +179,26 @@ function extractTextContent(content) {
 
 function collectContext(messages) {
   const userTexts = [];
+  let lastUserIndex = -1;
   const assistantTexts = [];
   const toolCalls = new Map();
   const toolResults = [];
   const toolNames = new Set();
 
   if (!Array.isArray(messages)) {
-    return { userTexts, assistantTexts, toolCalls, toolResults, toolNames };
+    return { userTexts, lastUserIndex, assistantTexts, toolCalls, toolResults, toolNames };
   }
 
-  for (const msg of messages) {
+  for (const [index, msg] of messages.entries()) {
     if (!msg || typeof msg !== "object") continue;
     const role = msg.role;
 
     if (role === "user") {
       const text = extractTextContent(msg.content);
-      if (text) userTexts.push(text);
+      if (text) {
+        userTexts.push(text);
+        lastUserIndex = index;
+      }
       continue;
     }
 
@@ -313,24 +235,24 @@ function collectContext(messages) {
     }
   }
 
-  return { userTexts, assistantTexts, toolCalls, toolResults, toolNames };
+  return { userTexts, lastUserIndex, assistantTexts, toolCalls, toolResults, toolNames };
 }
 
-function summarizeArgs(toolName, args, redactEnabled) {
+function summarizeArgs(toolName, args, redactor) {
   if (!args || typeof args !== "object") return "";
   if (toolName === "exec" || toolName === "bash") {
     const cmd = args.command || args.cmd || "";
     if (!cmd) return "";
-    const cleaned = redactSensitive(String(cmd), redactEnabled);
+    const cleaned = redactor.redact(String(cmd));
     return truncate(cleaned, 120);
   }
-  if (typeof args.path === "string") return truncate(redactSensitive(args.path, redactEnabled), 80);
-  if (typeof args.paths === "string") return truncate(redactSensitive(args.paths, redactEnabled), 80);
+  if (typeof args.path === "string") return truncate(redactor.redact(args.path), 80);
+  if (typeof args.paths === "string") return truncate(redactor.redact(args.paths), 80);
   if (Array.isArray(args.paths) && args.paths.length > 0) {
-    return truncate(redactSensitive(args.paths.join(", "), redactEnabled), 120);
+    return truncate(redactor.redact(args.paths.join(", ")), 120);
   }
-  if (typeof args.file === "string") return truncate(redactSensitive(args.file, redactEnabled), 80);
-  if (typeof args.url === "string") return truncate(redactSensitive(args.url, redactEnabled), 120);
+  if (typeof args.file === "string") return truncate(redactor.redact(args.file), 80);
+  if (typeof args.url === "string") return truncate(redactor.redact(args.url), 120);
   return "";
 }
 
@@ -344,20 +266,6 @@ function patternPart(toolName, argsSummary) {
   return toolName;
 }
 
-function shouldRecallEpisodic(prompt) {
-  const p = prompt.toLowerCase();
-  return (
-    /que paso|que ha pasado|que ocurrió|que ocurrio|cuando|ayer|hace un|hace una|hace poco|hace \d+|la otra vez|ultima vez|última vez|reciente|recent|recently|semana pasada|mes pasado|la vez pasada|last week|yesterday|previous|previously|earlier|the other day|historial|historia|registro|log|evento|timeline/.test(p)
-  );
-}
-
-function shouldRecallProcedural(prompt) {
-  const p = prompt.toLowerCase();
-  return (
-    /como|cómo|how|procedimiento|pasos|paso a paso|instrucciones|guia|guía|tutorial|checklist|check list|comandos|comando|runbook|playbook|workflow|orquest|arregl|resolv|fix|solved|solucion|solución|diagnostic|diagnostico|diagnóstico|setup|instal|configur|verificar|verificacion|verificación/.test(p)
-  );
-}
-
 function formatDate(ts) {
   try {
     return new Date(ts).toISOString();
@@ -366,15 +274,16 @@ function formatDate(ts) {
   }
 }
 
-function buildEpisode(context, event, cfg, ctxMeta) {
+// The user and assistant texts are redacted before they go into both the text and meta.
+function buildEpisode(context, event, cfg, ctxMeta, redactor) {
   const userText = context.userTexts.length ? context.userTexts[context.userTexts.length - 1] : "";
   const assistantText = context.assistantTexts.length ? context.assistantTexts[context.assistantTexts.length - 1] : "";
   const tools = Array.from(context.toolNames.values());
 
   if (!userText && !assistantText && tools.length === 0) return null;
 
-  const summaryUser = truncate(stripInjected(userText), cfg.capture.maxUserChars);
-  const summaryAssistant = truncate(stripInjected(assistantText), cfg.capture.maxAssistantChars);
+  const summaryUser = truncate(redactor.redact(stripInjected(userText)), cfg.capture.maxUserChars);
+  const summaryAssistant = truncate(redactor.redact(stripInjected(assistantText)), cfg.capture.maxAssistantChars);
   const toolList = tools.length ? tools.join(", ") : "none";
 
   const text = [
@@ -395,11 +304,12 @@ function buildEpisode(context, event, cfg, ctxMeta) {
     userText: summaryUser,
     assistantText: summaryAssistant
   };
+  if (userText) meta.message = messageOrigin("user", context.lastUserIndex, stripInjected(userText), redactor);
 
   return { text, meta };
 }
 
-function buildProcedure(context, event, cfg) {
+function buildProcedure(context, event, cfg, ctxMeta, redactor) {
   const steps = [];
   const patternParts = [];
 
@@ -410,7 +320,7 @@ function buildProcedure(context, event, cfg) {
     if (typeof result.details?.exitCode === "number" && result.details.exitCode !== 0) continue;
 
     const call = result.toolCallId ? context.toolCalls.get(result.toolCallId) : null;
-    const argsSummary = summarizeArgs(toolName, call ? call.args : null, cfg.redaction.enabled);
+    const argsSummary = summarizeArgs(toolName, call ? call.args : null, redactor);
     const stepText = argsSummary ? `${toolName}: ${argsSummary}` : toolName;
     steps.push(stepText);
     patternParts.push(patternPart(toolName, argsSummary));
@@ -420,7 +330,7 @@ function buildProcedure(context, event, cfg) {
   if (steps.length < cfg.procedural.minSteps) return null;
 
   const userText = context.userTexts.length ? context.userTexts[context.userTexts.length - 1] : "";
-  const summaryUser = truncate(stripInjected(userText), cfg.capture.maxUserChars);
+  const summaryUser = truncate(redactor.redact(stripInjected(userText)), cfg.capture.maxUserChars);
   const patternKey = patternParts.join(" -> ") || "unknown";
   const success = Boolean(event.success);
 
@@ -433,34 +343,17 @@ function buildProcedure(context, event, cfg) {
   ].join("\n");
 
   const meta = {
+    agentId: ctxMeta.agentId || "main",
     patternKey,
     steps,
     success,
     toolCount: steps.length
   };
+  if (userText) meta.message = messageOrigin("user", context.lastUserIndex, stripInjected(userText), redactor);
 
   return { text, meta, patternKey, success };
 }
 
-function loadStats(statsPath) {
-  try {
-    if (!fs.existsSync(statsPath)) return {};
-    const raw = fs.readFileSync(statsPath, "utf8");
-    const data = JSON.parse(raw);
-    return data && typeof data === "object" ? data : {};
-  } catch {
-    return {};
-  }
-}
-
-function saveStats(statsPath, stats) {
-  try {
-    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
-  } catch {
-    // best effort
-  }
-}
-
 function updateStats(stats, patternKey, success) {
   if (!patternKey) return stats;
   const entry = stats[patternKey] || { total: 0, success: 0, lastUsedAt: 0 };
@@ -479,44 +372,276 @@ function computeDecayScore(score, createdAt, halfLifeDays) {
   return score * decay;
 }
 
-async function recallEntries(table, embeddings, query, cfg) {
-  const vector = await embeddings.embed(query);
-  const raw = await table.search(vector, cfg.recallLimit * 3);
-  const scored = raw.map((item) => {
-    const adjusted = computeDecayScore(item.score, item.entry.createdAt, cfg.halfLifeDays);
-    return { ...item, adjustedScore: adjusted };
+// Consolidated episodes rank below their summary and are dropped when the summary is a candidate too.
+async function recallEntries(table, vector, prompt, cfg, ctx) {
+  const raw = await table.search(vector, cfg.recallLimit * 3, 0, {
+    filter: scopeFilter(resolveScope(ctx, cfg.scope), cfg.scope),
+    text: prompt
   });
+  const demoteFactor = cfg.consolidation ? cfg.consolidation.demoteFactor : 1;
+  const summaries = new Set(raw.filter((item) => item.entry.kind === CONSOLIDATED_KIND).map((item) => item.entry.id));
+  const decayed = raw
+    .filter((item) => !summaries.has(item.entry.consolidatedInto))
+    .map((item) => {
+      let adjusted = computeDecayScore(item.score, item.entry.createdAt, cfg.halfLifeDays);
+      if (item.entry.consolidatedInto) adjusted *= demoteFactor;
+      return { ...item, adjustedScore: adjusted };
+    });
+  const scored = withItemFeedback(decayed, loadItemFeedback(table.dbPath, table.tableName), "adjustedScore");
 
-  scored.sort((a, b) => b.adjustedScore - a.adjustedScore);
-  const filtered = scored.filter((item) => item.adjustedScore >= cfg.minScore);
+  scored.sort(byPinnedThen((a, b) => b.adjustedScore - a.adjustedScore));
+  const filtered = scored.filter((item) => item.pinned || item.adjustedScore >= cfg.minScore);
   return filtered.slice(0, cfg.recallLimit);
 }
 
-function formatEpisodicContext(entries) {
-  if (!entries.length) return "";
-  const lines = entries.map((item, idx) => {
-    const text = truncate(item.entry.text || "", 400);
-    return `${idx + 1}. ${text}`;
-  });
-  return `<episodic-memories>\n${lines.join("\n")}\n</episodic-memories>`;
+function episodicSection(entries) {
+  return {
+    layer: "episodic",
+    tag: "episodic-memories",
+    numbered: true,
+    items: entries.map((item) => ({
+      text: truncate(item.entry.text || "", 400),
+      score: item.adjustedScore,
+      ref: formatRef("episodic", item.entry.id)
+    }))
+  };
+}
+
+function proceduralSection(entries, stats) {
+  return {
+    layer: "procedural",
+    tag: "procedural-memories",
+    numbered: true,
+    items: entries.map((item) => {
+      const patternKey = parseMeta(item.entry).patternKey || "";
+      const stat = patternKey && stats[patternKey] ? stats[patternKey] : null;
+      const rate = stat ? `${stat.success}/${stat.total}` : "n/a";
+      const text = truncate(item.entry.text || "", 420);
+      return {
+        text: `${text}\n   Success rate: ${rate}`,
+        score: item.adjustedScore,
+        ref: formatRef("procedural", item.entry.id)
+      };
+    })
+  };
+}
+
+function topTexts(values, limit) {
+  const counts = new Map();
+  for (const value of values) {
+    const key = value.trim().toLowerCase();
+    if (!key) continue;
+    const item = counts.get(key) || { text: value.trim(), count: 0 };
+    item.count += 1;
+    counts.set(key, item);
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map((item) => (item.count > 1 ? `${truncate(item.text, 160)} (x${item.count})` : truncate(item.text, 160)));
 }
 
-function formatProceduralContext(entries, stats) {
-  if (!entries.length) return "";
-  const lines = entries.map((item, idx) => {
-    let meta = {};
-    try {
-      meta = item.entry.meta ? JSON.parse(item.entry.meta) : {};
-    } catch {
-      meta = {};
+function consolidationHeader(episodes) {
+  const from = episodes[0].createdAt;
+  const to = episodes[episodes.length - 1].createdAt;
+  return [
+    `Consolidated: ${episodes.length} episodes from ${formatDate(from)} to ${formatDate(to)}`,
+    `Agent: ${parseMeta(episodes[0]).agentId || "main"}`
+  ];
+}
+
+// The distinct requests, the tools used and the latest outcome; no model call.
+function extractiveSummary(episodes) {
+  const metas = episodes.map(parseMeta);
+  const toolCounts = new Map();
+  for (const meta of metas) {
+    for (const tool of Array.isArray(meta.tools) ? meta.tools : []) {
+      toolCounts.set(tool, (toolCounts.get(tool) || 0) + 1);
     }
-    const patternKey = meta.patternKey || "";
-    const stat = patternKey && stats[patternKey] ? stats[patternKey] : null;
-    const rate = stat ? `${stat.success}/${stat.total}` : "n/a";
-    const text = truncate(item.entry.text || "", 420);
-    return `${idx + 1}. ${text}\n   Success rate: ${rate}`;
+  }
+  const tools = [...toolCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([tool, count]) => (count > 1 ? `${tool} x${count}` : tool));
+  const latest = metas[metas.length - 1];
+  const succeeded = metas.filter((meta) => meta.success).length;
+  return [
+    ...consolidationHeader(episodes),
+    `User asked: ${topTexts(metas.map((meta) => meta.userText || ""), 3).join(" | ") || "(no user text)"}`,
+    `Actions: ${tools.join(", ") || "none"}`,
+    `Latest outcome: ${latest.assistantText || (latest.success ? "completed" : "failed")}`,
+    `Success: ${succeeded}/${episodes.length}`
+  ].join("\n");
+}
+
+async function llmSummary(episodes, llm) {
+  const summary = await chatComplete(llm, [
+    {
+      role: "system",
+      content:
+        "You merge related episodes of an agent's work into one short factual summary for long-term memory. " +
+        "Keep concrete names, commands, decisions and outcomes. Reply with the summary only."
+    },
+    { role: "user", content: episodes.map((entry) => truncate(entry.text, SUMMARY_SOURCE_CHARS)).join("\n---\n") }
+  ]);
+  return [...consolidationHeader(episodes), summary].join("\n");
+}
+
+// Clears consolidatedInto on the episodes of deleted summaries, so they rank normally and can be
+// consolidated again.
+async function unlinkEpisodes(table, summaryIds) {
+  const removed = new Set(summaryIds);
+  const linked = (await table.list()).filter((entry) => removed.has(entry.consolidatedInto)).map((entry) => entry.id);
+  if (linked.length) await table.updateIds(linked, { consolidatedInto: "" });
+  return linked.length;
+}
+
+// Clusters unconsolidated episodes of the same tenant and agent and stores one summary row per
+// cluster; the sources keep their rows and point at the summary through consolidatedInto. Episodes
+// whose summary no longer exists count as unconsolidated. A dry run never calls the chat endpoint
+// and previews the extractive summary.
+async function consolidateEpisodes({ table, embeddings, redactor, cfg, dryRun = false, logger }) {
+  const consolidation = cfg.episodic.consolidation;
+  const entries = await table.list({ vectors: true });
+  const summaries = new Set(entries.filter((entry) => entry.kind === CONSOLIDATED_KIND).map((entry) => entry.id));
+  const orphans = entries.filter((entry) => entry.consolidatedInto && !summaries.has(entry.consolidatedInto));
+  if (orphans.length && !dryRun) {
+    await table.updateIds(orphans.map((entry) => entry.id), { consolidatedInto: "" });
+    logger?.info?.(`memory-epiproc: unlinked ${orphans.length} episodes from deleted summaries`);
+  }
+  const items = entries
+    .filter((entry) => entry.kind !== CONSOLIDATED_KIND && !summaries.has(entry.consolidatedInto))
+    .map((entry) => ({
+      id: entry.id,
+      vector: entry.vector,
+      ts: entry.createdAt || 0,
+      group: JSON.stringify([entry.tenant || "", entry.agentId || parseMeta(entry).agentId || ""]),
+      entry
+    }));
+  const clusters = clusterBySimilarity(items, {
+    threshold: consolidation.similarity,
+    windowMs: consolidation.windowHours * 3600000,
+    minSize: consolidation.minClusterSize,
+    maxSize: consolidation.maxClusterSize
   });
-  return `<procedural-memories>\n${lines.join("\n")}\n</procedural-memories>`;
+
+  const report = [];
+  for (const cluster of clusters) {
+    const episodes = cluster.map((item) => item.entry);
+    const sources = episodes.map((entry) => entry.id);
+    let summarizer = consolidation.summarizer;
+    let text = "";
+    if (summarizer === "llm" && !dryRun) {
+      try {
+        text = await llmSummary(episodes, consolidation.llm);
+      } catch (err) {
+        logger?.warn?.(`memory-epiproc: consolidation summary failed, using the extractive one: ${String(err)}`);
+        summarizer = "extractive";
+      }
+    }
+    text = truncate(redactor.redact(text || extractiveSummary(episodes)), cfg.episodic.maxChars);
+    const [tenant, agentId] = JSON.parse(cluster[0].group);
+    const sessions = new Set(episodes.map((entry) => entry.sessionKey || ""));
+    const item = {
+      agentId,
+      from: episodes[0].createdAt,
+      to: episodes[episodes.length - 1].createdAt,
+      episodes: sources.length,
+      summarizer,
+      summaryId: "",
+      preview: text.split("\n").slice(2).join(" "),
+      text,
+      sources
+    };
+    if (!dryRun) {
+      const meta = {
+        agentId: item.agentId || "main",
+        sources,
+        from: item.from,
+        to: item.to,
+        count: sources.length,
+        summarizer
+      };
+      const stored = await table.store({
+        text,
+        vector: await embeddings.embed(text),
+        createdAt: item.to,
+        kind: CONSOLIDATED_KIND,
+        tenant,
+        agentId,
+        // A summary spanning several sessions belongs to none of them.
+        sessionKey: sessions.size === 1 ? [...sessions][0] : "",
+        meta: JSON.stringify(meta)
+      });
+      await table.updateIds(sources, { consolidatedInto: stored.id });
+      item.summaryId = stored.id;
+    }
+    report.push(item);
+  }
+  if (!dryRun && report.length) {
+    const merged = report.reduce((acc, item) => acc + item.episodes, 0);
+    logger?.info?.(`memory-epiproc: consolidated ${merged} episodes into ${report.length} summaries`);
+  }
+  return report;
+}
+
+const CONSOLIDATION_COLUMNS = [
+  { key: "from", time: true },
+  { key: "to", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "episodes" },
+  { key: "summarizer" },
+  { key: "preview", label: "summary" }
+];
+
+const EPISODE_COLUMNS = [
+  { key: "createdAt", label: "when", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "success" },
+  { key: "tools", width: 30 },
+  { key: "userText", label: "user asked" }
+];
+
+const PROCEDURE_COLUMNS = [
+  { key: "createdAt", label: "when", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "patternKey", label: "pattern" },
+  { key: "steps" },
+  { key: "successRate", label: "success rate" }
+];
+
+function byNewest(rows) {
+  return rows.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+function episodeRow(entry) {
+  const meta = parseMeta(entry);
+  const consolidated = entry.kind === CONSOLIDATED_KIND;
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    agentId: entry.agentId || meta.agentId || "",
+    sessionKey: entry.sessionKey || meta.sessionKey || "",
+    success: meta.success === undefined ? "" : meta.success ? "yes" : "no",
+    tools: Array.isArray(meta.tools) ? meta.tools : [],
+    userText: consolidated ? `[summary of ${meta.count || 0} episodes]` : meta.userText || "",
+    consolidatedInto: entry.consolidatedInto || "",
+    sources: consolidated && Array.isArray(meta.sources) ? meta.sources : [],
+    text: entry.text
+  };
+}
+
+function procedureRow(entry, stats) {
+  const meta = parseMeta(entry);
+  const stat = meta.patternKey ? stats[meta.patternKey] : null;
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    agentId: entry.agentId || meta.agentId || "",
+    patternKey: meta.patternKey || "",
+    steps: Array.isArray(meta.steps) ? meta.steps.length : 0,
+    successRate: stat ? `${stat.success}/${stat.total}` : "",
+    text: entry.text
+  };
 }
 
 const memoryEpiProcPlugin = {
@@ -525,57 +650,313 @@ const memoryEpiProcPlugin = {
   description: "Episodic and procedural memory with recency decay",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
 
-    const vectorDim = EMBEDDING_DIMENSIONS[cfg.embedding.model];
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model);
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
 
-    const episodicTable = new VectorTable(resolvedDbPath, vectorDim, "episodes");
-    const proceduralTable = new VectorTable(resolvedDbPath, vectorDim, "procedures");
+    const episodicTable = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: EPISODES_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.episodic.hybrid
+    });
+    const proceduralTable = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: PROCEDURES_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.procedural.hybrid
+    });
+    const episodicIntent = createIntentRouter({
+      layer: "episodic",
+      embeddings,
+      config: cfg.episodic.intent,
+      logger: api.logger
+    });
+    const proceduralIntent = createIntentRouter({
+      layer: "procedural",
+      embeddings,
+      config: cfg.procedural.intent,
+      logger: api.logger
+    });
+    const episodicRedactor = createRedactor(cfg.redaction, { layer: "episodic", logger: api.logger });
+    const proceduralRedactor = createRedactor(cfg.redaction, { layer: "procedural", logger: api.logger });
+    const episodicTuner = createAutoTuner({
+      layer: "episodic",
+      base: { minScore: cfg.episodic.minScore, recallLimit: cfg.episodic.recallLimit },
+      config: cfg.episodic.autoTune,
+      logger: api.logger
+    });
+    const proceduralTuner = createAutoTuner({
+      layer: "procedural",
+      base: { minScore: cfg.procedural.minScore, recallLimit: cfg.procedural.recallLimit },
+      config: cfg.procedural.autoTune,
+      logger: api.logger
+    });
     const statsPath = join(resolvedDbPath, "procedures-stats.json");
+    const episodicRetention = {
+      table: episodicTable,
+      rule: cfg.episodic.retention,
+      halfLifeDays: cfg.episodic.halfLifeDays,
+      // A summary stays while episodes point at it; pruning it first would leave them demoted.
+      isReferenced: (entry, entries) =>
+        entry.kind === CONSOLIDATED_KIND && entries.some((other) => other.consolidatedInto === entry.id)
+    };
+    const proceduralRetention = {
+      table: proceduralTable,
+      rule: cfg.procedural.retention,
+      halfLifeDays: cfg.procedural.halfLifeDays
+    };
 
     api.logger?.info?.(`memory-epiproc: initialized (db: ${resolvedDbPath})`);
 
+    registerArchiveSource(api, {
+      id: "memory-epiproc",
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      tables: ["episodes", "procedures"],
+      files: [{ name: "procedures-stats", path: statsPath }]
+    });
+    registerRetention(api, { id: "memory-epiproc", targets: [episodicRetention, proceduralRetention] });
+    registerTableRefs("episodic", episodicTable, cfg.episodic.scope);
+    registerTableRefs("procedural", proceduralTable, cfg.procedural.scope);
+    const episodicPurge = tablePurgeTarget("episodic", episodicTable);
+    registerPurgeTarget(api, {
+      ...episodicPurge,
+      apply: async (ids, mode, subject) => {
+        const count = await episodicPurge.apply(ids, mode, subject);
+        if (mode === "delete") await unlinkEpisodes(episodicTable, ids);
+        return count;
+      }
+    });
+    registerPurgeTarget(api, tablePurgeTarget("procedural", proceduralTable));
+    registerTableFeedback("episodic", episodicTable, cfg.episodic.scope, api.logger);
+    registerTableFeedback("procedural", proceduralTable, cfg.procedural.scope, api.logger);
+    const consolidate = (dryRun) =>
+      consolidateEpisodes({
+        table: episodicTable,
+        embeddings,
+        redactor: episodicRedactor,
+        cfg,
+        dryRun,
+        logger: api.logger
+      });
+    const consolidationJob = {
+      name: "consolidation",
+      intervalMinutes: cfg.episodic.consolidation.intervalMinutes,
+      run: () => consolidate(false)
+    };
+    registerIntervalService(api, {
+      id: "memory-epiproc-consolidation",
+      jobs: cfg.episodic.enabled && cfg.episodic.consolidation.enabled ? [consolidationJob] : []
+    });
+
+    registerLayerCli(api, { command: "episodes", description: "Episodic memory (memory-epiproc)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "list",
+        description: "List captured episodes, newest first",
+        columns: EPISODE_COLUMNS,
+        load: async () => byNewest((await episodicTable.list()).map(episodeRow))
+      });
+      addSearchCommand(cmd, { table: episodicTable, embeddings, toRow: episodeRow, columns: EPISODE_COLUMNS });
+      addReindexCommand(cmd, { lancedb, dbPath: resolvedDbPath, embeddings, tables: ["episodes"], logger: api.logger });
+      addRetentionCommand(cmd, { targets: [episodicRetention], logger: api.logger });
+      cmd
+        .command("consolidate")
+        .description("Merge clusters of similar episodes into summaries now")
+        .option("--dry-run", "Only report the clusters that would be merged")
+        .option("--json", "Print the report as JSON")
+        .action(async (opts) => {
+          try {
+            const report = await consolidate(opts.dryRun === true);
+            if (opts.json) console.log(JSON.stringify(report, null, 2));
+            else printRows(report, CONSOLIDATION_COLUMNS);
+          } catch (err) {
+            console.error(err instanceof Error ? err.message : String(err));
+            process.exitCode = 1;
+          }
+        });
+      addConfigCommand(cmd, {
+        pluginId: "memory-epiproc",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    registerLayerCli(api, { command: "procedures", description: "Procedural memory (memory-epiproc)" }, (cmd) => {
+      let stats = null;
+      const toRow = (entry) => {
+        if (!stats) stats = readJson(statsPath, { logger: api.logger });
+        return procedureRow(entry, stats);
+      };
+      addQueryCommand(cmd, {
+        name: "list",
+        description: "List captured procedures, newest first",
+        columns: PROCEDURE_COLUMNS,
+        load: async () => byNewest((await proceduralTable.list()).map(toRow))
+      });
+      addSearchCommand(cmd, { table: proceduralTable, embeddings, toRow, columns: PROCEDURE_COLUMNS });
+      addReindexCommand(cmd, { lancedb, dbPath: resolvedDbPath, embeddings, tables: ["procedures"], logger: api.logger });
+      addRetentionCommand(cmd, { targets: [proceduralRetention], logger: api.logger });
+      addConfigCommand(cmd, {
+        pluginId: "memory-epiproc",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    // Deliberate lookups for the agent, ranked like recall (decay, consolidation, item feedback) but
+    // without its minScore.
+    if (cfg.episodic.enabled) {
+      registerLayerTool(api, {
+        name: "episodes_search",
+        label: "Episodes Search",
+        description:
+          "Search past episodes (what was asked, which tools ran and how it ended) by similarity to a query. " +
+          "Use it to check how a similar request went before.",
+        parameters: Type.Object({
+          query: Type.String({ description: "The task, request or error to look for" }),
+          limit: Type.Optional(Type.Number({ description: "Max results (default: 5, max: 20)" })),
+          success: Type.Optional(Type.Boolean({ description: "Only episodes that succeeded (true) or failed (false)" }))
+        }),
+        run: async (params, ctx) => {
+          const limit = toolLimit(params.limit);
+          const filtered = typeof params.success === "boolean";
+          const vector = await embeddings.embed(params.query);
+          const found = await recallEntries(
+            episodicTable,
+            vector,
+            params.query,
+            { ...cfg.episodic, recallLimit: filtered ? limit * 3 : limit, minScore: 0 },
+            ctx
+          );
+          const rows = found
+            .map((item) => ({ ...episodeRow(item.entry), score: item.adjustedScore }))
+            .filter((row) => !filtered || row.success === (params.success ? "yes" : "no"))
+            .slice(0, limit);
+          return toolResult("episodic", rows, { noun: "episodes", line: (row) => truncate(row.text || "", 400) });
+        }
+      });
+    }
+
+    if (cfg.procedural.enabled) {
+      registerLayerTool(api, {
+        name: "procedure_lookup",
+        label: "Procedure Lookup",
+        description:
+          "Find learned procedures (tool sequences that worked before) for a task, with their success rate. " +
+          "Use it before a multi-step task to reuse a known way of doing it.",
+        parameters: Type.Object({
+          task: Type.String({ description: "The task to find a procedure for" }),
+          limit: Type.Optional(Type.Number({ description: "Max results (default: 5, max: 20)" }))
+        }),
+        run: async (params, ctx) => {
+          const limit = toolLimit(params.limit);
+          const vector = await embeddings.embed(params.task);
+          const found = await recallEntries(
+            proceduralTable,
+            vector,
+            params.task,
+            { ...cfg.procedural, recallLimit: limit, minScore: 0 },
+            ctx
+          );
+          const stats = readJson(statsPath, { logger: api.logger });
+          const rows = found.map((item) => ({ ...procedureRow(item.entry, stats), score: item.adjustedScore }));
+          return toolResult("procedural", rows, {
+            noun: "procedures",
+            line: (row) => `${truncate(row.text || "", 420)}\n   Success rate: ${row.successRate || "n/a"}`
+          });
+        }
+      });
+    }
+
     api.on(
       "before_agent_start",
       async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 5) return;
         const prompt = event.prompt;
+        // Routing and the prompt embedding are shared; each layer is charged for them plus its own search.
+        const started = Date.now();
 
-        const episodicAllowed = cfg.episodic.enabled && (cfg.episodic.alwaysRecall || shouldRecallEpisodic(prompt));
-        const proceduralAllowed = cfg.procedural.enabled && (cfg.procedural.alwaysRecall || shouldRecallProcedural(prompt));
+        const episodicAllowed =
+          cfg.episodic.enabled && (cfg.episodic.alwaysRecall || (await episodicIntent.classify(prompt)).recall);
+        const proceduralAllowed =
+          cfg.procedural.enabled && (cfg.procedural.alwaysRecall || (await proceduralIntent.classify(prompt)).recall);
         if (!episodicAllowed && !proceduralAllowed) return;
 
         const parts = [];
-        const stats = loadStats(statsPath);
+        const stats = readJson(statsPath, { logger: api.logger });
 
+        let vector;
+        try {
+          vector = await embeddings.embed(prompt);
+        } catch (err) {
+          api.logger?.warn?.(`memory-epiproc: embedding failed: ${String(err)}`);
+          if (episodicAllowed) recordRecallError("episodic", err, api.logger);
+          if (proceduralAllowed) recordRecallError("procedural", err, api.logger);
+          return;
+        }
+
+        const sharedMs = Date.now() - started;
         if (episodicAllowed) {
+          const layerStarted = Date.now();
           try {
-            const episodic = await recallEntries(episodicTable, embeddings, prompt, cfg.episodic);
-            const formatted = formatEpisodicContext(episodic);
+            const episodic = await recallEntries(
+              episodicTable,
+              vector,
+              event.prompt,
+              { ...cfg.episodic, ...episodicTuner.thresholds() },
+              ctx
+            );
+            markReferenced(resolvedDbPath, "episodes", episodic.map((item) => item.entry.id), api.logger);
+            if (!episodic.length) recordRecallEmpty("episodic", api.logger);
+            const section = episodicSection(episodic);
+            const formatted = offerContext(event, ctx, section) ? "" : renderSection(section);
             if (formatted) {
-              recordRouting("episodic", formatted.length);
+              recordRouting("episodic", formatted.length, api.logger);
               parts.push(formatted);
             }
           } catch (err) {
             api.logger?.warn?.(`memory-epiproc: episodic recall failed: ${String(err)}`);
+            recordRecallError("episodic", err, api.logger);
+          } finally {
+            recordRecallLatency("episodic", sharedMs + Date.now() - layerStarted, api.logger);
           }
         }
 
         if (proceduralAllowed) {
+          const layerStarted = Date.now();
           try {
-            const procedural = await recallEntries(proceduralTable, embeddings, prompt, cfg.procedural);
-            const formatted = formatProceduralContext(procedural, stats);
+            const procedural = await recallEntries(
+              proceduralTable,
+              vector,
+              event.prompt,
+              { ...cfg.procedural, ...proceduralTuner.thresholds() },
+              ctx
+            );
+            markReferenced(resolvedDbPath, "procedures", procedural.map((item) => item.entry.id), api.logger);
+            if (!procedural.length) recordRecallEmpty("procedural", api.logger);
+            const section = proceduralSection(procedural, stats);
+            const formatted = offerContext(event, ctx, section) ? "" : renderSection(section);
             if (formatted) {
-              recordRouting("procedural", formatted.length);
+              recordRouting("procedural", formatted.length, api.logger);
               parts.push(formatted);
             }
           } catch (err) {
             api.logger?.warn?.(`memory-epiproc: procedural recall failed: ${String(err)}`);
+            recordRecallError("procedural", err, api.logger);
+          } finally {
+            recordRecallLatency("procedural", sharedMs + Date.now() - layerStarted, api.logger);
           }
         }
 
@@ -587,23 +968,27 @@ const memoryEpiProcPlugin = {
 
     api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
+      episodicTuner.tune();
+      proceduralTuner.tune();
 
       const context = collectContext(event.messages);
       const meta = { agentId: ctx?.agentId || "main", sessionKey: ctx?.sessionKey || "" };
 
       if (cfg.episodic.enabled) {
         try {
-          const episode = buildEpisode(context, event, cfg, meta);
+          const episode = buildEpisode(context, event, cfg, meta, episodicRedactor);
           if (episode) {
-            const text = redactSensitive(episode.text, cfg.redaction.enabled);
+            const { text } = episode;
             const vector = await embeddings.embed(text);
             await episodicTable.store({
               text: truncate(text, cfg.episodic.maxChars),
               vector,
               createdAt: Date.now(),
               kind: "episodic",
+              ...resolveScope(ctx, cfg.episodic.scope),
               meta: JSON.stringify(episode.meta)
             });
+            recordCapture("episodic", 1, api.logger);
           }
         } catch (err) {
           api.logger?.warn?.(`memory-epiproc: episodic capture failed: ${String(err)}`);
@@ -612,21 +997,23 @@ const memoryEpiProcPlugin = {
 
       if (cfg.procedural.enabled) {
         try {
-          const procedure = buildProcedure(context, event, cfg);
+          const procedure = buildProcedure(context, event, cfg, meta, proceduralRedactor);
           if (procedure) {
-            const text = redactSensitive(procedure.text, cfg.redaction.enabled);
+            const { text } = procedure;
             const vector = await embeddings.embed(text);
             await proceduralTable.store({
               text: truncate(text, cfg.procedural.maxChars),
               vector,
               createdAt: Date.now(),
               kind: "procedural",
+              ...resolveScope(ctx, cfg.procedural.scope),
               meta: JSON.stringify(procedure.meta)
             });
+            recordCapture("procedural", 1, api.logger);
 
-            let stats = loadStats(statsPath);
-            stats = updateStats(stats, procedure.patternKey, procedure.success);
-            saveStats(statsPath, stats);
+            await updateJson(statsPath, (stats) => updateStats(stats, procedure.patternKey, procedure.success), {
+              logger: api.logger
+            });
           }
         } catch (err) {
           api.logger?.warn?.(`memory-epiproc: procedural capture failed: ${String(err)}`);
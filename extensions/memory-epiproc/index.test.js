@@ -0,0 +1,145 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryEpiProcPlugin from "./index.js";
+
+const DEPLOY_TURN = turn({
+  user: "deploy the billing service to staging",
+  assistant: "Billing is live on staging.",
+  tools: [
+    { name: "exec", args: { command: "npm run build" } },
+    { name: "exec", args: { command: "kubectl apply -f billing.yaml" } }
+  ]
+});
+
+describe("memory-epiproc", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryEpiProcPlugin, {
+      dbPath: env.path("epiproc"),
+      embedding: TEST_EMBEDDING,
+      episodic: { alwaysRecall: true, minScore: 0, consolidation: { similarity: 0.5 } },
+      procedural: { alwaysRecall: true, minScore: 0 }
+    });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("captures an episode and a procedure from one turn and recalls both", async () => {
+    await host.capture(DEPLOY_TURN);
+    await host.capture(DEPLOY_TURN);
+
+    const context = await host.recall("how did we deploy billing to staging?");
+    expect(context).toContain("<episodic-memories>");
+    expect(context).toContain("User asked: deploy the billing service to staging");
+    expect(context).toContain("Outcome: Billing is live on staging.");
+    expect(context).toContain("<procedural-memories>");
+    expect(context).toContain("Procedure pattern: exec:npm -> exec:kubectl");
+    expect(context).toContain("Success rate: 2/2");
+  });
+
+  test("leaves failed tool steps out of procedures", async () => {
+    await host.capture(
+      turn({
+        user: "run the migrations",
+        tools: [
+          { name: "exec", args: { command: "npm run migrate" }, exitCode: 1 },
+          { name: "read", args: { path: "migrations/001.sql" } },
+          { name: "exec", args: { command: "psql -f migrations/001.sql" } }
+        ]
+      })
+    );
+
+    const rows = JSON.parse((await host.runCli(["memory", "procedures", "list", "--json"])).stdout);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].patternKey).toBe("read -> exec:psql");
+    expect(rows[0].steps).toBe(2);
+  });
+
+  test("redacts the episode meta as well as its text", async () => {
+    await host.capture(turn({ user: "email the report to jane.doe@example.com", assistant: "Sent." }));
+
+    const rows = JSON.parse((await host.runCli(["memory", "episodes", "list", "--json"])).stdout);
+    expect(rows[0].userText).toBe("email the report to [redacted:email]");
+    expect(JSON.stringify(rows)).not.toContain("jane.doe@example.com");
+  });
+
+  test("episodes_search and procedure_lookup answer within the caller's agent", async () => {
+    const rollout = turn({
+      user: "roll out the invoicing worker to production",
+      assistant: "Invoicing worker rolled out.",
+      tools: [
+        { name: "exec", args: { command: "make invoicing" } },
+        { name: "exec", args: { command: "helm upgrade invoicing" } }
+      ]
+    });
+    const ops = { agentId: "ops", sessionKey: "s-ops" };
+    await host.capture(rollout, ops);
+    await host.capture(turn({ user: "roll out the invoicing worker again", assistant: "Failed." }), ops, {
+      success: false
+    });
+    await host.capture(rollout, { agentId: "dev", sessionKey: "s-dev" });
+
+    const search = host.tool("episodes_search", ops);
+    const episodes = await search.execute("t1", { query: "invoicing worker", success: true });
+    expect(episodes.details.count).toBe(1);
+    expect(episodes.details.rows[0]).toMatchObject({ agentId: "ops", success: "yes" });
+    expect(episodes.details.rows[0].ref).toMatch(/^ep:[0-9a-f]{8}$/);
+    expect(episodes.content[0].text).toContain("Outcome: Invoicing worker rolled out.");
+    expect(episodes.details.rows[0]).not.toHaveProperty("vector");
+
+    const procedures = await host.tool("procedure_lookup", ops).execute("t2", { task: "invoicing rollout" });
+    expect(procedures.details.rows).toHaveLength(1);
+    expect(procedures.details.rows[0]).toMatchObject({ agentId: "ops", successRate: "2/2" });
+    expect(procedures.content[0].text).toContain("Success rate: 2/2");
+  });
+
+  test("consolidates similar episodes per agent", async () => {
+    for (let i = 0; i < 3; i += 1) await host.capture(DEPLOY_TURN, { agentId: "ops" });
+    await host.capture(DEPLOY_TURN, { agentId: "dev" });
+
+    const { stdout } = await host.runCli(["memory", "episodes", "consolidate", "--json"]);
+    const report = JSON.parse(stdout);
+    expect(report).toHaveLength(1);
+    expect(report[0]).toMatchObject({ agentId: "ops", episodes: 3, summarizer: "extractive" });
+
+    const rows = JSON.parse((await host.runCli(["memory", "episodes", "list", "--json"])).stdout);
+    expect(rows.filter((row) => row.consolidatedInto === report[0].summaryId)).toHaveLength(3);
+  });
+
+  test("keeps a summary while its episodes link to it and relinks them when it is purged", async () => {
+    host = createTestHost();
+    await host.load(memoryEpiProcPlugin, {
+      dbPath: env.path("epiproc-linked"),
+      embedding: TEST_EMBEDDING,
+      episodic: { alwaysRecall: true, minScore: 0, consolidation: { similarity: 0.5 }, retention: { maxRows: 1 } }
+    });
+    const ops = { agentId: "ops", sessionKey: "s-ops" };
+    for (let i = 0; i < 3; i += 1) await host.capture(DEPLOY_TURN, ops);
+    // Recalled episodes are protected by keepReferenced; the summary is protected by its links.
+    expect(await host.recall("deploy the billing service to staging", ops)).toContain("<episodic-memories>");
+    await settle();
+    const consolidate = async () => JSON.parse((await host.runCli(["memory", "episodes", "consolidate", "--json"])).stdout);
+    const episodes = async () => JSON.parse((await host.runCli(["memory", "episodes", "list", "--json"])).stdout);
+    const [first] = await consolidate();
+
+    const retention = JSON.parse((await host.runCli(["memory", "episodes", "retention", "--json"])).stdout);
+    expect(retention[0]).toMatchObject({ rows: 4, protected: 4, pruned: [] });
+
+    await host.runCli(["memory", "purge", "Consolidated", "--confirm"]);
+    const rows = await episodes();
+    expect(rows).toHaveLength(3);
+    expect(rows.map((row) => row.consolidatedInto)).toEqual(["", "", ""]);
+
+    const [second] = await consolidate();
+    expect(second).toMatchObject({ agentId: "ops", episodes: 3 });
+    expect(second.summaryId).not.toBe(first.summaryId);
+    expect((await episodes()).filter((row) => row.consolidatedInto === second.summaryId)).toHaveLength(3);
+  });
+});
@@ -1,10 +1,27 @@
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
+import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { randomUUID } from "node:crypto";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { createEmbeddings, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { addConfigCommand, addQueryCommand, addSearchCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { byPinnedThen, loadItemFeedback, registerTableFeedback, withItemFeedback } from "../_shared/item-feedback.js";
+import { registerLayerTool, toolLimit, toolResult } from "../_shared/layer-tools.js";
+import { addReindexCommand } from "../_shared/reindex.js";
+import { addRetentionCommand, markReferenced, normalizeRetentionConfig, registerRetention } from "../_shared/retention.js";
+import { parseMeta, VectorTable } from "../_shared/vector-table.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef, messageOrigin, registerTableRefs } from "../_shared/provenance.js";
+import { registerPurgeTarget, tablePurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, SCOPE_COLUMNS, scopeFilter, scopeMatcher, scopeMigration } from "../_shared/scope.js";
+import { currentFilter, historyLines, normalizeSupersessionConfig, supersedeOlder, SUPERSESSION_COLUMNS } from "../_shared/supersession.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -18,32 +35,13 @@ const DEFAULTS = {
   halfLifeDays: 30,
   alwaysRecall: false,
   captureMode: "explicit_or_pattern",
-  maxChars: 1200,
-  redaction: {
-    enabled: true
-  }
-};
-
-const EMBEDDING_DIMENSIONS = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072
+  maxChars: 1200
 };
 
 function resolveDefaultDbPath() {
   return join(homedir(), ".openclaw", "memory", "goals");
 }
 
-function resolveEnvVars(value) {
-  if (!value || typeof value !== "string") return value;
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
 function toNumber(value, fallback) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
@@ -57,129 +55,48 @@ function normalizeCaptureMode(mode) {
   return DEFAULTS.captureMode;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-goal", raw, logger);
   const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
-
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULTS.embedding.model;
-  if (!EMBEDDING_DIMENSIONS[model]) {
-    throw new Error(`Unsupported embedding model: ${model}`);
-  }
-
-  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : DEFAULTS.embedding.apiKey;
-  const apiKey = resolveEnvVars(apiKeyRaw);
+  const recallLimit = Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit)));
+  const minScore = Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore)));
 
   return {
     enabled: cfg.enabled !== false,
     dbPath: typeof cfg.dbPath === "string" && cfg.dbPath.trim() ? cfg.dbPath.trim() : resolveDefaultDbPath(),
-    embedding: {
-      apiKey: apiKey || DEFAULTS.embedding.apiKey,
-      model
-    },
-    recallLimit: Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit))),
-    minScore: Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore))),
+    embedding: normalizeEmbeddingConfig(embedding, DEFAULTS.embedding),
+    recallLimit,
+    minScore,
     halfLifeDays: Math.max(1, toNumber(cfg.halfLifeDays, DEFAULTS.halfLifeDays)),
     alwaysRecall: cfg.alwaysRecall === true,
+    intent: normalizeIntentConfig(cfg.intent),
+    autoTune: normalizeAutoTuneConfig(cfg.autoTune, { minScore, recallLimit }),
+    retention: normalizeRetentionConfig(cfg.retention),
     captureMode: normalizeCaptureMode(cfg.captureMode),
     maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
-    redaction: {
-      enabled: redaction.enabled !== false
-    }
+    redaction: normalizeRedactionConfig(cfg.redaction),
+    scope: normalizeScopeConfig(cfg.scope),
+    hybrid: normalizeHybridConfig(cfg.hybrid),
+    supersession: normalizeSupersessionConfig(cfg.supersession)
   };
 }
 
-class Embeddings {
-  constructor(apiKey, model) {
-    this.model = model;
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text) {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text
-    });
-    return response.data[0].embedding;
-  }
-}
-
-class VectorTable {
-  constructor(dbPath, vectorDim, tableName) {
-    this.dbPath = dbPath;
-    this.vectorDim = vectorDim;
-    this.tableName = tableName;
-    this.db = null;
-    this.table = null;
-    this.initPromise = null;
-  }
-
-  async ensureInitialized() {
-    if (this.table) return;
-    if (this.initPromise) return this.initPromise;
-    this.initPromise = this.doInitialize();
-    return this.initPromise;
-  }
-
-  async doInitialize() {
-    this.db = await lancedb.connect(this.dbPath);
-    const tables = await this.db.tableNames();
-    if (tables.includes(this.tableName)) {
-      this.table = await this.db.openTable(this.tableName);
-    } else {
-      this.table = await this.db.createTable(this.tableName, [
-        {
-          id: "__schema__",
-          text: "",
-          vector: new Array(this.vectorDim).fill(0),
-          createdAt: 0,
-          updatedAt: 0,
-          status: "",
-          priority: "",
-          owner: "",
-          meta: "{}"
-        }
-      ]);
-      await this.table.delete('id = "__schema__"');
-    }
-  }
-
-  async store(entry) {
-    await this.ensureInitialized();
-    const now = Date.now();
-    const fullEntry = {
-      ...entry,
-      id: randomUUID(),
-      createdAt: entry.createdAt || now,
-      updatedAt: entry.updatedAt || now
-    };
-    await this.table.add([fullEntry]);
-    return fullEntry;
-  }
-
-  async search(vector, limit = 5) {
-    await this.ensureInitialized();
-    const results = await this.table.vectorSearch(vector).limit(limit).toArray();
-    return results.map((row) => {
-      const distance = row._distance ?? 0;
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id,
-          text: row.text,
-          vector: row.vector,
-          createdAt: row.createdAt,
-          updatedAt: row.updatedAt,
-          status: row.status,
-          priority: row.priority,
-          owner: row.owner,
-          meta: row.meta
-        },
-        score
-      };
-    });
-  }
-}
+const GOALS_SCHEMA = {
+  name: "goals",
+  version: 3,
+  columns: {
+    updatedAt: 0,
+    status: "",
+    priority: "",
+    owner: "",
+    meta: "{}",
+    ...SCOPE_COLUMNS,
+    ...SUPERSESSION_COLUMNS
+  },
+  timestamps: ["updatedAt"],
+  encrypted: ["owner"],
+  migrations: [scopeMigration(2), { version: 3, description: "supersededBy/supersededAt columns" }]
+};
 
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
@@ -187,22 +104,6 @@ function truncate(text, maxChars) {
   return text.slice(0, maxChars).trim() + "...";
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
 function extractTextContent(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -323,11 +224,6 @@ function parseGoals(text, cfg) {
   return goals;
 }
 
-function shouldRecallGoals(prompt) {
-  const p = String(prompt || "").toLowerCase();
-  return /goal|objetivo|meta|intent|plan|task|prioridad|priority/.test(p);
-}
-
 function computeDecayScore(score, updatedAt, halfLifeDays) {
   const ageMs = Math.max(0, Date.now() - (updatedAt || Date.now()));
   const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
@@ -336,75 +232,231 @@ function computeDecayScore(score, updatedAt, halfLifeDays) {
   return score * decay;
 }
 
+const GOAL_COLUMNS = [
+  { key: "updatedAt", label: "updated", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "status" },
+  { key: "priority" },
+  { key: "owner", width: 20 },
+  { key: "goal" }
+];
+
+function activeFirst(a, b) {
+  if ((a.status === "active") !== (b.status === "active")) return a.status === "active" ? -1 : 1;
+  return (b.updatedAt || 0) - (a.updatedAt || 0);
+}
+
+function goalRow(entry) {
+  const meta = parseMeta(entry);
+  return {
+    id: entry.id,
+    updatedAt: entry.updatedAt || entry.createdAt,
+    agentId: entry.agentId || meta.agentId || "",
+    status: entry.status,
+    priority: entry.priority,
+    owner: entry.owner,
+    goal: meta.goal || entry.text
+  };
+}
+
 const memoryGoalPlugin = {
   id: "memory-goal",
   name: "Memory (Goal/Intent)",
   description: "Goal and intent tracking",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
 
-    const vectorDim = EMBEDDING_DIMENSIONS[cfg.embedding.model];
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model);
-    const table = new VectorTable(resolvedDbPath, vectorDim, "goals");
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
+    const table = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: GOALS_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.hybrid
+    });
+    const intent = createIntentRouter({ layer: "goal", embeddings, config: cfg.intent, logger: api.logger });
+    const redactor = createRedactor(cfg.redaction, { layer: "goal", logger: api.logger });
+    const tuner = createAutoTuner({
+      layer: "goal",
+      base: { minScore: cfg.minScore, recallLimit: cfg.recallLimit },
+      config: cfg.autoTune,
+      logger: api.logger
+    });
+    const retention = [
+      {
+        table,
+        rule: cfg.retention,
+        timeKey: "updatedAt",
+        halfLifeDays: cfg.halfLifeDays,
+        isReferenced: (entry) => entry.status === "active" && !entry.supersededBy
+      }
+    ];
+
+    registerArchiveSource(api, { id: "memory-goal", lancedb, dbPath: resolvedDbPath, embeddings, tables: ["goals"] });
+    registerRetention(api, { id: "memory-goal", targets: retention });
+    registerTableRefs("goal", table, cfg.scope);
+    registerPurgeTarget(api, tablePurgeTarget("goal", table));
+    registerTableFeedback("goal", table, cfg.scope, api.logger);
+
+    registerLayerCli(api, { command: "goals", description: "Goal/intent memory (memory-goal)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "list",
+        description: "List captured goals, active first, then most recently updated",
+        options: [["--status <status>", "Only goals with this status (active, done, cancelled)"]],
+        columns: GOAL_COLUMNS,
+        timeKey: "updatedAt",
+        load: async ({ opts }) =>
+          (await table.list())
+            .map(goalRow)
+            .filter((row) => !opts.status || row.status === String(opts.status).toLowerCase())
+            .sort(activeFirst)
+      });
+      addSearchCommand(cmd, { table, embeddings, toRow: goalRow, columns: GOAL_COLUMNS, timeKey: "updatedAt" });
+      addReindexCommand(cmd, {
+        lancedb,
+        dbPath: resolvedDbPath,
+        embeddings,
+        tables: ["goals"],
+        logger: api.logger
+      });
+      addRetentionCommand(cmd, { targets: retention, logger: api.logger });
+      addConfigCommand(cmd, {
+        pluginId: "memory-goal",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    // Current goals only: a goal restated with a new status is listed once, with that status.
+    registerLayerTool(api, {
+      name: "goals_list",
+      label: "Goals List",
+      description:
+        "List the tracked goals (active first, then most recently updated), optionally by status or those " +
+        "closest to a query. Use it to check what is pending before planning work.",
+      parameters: Type.Object({
+        status: Type.Optional(
+          Type.Union([Type.Literal("active"), Type.Literal("done"), Type.Literal("cancelled")], {
+            description: "Only goals with this status"
+          })
+        ),
+        query: Type.Optional(Type.String({ description: "Only the goals closest to this text" })),
+        limit: Type.Optional(Type.Number({ description: "Max goals (default: 5, max: 20)" }))
+      }),
+      run: async (params, ctx) => {
+        const scope = resolveScope(ctx, cfg.scope);
+        const limit = toolLimit(params.limit);
+        const status = params.status ? normalizeStatus(params.status) : "";
+        let rows;
+        if (params.query) {
+          const filter = currentFilter(scopeFilter(scope, cfg.scope), cfg.supersession);
+          const vector = await embeddings.embed(params.query);
+          const results = await table.search(vector, limit, 0, {
+            filter: status ? [filter, `status = '${status}'`].filter(Boolean).join(" AND ") : filter,
+            text: params.query
+          });
+          rows = results.map((item) => ({ ...goalRow(item.entry), score: item.score }));
+        } else {
+          const visible = scopeMatcher(scope, cfg.scope);
+          rows = (await table.list())
+            .filter((entry) => visible(entry) && !(cfg.supersession.enabled && entry.supersededBy))
+            .map(goalRow)
+            .filter((row) => !status || row.status === status)
+            .sort(activeFirst)
+            .slice(0, limit);
+        }
+        return toolResult("goal", rows, {
+          noun: "goals",
+          line: (row) => `${truncate(row.goal || "", 400)}${row.priority ? ` [${row.priority}]` : ""} (${row.status})`
+        });
+      }
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("goal", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        if (!cfg.alwaysRecall && !shouldRecallGoals(event.prompt)) return;
-
+        if (!cfg.alwaysRecall && !(await intent.classify(event.prompt)).recall) return;
         try {
+          const { minScore, recallLimit } = tuner.thresholds();
           const vector = await embeddings.embed(event.prompt);
-          const results = await table.search(vector, cfg.recallLimit * 3);
-          const rescored = results
-            .map((item) => ({
-              ...item,
-              adjusted: computeDecayScore(item.score, item.entry.updatedAt, cfg.halfLifeDays)
-            }))
-            .filter((item) => item.adjusted >= cfg.minScore)
-            .sort((a, b) => {
-              const aActive = String(a.entry.status || "").toLowerCase() === "active";
-              const bActive = String(b.entry.status || "").toLowerCase() === "active";
-              if (aActive !== bActive) return aActive ? -1 : 1;
-              return b.adjusted - a.adjusted;
-            })
-            .slice(0, cfg.recallLimit);
+          const filter = currentFilter(scopeFilter(resolveScope(ctx, cfg.scope), cfg.scope), cfg.supersession);
+          const results = await table.search(vector, recallLimit * 3, 0, { filter, text: event.prompt });
+          const decayed = results.map((item) => ({
+            ...item,
+            adjusted: computeDecayScore(item.score, item.entry.updatedAt, cfg.halfLifeDays)
+          }));
+          const feedback = loadItemFeedback(resolvedDbPath, "goals", api.logger);
+          const rescored = withItemFeedback(decayed, feedback, "adjusted")
+            .filter((item) => item.pinned || item.adjusted >= minScore)
+            .sort(
+              byPinnedThen((a, b) => {
+                const aActive = String(a.entry.status || "").toLowerCase() === "active";
+                const bActive = String(b.entry.status || "").toLowerCase() === "active";
+                if (aActive !== bActive) return aActive ? -1 : 1;
+                return b.adjusted - a.adjusted;
+              })
+            )
+            .slice(0, recallLimit);
 
-          if (!rescored.length) return;
-          const lines = rescored.map((item, idx) => {
-            const status = item.entry.status ? ` (${item.entry.status})` : "";
-            const priority = item.entry.priority ? ` [${item.entry.priority}]` : "";
-            return `${idx + 1}. ${truncate(item.entry.text || "", 400)}${priority}${status}`;
-          });
-          const body = truncate(lines.join("\n"), cfg.maxChars);
-        recordRouting("goal", body.length);
-          return { prependContext: `<goal-intent>\n${body}\n</goal-intent>` };
+          if (!rescored.length) {
+            recordRecallEmpty("goal", api.logger);
+            return;
+          }
+          const ids = rescored.map((item) => item.entry.id);
+          markReferenced(resolvedDbPath, "goals", ids, api.logger);
+          const history = await historyLines(table, "goal", ids, cfg.supersession);
+          const section = {
+            layer: "goal",
+            tag: "goal-intent",
+            numbered: true,
+            maxChars: cfg.maxChars,
+            items: rescored.map((item) => {
+              const status = item.entry.status ? ` (${item.entry.status})` : "";
+              const priority = item.entry.priority ? ` [${item.entry.priority}]` : "";
+              return {
+                text: `${truncate(item.entry.text || "", 400)}${priority}${status}${history.get(item.entry.id) || ""}`,
+                score: item.adjusted,
+                ref: formatRef("goal", item.entry.id)
+              };
+            })
+          };
+          if (offerContext(event, ctx, section)) return;
+          const prependContext = renderSection(section);
+          recordRouting("goal", prependContext.length, api.logger);
+          return { prependContext };
         } catch (err) {
           api.logger?.warn?.(`memory-goal: recall failed: ${String(err)}`);
+          recordRecallError("goal", err, api.logger);
         }
-      },
+      }, api.logger),
       { priority: 44 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
+      tuner.tune();
+      const scope = resolveScope(ctx, cfg.scope);
       const texts = [];
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "user" && msg.role !== "assistant") continue;
         const text = extractTextContent(msg.content);
-        if (text) texts.push(text);
+        if (text) texts.push({ text, message: messageOrigin(msg.role, index, text, redactor) });
       }
 
       if (!texts.length) return;
       const seen = new Set();
+      const entries = [];
 
-      for (const raw of texts) {
+      for (const { text: raw, message } of texts) {
         const goals = parseGoals(raw, cfg);
         for (const goal of goals) {
           if (!goal.goal) continue;
@@ -412,37 +464,59 @@ const memoryGoalPlugin = {
           if (seen.has(key)) continue;
           seen.add(key);
 
-          const details = goal.details && goal.details.length ? goal.details.join(" ") : "";
-          const summary = redactSensitive(
-            truncate(
-              `Goal: ${goal.goal}\nStatus: ${goal.status || "active"}\nPriority: ${goal.priority || ""}\nOwner: ${goal.owner || ""}\nDetails: ${details}`,
-              cfg.maxChars
-            ),
-            cfg.redaction.enabled
+          // Owner and details are also kept in their own column and in meta, so they are redacted apart.
+          const text = redactor.redact(goal.goal);
+          const owner = redactor.redact(goal.owner || "");
+          const details = redactor.redact(goal.details && goal.details.length ? goal.details.join(" ") : "");
+          const summary = truncate(
+            `Goal: ${text}\nStatus: ${goal.status || "active"}\nPriority: ${goal.priority || ""}\nOwner: ${owner}\nDetails: ${details}`,
+            cfg.maxChars
           );
 
-          try {
-            const vector = await embeddings.embed(summary);
-            await table.store({
-              text: summary,
-              vector,
+          entries.push({
+            text: summary,
+            status: goal.status || "active",
+            priority: goal.priority || "",
+            owner,
+            ...scope,
+            meta: JSON.stringify({
+              agentId: scope.agentId,
+              goal: text,
               status: goal.status || "active",
               priority: goal.priority || "",
-              owner: goal.owner || "",
-              meta: JSON.stringify({
-                goal: goal.goal,
-                status: goal.status || "active",
-                priority: goal.priority || "",
-                owner: goal.owner || "",
-                details,
-                capturedAt: Date.now()
-              })
-            });
-          } catch (err) {
-            api.logger?.warn?.(`memory-goal: capture failed: ${String(err)}`);
-          }
+              owner,
+              details,
+              message,
+              capturedAt: Date.now()
+            })
+          });
         }
       }
+
+      if (!entries.length) return;
+
+      let stored;
+      try {
+        const vectors = await embeddings.embed(entries.map((entry) => entry.text));
+        stored = await table.storeMany(entries.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+        recordCapture("goal", entries.length, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-goal: capture failed: ${String(err)}`);
+        return;
+      }
+
+      // A goal restated with another status, priority or owner replaces its earlier rows; goals are
+      // keyed by their wording only, since their shared template makes unrelated goals look alike.
+      try {
+        await supersedeOlder(table, stored, {
+          config: cfg.supersession,
+          scope,
+          keyOf: (entry) => String(parseMeta(entry).goal || "").toLowerCase(),
+          related: () => false
+        });
+      } catch (err) {
+        api.logger?.warn?.(`memory-goal: supersession failed: ${String(err)}`);
+      }
     });
   }
 };
@@ -0,0 +1,237 @@
+import * as lancedb from "@lancedb/lancedb";
+import fs from "node:fs";
+import { gunzipSync } from "node:zlib";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { listArchiveSources } from "../_shared/archive.js";
+import { encryptedKeyId, KEY_ENV, PREVIOUS_KEY_ENV } from "../_shared/encryption.js";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryGoalPlugin from "./index.js";
+
+describe("memory-goal", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryGoalPlugin, {
+      dbPath: env.path("goals"),
+      embedding: TEST_EMBEDDING,
+      alwaysRecall: true,
+      minScore: 0
+    });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("captures goals with status, priority and owner and recalls them", async () => {
+    const user = ["goal: migrate the billing database", "status: active", "priority: high", "owner: dana"];
+    await host.capture(turn({ user: [...user, "before the audit"].join("\n") }));
+
+    const context = await host.recall("how is the billing database migration going?");
+    expect(context).toContain("<goal-intent>");
+    expect(context).toContain("Goal: migrate the billing database");
+    expect(context).toContain("Owner: dana");
+    expect(context).toContain("(active)");
+  });
+
+  test("lists goals active first and filters by status", async () => {
+    await host.capture(turn({ user: "goal: ship v2\nstatus: done\n\ngoal: write the runbook\nstatus: active" }));
+
+    const all = JSON.parse((await host.runCli(["memory", "goals", "list", "--json"])).stdout);
+    expect(all.map((row) => row.status)).toEqual(["active", "done"]);
+
+    const done = JSON.parse((await host.runCli(["memory", "goals", "list", "--status", "done", "--json"])).stdout);
+    expect(done).toHaveLength(1);
+    expect(done[0].goal).toBe("ship v2");
+  });
+
+  test("a goal restated with a new status supersedes the earlier row", async () => {
+    await host.capture(turn({ user: "goal: rotate the api keys\nstatus: active\npriority: high" }));
+    await host.capture(turn({ user: "goal: rotate the api keys\nstatus: done" }));
+
+    const context = await host.recall("did we rotate the api keys?");
+    expect(context).toContain("Goal: rotate the api keys");
+    expect(context).toContain("(done)");
+    expect(context).not.toContain("(active)");
+  });
+
+  test("a replace import whose re-embedding fails leaves the goals table as it was", async () => {
+    await host.capture(turn({ user: "goal: archive the audit logs\nstatus: active" }));
+    const file = env.path("goals.tar.gz");
+    expect((await host.runCli(["memory", "export", file, "--layers", "memory-goal"])).exitCode).toBe(0);
+    await host.capture(turn({ user: "goal: rotate the signing keys\nstatus: active" }));
+
+    // Exported without vectors, so the import has to embed every row again.
+    const source = listArchiveSources().find((item) => item.id === "memory-goal");
+    const embed = source.embeddings.embed;
+    source.embeddings.embed = async () => {
+      throw new Error("embedding provider unavailable");
+    };
+    try {
+      const failed = await host.runCli(["memory", "import", file, "--mode", "replace", "--layers", "memory-goal"]);
+      expect(failed.exitCode).toBe(1);
+      expect(failed.stderr).toContain("embedding provider unavailable");
+    } finally {
+      source.embeddings.embed = embed;
+    }
+
+    // A fresh connection: the layer's own table handle does not see writes made by the import.
+    const db = await lancedb.connect(env.path("goals"));
+    expect(await (await db.openTable("goals")).countRows()).toBe(2);
+  });
+
+  test("reindexes into a new model keeping a backup, then rolls back or confirms", async () => {
+    await host.capture(turn({ user: "goal: archive the audit logs\nstatus: active" }));
+    await host.capture(turn({ user: "goal: rotate the signing keys\nstatus: active" }));
+    // The same table under a smaller model: the layer's reindex has to re-embed every row.
+    const resized = createTestHost();
+    const smaller = { ...TEST_EMBEDDING, dimensions: 32 };
+    await resized.load(memoryGoalPlugin, { dbPath: env.path("goals"), embedding: smaller });
+    const reindex = (...args) => resized.runCli(["memory", "goals", "reindex", ...args]);
+    const backup = env.path("goals", "goals__backup.lance");
+    const dimensions = async () => {
+      const table = await (await lancedb.connect(env.path("goals"))).openTable("goals");
+      const [row] = await table.query().limit(1).toArray();
+      return row.vector.length;
+    };
+
+    expect((await reindex("--dry-run")).stdout).toContain("goals: 2 rows, hash/hash (64) -> hash/hash (32)");
+    expect(await dimensions()).toBe(64);
+
+    expect((await reindex()).stdout).toContain("goals: re-embedded 2 rows");
+    expect(await dimensions()).toBe(32);
+    expect(fs.existsSync(backup)).toBe(true);
+    const blocked = await reindex();
+    expect(blocked.exitCode).toBe(1);
+    expect(blocked.stderr).toContain("previous reindex is not confirmed yet");
+
+    expect((await reindex("--rollback")).stdout).toContain("goals: restored previous table");
+    expect(await dimensions()).toBe(64);
+    expect(fs.existsSync(backup)).toBe(false);
+    expect((await reindex("--rollback")).stdout).toContain("goals: nothing to roll back");
+
+    await reindex();
+    expect((await reindex("--confirm")).stdout).toContain("goals: dropped backup goals__backup");
+    expect(await dimensions()).toBe(32);
+    expect(fs.existsSync(backup)).toBe(false);
+    const goals = JSON.parse((await resized.runCli(["memory", "goals", "list", "--json"])).stdout);
+    expect(goals.map((row) => row.goal).sort()).toEqual(["archive the audit logs", "rotate the signing keys"]);
+
+    const unknown = await reindex("--table", "other");
+    expect(unknown).toMatchObject({ exitCode: 1, stderr: "Unknown table: other. Expected one of: goals" });
+  });
+
+  test("seals the content columns under a key and rekeys them with the previous key", async () => {
+    const stored = async () => {
+      const table = await (await lancedb.connect(env.path("goals"))).openTable("goals");
+      const [row] = await table.query().toArray();
+      return { row, versions: (await table.listVersions()).length };
+    };
+    const list = async () => host.runCli(["memory", "goals", "list", "--json"]);
+    try {
+      process.env[KEY_ENV] = "a".repeat(64);
+      await host.capture(turn({ user: "goal: archive the audit logs\nstatus: active\nowner: dana" }));
+      const { row } = await stored();
+      for (const column of ["text", "meta", "owner"]) expect(row[column]).toMatch(/^enc:v1:[0-9a-f]{12}:/);
+      expect(row.status).toBe("active");
+      expect(JSON.parse((await list()).stdout)[0]).toMatchObject({ goal: "archive the audit logs", owner: "dana" });
+
+      process.env[KEY_ENV] = "b".repeat(64);
+      const wrong = await list();
+      expect(wrong.exitCode).toBe(1);
+      expect(wrong.stderr).toContain(`no key for data sealed with key ${encryptedKeyId(row.text)}`);
+
+      process.env[PREVIOUS_KEY_ENV] = "a".repeat(64);
+      const rekeyed = await host.runCli(["memory", "rekey", "--layers", "memory-goal"]);
+      expect(rekeyed.stdout).toMatch(/goals: 1\/1 rows rewritten as key [0-9a-f]{12}/);
+      expect(rekeyed.stdout).toContain("meta.json");
+      delete process.env[PREVIOUS_KEY_ENV];
+      const after = await stored();
+      expect(encryptedKeyId(after.row.owner)).not.toBe(encryptedKeyId(row.owner));
+      expect(after.versions).toBe(1);
+      // A restarted gateway reopens the rewritten table.
+      const restarted = createTestHost();
+      await restarted.load(memoryGoalPlugin, { dbPath: env.path("goals"), embedding: TEST_EMBEDDING });
+      const goals = JSON.parse((await restarted.runCli(["memory", "goals", "list", "--json"])).stdout);
+      expect(goals[0]).toMatchObject({ goal: "archive the audit logs", owner: "dana" });
+    } finally {
+      delete process.env[KEY_ENV];
+      delete process.env[PREVIOUS_KEY_ENV];
+    }
+  });
+
+  test("keeps an export sealed and owner-only while a key is set, unless --plaintext is asked for", async () => {
+    process.env.OPENCLAW_MEMORY_KEY = "a".repeat(64);
+    try {
+      await host.capture(turn({ user: "goal: archive the audit logs\nstatus: active" }));
+      const sealed = env.path("sealed.tar.gz");
+      const exported = await host.runCli(["memory", "export", sealed, "--layers", "memory-goal"]);
+      expect(exported).toMatchObject({ exitCode: 0, stderr: "" });
+      expect(fs.statSync(sealed).mode & 0o777).toBe(0o600);
+      expect(gunzipSync(fs.readFileSync(sealed)).toString("utf8")).not.toContain("audit logs");
+
+      const open = env.path("open.tar.gz");
+      const plain = await host.runCli(["memory", "export", open, "--layers", "memory-goal", "--plaintext"]);
+      expect(plain.stderr).toContain("decrypted");
+      expect(gunzipSync(fs.readFileSync(open)).toString("utf8")).toContain("audit logs");
+
+      const restored = await host.runCli(["memory", "import", sealed, "--mode", "replace", "--layers", "memory-goal"]);
+      expect(restored.exitCode).toBe(0);
+      const goals = JSON.parse((await host.runCli(["memory", "goals", "list", "--json"])).stdout);
+      expect(goals.map((row) => row.goal)).toEqual(["archive the audit logs"]);
+
+      delete process.env.OPENCLAW_MEMORY_KEY;
+      const keyless = await host.runCli(["memory", "import", sealed, "--layers", "memory-goal", "--dry-run"]);
+      expect(keyless.exitCode).toBe(1);
+      expect(keyless.stderr).toContain("no key for data sealed with key");
+    } finally {
+      delete process.env.OPENCLAW_MEMORY_KEY;
+    }
+  });
+
+  test("reports an unknown preset through the plugin logger and keeps the explicit values", async () => {
+    const other = createTestHost();
+    await other.load(memoryGoalPlugin, {
+      preset: "no-such-preset",
+      dbPath: env.path("goals-preset"),
+      embedding: TEST_EMBEDDING,
+      recallLimit: 4
+    });
+    expect(other.logs.some((line) => line.startsWith("[warn] memory-goal: presets: unknown preset"))).toBe(true);
+
+    const { stdout } = await other.runCli(["memory", "goals", "config"]);
+    expect(JSON.parse(stdout).config.recallLimit).toBe(4);
+  });
+
+  test("goals_list shows the current goals of the caller's tenant", async () => {
+    const acme = { agentId: "pm", sessionKey: "s-pm", tenantId: "acme" };
+    await host.capture(turn({ user: "goal: publish the pricing page\nstatus: active" }), acme);
+    await host.capture(turn({ user: "goal: publish the pricing page\nstatus: done" }), acme);
+    await host.capture(turn({ user: "goal: hire a support lead\nstatus: active\npriority: high" }), acme);
+    await host.capture(turn({ user: "goal: close the globex deal" }), { ...acme, tenantId: "globex" });
+
+    const list = host.tool("goals_list", acme);
+    const all = await list.execute("t1", {});
+    expect(all.details.rows.map((row) => `${row.goal} ${row.status}`)).toEqual([
+      "hire a support lead active",
+      "publish the pricing page done"
+    ]);
+    expect(all.content[0].text).toContain("hire a support lead [high] (active)");
+
+    const done = await list.execute("t2", { status: "done", query: "pricing page" });
+    expect(done.details.rows).toHaveLength(1);
+    expect(done.details.rows[0].ref).toMatch(/^go:[0-9a-f]{8}$/);
+  });
+
+  test("does not recall another tenant's goals", async () => {
+    await host.capture(turn({ user: "goal: renew the acme contract" }), { agentId: "sales", tenantId: "acme" });
+
+    expect(await host.recall("contract renewal goal", { agentId: "sales", tenantId: "globex" })).toBe("");
+    const context = await host.recall("contract renewal goal", { agentId: "sales", tenantId: "acme" });
+    expect(context).toContain("acme contract");
+  });
+});
@@ -1,10 +1,27 @@
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
+import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { randomUUID } from "node:crypto";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { createEmbeddings, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { addConfigCommand, addQueryCommand, addSearchCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { byPinnedThen, loadItemFeedback, registerTableFeedback, withItemFeedback } from "../_shared/item-feedback.js";
+import { registerLayerTool, toolLimit, toolResult } from "../_shared/layer-tools.js";
+import { addReindexCommand } from "../_shared/reindex.js";
+import { addRetentionCommand, markReferenced, normalizeRetentionConfig, registerRetention } from "../_shared/retention.js";
+import { parseMeta, VectorTable } from "../_shared/vector-table.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef, messageOrigin, registerTableRefs } from "../_shared/provenance.js";
+import { registerPurgeTarget, tablePurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, SCOPE_COLUMNS, scopeFilter, scopeMatcher, scopeMigration } from "../_shared/scope.js";
+import { currentFilter, historyLines, normalizeSupersessionConfig, supersedeOlder, SUPERSESSION_COLUMNS } from "../_shared/supersession.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -17,155 +34,100 @@ const DEFAULTS = {
   minScore: 0.4,
   halfLifeDays: 30,
   alwaysRecall: false,
-  maxChars: 1200,
-  redaction: {
-    enabled: true
-  }
+  maxChars: 1200
 };
 
-const EMBEDDING_DIMENSIONS = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072
+// Change relations and the relations whose object they replace; supersession.counterparts adds more.
+const RELATION_COUNTERPARTS = {
+  migrated_to: ["uses", "depends_on", "stores_in", "runs_on"],
+  switched_to: ["uses", "depends_on", "runs_on"],
+  moved_to: ["hosted_on", "runs_on", "located_in"]
 };
 
+const NEGATED_RELATION = /^(?:does_not|doesnt|do_not|dont|is_not|isnt|not|no_longer|never)_/;
+
 function resolveDefaultDbPath() {
   return join(homedir(), ".openclaw", "memory", "graph");
 }
 
-function resolveEnvVars(value) {
-  if (!value || typeof value !== "string") return value;
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
 function toNumber(value, fallback) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
-  const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
+// "does_not_review", "Reviews" and "review" are the same relation.
+function baseRelation(relation) {
+  return String(relation || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "_")
+    .replace(NEGATED_RELATION, "")
+    .replace(/s$/, "");
+}
 
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULTS.embedding.model;
-  if (!EMBEDDING_DIMENSIONS[model]) {
-    throw new Error(`Unsupported embedding model: ${model}`);
+function normalizeCounterparts(raw) {
+  const extra = raw && typeof raw === "object" ? raw : {};
+  const merged = {};
+  for (const [relation, others] of [...Object.entries(RELATION_COUNTERPARTS), ...Object.entries(extra)]) {
+    if (!Array.isArray(others)) continue;
+    const key = baseRelation(relation);
+    const replaced = others.filter((item) => typeof item === "string").map(baseRelation);
+    merged[key] = [...new Set([...(merged[key] || []), ...replaced])];
   }
+  return merged;
+}
 
-  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : DEFAULTS.embedding.apiKey;
-  const apiKey = resolveEnvVars(apiKeyRaw);
+// Only an edge about the same fact can replace another: same subject, and the same relation or one
+// listed as its counterpart (a change to where "api" is hosted says nothing about the database it uses).
+function sameFact(newer, older, counterparts) {
+  if (String(newer.subject).toLowerCase() !== String(older.subject).toLowerCase()) return false;
+  const relation = baseRelation(newer.relation);
+  const previous = baseRelation(older.relation);
+  return relation === previous || (counterparts[relation] || []).includes(previous);
+}
+
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-graph", raw, logger);
+  const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
+  const recallLimit = Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit)));
+  const minScore = Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore)));
 
   return {
     enabled: cfg.enabled !== false,
     dbPath: typeof cfg.dbPath === "string" && cfg.dbPath.trim() ? cfg.dbPath.trim() : resolveDefaultDbPath(),
-    embedding: {
-      apiKey: apiKey || DEFAULTS.embedding.apiKey,
-      model
-    },
-    recallLimit: Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit))),
-    minScore: Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore))),
+    embedding: normalizeEmbeddingConfig(embedding, DEFAULTS.embedding),
+    recallLimit,
+    minScore,
     halfLifeDays: Math.max(1, toNumber(cfg.halfLifeDays, DEFAULTS.halfLifeDays)),
     alwaysRecall: cfg.alwaysRecall === true,
+    intent: normalizeIntentConfig(cfg.intent),
+    autoTune: normalizeAutoTuneConfig(cfg.autoTune, { minScore, recallLimit }),
+    retention: normalizeRetentionConfig(cfg.retention),
     maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
-    redaction: {
-      enabled: redaction.enabled !== false
+    redaction: normalizeRedactionConfig(cfg.redaction),
+    scope: normalizeScopeConfig(cfg.scope),
+    hybrid: normalizeHybridConfig(cfg.hybrid),
+    supersession: {
+      ...normalizeSupersessionConfig(cfg.supersession),
+      counterparts: normalizeCounterparts(cfg.supersession?.counterparts)
     }
   };
 }
 
-class Embeddings {
-  constructor(apiKey, model) {
-    this.model = model;
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text) {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text
-    });
-    return response.data[0].embedding;
-  }
-}
-
-class VectorTable {
-  constructor(dbPath, vectorDim, tableName) {
-    this.dbPath = dbPath;
-    this.vectorDim = vectorDim;
-    this.tableName = tableName;
-    this.db = null;
-    this.table = null;
-    this.initPromise = null;
-  }
-
-  async ensureInitialized() {
-    if (this.table) return;
-    if (this.initPromise) return this.initPromise;
-    this.initPromise = this.doInitialize();
-    return this.initPromise;
-  }
-
-  async doInitialize() {
-    this.db = await lancedb.connect(this.dbPath);
-    const tables = await this.db.tableNames();
-    if (tables.includes(this.tableName)) {
-      this.table = await this.db.openTable(this.tableName);
-    } else {
-      this.table = await this.db.createTable(this.tableName, [
-        {
-          id: "__schema__",
-          text: "",
-          vector: new Array(this.vectorDim).fill(0),
-          createdAt: 0,
-          subject: "",
-          relation: "",
-          object: "",
-          meta: "{}"
-        }
-      ]);
-      await this.table.delete('id = "__schema__"');
-    }
-  }
-
-  async store(entry) {
-    await this.ensureInitialized();
-    const fullEntry = {
-      ...entry,
-      id: randomUUID(),
-      createdAt: Date.now()
-    };
-    await this.table.add([fullEntry]);
-    return fullEntry;
-  }
-
-  async search(vector, limit = 5) {
-    await this.ensureInitialized();
-    const results = await this.table.vectorSearch(vector).limit(limit).toArray();
-    return results.map((row) => {
-      const distance = row._distance ?? 0;
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id,
-          text: row.text,
-          vector: row.vector,
-          createdAt: row.createdAt,
-          subject: row.subject,
-          relation: row.relation,
-          object: row.object,
-          meta: row.meta
-        },
-        score
-      };
-    });
-  }
-}
+const EDGES_SCHEMA = {
+  name: "edges",
+  version: 3,
+  columns: {
+    subject: "",
+    relation: "",
+    object: "",
+    meta: "{}",
+    ...SCOPE_COLUMNS,
+    ...SUPERSESSION_COLUMNS
+  },
+  encrypted: ["subject", "relation", "object"],
+  migrations: [scopeMigration(2), { version: 3, description: "supersededBy/supersededAt columns" }]
+};
 
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
@@ -173,22 +135,6 @@ function truncate(text, maxChars) {
   return text.slice(0, maxChars).trim() + "...";
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
 function extractTextContent(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -202,16 +148,16 @@ function extractTextContent(content) {
   return parts.join("\n");
 }
 
-function summarizeArgs(toolName, args, redactEnabled) {
+function summarizeArgs(toolName, args, redactor) {
   if (!args || typeof args !== "object") return "";
   if (toolName === "exec" || toolName === "bash") {
     const cmd = args.command || args.cmd || "";
     if (!cmd) return "";
-    return truncate(redactSensitive(String(cmd), redactEnabled), 120);
+    return truncate(redactor.redact(String(cmd)), 120);
   }
-  if (typeof args.path === "string") return truncate(redactSensitive(args.path, redactEnabled), 120);
-  if (typeof args.file === "string") return truncate(redactSensitive(args.file, redactEnabled), 120);
-  if (typeof args.url === "string") return truncate(redactSensitive(args.url, redactEnabled), 140);
+  if (typeof args.path === "string") return truncate(redactor.redact(args.path), 120);
+  if (typeof args.file === "string") return truncate(redactor.redact(args.file), 120);
+  if (typeof args.url === "string") return truncate(redactor.redact(args.url), 140);
   return "";
 }
 
@@ -255,9 +201,8 @@ function extractExplicitEdges(text) {
   return edges;
 }
 
-function shouldRecallGraph(prompt) {
-  const p = prompt.toLowerCase();
-  return /quien|quién|who|causa|causal|relacion|relación|relation|dependency|dependencia|impacto|impact|responsable|hizo|did|root cause|why/.test(p);
+function edgeKey(entry) {
+  return [entry.subject, entry.relation, entry.object].map((part) => String(part || "").toLowerCase()).join("::");
 }
 
 function computeDecayScore(score, createdAt, halfLifeDays) {
@@ -268,67 +213,213 @@ function computeDecayScore(score, createdAt, halfLifeDays) {
   return score * decay;
 }
 
+const EDGE_COLUMNS = [
+  { key: "createdAt", label: "when", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "subject", width: 30 },
+  { key: "relation", width: 20 },
+  { key: "object" },
+  { key: "source" }
+];
+
+function edgeRow(entry) {
+  const meta = parseMeta(entry);
+  return {
+    id: entry.id,
+    createdAt: entry.createdAt,
+    agentId: entry.agentId || meta.agentId || "",
+    subject: entry.subject,
+    relation: entry.relation,
+    object: entry.object,
+    source: meta.source || ""
+  };
+}
+
+function matchesTerm(value, term) {
+  return !term || String(value || "").toLowerCase().includes(String(term).toLowerCase());
+}
+
+function sameNode(value, node) {
+  return String(value || "").trim().toLowerCase() === String(node || "").trim().toLowerCase();
+}
+
 const memoryGraphPlugin = {
   id: "memory-graph",
   name: "Memory (Causal/Graph)",
   description: "Causal/graph relations with who-did-what",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
 
-    const vectorDim = EMBEDDING_DIMENSIONS[cfg.embedding.model];
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model);
-    const table = new VectorTable(resolvedDbPath, vectorDim, "edges");
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
+    const table = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: EDGES_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.hybrid
+    });
+    const intent = createIntentRouter({ layer: "graph", embeddings, config: cfg.intent, logger: api.logger });
+    const redactor = createRedactor(cfg.redaction, { layer: "graph", logger: api.logger });
+    const tuner = createAutoTuner({
+      layer: "graph",
+      base: { minScore: cfg.minScore, recallLimit: cfg.recallLimit },
+      config: cfg.autoTune,
+      logger: api.logger
+    });
+    const retention = [{ table, rule: cfg.retention, halfLifeDays: cfg.halfLifeDays }];
+
+    registerArchiveSource(api, { id: "memory-graph", lancedb, dbPath: resolvedDbPath, embeddings, tables: ["edges"] });
+    registerRetention(api, { id: "memory-graph", targets: retention });
+    registerTableRefs("graph", table, cfg.scope);
+    registerPurgeTarget(api, tablePurgeTarget("graph", table));
+    registerTableFeedback("graph", table, cfg.scope, api.logger);
+
+    registerLayerCli(api, { command: "graph", description: "Causal/graph memory (memory-graph)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "edges",
+        description: "List captured edges, newest first",
+        options: [
+          ["--subject <text>", "Only edges whose subject contains this text"],
+          ["--relation <text>", "Only edges whose relation contains this text"],
+          ["--object <text>", "Only edges whose object contains this text"]
+        ],
+        columns: EDGE_COLUMNS,
+        load: async ({ opts }) =>
+          (await table.list())
+            .map(edgeRow)
+            .filter(
+              (row) =>
+                matchesTerm(row.subject, opts.subject) &&
+                matchesTerm(row.relation, opts.relation) &&
+                matchesTerm(row.object, opts.object)
+            )
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+      });
+      addSearchCommand(cmd, { table, embeddings, toRow: edgeRow, columns: EDGE_COLUMNS });
+      addReindexCommand(cmd, {
+        lancedb,
+        dbPath: resolvedDbPath,
+        embeddings,
+        tables: ["edges"],
+        logger: api.logger
+      });
+      addRetentionCommand(cmd, { targets: retention, logger: api.logger });
+      addConfigCommand(cmd, {
+        pluginId: "memory-graph",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    // subject/relation/object are encrypted columns, so edges are matched after decryption, not in SQL.
+    registerLayerTool(api, {
+      name: "graph_neighbors",
+      label: "Graph Neighbors",
+      description:
+        "List the relations of a node in the causal graph (what it depends on, calls, or what touched it), " +
+        "newest first. Only current edges are returned.",
+      parameters: Type.Object({
+        node: Type.String({ description: "Node name, e.g. billing-api" }),
+        direction: Type.Optional(
+          Type.Union([Type.Literal("out"), Type.Literal("in"), Type.Literal("both")], {
+            description: "out: node is the subject; in: node is the object (default: both)"
+          })
+        ),
+        relation: Type.Optional(Type.String({ description: "Only relations containing this text" })),
+        limit: Type.Optional(Type.Number({ description: "Max edges (default: 5, max: 20)" }))
+      }),
+      run: async (params, ctx) => {
+        const visible = scopeMatcher(resolveScope(ctx, cfg.scope), cfg.scope);
+        const direction = params.direction || "both";
+        const rows = (await table.list())
+          .filter((entry) => visible(entry) && !(cfg.supersession.enabled && entry.supersededBy))
+          .filter(
+            (entry) =>
+              (direction !== "in" && sameNode(entry.subject, params.node)) ||
+              (direction !== "out" && sameNode(entry.object, params.node))
+          )
+          .filter((entry) => matchesTerm(entry.relation, params.relation))
+          .map(edgeRow)
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+          .slice(0, toolLimit(params.limit));
+        return toolResult("graph", rows, {
+          noun: "edges",
+          line: (row) => `${row.subject} --${row.relation}--> ${row.object}${row.source ? ` (${row.source})` : ""}`
+        });
+      }
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("graph", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        if (!cfg.alwaysRecall && !shouldRecallGraph(event.prompt)) return;
-
+        if (!cfg.alwaysRecall && !(await intent.classify(event.prompt)).recall) return;
         try {
+          const { minScore, recallLimit } = tuner.thresholds();
           const vector = await embeddings.embed(event.prompt);
-          const results = await table.search(vector, cfg.recallLimit * 3);
-          const rescored = results
-            .map((item) => ({
-              ...item,
-              adjusted: computeDecayScore(item.score, item.entry.createdAt, cfg.halfLifeDays)
+          const filter = currentFilter(scopeFilter(resolveScope(ctx, cfg.scope), cfg.scope), cfg.supersession);
+          const results = await table.search(vector, recallLimit * 3, 0, { filter, text: event.prompt });
+          const decayed = results.map((item) => ({
+            ...item,
+            adjusted: computeDecayScore(item.score, item.entry.createdAt, cfg.halfLifeDays)
+          }));
+          const feedback = loadItemFeedback(resolvedDbPath, "edges", api.logger);
+          const rescored = withItemFeedback(decayed, feedback, "adjusted")
+            .filter((item) => item.pinned || item.adjusted >= minScore)
+            .sort(byPinnedThen((a, b) => b.adjusted - a.adjusted))
+            .slice(0, recallLimit);
+
+          if (!rescored.length) {
+            recordRecallEmpty("graph", api.logger);
+            return;
+          }
+          const ids = rescored.map((item) => item.entry.id);
+          markReferenced(resolvedDbPath, "edges", ids, api.logger);
+          const history = await historyLines(table, "graph", ids, cfg.supersession);
+
+          const section = {
+            layer: "graph",
+            tag: "causal-graph",
+            numbered: true,
+            maxChars: cfg.maxChars,
+            items: rescored.map((item) => ({
+              text: `${truncate(item.entry.text || "", 400)}${history.get(item.entry.id) || ""}`,
+              score: item.adjusted,
+              ref: formatRef("graph", item.entry.id)
             }))
-            .filter((item) => item.adjusted >= cfg.minScore)
-            .sort((a, b) => b.adjusted - a.adjusted)
-            .slice(0, cfg.recallLimit);
-
-          if (!rescored.length) return;
-
-          const lines = rescored.map((item, idx) => {
-            const text = truncate(item.entry.text || "", 400);
-            return `${idx + 1}. ${text}`;
-          });
-
-          const body = truncate(lines.join("\n"), cfg.maxChars);
-        recordRouting("graph", body.length);
-          return { prependContext: `<causal-graph>\n${body}\n</causal-graph>` };
+          };
+          if (offerContext(event, ctx, section)) return;
+          const prependContext = renderSection(section);
+          recordRouting("graph", prependContext.length, api.logger);
+          return { prependContext };
         } catch (err) {
           api.logger?.warn?.(`memory-graph: recall failed: ${String(err)}`);
+          recordRecallError("graph", err, api.logger);
         }
-      },
+      }, api.logger),
       { priority: 43 }
     );
 
     api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
+      tuner.tune();
+      const scope = resolveScope(ctx, cfg.scope);
 
       const edges = [];
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "user" && msg.role !== "assistant") continue;
         const text = extractTextContent(msg.content);
         if (!text) continue;
-        edges.push(...extractExplicitEdges(text));
+        const message = messageOrigin(msg.role, index, text, redactor);
+        edges.push(...extractExplicitEdges(text).map((edge) => ({ ...edge, message })));
       }
 
       const toolCalls = new Map();
@@ -346,7 +437,7 @@ const memoryGraphPlugin = {
         }
       }
 
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "toolResult" && msg.role !== "tool") continue;
         if (msg.isError) continue;
@@ -355,37 +446,64 @@ const memoryGraphPlugin = {
         const toolName = msg.toolName || msg.name || msg.tool_name;
         if (!toolName) continue;
         const call = msg.toolCallId ? toolCalls.get(msg.toolCallId) : null;
-        const argsSummary = summarizeArgs(toolName, call ? call.args : null, cfg.redaction.enabled);
+        const argsSummary = summarizeArgs(toolName, call ? call.args : null, redactor);
         const object = argsSummary ? `${toolName}: ${argsSummary}` : toolName;
         edges.push({
           subject: ctx?.agentId || "agent",
           relation: "used",
           object,
-          source: "tool"
+          source: "tool",
+          message: messageOrigin(msg.role, index, object, redactor)
         });
       }
 
-      if (!edges.length) return;
-
+      const entries = [];
       for (const edge of edges) {
         if (!edge.subject || !edge.object) continue;
-        const text = redactSensitive(
-          truncate(`${edge.subject} --${edge.relation || "related_to"}--> ${edge.object}`, cfg.maxChars),
-          cfg.redaction.enabled
-        );
-        const vector = await embeddings.embed(text);
-        await table.store({
-          text,
-          vector,
-          subject: edge.subject,
-          relation: edge.relation || "related_to",
-          object: edge.object,
+        // The parts are stored as columns too, so each one is redacted, not only the joined text.
+        const subject = redactor.redact(edge.subject);
+        const relation = redactor.redact(edge.relation || "related_to");
+        const object = redactor.redact(edge.object);
+        entries.push({
+          text: truncate(`${subject} --${relation}--> ${object}`, cfg.maxChars),
+          subject,
+          relation,
+          object,
+          ...scope,
           meta: JSON.stringify({
+            agentId: scope.agentId,
             source: edge.source || "unknown",
+            message: edge.message,
             capturedAt: Date.now()
           })
         });
       }
+
+      if (!entries.length) return;
+
+      let stored;
+      try {
+        const vectors = await embeddings.embed(entries.map((entry) => entry.text));
+        stored = await table.storeMany(entries.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+        recordCapture("graph", entries.length, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-graph: capture failed: ${String(err)}`);
+        return;
+      }
+
+      // A re-captured edge replaces its older copy; a close edge about the same fact is replaced when
+      // the new edge negates the same object or reports a change to another one.
+      try {
+        await supersedeOlder(table, stored, {
+          config: cfg.supersession,
+          scope,
+          keyOf: edgeKey,
+          related: (newer, older) => sameFact(newer, older, cfg.supersession.counterparts),
+          valueText: (entry) => entry.object
+        });
+      } catch (err) {
+        api.logger?.warn?.(`memory-graph: supersession failed: ${String(err)}`);
+      }
     });
   }
 };
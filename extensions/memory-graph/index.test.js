@@ -0,0 +1,268 @@
+import fs from "node:fs";
+import * as lancedb from "@lancedb/lancedb";
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { hybridSearch } from "../_shared/hybrid-search.js";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryGraphPlugin from "./index.js";
+
+describe("memory-graph", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryGraphPlugin, {
+      dbPath: env.path("graph"),
+      embedding: TEST_EMBEDDING,
+      alwaysRecall: true,
+      minScore: 0
+    });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("captures explicit and tool edges and recalls them", async () => {
+    await host.capture(
+      turn({
+        user: "rel: billing-api | depends_on | postgres\ngraph: checkout | calls | billing-api",
+        tools: [{ name: "exec", args: { command: "kubectl rollout restart billing-api" } }]
+      }),
+      { agentId: "ops", sessionKey: "s1" }
+    );
+
+    const context = await host.recall("what does billing-api depend on?", { agentId: "ops", sessionKey: "s2" });
+    expect(context).toContain("<causal-graph>");
+    expect(context).toContain("billing-api --depends_on--> postgres");
+    expect(context).toContain("checkout --calls--> billing-api");
+    expect(context).toContain("ops --used--> exec: kubectl");
+    expect(context).toMatch(/\d\. \[gr:[0-9a-f]{8}\] billing-api --depends_on--> postgres/);
+  });
+
+  test("only recalls the calling agent's edges by default", async () => {
+    await host.capture(turn({ user: "rel: api | depends_on | redis" }), { agentId: "a1" });
+    await host.capture(turn({ user: "rel: api | depends_on | kafka" }), { agentId: "b1" });
+
+    const context = await host.recall("api depends on", { agentId: "a1" });
+    expect(context).toContain("redis");
+    expect(context).not.toContain("kafka");
+  });
+
+  test("supersedes an edge the next capture reports as changed and keeps unrelated ones", async () => {
+    // The hash test embedding is not semantic, so every same-subject edge is a candidate here.
+    const other = createTestHost();
+    await other.load(memoryGraphPlugin, {
+      dbPath: env.path("graph-changed"),
+      embedding: TEST_EMBEDDING,
+      alwaysRecall: true,
+      minScore: 0,
+      supersession: { minSimilarity: 0 }
+    });
+    await other.capture(turn({ user: "rel: search | uses | elasticsearch\nrel: sessions | cached_in | memcached" }));
+    await other.capture(turn({ user: "rel: search | migrated_to | opensearch" }));
+
+    const context = await other.recall("what does search use?");
+    expect(context).toContain("search --migrated_to--> opensearch");
+    expect(context).toContain("sessions --cached_in--> memcached");
+    expect(context).not.toContain("elasticsearch");
+
+    const rows = JSON.parse((await other.runCli(["memory", "graph", "edges", "--json"])).stdout);
+    expect(rows).toHaveLength(3);
+  });
+
+  test("a change only supersedes edges with the same relation or a counterpart of it", async () => {
+    const other = createTestHost();
+    await other.load(memoryGraphPlugin, {
+      dbPath: env.path("graph-relations"),
+      embedding: TEST_EMBEDDING,
+      supersession: { minSimilarity: 0, counterparts: { switched_language_to: ["written_in"] } }
+    });
+    const current = async () => {
+      const { details } = await other.tool("graph_neighbors").execute("t1", { node: "api" });
+      return details.rows.map((row) => `${row.relation} ${row.object}`).sort();
+    };
+    const edges = ["rel: api | hosted_on | aws", "rel: api | uses | postgres", "rel: api | written_in | golang"];
+    await other.capture(turn({ user: edges.join("\n") }));
+    await other.capture(turn({ user: "rel: api | migrated_to | mysql" }));
+    expect(await current()).toEqual(["hosted_on aws", "migrated_to mysql", "written_in golang"]);
+
+    await other.capture(turn({ user: "rel: api | moved_to | gcp" }));
+    await other.capture(turn({ user: "rel: api | switched_language_to | rust" }));
+    expect(await current()).toEqual(["migrated_to mysql", "moved_to gcp", "switched_language_to rust"]);
+  });
+
+  test("caps rows per agent and relinks the edges a pruned edge had superseded", async () => {
+    const dbPath = env.path("graph-retention");
+    const load = async (maxRows) => {
+      const other = createTestHost();
+      await other.load(memoryGraphPlugin, {
+        dbPath,
+        embedding: TEST_EMBEDDING,
+        alwaysRecall: true,
+        minScore: 0,
+        supersession: { minSimilarity: 0 },
+        retention: { maxRows }
+      });
+      return other;
+    };
+    // object -> object of the edge that supersedes it ("" while current)
+    const successors = async () => {
+      const rows = await (await (await lancedb.connect(dbPath)).openTable("edges")).query().toArray();
+      const objectOf = new Map(rows.map((row) => [row.id, row.object]));
+      return Object.fromEntries(rows.map((row) => [row.object, objectOf.get(row.supersededBy) ?? row.supersededBy]));
+    };
+    const retention = async (other) =>
+      JSON.parse((await other.runCli(["memory", "graph", "retention", "--json"])).stdout)[0];
+    const other = await load(2);
+    const busy = { agentId: "busy" };
+    await other.capture(turn({ user: "rel: billing | uses | redis" }), { agentId: "quiet" });
+    await other.capture(turn({ user: "rel: search | uses | elasticsearch" }), busy);
+    // Recalled before it is superseded, so keepReferenced protects it.
+    expect(await other.recall("what does search use?", busy)).toContain("elasticsearch");
+    await settle();
+    await other.capture(turn({ user: "rel: search | migrated_to | opensearch" }), busy);
+    await other.capture(turn({ user: "rel: search | migrated_to | vespa" }), busy);
+    expect(await successors()).toEqual({ redis: "", elasticsearch: "opensearch", opensearch: "vespa", vespa: "" });
+
+    const report = await retention(other);
+    expect(report).toMatchObject({ rows: 4, protected: 1, relinked: 1 });
+    expect(report.pruned.map((row) => [row.agentId, row.reason])).toEqual([["busy", "maxRows"]]);
+    expect(await successors()).toEqual({ redis: "", elasticsearch: "vespa", vespa: "" });
+
+    // With every newer version pruned, the protected edge is current again.
+    expect(await retention(await load(1))).toMatchObject({ rows: 3, relinked: 1 });
+    expect(await successors()).toEqual({ redis: "", elasticsearch: "" });
+  });
+
+  test("only supersedes on a cue in the edge itself that negates its object or changes it", async () => {
+    const other = createTestHost();
+    await other.load(memoryGraphPlugin, {
+      dbPath: env.path("graph-cues"),
+      embedding: TEST_EMBEDDING,
+      supersession: { minSimilarity: 0 }
+    });
+    await other.capture(turn({ user: "rel: dana | likes | coffee\nrel: dana | reviews | invoices" }));
+    await other.capture(turn({ user: "no problem, I also like tea\nrel: dana | likes | tea" }));
+    await other.capture(turn({ user: "ahora lo miro, we migrated nothing yet\nrel: dana | owns | billing" }));
+    await other.capture(turn({ user: "rel: dana | does_not_review | invoices" }));
+
+    const { details } = await other.tool("graph_neighbors").execute("t1", { node: "dana" });
+    const current = details.rows.map((row) => `${row.relation} ${row.object}`);
+    expect(current.sort()).toEqual(["does_not_review invoices", "likes coffee", "likes tea", "owns billing"]);
+  });
+
+  test("graph_neighbors lists the current edges around a node in the caller's scope", async () => {
+    // The hash test embedding is not semantic: any same-subject edge with a change cue supersedes.
+    const other = createTestHost();
+    await other.load(memoryGraphPlugin, {
+      dbPath: env.path("graph-neighbors"),
+      embedding: TEST_EMBEDDING,
+      supersession: { minSimilarity: 0 }
+    });
+    const ops = { agentId: "ops", sessionKey: "s-ops" };
+    await other.capture(turn({ user: "rel: gateway | uses | varnish" }), ops);
+    await other.capture(turn({ user: "rel: gateway | switched_to | nginx" }), ops);
+    await other.capture(turn({ user: "rel: gateway | routes_to | orders\nrel: storefront | calls | gateway" }), ops);
+    await other.capture(turn({ user: "rel: gateway | logs_to | loki" }), { agentId: "dev", sessionKey: "s-dev" });
+
+    const neighbors = other.tool("graph_neighbors", ops);
+    const both = await neighbors.execute("t1", { node: "Gateway" });
+    const edges = both.details.rows.map((row) => `${row.subject} ${row.relation} ${row.object}`);
+    expect(edges.sort()).toEqual(["gateway routes_to orders", "gateway switched_to nginx", "storefront calls gateway"]);
+    expect(both.details.rows[0].ref).toMatch(/^gr:[0-9a-f]{8}$/);
+
+    const incoming = await neighbors.execute("t2", { node: "gateway", direction: "in" });
+    expect(incoming.content[0].text).toContain("storefront --calls--> gateway");
+    expect(incoming.details.count).toBe(1);
+
+    const none = await neighbors.execute("t3", { node: "gateway", relation: "logs_to" });
+    expect(none.content[0].text).toBe("No edges found.");
+  });
+
+  test("keeps the configured thresholds when meta.json cannot be read", async () => {
+    await host.capture(turn({ user: "rel: ledger | stores_in | cockroachdb" }));
+    await settle();
+    // Sealed with a key this process does not have, so every read of it throws.
+    fs.writeFileSync(env.metaPath, JSON.stringify({ $encrypted: "enc:v1:lostkey:AAAA" }));
+
+    await host.capture(turn({ user: "rel: ledger | replicates_to | eu-west" }));
+    const context = await host.recall("where does ledger store its data?");
+    expect(context).toContain("ledger --stores_in--> cockroachdb");
+    expect(host.logs.some((line) => line.includes("auto-tune: cannot read graph tuning"))).toBe(true);
+  });
+
+  test("redacts secrets before storing", async () => {
+    await host.capture(turn({ user: "rel: deploy | uses | password=hunter2secret" }));
+
+    const { stdout } = await host.runCli(["memory", "graph", "edges", "--json"]);
+    const rows = JSON.parse(stdout);
+    expect(rows).toHaveLength(1);
+    expect(rows[0].object).toContain("[redacted:secret-assignment]");
+    expect(rows[0].object).not.toContain("hunter2secret");
+  });
+
+  test("hybrid search finds exact identifiers that vector similarity alone misses", async () => {
+    const user = "rel: web-01.prod.example | raised | ERR-4012\nrel: checkout | calls | billing-api";
+    const prompt = "which host raised ERR-4012?";
+    const load = async (hybrid) => {
+      host = createTestHost();
+      await host.load(memoryGraphPlugin, {
+        dbPath: env.path(hybrid.enabled ? "graph-hybrid" : "graph-vector"),
+        embedding: TEST_EMBEDDING,
+        alwaysRecall: true,
+        minScore: 0.6,
+        hybrid
+      });
+      await host.capture(turn({ user }));
+    };
+
+    await load({ enabled: false });
+    expect(await host.recall(prompt)).toBe("");
+
+    await load({ enabled: true });
+    const context = await host.recall(prompt);
+    expect(context).toContain("web-01.prod.example --raised--> ERR-4012");
+    expect(context).not.toContain("billing-api");
+
+    const { stdout } = await host.runCli(["memory", "graph", "search", "ERR-4012", "--json"]);
+    expect(JSON.parse(stdout)[0].object).toBe("ERR-4012");
+  });
+
+  test("hybrid search scores lexical-only hits by their own vector distance", async () => {
+    const db = await lancedb.connect(env.path("hybrid-raw"));
+    const query = [1, 0, 0, 0];
+    const fillers = Array.from({ length: 6 }, (_, idx) => ({ id: `f${idx}`, text: `filler row ${idx}`, vector: query }));
+    const table = await db.createTable("edges", [
+      ...fillers,
+      { id: "far", text: "web raised ERR-9931", vector: [0, 1, 0, 0] },
+      { id: "near", text: "api raised ERR-9931", vector: [0.5, 0.5, 0, 0] }
+    ]);
+
+    const results = await hybridSearch(table, {
+      lancedb,
+      vector: query,
+      text: "ERR-9931",
+      limit: 3,
+      config: { enabled: true, mode: "weighted", rrfK: 60, textWeight: 0.5 }
+    });
+    const byId = Object.fromEntries(results.map((item) => [item.row.id, item]));
+    // Neither row is in the vector top 3 (the fillers are), so both come from the BM25 side.
+    expect(byId.near.vectorScore).toBeCloseTo(1 / 1.5);
+    expect(byId.far.vectorScore).toBeCloseTo(1 / 3);
+    expect(results.map((item) => item.row.id).slice(0, 2)).toEqual(["near", "far"]);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test("lists edges from the CLI with filters", async () => {
+    await host.capture(turn({ user: "rel: web | calls | api\nrel: api | reads | db" }), { agentId: "ops" });
+
+    const { stdout, exitCode } = await host.runCli(["memory", "graph", "edges", "--relation", "reads", "--json"]);
+    expect(exitCode).toBe(0);
+    const rows = JSON.parse(stdout);
+    expect(rows.map((row) => `${row.subject} ${row.relation} ${row.object}`)).toEqual(["api reads db"]);
+    expect(rows[0].agentId).toBe("ops");
+  });
+});
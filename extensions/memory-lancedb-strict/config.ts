@@ -2,18 +2,25 @@ import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
+import { type AutoTuneConfig, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { applyPreset } from "../_shared/presets.js";
+import { EMBEDDING_PROVIDERS, type EmbeddingConfig, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { type HybridConfig, normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { normalizeRedactionConfig, type RedactionConfig } from "../_shared/redaction.js";
+import { normalizeSupersessionConfig, type SupersessionConfig } from "../_shared/supersession.js";
 
 export type MemoryConfig = {
-  embedding: {
-    provider: "openai";
-    model?: string;
-    apiKey: string;
-  };
+  preset?: string;
+  embedding: EmbeddingConfig;
   dbPath?: string;
   autoCapture?: boolean;
   autoRecall?: boolean;
   recallLimit?: number;
   recallMinScore?: number;
+  autoTune?: AutoTuneConfig;
+  redaction?: RedactionConfig;
+  hybrid?: HybridConfig;
+  supersession?: SupersessionConfig;
 };
 
 export const MEMORY_CATEGORIES = ["preference", "fact", "decision", "entity", "other"] as const;
@@ -47,60 +54,54 @@ function resolveDefaultDbPath(): string {
 
 const DEFAULT_DB_PATH = resolveDefaultDbPath();
 
-const EMBEDDING_DIMENSIONS: Record<string, number> = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072,
-};
-
 function assertAllowedKeys(value: Record<string, unknown>, allowed: string[], label: string) {
   const unknown = Object.keys(value).filter((key) => !allowed.includes(key));
   if (unknown.length === 0) return;
   throw new Error(`${label} has unknown keys: ${unknown.join(", ")}`);
 }
 
-export function vectorDimsForModel(model: string): number {
-  const dims = EMBEDDING_DIMENSIONS[model];
-  if (!dims) {
-    throw new Error(`Unsupported embedding model: ${model}`);
-  }
-  return dims;
-}
-
-function resolveEnvVars(value: string): string {
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
-function resolveEmbeddingModel(embedding: Record<string, unknown>): string {
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULT_MODEL;
-  vectorDimsForModel(model);
-  return model;
-}
-
 export const memoryConfigSchema = {
-  parse(value: unknown): MemoryConfig {
+  parse(value: unknown, logger?: unknown): MemoryConfig {
     if (!value || typeof value !== "object" || Array.isArray(value)) {
       throw new Error("memory config required");
     }
-    const cfg = value as Record<string, unknown>;
     assertAllowedKeys(
-      cfg,
-      ["embedding", "dbPath", "autoCapture", "autoRecall", "recallLimit", "recallMinScore"],
+      value as Record<string, unknown>,
+      [
+        "preset",
+        "embedding",
+        "dbPath",
+        "autoCapture",
+        "autoRecall",
+        "recallLimit",
+        "recallMinScore",
+        "autoTune",
+        "redaction",
+        "hybrid",
+        "supersession",
+      ],
       "memory config",
     );
+    const cfg = applyPreset("memory-lancedb-strict", value, logger);
 
     const embedding = cfg.embedding as Record<string, unknown> | undefined;
-    if (!embedding || typeof embedding.apiKey !== "string") {
-      throw new Error("embedding.apiKey is required");
+    if (!embedding || typeof embedding !== "object") {
+      throw new Error("embedding config required");
     }
-    assertAllowedKeys(embedding, ["apiKey", "model"], "embedding config");
+    assertAllowedKeys(
+      embedding,
+      ["provider", "apiKey", "model", "baseUrl", "dimensions", "batchSize", "cache"],
+      "embedding config",
+    );
 
-    const model = resolveEmbeddingModel(embedding);
+    const provider = typeof embedding.provider === "string" ? embedding.provider : "openai";
+    if (!EMBEDDING_PROVIDERS.includes(provider)) {
+      throw new Error(`Unsupported embedding provider: ${provider}`);
+    }
+    // Local providers (ollama, hash) do not need a key; OpenAI-compatible endpoints do.
+    if (provider === "openai" && typeof embedding.apiKey !== "string") {
+      throw new Error("embedding.apiKey is required");
+    }
 
     const recallLimitRaw = cfg.recallLimit;
     const recallLimit =
@@ -117,16 +118,20 @@ export const memoryConfigSchema = {
     if (recallMinScore > 1) recallMinScore = 1;
 
     return {
-      embedding: {
+      embedding: normalizeEmbeddingConfig(embedding, {
         provider: "openai",
-        model,
-        apiKey: resolveEnvVars(embedding.apiKey),
-      },
+        model: DEFAULT_MODEL,
+        apiKey: "local",
+      }),
       dbPath: typeof cfg.dbPath === "string" ? cfg.dbPath : DEFAULT_DB_PATH,
       autoCapture: cfg.autoCapture !== false,
       autoRecall: cfg.autoRecall !== false,
       recallLimit,
       recallMinScore,
+      autoTune: normalizeAutoTuneConfig(cfg.autoTune, { minScore: recallMinScore, recallLimit }),
+      redaction: normalizeRedactionConfig(cfg.redaction),
+      hybrid: normalizeHybridConfig(cfg.hybrid),
+      supersession: normalizeSupersessionConfig(cfg.supersession),
     };
   },
   uiHints: {
@@ -136,10 +141,29 @@ export const memoryConfigSchema = {
       placeholder: "sk-proj-...",
       help: "API key for OpenAI embeddings (or use ${OPENAI_API_KEY})",
     },
+    "embedding.provider": {
+      label: "Embedding Provider",
+      help: "openai (OpenAI-compatible, incl. vLLM/LM Studio) | ollama (native /api/embed) | hash (offline, deterministic)",
+    },
     "embedding.model": {
       label: "Embedding Model",
       placeholder: DEFAULT_MODEL,
-      help: "OpenAI embedding model to use",
+      help: "Embedding model to use (any model served by the provider)",
+    },
+    "embedding.baseUrl": {
+      label: "Embedding Base URL",
+      placeholder: "http://127.0.0.1:11434",
+      advanced: true,
+    },
+    "embedding.dimensions": {
+      label: "Embedding Dimensions",
+      help: "Vector size; probed from the provider when omitted for unknown models",
+      advanced: true,
+    },
+    "embedding.cache": {
+      label: "Embedding Cache",
+      help: "Content-hash keyed LRU shared by all layers; set persist=true to keep it on disk",
+      advanced: true,
     },
     dbPath: {
       label: "Database Path",
@@ -164,5 +188,28 @@ export const memoryConfigSchema = {
       help: "Minimum similarity score (0-1) for auto-recall",
       advanced: true,
     },
+    preset: {
+      label: "Preset",
+      help: "balanced | precision | speed | a preset from presets.json; explicit values override it",
+    },
+    autoTune: {
+      label: "Auto-Tune",
+      help: "Adjust recallMinScore/recallLimit within bounds from useful_rate feedback on the ltm layer",
+      advanced: true,
+    },
+    redaction: {
+      label: "Redaction",
+      help: "Mask PII and secrets before storing; disable detectors with detectors.<id>=false, add custom patterns, allow-lists and labels",
+    },
+    hybrid: {
+      label: "Hybrid Search",
+      help: "Fuse BM25 full-text matches over the memory text with vector similarity (rrf | weighted); off while encryption at rest is on",
+      advanced: true,
+    },
+    supersession: {
+      label: "Supersession",
+      help: "Mark older memories a new one contradicts or reports as changed (at minSimilarity or more) and recall only current ones; history appends what they replaced",
+      advanced: true,
+    },
   },
-};
+};
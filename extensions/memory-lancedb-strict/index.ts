@@ -2,23 +2,46 @@
  * OpenClaw Memory (LanceDB) Plugin
  *
  * Long-term memory with vector search for AI conversations.
- * Uses LanceDB for storage and OpenAI for embeddings.
+ * Uses LanceDB for storage and the shared embedding providers
+ * (OpenAI-compatible, Ollama or offline hash) for embeddings.
  * Provides seamless auto-recall and auto-capture via lifecycle hooks.
  */
 
 import { Type } from "@sinclair/typebox";
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
 import { randomUUID } from "node:crypto";
 import type { OpenClawPluginApi } from "openclaw/plugin-sdk";
 import { stringEnum } from "openclaw/plugin-sdk";
 
+import { addArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner } from "../_shared/auto-tune.js";
+import { addConfigCommand } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { createEmbeddings, type Embeddings } from "../_shared/embeddings.js";
+import { decryptText, sealRow } from "../_shared/encryption.js";
+import { type HybridConfig, hybridSearch, lexicalAvailable } from "../_shared/hybrid-search.js";
 import {
-  MEMORY_CATEGORIES,
-  type MemoryCategory,
-  memoryConfigSchema,
-  vectorDimsForModel,
-} from "./config.js";
+  byPinnedThen,
+  loadItemFeedback,
+  recordItemFeedback,
+  registerFeedbackTarget,
+  withItemFeedback,
+} from "../_shared/item-feedback.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRecallLatency } from "../_shared/meta-routing.js";
+import { describeEntry, formatRef, registerRefResolver } from "../_shared/provenance.js";
+import { addPurgeTarget, forget, mentions } from "../_shared/purge.js";
+import { createRedactor } from "../_shared/redaction.js";
+import { addReindexCommand, recoverInterruptedSwap } from "../_shared/reindex.js";
+import {
+  currentFilter,
+  historyLines,
+  SUPERSESSION_COLUMNS,
+  type SupersessionConfig,
+  type SupersessionReason,
+  supersessionReason,
+} from "../_shared/supersession.js";
+import { assertVectorDimensions, idFilter } from "../_shared/vector-table.js";
+import { MEMORY_CATEGORIES, type MemoryCategory, memoryConfigSchema } from "./config.js";
 
 // ============================================================================
 // Types
@@ -31,6 +54,8 @@ type MemoryEntry = {
   importance: number;
   category: MemoryCategory;
   createdAt: number;
+  supersededBy: string;
+  supersededAt: number;
 };
 
 type MemorySearchResult = {
@@ -51,7 +76,10 @@ class MemoryDB {
 
   constructor(
     private readonly dbPath: string,
-    private readonly vectorDim: number,
+    private readonly embeddings: Embeddings,
+    private readonly supersession: SupersessionConfig,
+    private readonly hybrid?: HybridConfig,
+    private readonly logger?: OpenClawPluginApi["logger"],
   ) {}
 
   private async ensureInitialized(): Promise<void> {
@@ -63,65 +91,176 @@ class MemoryDB {
   }
 
   private async doInitialize(): Promise<void> {
+    recoverInterruptedSwap(this.dbPath, TABLE_NAME, this.logger);
     this.db = await lancedb.connect(this.dbPath);
     const tables = await this.db.tableNames();
 
     if (tables.includes(TABLE_NAME)) {
-      this.table = await this.db.openTable(TABLE_NAME);
+      const table = await this.db.openTable(TABLE_NAME);
+      await assertVectorDimensions(table, this.embeddings, TABLE_NAME);
+      // Tables created before supersession get its columns, with every row current.
+      const fields = new Set((await table.schema()).fields.map((field) => field.name));
+      const missing = Object.entries(SUPERSESSION_COLUMNS).filter(([name]) => !fields.has(name));
+      if (missing.length) {
+        await table.addColumns(
+          missing.map(([name, value]) => ({
+            name,
+            valueSql:
+              typeof value === "number" ? `CAST(${value} AS DOUBLE)` : `CAST('${value}' AS STRING)`,
+          })),
+        );
+      }
+      this.table = table;
     } else {
+      const vectorDim = await this.embeddings.resolveDimensions();
       this.table = await this.db.createTable(TABLE_NAME, [
         {
           id: "__schema__",
           text: "",
-          vector: new Array(this.vectorDim).fill(0),
+          vector: new Array(vectorDim).fill(0),
           importance: 0,
           category: "other",
           createdAt: 0,
+          ...SUPERSESSION_COLUMNS,
         },
       ]);
       await this.table.delete('id = "__schema__"');
     }
   }
 
-  async store(entry: Omit<MemoryEntry, "id" | "createdAt">): Promise<MemoryEntry> {
+  async store(
+    entry: Omit<MemoryEntry, "id" | "createdAt" | keyof typeof SUPERSESSION_COLUMNS>,
+  ): Promise<MemoryEntry> {
     await this.ensureInitialized();
 
     const fullEntry: MemoryEntry = {
       ...entry,
+      ...SUPERSESSION_COLUMNS,
       id: randomUUID(),
       createdAt: Date.now(),
     };
 
-    await this.table!.add([fullEntry]);
+    await this.table!.add([sealRow(fullEntry)]);
     return fullEntry;
   }
 
-  async search(vector: number[], limit = 5, minScore = 0.5): Promise<MemorySearchResult[]> {
+  // `text` enables the BM25 side of hybrid search (when configured); duplicate checks omit it.
+  // `filter` is a SQL predicate applied before the limit (see searchCurrent).
+  async search(
+    vector: number[],
+    limit = 5,
+    minScore = 0.5,
+    text = "",
+    filter: string | null = null,
+  ): Promise<MemorySearchResult[]> {
     await this.ensureInitialized();
 
-    const results = await this.table!.vectorSearch(vector).limit(limit).toArray();
-
-    // LanceDB uses L2 distance by default; convert to similarity score
-    const mapped = results.map((row) => {
-      const distance = row._distance ?? 0;
-      // Use inverse for a 0-1 range: sim = 1 / (1 + d)
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id as string,
-          text: row.text as string,
-          vector: row.vector as number[],
-          importance: row.importance as number,
-          category: row.category as MemoryEntry["category"],
-          createdAt: row.createdAt as number,
-        },
-        score,
-      };
+    // LanceDB uses L2 distance by default; scores are 1 / (1 + d), fused with BM25 when hybrid
+    const results = await hybridSearch(this.table!, {
+      lancedb,
+      vector,
+      text,
+      limit,
+      filter,
+      config: this.hybrid,
     });
 
+    const mapped = results.map(({ row, score }) => ({
+      entry: { ...toEntry(row), vector: row.vector as number[] },
+      score,
+    }));
+
     return mapped.filter((r) => r.score >= minScore);
   }
 
+  // Only rows no newer memory superseded: for recall, and for duplicate checks so that a replaced
+  // fact can be stored again.
+  async searchCurrent(
+    vector: number[],
+    limit: number,
+    minScore: number,
+    text = "",
+  ): Promise<MemorySearchResult[]> {
+    return this.search(vector, limit, minScore, text, currentFilter(null, this.supersession));
+  }
+
+  // searchCurrent() for recall: feedback on the rows (useful, wrong, outdated, pin, never-show) scales
+  // their scores, drops hidden rows and keeps pinned ones regardless of minScore.
+  async recall(vector: number[], limit: number, minScore: number, text: string): Promise<MemorySearchResult[]> {
+    const results = await this.searchCurrent(vector, limit, 0, text);
+    const feedback = loadItemFeedback(this.dbPath, TABLE_NAME);
+    return withItemFeedback(results, feedback, "score", (r) => r.entry.id)
+      .filter((r) => r.pinned || r.score >= minScore)
+      .sort(byPinnedThen((a, b) => b.score - a.score));
+  }
+
+  // Rows whose id starts with `prefix` (hex, as in a citation ref), without their vectors.
+  async findByIdPrefix(prefix: string, limit = 5): Promise<Omit<MemoryEntry, "vector">[]> {
+    if (!/^[0-9a-f-]+$/i.test(prefix)) return [];
+    return this.findWhere(`id LIKE '${prefix.toLowerCase()}%'`, limit);
+  }
+
+  // Rows matching a SQL predicate, without their vectors.
+  async findWhere(filter: string, limit = 100): Promise<Omit<MemoryEntry, "vector">[]> {
+    await this.ensureInitialized();
+    const rows = await this.table!.query().where(filter).limit(limit).toArray();
+    return rows.map(toEntry);
+  }
+
+  // Marks the current memories close to a newly stored one that it contradicts or reports as changed
+  // as superseded by it (see supersession.js).
+  async supersedeOlder(
+    entry: MemoryEntry,
+  ): Promise<Array<{ id: string; reason: SupersessionReason }>> {
+    if (!this.supersession.enabled) return [];
+    const neighbours = await this.search(
+      entry.vector,
+      this.supersession.candidates,
+      0,
+      "",
+      currentFilter(`id <> '${entry.id}'`, this.supersession),
+    );
+    const superseded: Array<{ id: string; reason: SupersessionReason }> = [];
+    for (const { entry: older, score } of neighbours) {
+      const reason = supersessionReason(entry, older, score, { config: this.supersession });
+      if (reason) superseded.push({ id: older.id, reason });
+    }
+    if (superseded.length) {
+      await this.table!.update({
+        where: idFilter(superseded.map((item) => item.id)),
+        values: { supersededBy: entry.id, supersededAt: Date.now() },
+      });
+    }
+    return superseded;
+  }
+
+  // Every row without its vector, for purges (which match on the decrypted text).
+  async list(): Promise<Omit<MemoryEntry, "vector">[]> {
+    await this.ensureInitialized();
+    const rows = await this.table!.query()
+      .select(["id", "text", "importance", "category", "createdAt", ...Object.keys(SUPERSESSION_COLUMNS)])
+      .toArray();
+    return rows.map(toEntry);
+  }
+
+  async deleteIds(ids: string[]): Promise<void> {
+    await this.ensureInitialized();
+    if (ids.length) await this.table!.delete(idFilter(ids));
+  }
+
+  // Writes rows back under their own id and createdAt (e.g. redacted by a purge).
+  async replaceRows(entries: MemoryEntry[]): Promise<void> {
+    if (!entries.length) return;
+    await this.deleteIds(entries.map((entry) => entry.id));
+    await this.table!.add(entries.map((entry) => sealRow(entry)));
+  }
+
+  // Compacts the table and drops every earlier version, so deleted rows cannot be checked out again.
+  async dropOldVersions(): Promise<void> {
+    await this.ensureInitialized();
+    await this.table!.optimize({ cleanupOlderThan: new Date() });
+  }
+
   async delete(id: string): Promise<boolean> {
     await this.ensureInitialized();
     // Validate UUID format to prevent injection
@@ -139,27 +278,16 @@ class MemoryDB {
   }
 }
 
-// ============================================================================
-// OpenAI Embeddings
-// ============================================================================
-
-class Embeddings {
-  private client: OpenAI;
-
-  constructor(
-    apiKey: string,
-    private model: string,
-  ) {
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text: string): Promise<number[]> {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text,
-    });
-    return response.data[0].embedding;
-  }
+function toEntry(row: Record<string, unknown>): Omit<MemoryEntry, "vector"> {
+  return {
+    id: row.id as string,
+    text: decryptText(row.text as string),
+    importance: row.importance as number,
+    category: row.category as MemoryEntry["category"],
+    createdAt: row.createdAt as number,
+    supersededBy: (row.supersededBy as string) || "",
+    supersededAt: (row.supersededAt as number) || 0,
+  };
 }
 
 // ============================================================================
@@ -213,13 +341,22 @@ const memoryPlugin = {
   configSchema: memoryConfigSchema,
 
   register(api: OpenClawPluginApi) {
-    const cfg = memoryConfigSchema.parse(api.pluginConfig);
+    const cfg = memoryConfigSchema.parse(api.pluginConfig, api.logger);
     const resolvedDbPath = api.resolvePath(cfg.dbPath!);
-    const vectorDim = vectorDimsForModel(cfg.embedding.model ?? "text-embedding-3-small");
-    const db = new MemoryDB(resolvedDbPath, vectorDim);
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model!);
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
+    const db = new MemoryDB(resolvedDbPath, embeddings, cfg.supersession!, cfg.hybrid, api.logger);
+    const tuner = createAutoTuner({
+      layer: "ltm",
+      base: { minScore: cfg.recallMinScore!, recallLimit: cfg.recallLimit! },
+      config: cfg.autoTune,
+      logger: api.logger,
+    });
+    const redactor = createRedactor(cfg.redaction, { layer: "ltm", logger: api.logger });
 
     api.logger.info(`memory-lancedb-strict: plugin registered (db: ${resolvedDbPath}, lazy init)`);
+    if (cfg.hybrid?.enabled && !lexicalAvailable()) {
+      api.logger.warn("memory-lancedb-strict: hybrid search is disabled while encryption at rest is on");
+    }
 
     // ========================================================================
     // Tools
@@ -239,7 +376,7 @@ const memoryPlugin = {
           const { query, limit = 5 } = params as { query: string; limit?: number };
 
           const vector = await embeddings.embed(query);
-          const results = await db.search(vector, limit, 0.1);
+          const results = await db.recall(vector, limit, 0.1, query);
 
           if (results.length === 0) {
             return {
@@ -248,16 +385,23 @@ const memoryPlugin = {
             };
           }
 
+          const history = await historyLines(
+            db,
+            "ltm",
+            results.map((r) => r.entry.id),
+            cfg.supersession!,
+          );
           const text = results
             .map(
               (r, i) =>
-                `${i + 1}. [${r.entry.category}] ${r.entry.text} (${(r.score * 100).toFixed(0)}%)`,
+                `${i + 1}. [${formatRef("ltm", r.entry.id)}] [${r.entry.category}] ${r.entry.text} (${(r.score * 100).toFixed(0)}%)${history.get(r.entry.id) || ""}`,
             )
             .join("\n");
 
           // Strip vector data for serialization (typed arrays can't be cloned)
           const sanitizedResults = results.map((r) => ({
             id: r.entry.id,
+            ref: formatRef("ltm", r.entry.id),
             text: r.entry.text,
             category: r.entry.category,
             importance: r.entry.importance,
@@ -286,7 +430,7 @@ const memoryPlugin = {
         }),
         async execute(_toolCallId, params) {
           const {
-            text,
+            text: rawText,
             importance = 0.7,
             category = "other",
           } = params as {
@@ -294,11 +438,12 @@ const memoryPlugin = {
             importance?: number;
             category?: MemoryEntry["category"];
           };
+          const text = redactor.redact(rawText);
 
           const vector = await embeddings.embed(text);
 
           // Check for duplicates
-          const existing = await db.search(vector, 1, 0.95);
+          const existing = await db.searchCurrent(vector, 1, 0.95);
           if (existing.length > 0) {
             return {
               content: [
@@ -322,9 +467,14 @@ const memoryPlugin = {
             category,
           });
 
+          const superseded = await db.supersedeOlder(entry);
+          const replaced = superseded.length
+            ? ` (supersedes ${superseded.map((item) => formatRef("ltm", item.id)).join(", ")})`
+            : "";
+
           return {
-            content: [{ type: "text", text: `Stored: "${text.slice(0, 100)}..."` }],
-            details: { action: "created", id: entry.id },
+            content: [{ type: "text", text: `Stored: "${text.slice(0, 100)}..."${replaced}` }],
+            details: { action: "created", id: entry.id, superseded },
           };
         },
       },
@@ -406,6 +556,46 @@ const memoryPlugin = {
     // CLI Commands
     // ========================================================================
 
+    // Exported by `memory export` from the suite's other layers; ltm keeps its own single command.
+    addArchiveSource({
+      id: "memory-lancedb-strict",
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      tables: [TABLE_NAME],
+    });
+    // ltm rows are not scoped (its recall serves every agent and tenant), so any run resolves them.
+    registerRefResolver("ltm", async (idPrefix) =>
+      (await db.findByIdPrefix(idPrefix)).map((entry) => describeEntry("ltm", entry)),
+    );
+    registerFeedbackTarget("ltm", {
+      find: async (idPrefix) => (await db.findByIdPrefix(idPrefix)).map((entry) => entry.id),
+      apply: (ids, action) => recordItemFeedback(resolvedDbPath, TABLE_NAME, ids, action, api.logger),
+    });
+
+    // `memory purge` (registered by the other layers) also forgets the subject here; redacted
+    // memories are re-embedded and keep their id.
+    addPurgeTarget({
+      name: TABLE_NAME,
+      layer: "ltm",
+      find: async (subject) => (await db.list()).filter((entry) => mentions(entry.text, subject)),
+      apply: async (ids, mode, subject) => {
+        if (mode === "delete") {
+          await db.deleteIds(ids);
+          await db.dropOldVersions();
+          return ids.length;
+        }
+        const wanted = new Set(ids);
+        const redacted = (await db.list())
+          .filter((entry) => wanted.has(entry.id))
+          .map((entry) => ({ ...entry, text: forget(entry.text, subject) }));
+        const vectors = await embeddings.embed(redacted.map((entry) => entry.text));
+        await db.replaceRows(redacted.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+        await db.dropOldVersions();
+        return redacted.length;
+      },
+    });
+
     api.registerCli(
       ({ program }) => {
         const memory = program.command("ltm").description("LanceDB memory plugin commands");
@@ -425,7 +615,7 @@ const memoryPlugin = {
           .option("--limit <n>", "Max results", "5")
           .action(async (query, opts) => {
             const vector = await embeddings.embed(query);
-            const results = await db.search(vector, parseInt(opts.limit), 0.3);
+            const results = await db.recall(vector, parseInt(opts.limit), 0.3, query);
             // Strip vectors for output
             const output = results.map((r) => ({
               id: r.entry.id,
@@ -444,6 +634,21 @@ const memoryPlugin = {
             const count = await db.count();
             console.log(`Total memories: ${count}`);
           });
+
+        addReindexCommand(memory, {
+          lancedb,
+          dbPath: resolvedDbPath,
+          embeddings,
+          tables: [TABLE_NAME],
+          logger: api.logger,
+        });
+
+        addConfigCommand(memory, {
+          pluginId: "memory-lancedb-strict",
+          rawConfig: api.pluginConfig,
+          normalize: (raw) => memoryConfigSchema.parse(raw, api.logger),
+          logger: api.logger,
+        });
       },
       { commands: ["ltm"] },
     );
@@ -454,26 +659,49 @@ const memoryPlugin = {
 
     // Auto-recall: inject relevant memories before agent starts
     if (cfg.autoRecall) {
-      api.on("before_agent_start", async (event) => {
+      api.on("before_agent_start", async (event, ctx) => {
         if (!event.prompt || event.prompt.length < 5) return;
+        tuner.tune();
 
+        const started = Date.now();
         try {
+          const { minScore, recallLimit } = tuner.thresholds();
           const vector = await embeddings.embed(event.prompt);
-          const results = await db.search(vector, cfg.recallLimit, cfg.recallMinScore);
+          const results = await db.recall(vector, recallLimit, minScore, event.prompt);
 
-          if (results.length === 0) return;
+          if (results.length === 0) {
+            recordRecallEmpty("ltm", api.logger);
+            return;
+          }
 
-          const memoryContext = results
-            .map((r) => `- [${r.entry.category}] ${r.entry.text}`)
-            .join("\n");
+          const history = await historyLines(
+            db,
+            "ltm",
+            results.map((r) => r.entry.id),
+            cfg.supersession!,
+          );
+          const section = {
+            layer: "ltm",
+            tag: "relevant-memories",
+            header: "The following memories may be relevant to this conversation:",
+            items: results.map((r) => ({
+              text: `- [${r.entry.category}] ${r.entry.text}${history.get(r.entry.id) || ""}`,
+              score: r.score,
+              ref: formatRef("ltm", r.entry.id),
+            })),
+          };
+          if (offerContext(event, ctx, section)) return;
 
           api.logger.info?.(`memory-lancedb-strict: injecting ${results.length} memories into context`);
 
           return {
-            prependContext: `<relevant-memories>\nThe following memories may be relevant to this conversation:\n${memoryContext}\n</relevant-memories>`,
+            prependContext: renderSection(section),
           };
         } catch (err) {
           api.logger.warn(`memory-lancedb-strict: recall failed: ${String(err)}`);
+          recordRecallError("ltm", err, api.logger);
+        } finally {
+          recordRecallLatency("ltm", Date.now() - started, api.logger);
         }
       });
     }
@@ -528,24 +756,28 @@ const memoryPlugin = {
 
           // Store each capturable piece (limit to 3 per conversation)
           let stored = 0;
-          for (const text of toCapture.slice(0, 3)) {
-            const category = detectCategory(text);
+          for (const raw of toCapture.slice(0, 3)) {
+            // Categorize before masking: the entity category relies on emails and phone numbers.
+            const category = detectCategory(raw);
+            const text = redactor.redact(raw);
             const vector = await embeddings.embed(text);
 
             // Check for duplicates (high similarity threshold)
-            const existing = await db.search(vector, 1, 0.95);
+            const existing = await db.searchCurrent(vector, 1, 0.95);
             if (existing.length > 0) continue;
 
-            await db.store({
+            const entry = await db.store({
               text,
               vector,
               importance: 0.7,
               category,
             });
+            await db.supersedeOlder(entry);
             stored++;
           }
 
           if (stored > 0) {
+            recordCapture("ltm", stored, api.logger);
             api.logger.info(`memory-lancedb-strict: auto-captured ${stored} memories`);
           }
         } catch (err) {
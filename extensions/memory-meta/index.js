@@ -1,15 +1,37 @@
+import { Type } from "@sinclair/typebox";
 import * as lancedb from "@lancedb/lancedb";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { addConfigCommand, printRows, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { applyItemFeedback, FEEDBACK_ACTIONS } from "../_shared/item-feedback.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { registerLayerTool } from "../_shared/layer-tools.js";
+import { flushEmbeddingStats, LATENCY_BUCKETS_MS, latencyQuantile, recordRecallEmpty, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { countTableRows, createMetricsService, renderOpenMetrics } from "../_shared/metrics.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef, parseRef, resolveRef } from "../_shared/provenance.js";
+import { formatPurgeReport, PURGE_MODES, purgeSubject } from "../_shared/purge.js";
+import { normalizeScopeConfig, resolveScope, scopeMatcher } from "../_shared/scope.js";
 
 const DEFAULTS = {
   enabled: true,
   path: "",
   ltmDbPath: "",
   alwaysRecall: false,
-  maxChars: 900
+  maxChars: 900,
+  metrics: {
+    enabled: false,
+    port: 9464,
+    path: "/metrics"
+  },
+  purge: {
+    tool: false,
+    tenantKey: "tenantId"
+  }
 };
 
 function resolveDefaultPath() {
@@ -25,14 +47,42 @@ function toNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+// The endpoint always binds to 127.0.0.1; port 0 picks a free one.
+function normalizeMetricsConfig(raw) {
+  const metrics = raw && typeof raw === "object" ? raw : {};
+  const port = Math.floor(toNumber(metrics.port, DEFAULTS.metrics.port));
+  const path = typeof metrics.path === "string" && metrics.path.trim() ? metrics.path.trim() : DEFAULTS.metrics.path;
+  return {
+    enabled: metrics.enabled === true,
+    port: port >= 0 && port <= 65535 ? port : DEFAULTS.metrics.port,
+    path: path.startsWith("/") ? path : `/${path}`
+  };
+}
+
+// The memory_purge tool is opt-in and only reaches the calling agent's own rows and items in the run's
+// tenant (read from ctx[tenantKey] like the layers do); unscoped and shared ones need `memory purge`.
+function normalizePurgeConfig(raw) {
+  const purge = raw && typeof raw === "object" ? raw : {};
+  return {
+    tool: purge.tool === true,
+    scope: normalizeScopeConfig(
+      { recall: "agent", tenantKey: purge.tenantKey, includeUnscoped: false },
+      { tenantKey: DEFAULTS.purge.tenantKey }
+    )
+  };
+}
+
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-meta", raw, logger);
   return {
     enabled: cfg.enabled !== false,
     path: typeof cfg.path === "string" && cfg.path.trim() ? cfg.path.trim() : resolveDefaultPath(),
     ltmDbPath: typeof cfg.ltmDbPath === "string" && cfg.ltmDbPath.trim() ? cfg.ltmDbPath.trim() : resolveDefaultLtmPath(),
     alwaysRecall: cfg.alwaysRecall === true,
-    maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars)))
+    intent: normalizeIntentConfig(cfg.intent),
+    maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
+    metrics: normalizeMetricsConfig(cfg.metrics),
+    purge: normalizePurgeConfig(cfg.purge)
   };
 }
 
@@ -49,25 +99,6 @@ function extractTextContent(content) {
   return parts.join("\n");
 }
 
-function loadMeta(path) {
-  try {
-    if (!fs.existsSync(path)) return {};
-    const raw = fs.readFileSync(path, "utf8");
-    const data = JSON.parse(raw);
-    return data && typeof data === "object" ? data : {};
-  } catch {
-    return {};
-  }
-}
-
-function saveMeta(path, meta) {
-  try {
-    fs.writeFileSync(path, JSON.stringify(meta, null, 2));
-  } catch {
-    // best effort
-  }
-}
-
 function countToolCalls(messages) {
   let count = 0;
   for (const msg of messages) {
@@ -122,11 +153,6 @@ async function countLtm(dbPath) {
   }
 }
 
-function shouldRecall(prompt) {
-  const p = String(prompt || "").toLowerCase();
-  return /meta\s*memory|memory stats|estado de memoria|memoria|stats|estado del sistema/.test(p);
-}
-
 function startOfWeek(ts) {
   const dt = new Date(ts);
   const day = dt.getUTCDay();
@@ -136,16 +162,32 @@ function startOfWeek(ts) {
   return dt.getTime();
 }
 
+// useful and wrong also count toward the layer's useful rate.
+function itemFeedback(layer, ref, action) {
+  const useful = action === "useful" ? true : action === "wrong" ? false : undefined;
+  return { layer, ref, action, useful };
+}
+
+// "memory-feedback: layer=graph, useful=true" rates a layer; "memory-feedback ref=gr:1a2b3c4d action=outdated"
+// acts on one injected item (useful=1/0 on a ref is action=useful/wrong).
 function parseFeedbacks(text) {
   const feedbacks = [];
   if (!text || typeof text !== "string") return feedbacks;
-  const regex = /(memory-feedback|memoria-feedback)\s*[: ]\s*layer\s*=\s*([a-z0-9_-]+)\s*(?:,|\s)+\s*useful\s*=\s*(true|false|1|0)/gi;
+  const regex = /(memory-feedback|memoria-feedback)\s*[: ]\s*(layer|ref)\s*=\s*\[?([a-z0-9_:-]+)\]?\s*(?:,|\s)+\s*(useful|action)\s*=\s*([a-z-]+|1|0)/gi;
   let match;
   while ((match = regex.exec(text)) !== null) {
-    const layer = match[2];
-    const raw = String(match[3]).toLowerCase();
-    const useful = raw === "true" || raw === "1";
-    feedbacks.push({ layer, useful });
+    const kind = match[4].toLowerCase();
+    const value = match[5].toLowerCase();
+    if (kind === "useful" && !["true", "false", "1", "0"].includes(value)) continue;
+    const useful = value === "true" || value === "1";
+    if (match[2].toLowerCase() === "layer") {
+      if (kind === "useful") feedbacks.push({ layer: match[3], useful });
+      continue;
+    }
+    const parsed = parseRef(match[3]);
+    const action = kind === "useful" ? (useful ? "useful" : "wrong") : value;
+    if (!parsed || !FEEDBACK_ACTIONS.includes(action)) continue;
+    feedbacks.push(itemFeedback(parsed.layer, formatRef(parsed.layer, parsed.idPrefix), action));
   }
   return feedbacks;
 }
@@ -163,9 +205,9 @@ function applyFeedback(meta, feedbacks) {
       useful_down: 0,
       last_activated_at: null
     });
-    if (fb.useful) {
+    if (fb.useful === true) {
       entry.useful_up = (entry.useful_up || 0) + 1;
-    } else {
+    } else if (fb.useful === false) {
       entry.useful_down = (entry.useful_down || 0) + 1;
     }
     const total = (entry.useful_up || 0) + (entry.useful_down || 0);
@@ -173,6 +215,15 @@ function applyFeedback(meta, feedbacks) {
       entry.useful_rate = Number((entry.useful_up / total).toFixed(2));
     }
     entry.last_feedback_at = Date.now();
+    if (fb.ref) {
+      const items = meta.item_feedback || (meta.item_feedback = {});
+      const item = items[fb.ref] || (items[fb.ref] = { layer: fb.layer, useful_up: 0, useful_down: 0 });
+      if (fb.useful === true) item.useful_up += 1;
+      else if (fb.useful === false) item.useful_down += 1;
+      item.actions = item.actions || {};
+      item.actions[fb.action] = (item.actions[fb.action] || 0) + 1;
+      item.last_feedback_at = Date.now();
+    }
   }
   stats.last_updated_at = Date.now();
 }
@@ -213,6 +264,32 @@ function updateTokenSavings(meta) {
   token.saved_this_week = (token.saved_this_week || 0) + saved;
 }
 
+function formatP95(latency) {
+  const p95 = latencyQuantile(latency, 0.95);
+  if (p95 === null) return "";
+  return p95 === Infinity ? `>${LATENCY_BUCKETS_MS[LATENCY_BUCKETS_MS.length - 1]}ms` : `<=${p95}ms`;
+}
+
+function formatErrorTypes(errors) {
+  return Object.entries(errors || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${type} ${count}`)
+    .join(", ");
+}
+
+function formatHealth(entry) {
+  const parts = [];
+  if (entry.latency?.count) {
+    const p95 = formatP95(entry.latency);
+    parts.push(`lat=avg ${Math.round(entry.latency.sum_ms / entry.latency.count)}ms${p95 ? `/p95 ${p95}` : ""}`);
+  }
+  const outcomes = entry.outcomes || {};
+  if (outcomes.empty) parts.push(`empty=${outcomes.empty}`);
+  if (outcomes.skipped) parts.push(`skipped=${outcomes.skipped}`);
+  if (outcomes.error) parts.push(`errors=${outcomes.error} (${formatErrorTypes(entry.errors)})`);
+  return parts.length ? `, ${parts.join(", ")}` : "";
+}
+
 function formatRoutingLines(meta) {
   const stats = meta.routing_stats;
   if (!stats || !stats.layers) return [];
@@ -227,30 +304,277 @@ function formatRoutingLines(meta) {
     const avgChars = activations ? Math.round((entry.chars_injected || 0) / activations) : 0;
     const useful = entry.useful_rate !== undefined ? entry.useful_rate : null;
     const usefulStr = useful === null ? "" : `, useful=${useful}`;
-    lines.push(`${layer}: act=${activations}, avg_chars=${avgChars}${usefulStr}`);
+    const decisions = entry.decisions;
+    const intentStr = decisions
+      ? `, recall=${decisions.recalled}/${decisions.recalled + decisions.skipped}, conf=${decisions.avg_confidence}`
+      : "";
+    const tuningStr = entry.tuning ? `, tuned=${entry.tuning.minScore}/${entry.tuning.recallLimit}` : "";
+    const healthStr = formatHealth(entry);
+    lines.push(`${layer}: act=${activations}, avg_chars=${avgChars}${usefulStr}${intentStr}${tuningStr}${healthStr}`);
   }
   return lines;
 }
 
+const LAYER_COLUMNS = [
+  { key: "layer" },
+  { key: "activations", label: "act" },
+  { key: "avgChars", label: "avg chars" },
+  { key: "usefulRate", label: "useful" },
+  { key: "recall" },
+  { key: "avgConfidence", label: "conf" },
+  { key: "tuned" },
+  { key: "avgRecallMs", label: "avg ms" },
+  { key: "p95RecallMs", label: "p95 ms" },
+  { key: "empty" },
+  { key: "skipped" },
+  { key: "errors" },
+  { key: "captures" },
+  { key: "redacted" },
+  { key: "lastActivatedAt", label: "last activated", time: true }
+];
+
+function layerRows(meta) {
+  const layers = meta.routing_stats?.layers || {};
+  return Object.entries(layers)
+    .map(([layer, entry]) => {
+      const activations = entry.activations || 0;
+      const decisions = entry.decisions;
+      return {
+        layer,
+        activations,
+        avgChars: activations ? Math.round((entry.chars_injected || 0) / activations) : 0,
+        usefulRate: entry.useful_rate ?? null,
+        recall: decisions ? `${decisions.recalled}/${decisions.recalled + decisions.skipped}` : "",
+        avgConfidence: decisions ? decisions.avg_confidence : null,
+        tuned: entry.tuning ? `${entry.tuning.minScore}/${entry.tuning.recallLimit}` : "",
+        avgRecallMs: entry.latency?.count ? Math.round(entry.latency.sum_ms / entry.latency.count) : null,
+        p95RecallMs: formatP95(entry.latency),
+        empty: entry.outcomes?.empty || 0,
+        skipped: entry.outcomes?.skipped || 0,
+        errors: entry.outcomes?.error || 0,
+        captures: entry.captures || 0,
+        redacted: meta.redaction?.by_layer?.[layer] || 0,
+        lastActivatedAt: entry.last_activated_at || null
+      };
+    })
+    .sort((a, b) => b.activations - a.activations);
+}
+
+// memory_resolve / `memory meta resolve`: each matching row with its origin and any item feedback.
+function formatResolved({ ref, layer, matches }, feedback) {
+  if (!matches.length) return `No ${layer} memory matches ${ref}.`;
+  const lines = [`${ref} (${layer}): ${matches.length === 1 ? "1 match" : `${matches.length} matches`}`];
+  for (const match of matches) {
+    const { origin } = match;
+    const captured = origin.capturedAt ? new Date(origin.capturedAt).toISOString() : "unknown";
+    const tenant = origin.tenant ? ` tenant=${origin.tenant}` : "";
+    lines.push(`- ${match.id}: ${match.text}`);
+    lines.push(`  agent=${origin.agentId || "-"} session=${origin.sessionKey || "-"}${tenant} captured=${captured}`);
+    if (origin.source) lines.push(`  source: ${origin.source}`);
+    if (origin.message) {
+      lines.push(`  message #${origin.message.index} (${origin.message.role}): ${origin.message.excerpt}`);
+    }
+  }
+  if (feedback) {
+    const actions = Object.entries(feedback.actions || {}).map(([action, count]) => `${action} ${count}`);
+    const detail = actions.length ? ` (${actions.join(", ")})` : "";
+    lines.push(`Feedback: useful ${feedback.useful_up}, not useful ${feedback.useful_down}${detail}`);
+  }
+  return lines.join("\n");
+}
+
 const memoryMetaPlugin = {
   id: "memory-meta",
   name: "Memory (Meta)",
   description: "Memory about memory health/stats",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const path = api.resolvePath(cfg.path);
     fs.mkdirSync(join(path, ".."), { recursive: true });
+    const intent = createIntentRouter({ layer: "meta", config: cfg.intent, logger: api.logger });
+
+    registerArchiveSource(api, { id: "memory-meta", files: [{ name: "meta", path }] });
+
+    // Refs resolve against the layers loaded in this gateway; feedback on a ref is kept in meta.json.
+    // With a run's ctx only the rows that run may recall resolve (see registerRefResolver).
+    const resolve = async (ref, ctx = null) => {
+      const result = await resolveRef(ref, ctx);
+      const feedback = result.matches.length
+        ? readJson(path, { logger: api.logger }).item_feedback?.[result.ref] || null
+        : null;
+      return { ...result, feedback };
+    };
+
+    registerLayerTool(api, {
+      name: "memory_resolve",
+      label: "Memory Resolve",
+      description:
+        "Look up an injected memory by its reference (e.g. gr:1a2b3c4d): the full row and where it came from " +
+        "(agent, session, capture time, source message). Use it to check or report a memory that looks wrong.",
+      parameters: Type.Object({
+        ref: Type.String({ description: "Reference shown before the memory, e.g. gr:1a2b3c4d or [ep:0f3a9b21]" })
+      }),
+      run: async (params, ctx) => {
+        try {
+          const result = await resolve(params.ref, ctx);
+          return { content: [{ type: "text", text: formatResolved(result, result.feedback) }], details: result };
+        } catch (err) {
+          return {
+            content: [{ type: "text", text: `Could not resolve ${params.ref}: ${err.message}` }],
+            details: { error: "unresolved", ref: params.ref }
+          };
+        }
+      }
+    });
+
+    // Like memory_resolve, only the calling run's own scope can be rated (see registerFeedbackTarget).
+    registerLayerTool(api, {
+      name: "memory_feedback",
+      label: "Memory Feedback",
+      description:
+        "Give feedback on one injected memory by its reference (e.g. gr:1a2b3c4d): useful, wrong, outdated, pin " +
+        "(always rank it first), never-show, or unpin/reset. Future recalls rank or hide it accordingly.",
+      parameters: Type.Object({
+        ref: Type.String({ description: "Reference shown before the memory, e.g. gr:1a2b3c4d" }),
+        action: Type.Union(FEEDBACK_ACTIONS.map((action) => Type.Literal(action)))
+      }),
+      run: async (params, ctx) => {
+        try {
+          const result = await applyItemFeedback(params.ref, params.action, ctx);
+          if (!result.ids.length) {
+            return {
+              content: [{ type: "text", text: `No ${result.layer} memory matches ${result.ref}.` }],
+              details: { ...result, error: "not_found" }
+            };
+          }
+          const feedback = itemFeedback(result.layer, result.ref, result.action);
+          await updateJson(path, (meta) => applyFeedback(meta, [feedback]), { logger: api.logger });
+          return {
+            content: [{ type: "text", text: `Marked ${result.ref} as ${result.action}.` }],
+            details: result
+          };
+        } catch (err) {
+          return {
+            content: [{ type: "text", text: `Could not record feedback on ${params.ref}: ${err.message}` }],
+            details: { error: "failed", ref: params.ref, action: params.action }
+          };
+        }
+      }
+    });
+
+    if (cfg.purge.tool) {
+      registerLayerTool(api, {
+        name: "memory_purge",
+        label: "Memory Purge",
+        description:
+          "Find every stored mention of a person or client (name, email, phone or entity key such as client::Acme) " +
+          "across all memory layers. Without confirm it only previews; with confirm it deletes (or redacts) them " +
+          "and records an audit entry. Use it for explicit requests to forget someone.",
+        parameters: Type.Object({
+          subject: Type.String({ description: "Name, email, phone or entity key to forget" }),
+          mode: Type.Optional(
+            Type.Union(PURGE_MODES.map((mode) => Type.Literal(mode)), {
+              description: "delete the rows and items (default) or redact the mentions in place"
+            })
+          ),
+          confirm: Type.Optional(Type.Boolean({ description: "Apply the purge; omit to preview first" }))
+        }),
+        run: async (params, ctx) => {
+          const scope = resolveScope(ctx, cfg.purge.scope);
+          const report = await purgeSubject(params.subject, {
+            mode: params.mode || "delete",
+            tenant: scope.tenant,
+            match: scopeMatcher(scope, cfg.purge.scope),
+            confirm: params.confirm === true,
+            by: `agent:${ctx?.agentId || "main"}`,
+            logger: api.logger
+          });
+          return { content: [{ type: "text", text: formatPurgeReport(report) }], details: report };
+        }
+      });
+    }
+
+    const collectMetrics = async () => {
+      await flushEmbeddingStats(api.logger);
+      return renderOpenMetrics(readJson(path, { logger: api.logger }), await countTableRows({ logger: api.logger }));
+    };
+    if (cfg.metrics.enabled && typeof api.registerService === "function") {
+      api.registerService(
+        createMetricsService({
+          id: "memory-meta-metrics",
+          port: cfg.metrics.port,
+          path: cfg.metrics.path,
+          collect: collectMetrics,
+          logger: api.logger
+        })
+      );
+    }
+
+    registerLayerCli(api, { command: "meta", description: "Memory health and routing stats (memory-meta)" }, (cmd) => {
+      cmd
+        .command("stats")
+        .description("Show session totals and per-layer routing stats")
+        .option("--json", "Print the raw meta.json instead of a table")
+        .action(async (opts) => {
+          await flushEmbeddingStats(api.logger);
+          const meta = readJson(path, { logger: api.logger });
+          if (opts.json) {
+            console.log(JSON.stringify(meta, null, 2));
+            return;
+          }
+          const lastSession = meta.lastSessionAt ? new Date(meta.lastSessionAt).toISOString() : "never";
+          console.log(`Sessions: ${meta.sessions || 0} (last: ${lastSession})`);
+          console.log(`Tool calls: ${meta.toolCalls || 0} | errors: ${meta.toolErrors || 0}`);
+          if (meta.ltmCount !== undefined && meta.ltmCount !== null) console.log(`LTM count: ${meta.ltmCount}`);
+          if (meta.routing_stats?.after_routing_avg !== undefined) {
+            console.log(`Routing avg chars/session: ${meta.routing_stats.after_routing_avg}`);
+          }
+          if (meta.redaction?.total) {
+            const detectors = Object.entries(meta.redaction.by_detector || {})
+              .sort((a, b) => b[1] - a[1])
+              .map(([id, count]) => `${id} ${count}`);
+            console.log(`Redacted: ${meta.redaction.total} (${detectors.join(", ")})`);
+          }
+          console.log("");
+          printRows(layerRows(meta), LAYER_COLUMNS);
+        });
+      cmd
+        .command("resolve <ref>")
+        .description("Show the memory behind a reference (e.g. gr:1a2b3c4d) and where it came from")
+        .option("--json", "Print the resolved rows as JSON")
+        .action(async (ref, opts) => {
+          try {
+            const result = await resolve(ref);
+            console.log(opts.json ? JSON.stringify(result, null, 2) : formatResolved(result, result.feedback));
+          } catch (err) {
+            console.error(err instanceof Error ? err.message : String(err));
+            process.exitCode = 1;
+          }
+        });
+      cmd
+        .command("metrics")
+        .description("Print the metrics endpoint's OpenMetrics text once")
+        .action(async () => {
+          console.log((await collectMetrics()).trimEnd());
+        });
+      addConfigCommand(cmd, {
+        pluginId: "memory-meta",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("meta", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        if (!cfg.alwaysRecall && !shouldRecall(event.prompt)) return;
+        if (!cfg.alwaysRecall && !(await intent.classify(event.prompt)).recall) return;
 
-        const meta = loadMeta(path);
+        const meta = readJson(path, { logger: api.logger });
         const lines = [];
         if (meta.sessions !== undefined) lines.push(`Sessions: ${meta.sessions}`);
         if (meta.lastSessionAt) lines.push(`Last session: ${new Date(meta.lastSessionAt).toISOString()}`);
@@ -268,25 +592,25 @@ const memoryMetaPlugin = {
           lines.push("Routing stats:");
           lines.push(...routingLines);
         }
-        if (!lines.length) return;
-        const body = lines.join("\n").slice(0, cfg.maxChars);
-        recordRouting("meta", body.length);
-        return { prependContext: `<meta-memory>\n${body}\n</meta-memory>` };
-      },
+        if (!lines.length) {
+          recordRecallEmpty("meta", api.logger);
+          return;
+        }
+        const section = { layer: "meta", tag: "meta-memory", maxChars: cfg.maxChars, items: [{ text: lines.join("\n") }] };
+        if (offerContext(event, ctx, section)) return;
+        const prependContext = renderSection(section);
+        recordRouting("meta", prependContext.length, api.logger);
+        return { prependContext };
+      }, api.logger),
       { priority: 41 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
+      flushEmbeddingStats(api.logger);
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
 
-      const meta = loadMeta(path);
-      meta.sessions = (meta.sessions || 0) + 1;
-      meta.lastSessionAt = Date.now();
-
       const toolCalls = countToolCalls(event.messages);
       const toolErrors = countToolErrors(event.messages);
-      meta.toolCalls = (meta.toolCalls || 0) + toolCalls;
-      meta.toolErrors = (meta.toolErrors || 0) + toolErrors;
 
       const texts = [];
       for (const msg of event.messages) {
@@ -296,29 +620,56 @@ const memoryMetaPlugin = {
         if (text) texts.push(text);
       }
       const memCmds = countMemoryCommands(texts);
-      if (memCmds > 0) {
-        meta.memoryCommands = (meta.memoryCommands || 0) + memCmds;
-        meta.lastMemoryCommandAt = Date.now();
-      }
 
       const ltmCount = await countLtm(cfg.ltmDbPath);
-      if (ltmCount !== null) {
-        meta.ltmCount = ltmCount;
-        meta.ltmUpdatedAt = Date.now();
-      }
 
+      // Item feedback counts only once it reached a row this run may see.
       const feedbacks = [];
-      for (const text of texts) {
-        feedbacks.push(...parseFeedbacks(text));
-      }
-      if (feedbacks.length) {
-        applyFeedback(meta, feedbacks);
+      for (const fb of texts.flatMap(parseFeedbacks)) {
+        if (!fb.ref) {
+          feedbacks.push(fb);
+          continue;
+        }
+        try {
+          const result = await applyItemFeedback(fb.ref, fb.action, ctx || {});
+          if (result.ids.length) feedbacks.push(fb);
+          else api.logger?.warn?.(`memory-meta: feedback on ${fb.ref} not applied: no ${fb.layer} memory matches it`);
+        } catch (err) {
+          api.logger?.warn?.(`memory-meta: feedback on ${fb.ref} not applied: ${String(err)}`);
+        }
       }
 
-      finalizeRoutingSession(meta);
-      updateTokenSavings(meta);
-
-      saveMeta(path, meta);
+      try {
+        await updateJson(
+          path,
+          (meta) => {
+            meta.sessions = (meta.sessions || 0) + 1;
+            meta.lastSessionAt = Date.now();
+            meta.toolCalls = (meta.toolCalls || 0) + toolCalls;
+            meta.toolErrors = (meta.toolErrors || 0) + toolErrors;
+
+            if (memCmds > 0) {
+              meta.memoryCommands = (meta.memoryCommands || 0) + memCmds;
+              meta.lastMemoryCommandAt = Date.now();
+            }
+
+            if (ltmCount !== null) {
+              meta.ltmCount = ltmCount;
+              meta.ltmUpdatedAt = Date.now();
+            }
+
+            if (feedbacks.length) {
+              applyFeedback(meta, feedbacks);
+            }
+
+            finalizeRoutingSession(meta);
+            updateTokenSavings(meta);
+          },
+          { logger: api.logger }
+        );
+      } catch (err) {
+        api.logger?.warn?.(`memory-meta: save failed: ${String(err)}`);
+      }
     });
   }
 };
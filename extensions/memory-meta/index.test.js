@@ -0,0 +1,328 @@
+import * as lancedb from "@lancedb/lancedb";
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { pendingWrites, readJson, updateJson } from "../_shared/json-store.js";
+import { formatRef } from "../_shared/provenance.js";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryBlackboardPlugin from "../memory-blackboard/index.js";
+import memoryEntityPlugin from "../memory-entity/index.js";
+import memoryGraphPlugin from "../memory-graph/index.js";
+import memoryMetaPlugin from "./index.js";
+
+describe("memory-meta", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryMetaPlugin, { path: env.metaPath, ltmDbPath: env.path("lancedb"), alwaysRecall: true });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("counts sessions, tool calls and tool errors", async () => {
+    await host.capture(
+      turn({ user: "build it", tools: [{ name: "exec", args: { command: "make" } }, { name: "read", isError: true }] })
+    );
+    await host.capture(turn({ user: "remember that builds need make" }));
+
+    const meta = JSON.parse((await host.runCli(["memory", "meta", "stats", "--json"])).stdout);
+    expect(meta).toMatchObject({ sessions: 2, toolCalls: 2, toolErrors: 1, memoryCommands: 1 });
+
+    const context = await host.recall("how healthy is memory?");
+    expect(context).toContain("<meta-memory>");
+    expect(context).toContain("Sessions: 2");
+    expect(context).toContain("Tool calls: 2 | errors: 1");
+  });
+
+  test("folds other layers' routing and user feedback into the layer stats", async () => {
+    await host.load(memoryBlackboardPlugin, { path: env.path("blackboard.json") });
+    await host.capture(turn({ user: "decision: freeze deploys" }));
+    await host.recall("anything decided?");
+    await settle();
+    await host.capture(turn({ user: "memory-feedback: layer=blackboard, useful=true" }));
+
+    const { stdout } = await host.runCli(["memory", "meta", "stats"]);
+    expect(stdout).toContain("Sessions: 2");
+    expect(stdout).toMatch(/blackboard\s+1\s+\d+\s+1\b/);
+  });
+
+  test("resolves an injected item's ref to its row and origin, and takes feedback on it", async () => {
+    const graphCfg = { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, alwaysRecall: true, minScore: 0 };
+    await host.load(memoryGraphPlugin, graphCfg);
+    await host.capture(turn({ user: "rel: web | reads_from | redis" }), { agentId: "ops", sessionKey: "s1" });
+    const context = await host.recall("what does web read from?", { agentId: "ops", sessionKey: "s2" });
+    const ref = context.match(/\[(gr:[0-9a-f]{8})\] web --reads_from--> redis/)?.[1];
+    expect(ref).toBeDefined();
+
+    const result = await host.tool("memory_resolve", { agentId: "ops", sessionKey: "s2" }).execute("call-1", {
+      ref: `[${ref}]`
+    });
+    expect(result.details.matches).toHaveLength(1);
+    expect(result.details.matches[0]).toMatchObject({
+      layer: "graph",
+      columns: { subject: "web", relation: "reads_from", object: "redis" },
+      origin: { agentId: "ops", sessionKey: "s1", source: "explicit", message: { role: "user", index: 0 } }
+    });
+    expect(result.details.matches[0].origin.message.excerpt).toBe("rel: web | reads_from | redis");
+    expect(result.details.matches[0]).not.toHaveProperty("vector");
+
+    await host.capture(turn({ user: `memory-feedback ref=${ref} useful=0` }), { agentId: "ops", sessionKey: "s2" });
+    const { stdout } = await host.runCli(["memory", "meta", "resolve", ref]);
+    expect(stdout).toContain("agent=ops session=s1");
+    expect(stdout).toContain("message #0 (user): rel: web | reads_from | redis");
+    expect(stdout).toContain("Feedback: useful 0, not useful 1");
+    const meta = JSON.parse((await host.runCli(["memory", "meta", "stats", "--json"])).stdout);
+    expect(meta.item_feedback[ref]).toMatchObject({ layer: "graph", useful_up: 0, useful_down: 1 });
+    expect(meta.routing_stats.layers.graph).toMatchObject({ useful_down: 1 });
+
+    const missing = await host.tool("memory_resolve").execute("call-2", { ref: "xx:1234" });
+    expect(missing.details).toMatchObject({ error: "unresolved" });
+  });
+
+  test("resolves refs only within the calling run's tenant and agent scope", async () => {
+    await host.load(memoryGraphPlugin, { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, minScore: 0 });
+    await host.capture(turn({ user: "rel: vault | unlocks | payroll" }), { agentId: "hr", tenantId: "acme" });
+    const rows = JSON.parse((await host.runCli(["memory", "graph", "edges", "--json"])).stdout);
+    const ref = formatRef("graph", rows[0].id);
+    // The shortest accepted ref, as a caller probing prefixes would send.
+    const probe = ref.slice(0, 7);
+
+    const resolveAs = (ctx) => host.tool("memory_resolve", ctx).execute("call-1", { ref: probe });
+    expect((await resolveAs({ agentId: "hr", tenantId: "acme" })).details.matches).toHaveLength(1);
+    const outsiders = [{ agentId: "hr", tenantId: "globex" }, { agentId: "sales", tenantId: "acme" }, { agentId: "hr" }];
+    for (const ctx of outsiders) {
+      const result = await resolveAs(ctx);
+      expect(result.details).toMatchObject({ matches: [], feedback: null });
+      expect(result.content[0].text).toBe(`No graph memory matches ${probe}.`);
+    }
+    expect((await host.runCli(["memory", "meta", "resolve", probe])).stdout).toContain("vault --unlocks--> payroll");
+  });
+
+  test("item feedback hides, pins and demotes single memories in later recalls", async () => {
+    const graphCfg = { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, alwaysRecall: true, minScore: 0 };
+    await host.load(memoryGraphPlugin, graphCfg);
+    await host.capture(turn({ user: "rel: queue | feeds | worker\nrel: queue | stores_in | kafka\nrel: queue | owned_by | infra" }));
+    const prompt = "what feeds the queue worker?";
+    const before = await host.recall(prompt);
+    expect(before).not.toMatch(/1\. \[gr:[0-9a-f]{8}\] queue --owned_by--> infra/);
+    const refOf = (object) => before.match(new RegExp(`\\[(gr:[0-9a-f]{8})\\] queue --\\w+--> ${object}`))?.[1];
+
+    const hidden = await host.tool("memory_feedback").execute("call-1", { ref: refOf("worker"), action: "never-show" });
+    expect(hidden.details).toMatchObject({ layer: "graph", action: "never-show" });
+    expect(hidden.details.ids).toHaveLength(1);
+    await host.capture(turn({ user: `memory-feedback ref=${refOf("infra")} action=pin` }));
+
+    const after = await host.recall(prompt);
+    expect(after).not.toContain("queue --feeds--> worker");
+    expect(after).toMatch(/1\. \[gr:[0-9a-f]{8}\] queue --owned_by--> infra/);
+    expect(after).toContain("queue --stores_in--> kafka");
+
+    const meta = JSON.parse((await host.runCli(["memory", "meta", "stats", "--json"])).stdout);
+    expect(meta.item_feedback[refOf("worker")].actions).toEqual({ "never-show": 1 });
+    expect(meta.item_feedback[refOf("infra")].actions).toEqual({ pin: 1 });
+
+    const unknown = await host.tool("memory_feedback").execute("call-2", { ref: "gr:00000000", action: "wrong" });
+    expect(unknown.details).toMatchObject({ error: "not_found" });
+  });
+
+  test("purges a client from every layer after a preview, redacting or deleting, and audits it", async () => {
+    expect(() => host.tool("memory_purge")).toThrow("no tool named memory_purge");
+    host = createTestHost();
+    await host.load(memoryMetaPlugin, { path: env.metaPath, purge: { tool: true } });
+    const layerCfg = { embedding: TEST_EMBEDDING, minScore: 0 };
+    await host.load(memoryGraphPlugin, { ...layerCfg, dbPath: env.path("graph") });
+    await host.load(memoryEntityPlugin, { ...layerCfg, dbPath: env.path("entities"), captureMode: "explicit" });
+    await host.load(memoryBlackboardPlugin, { path: env.path("blackboard.json") });
+    const acme = { agentId: "sales", sessionKey: "s1", tenantId: "acme" };
+    await host.capture(turn({ user: "client: Maria Lopez\nprefers email, renews in March" }), acme);
+    await host.capture(turn({ user: "rel: Maria Lopez | owns | renewal" }), acme);
+    await host.capture(turn({ user: "rel: web | reads_from | redis" }), acme);
+    await host.capture(turn({ user: "decision: call Maria Lopez on monday" }), acme);
+    await host.capture(turn({ user: "rel: Maria Lopez | approves | budget" }), { ...acme, tenantId: "globex" });
+    await host.capture(turn({ user: "rel: Maria Lopez | escalates_to | support" }), { ...acme, agentId: "support" });
+
+    const preview = (await host.runCli(["memory", "purge", "maria lopez"])).stdout;
+    expect(preview).toContain("6 mention(s) of this name:");
+    expect(preview).toMatch(/- entities\.json: \[en:[0-9a-f]{8}\] Entity: Maria Lopez/);
+    expect(preview).toContain("- blackboard.json: [bb:");
+    expect(preview).not.toContain("redis");
+    expect(preview).toContain("Nothing changed yet: confirm to delete these.");
+    expect(JSON.parse((await host.runCli(["memory", "purge", "--audit"])).stdout)).toEqual([]);
+
+    const purge = host.tool("memory_purge", acme);
+    const redacted = await purge.execute("call-1", { subject: "Maria Lopez", mode: "redact", confirm: true });
+    expect(redacted.details).toMatchObject({ applied: true, tenant: "acme" });
+    expect(redacted.details.removed).toEqual({ edges: 1, entities: 1, "entities.json": 1, "blackboard.json": 1 });
+    const [profile] = JSON.parse((await host.runCli(["memory", "entities", "list", "--json"])).stdout);
+    expect(profile).toMatchObject({ name: "[redacted:forgotten]" });
+    expect(profile.summary).toContain("renews in March");
+    expect(await host.recall("what did we decide?", acme)).toContain("call [redacted:forgotten] on monday");
+
+    const deleted = await host.runCli(["memory", "purge", "client::Maria Lopez", "--tenant", "globex", "--confirm"]);
+    expect(deleted.stdout).toContain("Maria Lopez --approves--> budget (tenant globex, agent sales)");
+    expect(deleted.stdout).toContain("Deleted: edges 1.");
+    const edges = JSON.parse((await host.runCli(["memory", "graph", "edges", "--json"])).stdout);
+    // The sales agent's tool never reached the support agent's edge in the same tenant.
+    expect(edges.map((edge) => `${edge.subject} ${edge.object}`).sort()).toEqual([
+      "Maria Lopez support",
+      "[redacted:forgotten] renewal",
+      "web redis"
+    ]);
+    expect((await host.runCli(["memory", "purge", "Maria Lopez"])).stdout).toContain("1 mention(s) of this name:");
+
+    const audit = JSON.parse((await host.runCli(["memory", "purge", "--audit"])).stdout);
+    expect(audit).toHaveLength(2);
+    expect(audit[0]).toMatchObject({ by: "agent:sales", mode: "redact", tenant: "acme", subject: { kind: "name" } });
+    expect(audit[1]).toMatchObject({ by: "cli", mode: "delete", tenant: "globex", subject: { kind: "entity" } });
+    expect(audit[1].subject.fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(JSON.stringify(audit)).not.toMatch(/maria|lopez/i);
+  });
+
+  test("leaves no earlier table version holding a purged row", async () => {
+    await host.load(memoryGraphPlugin, { embedding: TEST_EMBEDDING, dbPath: env.path("graph") });
+    await host.capture(turn({ user: "rel: Maria Lopez | owns | renewal" }));
+    await host.capture(turn({ user: "rel: Maria Lopez | approves | budget" }));
+    await host.capture(turn({ user: "rel: web | reads_from | redis" }));
+
+    const purge = (...args) => host.runCli(["memory", "purge", ...args, "--confirm"]);
+    expect((await purge("Maria Lopez", "--mode", "redact")).stdout).toContain("Redacted: edges 2.");
+    expect((await purge("owns")).stdout).toContain("Deleted: edges 1.");
+
+    const table = await (await lancedb.connect(env.path("graph"))).openTable("edges");
+    const versions = await table.listVersions();
+    expect(versions).toHaveLength(1);
+    for (const { version } of versions) {
+      await table.checkout(version);
+      const rows = await table.query().toArray();
+      const edges = rows.map((row) => `${row.subject} ${row.object}`).sort();
+      expect(edges).toEqual(["[redacted:forgotten] budget", "web redis"]);
+      expect(rows.map((row) => row.meta).join(" ")).not.toMatch(/maria|lopez/i);
+    }
+  });
+
+  test("applies item feedback only to a single row within the caller's scope", async () => {
+    await host.load(memoryBlackboardPlugin, { path: env.path("blackboard.json") });
+    const acme = { agentId: "ops", sessionKey: "s1", tenantId: "acme" };
+    const globex = { ...acme, tenantId: "globex" };
+    const post = host.tool("blackboard_post", acme);
+    // Both item ids start with 8860, so the short ref bb:8860 cites either.
+    const first = (await post.execute("call-1", { type: "note", text: "rotate key 80" })).details;
+    const second = (await post.execute("call-2", { type: "note", text: "rotate key 229" })).details;
+    expect([first.ref.slice(0, 7), second.ref.slice(0, 7)]).toEqual(["bb:8860", "bb:8860"]);
+    const rate = (ctx, ref) => host.tool("memory_feedback", ctx).execute("call-3", { ref, action: "never-show" });
+
+    const ambiguous = await rate(acme, "bb:8860");
+    expect(ambiguous.details).toMatchObject({ error: "failed" });
+    expect(ambiguous.content[0].text).toContain("bb:8860 matches 2 memories");
+    expect((await rate(globex, first.ref)).details).toMatchObject({ error: "not_found", ids: [] });
+    await host.capture(turn({ user: `memory-feedback ref=${second.ref} action=never-show` }), globex);
+    const board = async () => JSON.parse((await host.runCli(["memory", "blackboard", "show", "--json"])).stdout);
+    expect((await board()).filter((item) => item.feedback)).toEqual([]);
+    const meta = JSON.parse((await host.runCli(["memory", "meta", "stats", "--json"])).stdout);
+    expect(meta.item_feedback?.[second.ref]).toBeUndefined();
+
+    expect((await rate(acme, first.ref)).details.ids).toEqual([first.id]);
+    expect((await board()).filter((item) => item.feedback).map((item) => item.text)).toEqual(["rotate key 80"]);
+  });
+
+  test("exports layer, embedding and table metrics in OpenMetrics format", async () => {
+    const graphCfg = { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, alwaysRecall: true, minScore: 0 };
+    await host.load(memoryGraphPlugin, graphCfg);
+    await host.capture(turn({ user: "rel: api | depends_on | postgres\nrel: api | calls | auth" }));
+    await host.recall("what does api depend on?");
+    await settle();
+
+    const { stdout } = await host.runCli(["memory", "meta", "metrics"]);
+    expect(stdout).toContain("# TYPE openclaw_memory_layer_activations counter");
+    expect(stdout).toContain('openclaw_memory_layer_activations_total{layer="graph"} 1');
+    expect(stdout).toMatch(/openclaw_memory_layer_injected_chars_total\{layer="graph"\} [1-9]\d*/);
+    expect(stdout).toContain('openclaw_memory_layer_captured_items_total{layer="graph"} 2');
+    expect(stdout).toContain('openclaw_memory_recall_duration_seconds_count{layer="graph"} 1');
+    expect(stdout).toContain('openclaw_memory_embedding_requests_total{provider="hash",model="hash"} 2');
+    expect(stdout).toContain('openclaw_memory_embedding_errors_total{provider="hash",model="hash"} 0');
+    expect(stdout).toContain('openclaw_memory_table_rows{source="memory-graph",table="edges"} 2');
+    expect(stdout.endsWith("# EOF")).toBe(true);
+  });
+
+  test("keeps embedding counters in memory until the turn ends", async () => {
+    await host.load(memoryGraphPlugin, { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, alwaysRecall: true });
+    const embeddingStats = async () => {
+      await pendingWrites();
+      return readJson(env.metaPath).embedding_stats?.by_model?.["hash/hash"];
+    };
+    // Queries no other test embeds, so the shared embedding cache cannot serve them.
+    await host.recall("which queue feeds the ledger?");
+    await host.recall("which queue feeds the invoices?");
+    expect(await embeddingStats()).toBeUndefined();
+
+    await host.capture(turn({ user: "thanks" }));
+    expect(await embeddingStats()).toMatchObject({ requests: 2, texts: 2, errors: 0 });
+  });
+
+  test("tracks recall latency buckets, empty results and errors by type", async () => {
+    await host.load(memoryGraphPlugin, { dbPath: env.path("graph"), embedding: TEST_EMBEDDING, alwaysRecall: true });
+    await host.load(memoryGraphPlugin, {
+      dbPath: env.path("graph-down"),
+      embedding: { provider: "ollama", model: "nomic-embed-text" },
+      alwaysRecall: true
+    });
+    vi.stubGlobal("fetch", () => Promise.reject(new TypeError("fetch failed")));
+    try {
+      await host.recall("what does nothing depend on?");
+    } finally {
+      vi.unstubAllGlobals();
+    }
+    await settle();
+
+    const { stdout } = await host.runCli(["memory", "meta", "metrics"]);
+    expect(stdout).toContain("# TYPE openclaw_memory_recall_duration_seconds histogram");
+    expect(stdout).toContain('openclaw_memory_recall_duration_seconds_bucket{layer="graph",le="+Inf"} 2');
+    expect(stdout).toContain('openclaw_memory_recall_outcomes_total{layer="graph",outcome="empty"} 1');
+    expect(stdout).toContain('openclaw_memory_recall_outcomes_total{layer="graph",outcome="error"} 1');
+    expect(stdout).toContain('openclaw_memory_recall_errors_total{layer="graph",type="network"} 1');
+
+    const context = await host.recall("how healthy is memory?");
+    expect(context).toMatch(/graph: act=0, .*lat=avg \d+ms\/p95 <=\d+ms, empty=\d+, errors=1 \(network 1\)/);
+  });
+
+  test("serves the metrics on localhost when enabled", async () => {
+    host = createTestHost();
+    await host.load(memoryMetaPlugin, { path: env.metaPath, metrics: { enabled: true, port: 0 } });
+    await host.startServices();
+    try {
+      const url = host.logs.join("\n").match(/serving metrics on (http:\/\/127\.0\.0\.1:\d+\/metrics)/)?.[1];
+      expect(url).toBeDefined();
+      const res = await fetch(url);
+      expect(res.status).toBe(200);
+      expect(res.headers.get("content-type")).toContain("application/openmetrics-text");
+      expect(await res.text()).toContain("openclaw_memory_sessions_total 0");
+      expect((await fetch(url.replace("/metrics", "/other"))).status).toBe(404);
+    } finally {
+      await host.stopServices();
+    }
+  });
+
+  test("drops the changes of an update that throws without losing the rest of its batch", async () => {
+    const first = updateJson(env.metaPath, (meta) => {
+      meta.sessions = 1;
+    });
+    const failed = updateJson(env.metaPath, (meta) => {
+      meta.sessions = 99;
+      meta.poisoned = true;
+      throw new Error("half-way");
+    });
+    const last = updateJson(env.metaPath, (meta) => {
+      meta.toolCalls = meta.sessions + 1;
+    });
+
+    await expect(failed).rejects.toThrow("half-way");
+    await Promise.all([first, last]);
+    const meta = readJson(env.metaPath);
+    expect(meta).toMatchObject({ sessions: 1, toolCalls: 2 });
+    expect(meta.poisoned).toBeUndefined();
+  });
+});
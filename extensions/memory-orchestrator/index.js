@@ -0,0 +1,232 @@
+import { addConfigCommand, registerLayerCli } from "../_shared/cli.js";
+import { activateOrchestrator, renderSection, takeOffers } from "../_shared/context-budget.js";
+import { recordRouting } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+
+// Runs after every layer's before_agent_start (they use priorities 40-60).
+const ORCHESTRATOR_PRIORITY = -100;
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULTS = {
+  enabled: true,
+  maxChars: 6000,
+  maxTokens: 0,
+  dedupeThreshold: 0.85,
+  defaultScore: 0.5,
+  layers: {
+    blackboard: { priority: 1.2, minItems: 1 },
+    goal: { priority: 1.1, minItems: 1 },
+    entity: { priority: 1, minItems: 1 },
+    episodic: { priority: 1, minItems: 1 },
+    ltm: { priority: 1, minItems: 1 },
+    procedural: { priority: 0.9, minItems: 0 },
+    graph: { priority: 0.9, minItems: 0 },
+    timeline: { priority: 0.8, minItems: 0 },
+    tool_skill: { priority: 0.8, minItems: 0 },
+    sentiment: { priority: 0.5, minItems: 0 },
+    meta: { priority: 0.3, minItems: 0 }
+  }
+};
+
+function toNumber(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function normalizeLayer(raw, fallback) {
+  const layer = raw && typeof raw === "object" ? raw : {};
+  const base = fallback || { priority: 1, minItems: 0 };
+  return {
+    priority: Math.max(0, toNumber(layer.priority, base.priority)),
+    minItems: Math.max(0, Math.floor(toNumber(layer.minItems, base.minItems))),
+    maxItems: Math.max(0, Math.floor(toNumber(layer.maxItems, base.maxItems || 0)))
+  };
+}
+
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-orchestrator", raw, logger);
+  const layersRaw = cfg.layers && typeof cfg.layers === "object" ? cfg.layers : {};
+  const layers = {};
+  for (const name of new Set([...Object.keys(DEFAULTS.layers), ...Object.keys(layersRaw)])) {
+    layers[name] = normalizeLayer(layersRaw[name], DEFAULTS.layers[name]);
+  }
+  return {
+    enabled: cfg.enabled !== false,
+    maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
+    maxTokens: Math.max(0, Math.floor(toNumber(cfg.maxTokens, DEFAULTS.maxTokens))),
+    dedupeThreshold: Math.max(0, Math.min(1, toNumber(cfg.dedupeThreshold, DEFAULTS.dedupeThreshold))),
+    defaultScore: Math.max(0, Math.min(1, toNumber(cfg.defaultScore, DEFAULTS.defaultScore))),
+    layers
+  };
+}
+
+function charBudget(cfg) {
+  if (!cfg.maxTokens) return cfg.maxChars;
+  return Math.min(cfg.maxChars, cfg.maxTokens * CHARS_PER_TOKEN);
+}
+
+function tokenSet(text) {
+  return new Set(
+    String(text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((token) => token.length > 1)
+  );
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const token of a) {
+    if (b.has(token)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function sectionOverhead(section) {
+  // Opening and closing tags, optional header and the blank line between sections.
+  return section.tag.length * 2 + 7 + (section.header ? section.header.length + 1 : 0) + 2;
+}
+
+function itemCost(section, item, index) {
+  const joiner = section.joiner || "\n";
+  const number = section.numbered ? `${index + 1}. `.length : 0;
+  const ref = item.ref ? item.ref.length + 3 : 0;
+  return item.text.length + number + ref + (index > 0 ? joiner.length : 0);
+}
+
+function packSections(sections, cfg) {
+  const budget = charBudget(cfg);
+  const candidates = [];
+  sections.forEach((section, sectionIndex) => {
+    const layer = cfg.layers[section.layer] || normalizeLayer(null);
+    section.items.forEach((item, itemIndex) => {
+      if (!item || typeof item.text !== "string" || !item.text) return;
+      const score = Number.isFinite(item.score) ? Math.max(0, Math.min(1, item.score)) : cfg.defaultScore;
+      candidates.push({
+        section,
+        sectionIndex,
+        itemIndex,
+        item,
+        layer,
+        weight: score * layer.priority,
+        tokens: tokenSet(item.text)
+      });
+    });
+  });
+
+  candidates.sort((a, b) => b.weight - a.weight);
+  const unique = [];
+  let duplicates = 0;
+  for (const candidate of candidates) {
+    if (unique.some((kept) => jaccard(kept.tokens, candidate.tokens) >= cfg.dedupeThreshold)) {
+      duplicates += 1;
+      continue;
+    }
+    unique.push(candidate);
+  }
+
+  const picked = new Map();
+  const layerCounts = new Map();
+  let used = 0;
+  const tryAdd = (candidate) => {
+    const { section, layer } = candidate;
+    const entry = picked.get(section) || { items: [], chars: 0 };
+    const count = layerCounts.get(section.layer) || 0;
+    if (layer.maxItems && count >= layer.maxItems) return false;
+    const cost = itemCost(section, candidate.item, entry.items.length) + (entry.items.length ? 0 : sectionOverhead(section));
+    if (used + cost > budget) return false;
+    if (section.maxChars && entry.chars + cost > section.maxChars + sectionOverhead(section)) return false;
+    entry.items.push(candidate);
+    entry.chars += cost;
+    picked.set(section, entry);
+    layerCounts.set(section.layer, count + 1);
+    used += cost;
+    return true;
+  };
+
+  const remaining = new Set(unique);
+  const layersByPriority = [...new Set(unique.map((candidate) => candidate.section.layer))].sort(
+    (a, b) => (cfg.layers[b]?.priority ?? 1) - (cfg.layers[a]?.priority ?? 1)
+  );
+  for (const layerName of layersByPriority) {
+    const minItems = cfg.layers[layerName]?.minItems || 0;
+    let taken = 0;
+    for (const candidate of unique) {
+      if (taken >= minItems) break;
+      if (candidate.section.layer !== layerName) continue;
+      if (tryAdd(candidate)) {
+        remaining.delete(candidate);
+        taken += 1;
+      }
+    }
+  }
+  for (const candidate of unique) {
+    if (remaining.has(candidate) && tryAdd(candidate)) remaining.delete(candidate);
+  }
+
+  const rendered = [...picked.entries()]
+    .sort(([, entryA], [, entryB]) => {
+      const byPriority = entryB.items[0].layer.priority - entryA.items[0].layer.priority;
+      return byPriority || entryA.items[0].sectionIndex - entryB.items[0].sectionIndex;
+    })
+    .map(([section, entry]) => {
+      // Keep each layer's own ordering inside its section.
+      const items = entry.items.sort((a, b) => a.itemIndex - b.itemIndex).map((candidate) => candidate.item);
+      return { layer: section.layer, items: items.length, text: renderSection({ ...section, maxChars: 0 }, items) };
+    })
+    .filter((section) => section.text);
+
+  return {
+    text: rendered.map((section) => section.text).join("\n\n"),
+    sections: rendered,
+    offered: candidates.length,
+    duplicates,
+    dropped: remaining.size
+  };
+}
+
+const memoryOrchestratorPlugin = {
+  id: "memory-orchestrator",
+  name: "Memory (Orchestrator)",
+  description: "Packs context from all memory layers into one deduplicated budget",
+  version: "1.0.0",
+  register(api) {
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
+    if (!cfg.enabled) return;
+
+    registerLayerCli(api, { command: "orchestrator", description: "Context budget orchestrator (memory-orchestrator)" }, (cmd) => {
+      addConfigCommand(cmd, {
+        pluginId: "memory-orchestrator",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    activateOrchestrator();
+    api.logger?.info?.(`memory-orchestrator: active (budget ${charBudget(cfg)} chars)`);
+
+    api.on(
+      "before_agent_start",
+      async (event, ctx) => {
+        const sections = takeOffers(event, ctx);
+        if (!sections.length) return;
+
+        const packed = packSections(sections, cfg);
+        if (!packed.text) return;
+        for (const section of packed.sections) {
+          recordRouting(section.layer, section.text.length, api.logger);
+        }
+        api.logger?.debug?.(
+          `memory-orchestrator: packed ${packed.offered - packed.duplicates - packed.dropped}/${packed.offered} items ` +
+            `(${packed.text.length} chars, ${packed.duplicates} duplicates, ${packed.dropped} over budget)`
+        );
+        return { prependContext: packed.text };
+      },
+      { priority: ORCHESTRATOR_PRIORITY }
+    );
+  }
+};
+
+export default memoryOrchestratorPlugin;
@@ -0,0 +1,56 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, turn } from "../_shared/test-harness.js";
+import memoryBlackboardPlugin from "../memory-blackboard/index.js";
+import memorySentimentPlugin from "../memory-sentiment/index.js";
+import memoryOrchestratorPlugin from "./index.js";
+
+describe("memory-orchestrator", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryBlackboardPlugin, { path: env.path("blackboard.json") });
+    await host.load(memorySentimentPlugin, { path: env.path("sentiment.json"), alwaysRecall: true });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("injects the layers' sections once, packed by layer priority", async () => {
+    await host.load(memoryOrchestratorPlugin, {});
+    await host.capture(turn({ user: "decision: ship on monday\nthanks, great work" }));
+
+    const results = await host.fire("before_agent_start", { prompt: "what did we decide?" });
+    expect(results.map((item) => item.pluginId)).toEqual(["memory-orchestrator"]);
+    const context = results[0].result.prependContext;
+    expect(context.indexOf("<collab-blackboard>")).toBeLessThan(context.indexOf("<sentiment-memory>"));
+    expect(context).toContain("- [decision] ship on monday");
+  });
+
+  test("drops near-duplicate items and keeps the budget", async () => {
+    await host.load(memoryOrchestratorPlugin, {
+      maxChars: 200,
+      dedupeThreshold: 0.7,
+      layers: { sentiment: { priority: 0.1 } }
+    });
+    await host.capture(
+      turn({
+        user: [
+          "decision: deploy the billing service on monday",
+          "note: deploy the billing service on monday",
+          "todo: renew the tls certificate before it expires next week",
+          "thanks, great"
+        ].join("\n")
+      })
+    );
+
+    const context = await host.recall("plan for this week?");
+    expect(context.length).toBeLessThanOrEqual(200);
+    expect(context.match(/deploy the billing service on monday/g)).toHaveLength(1);
+    expect(context).not.toContain("<sentiment-memory>");
+  });
+});
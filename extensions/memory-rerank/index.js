@@ -1,3 +1,9 @@
+import { addConfigCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { recordRecallEmpty, recordRecallError, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef } from "../_shared/provenance.js";
+
 const DEFAULTS = {
   enabled: true,
   ollamaUrl: "http://127.0.0.1:11434",
@@ -17,8 +23,8 @@ function toNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = { ...DEFAULTS, ...(raw && typeof raw === "object" ? raw : {}) };
+function normalizeConfig(raw, logger) {
+  const cfg = { ...DEFAULTS, ...applyPreset("memory-rerank", raw, logger) };
   cfg.enabled = cfg.enabled !== false;
   cfg.ollamaUrl = typeof cfg.ollamaUrl === "string" ? cfg.ollamaUrl.trim() : DEFAULTS.ollamaUrl;
   cfg.rerankModel = typeof cfg.rerankModel === "string" ? cfg.rerankModel.trim() : DEFAULTS.rerankModel;
@@ -162,12 +168,21 @@ const memoryRerankPlugin = {
   description: "Rerank memory recall results using a local model",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
+    registerLayerCli(api, { command: "rerank", description: "LTM reranker (memory-rerank)" }, (cmd) => {
+      addConfigCommand(cmd, {
+        pluginId: "memory-rerank",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("rerank", async (event, ctx) => {
         if (!event?.prompt || typeof event.prompt !== "string" || event.prompt.length < 5) {
           return;
         }
@@ -177,9 +192,11 @@ const memoryRerankPlugin = {
           candidates = await fetchCandidates(api, query, cfg);
         } catch (err) {
           api.logger?.warn?.(`memory-rerank: ltm search failed: ${String(err)}`);
+          recordRecallError("rerank", err, api.logger);
           return;
         }
         if (!candidates.length) {
+          recordRecallEmpty("rerank", api.logger);
           return;
         }
 
@@ -192,6 +209,7 @@ const memoryRerankPlugin = {
           const fallbackScore = typeof item.score === "number" ? item.score : 0;
           const score = rerankScore ?? fallbackScore;
           scored.push({
+            id: item.id,
             text: item.text,
             category: item.category ?? "other",
             score
@@ -204,18 +222,19 @@ const memoryRerankPlugin = {
 
         scored.sort((a, b) => b.score - a.score);
         const selected = selectTopCluster(scored, cfg);
-        const memoryContext = selected
-          .map((r) => `- [${r.category}] ${truncate(r.text, 400)}`)
-          .join("\n");
-
-        return {
-          prependContext:
-            `<relevant-memories>\n` +
-            `The following memories may be relevant to this conversation:\n` +
-            `${memoryContext}\n` +
-            `</relevant-memories>`
+        const section = {
+          layer: "ltm",
+          tag: "relevant-memories",
+          header: "The following memories may be relevant to this conversation:",
+          items: selected.map((r) => ({
+            text: `- [${r.category}] ${truncate(r.text, 400)}`,
+            score: r.score,
+            ref: formatRef("ltm", r.id)
+          }))
         };
-      },
+        if (offerContext(event, ctx, section)) return;
+        return { prependContext: renderSection(section) };
+      }, api.logger),
       { priority: 50 }
     );
   }
@@ -0,0 +1,63 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from "vitest";
+import { createTestHost } from "../_shared/test-harness.js";
+import memoryRerankPlugin from "./index.js";
+
+const CANDIDATES = [
+  { text: "The staging database is postgres 16", category: "fact", score: 0.91 },
+  { text: "Deploys are frozen on fridays", category: "decision", score: 0.88 },
+  { text: "The team prefers tabs", category: "preference", score: 0.4 }
+];
+
+describe("memory-rerank", () => {
+  let calls;
+  let host;
+
+  beforeEach(() => {
+    calls = [];
+    host = createTestHost({
+      runCommand: async (argv, opts) => {
+        calls.push({ argv, opts });
+        return { stdout: `Found ${CANDIDATES.length} memories:\n${JSON.stringify(CANDIDATES)}`, stderr: "", code: 0 };
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test("falls back to the LTM scores without a rerank model", async () => {
+    await host.load(memoryRerankPlugin, { rerankModel: "", ltmLimit: 10 });
+
+    const prompt = "which database does staging use?";
+    const context = await host.recall(prompt);
+    expect(calls[0].argv).toEqual(["/usr/bin/openclaw", "--no-color", "ltm", "search", prompt, "--limit", "10"]);
+    expect(context).toContain("<relevant-memories>");
+    expect(context).toContain("- [fact] The staging database is postgres 16\n- [decision] Deploys are frozen");
+    expect(context).not.toContain("tabs");
+  });
+
+  test("orders candidates by the model's scores and keeps the top cluster", async () => {
+    const scores = { postgres: "12", fridays: "95", tabs: "90" };
+    const fetchMock = vi.fn(async (_url, init) => {
+      const { prompt } = JSON.parse(init.body);
+      const key = Object.keys(scores).find((word) => prompt.includes(word));
+      return { ok: true, json: async () => ({ response: scores[key] }) };
+    });
+    vi.stubGlobal("fetch", fetchMock);
+    await host.load(memoryRerankPlugin, { ollamaUrl: "http://rerank.test", rerankModel: "test-reranker" });
+
+    const context = await host.recall("what can't we do on fridays?");
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(fetchMock.mock.calls[0][0]).toBe("http://rerank.test/api/generate");
+    expect(context).toContain("- [decision] Deploys are frozen on fridays\n- [preference] The team prefers tabs");
+    expect(context).not.toContain("postgres");
+  });
+
+  test("injects nothing when LTM search returns no JSON", async () => {
+    host = createTestHost({ runCommand: async () => ({ stdout: "No relevant memories found.", stderr: "", code: 0 }) });
+    await host.load(memoryRerankPlugin, { rerankModel: "" });
+
+    expect(await host.recall("anything about deploys?")).toBe("");
+  });
+});
@@ -1,7 +1,16 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { addConfigCommand, addQueryCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { recordCapture, recordRecallEmpty, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { forget, mentions, registerPurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -56,15 +65,17 @@ function toNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-sentiment", raw, logger);
   return {
     enabled: cfg.enabled !== false,
     path: typeof cfg.path === "string" && cfg.path.trim() ? cfg.path.trim() : resolveDefaultPath(),
     alwaysRecall: cfg.alwaysRecall === true,
+    intent: normalizeIntentConfig(cfg.intent),
     windowSize: Math.max(5, Math.floor(toNumber(cfg.windowSize, DEFAULTS.windowSize))),
     maxItems: Math.max(1, Math.floor(toNumber(cfg.maxItems, DEFAULTS.maxItems))),
-    minMatch: Math.max(0, Math.floor(toNumber(cfg.minMatch, DEFAULTS.minMatch)))
+    minMatch: Math.max(0, Math.floor(toNumber(cfg.minMatch, DEFAULTS.minMatch))),
+    redaction: normalizeRedactionConfig(cfg.redaction)
   };
 }
 
@@ -105,52 +116,114 @@ function sentimentScore(text) {
   return { score, label, matches: total };
 }
 
-function loadState(path) {
-  try {
-    if (!fs.existsSync(path)) return { entries: [] };
-    const raw = fs.readFileSync(path, "utf8");
-    const data = JSON.parse(raw);
-    if (!data || typeof data !== "object") return { entries: [] };
-    if (!Array.isArray(data.entries)) data.entries = [];
-    return data;
-  } catch {
-    return { entries: [] };
-  }
+function normalizeState(data) {
+  if (!Array.isArray(data.entries)) data.entries = [];
+  return data;
 }
 
-function saveState(path, state) {
-  try {
-    fs.writeFileSync(path, JSON.stringify(state, null, 2));
-  } catch {
-    // best effort
+const STATE_STORE = { fallback: () => ({ entries: [] }), normalize: normalizeState };
+
+const MAX_ENTRIES = 500;
+
+// Archive merge: union of signals in time order, capped like live capture.
+function mergeState(current, incoming) {
+  normalizeState(current);
+  const seen = new Set(current.entries.map((entry) => `${entry.ts}::${entry.sample}`));
+  for (const entry of Array.isArray(incoming.entries) ? incoming.entries : []) {
+    if (!seen.has(`${entry.ts}::${entry.sample}`)) current.entries.push(entry);
   }
+  current.entries.sort((a, b) => (a.ts || 0) - (b.ts || 0));
+  current.entries = current.entries.slice(-MAX_ENTRIES);
 }
 
-function shouldRecall(prompt) {
-  const p = String(prompt || "").toLowerCase();
-  return /sentiment|emocional|estado de animo|estado de ánimo|mood|feeling|como me siento|cómo me siento/.test(p);
+// Signals have no id; purges refer to them by a hash of their time and sample.
+function entryId(entry) {
+  return createHash("sha1").update(`${entry.ts}::${entry.sample}`).digest("hex").slice(0, 12);
 }
 
+const ENTRY_COLUMNS = [
+  { key: "ts", label: "when", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "label" },
+  { key: "score" },
+  { key: "sample" }
+];
+
 const memorySentimentPlugin = {
   id: "memory-sentiment",
   name: "Memory (Sentiment)",
   description: "Track recent sentiment signals",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const path = api.resolvePath(cfg.path);
     fs.mkdirSync(join(path, ".."), { recursive: true });
+    const intent = createIntentRouter({ layer: "sentiment", config: cfg.intent, logger: api.logger });
+    const redactor = createRedactor(cfg.redaction, { layer: "sentiment", logger: api.logger });
+
+    registerArchiveSource(api, { id: "memory-sentiment", files: [{ name: "sentiment", path, merge: mergeState }] });
+
+    registerPurgeTarget(api, {
+      name: "sentiment.json",
+      layer: "sentiment",
+      find: async (subject) =>
+        readJson(path, { ...STATE_STORE, logger: api.logger })
+          .entries.filter((entry) => mentions(entry.sample, subject))
+          .map((entry) => ({ ...entry, id: entryId(entry), text: entry.sample })),
+      apply: async (ids, mode, subject) => {
+        const wanted = new Set(ids);
+        let count = 0;
+        await updateJson(
+          path,
+          (state) => {
+            state.entries = state.entries.flatMap((entry) => {
+              if (!wanted.has(entryId(entry))) return [entry];
+              count += 1;
+              return mode === "redact" ? [{ ...entry, sample: forget(entry.sample, subject) }] : [];
+            });
+          },
+          { ...STATE_STORE, logger: api.logger }
+        );
+        return count;
+      }
+    });
+
+    registerLayerCli(api, { command: "sentiment", description: "Sentiment memory (memory-sentiment)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "show",
+        description: "Show recent sentiment signals, newest first",
+        options: [["--label <label>", "Only positive, negative or neutral signals"]],
+        columns: ENTRY_COLUMNS,
+        timeKey: "ts",
+        load: async ({ opts }) => {
+          const state = readJson(path, { ...STATE_STORE, logger: api.logger });
+          return state.entries
+            .filter((entry) => !opts.label || entry.label === String(opts.label).toLowerCase())
+            .map((entry) => ({ ...entry, agentId: entry.agentId || "" }))
+            .reverse();
+        }
+      });
+      addConfigCommand(cmd, {
+        pluginId: "memory-sentiment",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("sentiment", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        if (!cfg.alwaysRecall && !shouldRecall(event.prompt)) return;
+        if (!cfg.alwaysRecall && !(await intent.classify(event.prompt)).recall) return;
 
-        const state = loadState(path);
-        if (!state.entries.length) return;
+        const state = readJson(path, { ...STATE_STORE, logger: api.logger });
+        if (!state.entries.length) {
+          recordRecallEmpty("sentiment", api.logger);
+          return;
+        }
 
         const recent = state.entries.slice(-cfg.windowSize);
         const last = recent[recent.length - 1];
@@ -167,14 +240,16 @@ const memorySentimentPlugin = {
         lines.push(`Avg(${recent.length}): ${avg.toFixed(2)}`);
         lines.push(`Trend: ${trend >= 0 ? "+" : ""}${trend.toFixed(2)}`);
 
-        const body = lines.join("\n");
-        recordRouting("sentiment", body.length);
-        return { prependContext: `<sentiment-memory>\n${body}\n</sentiment-memory>` };
-      },
+        const section = { layer: "sentiment", tag: "sentiment-memory", items: [{ text: lines.join("\n") }] };
+        if (offerContext(event, ctx, section)) return;
+        const prependContext = renderSection(section);
+        recordRouting("sentiment", prependContext.length, api.logger);
+        return { prependContext };
+      }, api.logger),
       { priority: 42 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
 
       const userTexts = [];
@@ -191,19 +266,28 @@ const memorySentimentPlugin = {
       const scored = sentimentScore(combined);
       if (scored.matches < cfg.minMatch) return;
 
-      const state = loadState(path);
-      state.entries.push({
-        ts: Date.now(),
-        label: scored.label,
-        score: scored.score,
-        sample: combined.slice(0, 160)
-      });
+      try {
+        await updateJson(
+          path,
+          (state) => {
+            state.entries.push({
+              ts: Date.now(),
+              agentId: ctx?.agentId || "main",
+              label: scored.label,
+              score: scored.score,
+              sample: redactor.redact(combined).slice(0, 160)
+            });
 
-      if (state.entries.length > 500) {
-        state.entries = state.entries.slice(-500);
+            if (state.entries.length > MAX_ENTRIES) {
+              state.entries = state.entries.slice(-MAX_ENTRIES);
+            }
+          },
+          { ...STATE_STORE, logger: api.logger }
+        );
+        recordCapture("sentiment", 1, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-sentiment: save failed: ${String(err)}`);
       }
-
-      saveState(path, state);
     });
   }
 };
@@ -0,0 +1,46 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, turn } from "../_shared/test-harness.js";
+import memorySentimentPlugin from "./index.js";
+
+describe("memory-sentiment", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memorySentimentPlugin, { path: env.path("sentiment.json"), alwaysRecall: true });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("tracks the user's mood and recalls the last signal and trend", async () => {
+    await host.capture(turn({ user: "thanks, that worked great" }));
+    await host.capture(turn({ user: "the deploy is broken again, this is a terrible problem" }));
+
+    const context = await host.recall("what next?");
+    expect(context).toContain("<sentiment-memory>");
+    expect(context).toContain("Last: negative (-1.00)");
+    expect(context).toContain("Avg(2): 0.00");
+  });
+
+  test("skips turns without sentiment words", async () => {
+    await host.capture(turn({ user: "list the files in src" }));
+
+    expect(await host.recall("what next?")).toBe("");
+  });
+
+  test("stores redacted samples and filters them by label", async () => {
+    await host.capture(turn({ user: "great, mail it to jane.doe@example.com" }), { agentId: "support" });
+    await host.capture(turn({ user: "this is bad" }), { agentId: "support" });
+
+    const { stdout } = await host.runCli(["memory", "sentiment", "show", "--label", "positive", "--json"]);
+    const rows = JSON.parse(stdout);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ agentId: "support", label: "positive" });
+    expect(rows[0].sample).toBe("great, mail it to [redacted:email]");
+  });
+});
@@ -1,10 +1,26 @@
 import * as lancedb from "@lancedb/lancedb";
-import OpenAI from "openai";
+import { Type } from "@sinclair/typebox";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { randomUUID } from "node:crypto";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { createAutoTuner, normalizeAutoTuneConfig } from "../_shared/auto-tune.js";
+import { createEmbeddings, normalizeEmbeddingConfig } from "../_shared/embeddings.js";
+import { addConfigCommand, addQueryCommand, addSearchCommand, parseDateOption, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { normalizeHybridConfig } from "../_shared/hybrid-search.js";
+import { createIntentRouter, normalizeIntentConfig } from "../_shared/intent-router.js";
+import { byPinnedThen, loadItemFeedback, registerTableFeedback, withItemFeedback } from "../_shared/item-feedback.js";
+import { registerLayerTool, toolLimit, toolResult } from "../_shared/layer-tools.js";
+import { addReindexCommand } from "../_shared/reindex.js";
+import { addRetentionCommand, markReferenced, normalizeRetentionConfig, registerRetention } from "../_shared/retention.js";
+import { parseMeta, VectorTable } from "../_shared/vector-table.js";
+import { recordCapture, recordRecallEmpty, recordRecallError, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { formatRef, messageOrigin, registerTableRefs } from "../_shared/provenance.js";
+import { registerPurgeTarget, tablePurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
+import { normalizeScopeConfig, resolveScope, SCOPE_COLUMNS, scopeFilter, scopeMatcher, scopeMigration } from "../_shared/scope.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -20,144 +36,50 @@ const DEFAULTS = {
   maxChars: 1200
 };
 
-const EMBEDDING_DIMENSIONS = {
-  "text-embedding-3-small": 1536,
-  "text-embedding-3-large": 3072
-};
-
 function resolveDefaultDbPath() {
   return join(homedir(), ".openclaw", "memory", "timeline");
 }
 
-function resolveEnvVars(value) {
-  if (!value || typeof value !== "string") return value;
-  return value.replace(/\$\{([^}]+)\}/g, (_, envVar) => {
-    const envValue = process.env[envVar];
-    if (!envValue) {
-      throw new Error(`Environment variable ${envVar} is not set`);
-    }
-    return envValue;
-  });
-}
-
 function toNumber(value, fallback) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-timeline", raw, logger);
   const embedding = cfg.embedding && typeof cfg.embedding === "object" ? cfg.embedding : {};
-
-  const model = typeof embedding.model === "string" ? embedding.model : DEFAULTS.embedding.model;
-  if (!EMBEDDING_DIMENSIONS[model]) {
-    throw new Error(`Unsupported embedding model: ${model}`);
-  }
-
-  const apiKeyRaw = typeof embedding.apiKey === "string" ? embedding.apiKey : DEFAULTS.embedding.apiKey;
-  const apiKey = resolveEnvVars(apiKeyRaw);
+  const recallLimit = Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit)));
+  const minScore = Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore)));
 
   return {
     enabled: cfg.enabled !== false,
     dbPath: typeof cfg.dbPath === "string" && cfg.dbPath.trim() ? cfg.dbPath.trim() : resolveDefaultDbPath(),
-    embedding: {
-      apiKey: apiKey || DEFAULTS.embedding.apiKey,
-      model
-    },
-    recallLimit: Math.max(1, Math.floor(toNumber(cfg.recallLimit, DEFAULTS.recallLimit))),
-    minScore: Math.max(0, Math.min(1, toNumber(cfg.minScore, DEFAULTS.minScore))),
+    embedding: normalizeEmbeddingConfig(embedding, DEFAULTS.embedding),
+    recallLimit,
+    minScore,
     halfLifeDays: Math.max(1, toNumber(cfg.halfLifeDays, DEFAULTS.halfLifeDays)),
     alwaysRecall: cfg.alwaysRecall === true,
-    maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars)))
+    intent: normalizeIntentConfig(cfg.intent),
+    autoTune: normalizeAutoTuneConfig(cfg.autoTune, { minScore, recallLimit }),
+    retention: normalizeRetentionConfig(cfg.retention),
+    maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
+    redaction: normalizeRedactionConfig(cfg.redaction),
+    scope: normalizeScopeConfig(cfg.scope),
+    hybrid: normalizeHybridConfig(cfg.hybrid)
   };
 }
 
-class Embeddings {
-  constructor(apiKey, model) {
-    this.model = model;
-    this.client = new OpenAI({ apiKey });
-  }
-
-  async embed(text) {
-    const response = await this.client.embeddings.create({
-      model: this.model,
-      input: text
-    });
-    return response.data[0].embedding;
-  }
-}
-
-class VectorTable {
-  constructor(dbPath, vectorDim, tableName) {
-    this.dbPath = dbPath;
-    this.vectorDim = vectorDim;
-    this.tableName = tableName;
-    this.db = null;
-    this.table = null;
-    this.initPromise = null;
-  }
-
-  async ensureInitialized() {
-    if (this.table) return;
-    if (this.initPromise) return this.initPromise;
-    this.initPromise = this.doInitialize();
-    return this.initPromise;
-  }
-
-  async doInitialize() {
-    this.db = await lancedb.connect(this.dbPath);
-    const tables = await this.db.tableNames();
-    if (tables.includes(this.tableName)) {
-      this.table = await this.db.openTable(this.tableName);
-    } else {
-      this.table = await this.db.createTable(this.tableName, [
-        {
-          id: "__schema__",
-          text: "",
-          vector: new Array(this.vectorDim).fill(0),
-          createdAt: 0,
-          occurredAt: 0,
-          recordedAt: 0,
-          meta: "{}"
-        }
-      ]);
-      await this.table.delete('id = "__schema__"');
-    }
-  }
-
-  async store(entry) {
-    await this.ensureInitialized();
-    const now = Date.now();
-    const fullEntry = {
-      ...entry,
-      id: randomUUID(),
-      createdAt: entry.createdAt || now
-    };
-    await this.table.add([fullEntry]);
-    return fullEntry;
-  }
-
-  async search(vector, limit = 5) {
-    await this.ensureInitialized();
-    const results = await this.table.vectorSearch(vector).limit(limit).toArray();
-    return results.map((row) => {
-      const distance = row._distance ?? 0;
-      const score = 1 / (1 + distance);
-      return {
-        entry: {
-          id: row.id,
-          text: row.text,
-          vector: row.vector,
-          createdAt: row.createdAt,
-          occurredAt: row.occurredAt,
-          recordedAt: row.recordedAt,
-          meta: row.meta
-        },
-        score
-      };
-    });
-  }
-}
+const TIMELINE_SCHEMA = {
+  name: "timeline",
+  version: 2,
+  columns: {
+    occurredAt: 0,
+    recordedAt: 0,
+    meta: "{}",
+    ...SCOPE_COLUMNS
+  },
+  migrations: [scopeMigration(2)]
+};
 
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
@@ -212,11 +134,6 @@ function extractEvents(text) {
   return events;
 }
 
-function shouldRecall(prompt) {
-  const p = String(prompt || "").toLowerCase();
-  return /timeline|historial|cuando|fecha|ultima vez|última vez|event|evento|incident|incidente/.test(p);
-}
-
 function computeDecayScore(score, occurredAt, halfLifeDays) {
   const ageMs = Math.max(0, Date.now() - (occurredAt || Date.now()));
   const halfLifeMs = halfLifeDays * 24 * 60 * 60 * 1000;
@@ -233,94 +150,242 @@ function formatIso(ts) {
   }
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A tool's from/to bounds: ISO or relative (7d) like the CLI; a date-only `to` includes that whole day.
+function parseRange(from, to) {
+  const since = parseDateOption(from, "from");
+  const until = parseDateOption(to, "to");
+  const wholeDay = typeof to === "string" && /^\d{4}-\d{2}-\d{2}$/.test(to.trim());
+  return { since, until: until !== null && wholeDay ? until + DAY_MS - 1 : until };
+}
+
+function rangeFilter({ since, until }) {
+  const parts = [];
+  if (since !== null) parts.push(`\`occurredAt\` >= ${since}`);
+  if (until !== null) parts.push(`\`occurredAt\` <= ${until}`);
+  return parts.join(" AND ");
+}
+
+const EVENT_COLUMNS = [
+  { key: "occurredAt", label: "occurred", time: true },
+  { key: "recordedAt", label: "recorded", time: true },
+  { key: "agentId", label: "agent" },
+  { key: "event" }
+];
+
+function eventRow(entry) {
+  const meta = parseMeta(entry);
+  return {
+    id: entry.id,
+    occurredAt: entry.occurredAt,
+    recordedAt: entry.recordedAt,
+    agentId: entry.agentId || meta.agentId || "",
+    event: meta.event || entry.text
+  };
+}
+
 const memoryTimelinePlugin = {
   id: "memory-timeline",
   name: "Memory (Timeline)",
   description: "Bi-temporal timeline memory",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
 
-    const vectorDim = EMBEDDING_DIMENSIONS[cfg.embedding.model];
-    const embeddings = new Embeddings(cfg.embedding.apiKey, cfg.embedding.model);
-    const table = new VectorTable(resolvedDbPath, vectorDim, "timeline");
+    const embeddings = createEmbeddings(cfg.embedding, api.logger);
+    const redactor = createRedactor(cfg.redaction, { layer: "timeline", logger: api.logger });
+    const table = new VectorTable({
+      lancedb,
+      dbPath: resolvedDbPath,
+      embeddings,
+      schema: TIMELINE_SCHEMA,
+      logger: api.logger,
+      hybrid: cfg.hybrid
+    });
+    const intent = createIntentRouter({ layer: "timeline", embeddings, config: cfg.intent, logger: api.logger });
+    const tuner = createAutoTuner({
+      layer: "timeline",
+      base: { minScore: cfg.minScore, recallLimit: cfg.recallLimit },
+      config: cfg.autoTune,
+      logger: api.logger
+    });
+    const retention = [{ table, rule: cfg.retention, timeKey: "occurredAt", halfLifeDays: cfg.halfLifeDays }];
+
+    registerArchiveSource(api, { id: "memory-timeline", lancedb, dbPath: resolvedDbPath, embeddings, tables: ["timeline"] });
+    registerRetention(api, { id: "memory-timeline", targets: retention });
+    registerTableRefs("timeline", table, cfg.scope);
+    registerPurgeTarget(api, tablePurgeTarget("timeline", table));
+    registerTableFeedback("timeline", table, cfg.scope, api.logger);
+
+    registerLayerCli(api, { command: "timeline", description: "Timeline memory (memory-timeline)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "range",
+        description: "List events by occurrence date, oldest first (use --since/--until for the range)",
+        columns: EVENT_COLUMNS,
+        timeKey: "occurredAt",
+        load: async () => (await table.list()).map(eventRow).sort((a, b) => (a.occurredAt || 0) - (b.occurredAt || 0))
+      });
+      addSearchCommand(cmd, { table, embeddings, toRow: eventRow, columns: EVENT_COLUMNS, timeKey: "occurredAt" });
+      addReindexCommand(cmd, {
+        lancedb,
+        dbPath: resolvedDbPath,
+        embeddings,
+        tables: ["timeline"],
+        logger: api.logger
+      });
+      addRetentionCommand(cmd, { targets: retention, logger: api.logger });
+      addConfigCommand(cmd, {
+        pluginId: "memory-timeline",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
+
+    registerLayerTool(api, {
+      name: "timeline_range",
+      label: "Timeline Range",
+      description:
+        "List the events that occurred between two dates, oldest first, or the events closest to a query " +
+        "within that range. Use it for questions like 'what happened last week' or 'when did X happen'.",
+      parameters: Type.Object({
+        from: Type.Optional(Type.String({ description: "Start: ISO date/time or relative age (7d, 12h)" })),
+        to: Type.Optional(Type.String({ description: "End: ISO date/time or relative age; a date includes that day" })),
+        query: Type.Optional(Type.String({ description: "Only the events closest to this text" })),
+        limit: Type.Optional(Type.Number({ description: "Max events (default: 5, max: 20)" }))
+      }),
+      run: async (params, ctx) => {
+        const scope = resolveScope(ctx, cfg.scope);
+        const range = parseRange(params.from, params.to);
+        const limit = toolLimit(params.limit);
+        let rows;
+        if (params.query) {
+          const filter = [scopeFilter(scope, cfg.scope), rangeFilter(range)].filter(Boolean).join(" AND ");
+          const vector = await embeddings.embed(params.query);
+          const results = await table.search(vector, limit, 0, { filter: filter || null, text: params.query });
+          rows = results.map((item) => ({ ...eventRow(item.entry), score: item.score }));
+        } else {
+          const visible = scopeMatcher(scope, cfg.scope);
+          rows = (await table.list())
+            .filter(visible)
+            .map(eventRow)
+            .filter((row) => range.since === null || row.occurredAt >= range.since)
+            .filter((row) => range.until === null || row.occurredAt <= range.until)
+            .sort((a, b) => (a.occurredAt || 0) - (b.occurredAt || 0))
+            .slice(0, limit);
+        }
+        return toolResult("timeline", rows, {
+          noun: "events",
+          line: (row) => `[${row.occurredAt ? formatIso(row.occurredAt) : "unknown"}] ${truncate(row.event || "", 360)}`
+        });
+      }
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("timeline", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        if (!cfg.alwaysRecall && !shouldRecall(event.prompt)) return;
-
+        if (!cfg.alwaysRecall && !(await intent.classify(event.prompt)).recall) return;
         try {
+          const { minScore, recallLimit } = tuner.thresholds();
           const vector = await embeddings.embed(event.prompt);
-          const results = await table.search(vector, cfg.recallLimit * 3);
-          const rescored = results
-            .map((item) => ({
-              ...item,
-              adjusted: computeDecayScore(item.score, item.entry.occurredAt, cfg.halfLifeDays)
-            }))
-            .filter((item) => item.adjusted >= cfg.minScore)
-            .sort((a, b) => b.adjusted - a.adjusted)
-            .slice(0, cfg.recallLimit);
-
-          if (!rescored.length) return;
-          const lines = rescored.map((item) => {
-            const when = item.entry.occurredAt ? formatIso(item.entry.occurredAt) : "";
-            const recorded = item.entry.recordedAt ? formatIso(item.entry.recordedAt) : "";
-            const prefix = when ? `[${when}]` : "[unknown]";
-            const rec = recorded ? ` (recorded ${recorded})` : "";
-            return `${prefix} ${truncate(item.entry.text || "", 360)}${rec}`;
-          });
-          const body = truncate(lines.join("\n"), cfg.maxChars);
-        recordRouting("timeline", body.length);
-          return { prependContext: `<timeline>\n${body}\n</timeline>` };
+          const filter = scopeFilter(resolveScope(ctx, cfg.scope), cfg.scope);
+          const results = await table.search(vector, recallLimit * 3, 0, { filter, text: event.prompt });
+          const decayed = results.map((item) => ({
+            ...item,
+            adjusted: computeDecayScore(item.score, item.entry.occurredAt, cfg.halfLifeDays)
+          }));
+          const feedback = loadItemFeedback(resolvedDbPath, "timeline", api.logger);
+          const rescored = withItemFeedback(decayed, feedback, "adjusted")
+            .filter((item) => item.pinned || item.adjusted >= minScore)
+            .sort(byPinnedThen((a, b) => b.adjusted - a.adjusted))
+            .slice(0, recallLimit);
+
+          if (!rescored.length) {
+            recordRecallEmpty("timeline", api.logger);
+            return;
+          }
+          markReferenced(resolvedDbPath, "timeline", rescored.map((item) => item.entry.id), api.logger);
+          const section = {
+            layer: "timeline",
+            tag: "timeline",
+            maxChars: cfg.maxChars,
+            items: rescored.map((item) => {
+              const when = item.entry.occurredAt ? formatIso(item.entry.occurredAt) : "";
+              const recorded = item.entry.recordedAt ? formatIso(item.entry.recordedAt) : "";
+              const prefix = when ? `[${when}]` : "[unknown]";
+              const rec = recorded ? ` (recorded ${recorded})` : "";
+              return {
+                text: `${prefix} ${truncate(item.entry.text || "", 360)}${rec}`,
+                score: item.adjusted,
+                ref: formatRef("timeline", item.entry.id)
+              };
+            })
+          };
+          if (offerContext(event, ctx, section)) return;
+          const prependContext = renderSection(section);
+          recordRouting("timeline", prependContext.length, api.logger);
+          return { prependContext };
         } catch (err) {
           api.logger?.warn?.(`memory-timeline: recall failed: ${String(err)}`);
+          recordRecallError("timeline", err, api.logger);
         }
-      },
+      }, api.logger),
       { priority: 42 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
+      tuner.tune();
+      const scope = resolveScope(ctx, cfg.scope);
       const texts = [];
-      for (const msg of event.messages) {
+      for (const [index, msg] of event.messages.entries()) {
         if (!msg || typeof msg !== "object") continue;
         if (msg.role !== "user" && msg.role !== "assistant") continue;
         const text = extractTextContent(msg.content);
-        if (text) texts.push(text);
+        if (text) texts.push({ text, message: messageOrigin(msg.role, index, text, redactor) });
       }
       if (!texts.length) return;
 
-      for (const raw of texts) {
+      const entries = [];
+      for (const { text: raw, message } of texts) {
         const events = extractEvents(raw);
-        for (const evt of events) {
-          if (!evt) continue;
-          const occurredAt = parseDateFromText(evt) || Date.now();
+        for (const rawEvent of events) {
+          if (!rawEvent) continue;
+          const occurredAt = parseDateFromText(rawEvent) || Date.now();
+          const evt = redactor.redact(rawEvent);
           const recordedAt = Date.now();
           const summary = truncate(`Event: ${evt}\nOccurred: ${formatIso(occurredAt)}\nRecorded: ${formatIso(recordedAt)}`, cfg.maxChars);
-          try {
-            const vector = await embeddings.embed(summary);
-            await table.store({
-              text: summary,
-              vector,
+          entries.push({
+            text: summary,
+            occurredAt,
+            recordedAt,
+            ...scope,
+            meta: JSON.stringify({
+              agentId: scope.agentId,
+              event: evt,
               occurredAt,
               recordedAt,
-              meta: JSON.stringify({
-                event: evt,
-                occurredAt,
-                recordedAt
-              })
-            });
-          } catch (err) {
-            api.logger?.warn?.(`memory-timeline: capture failed: ${String(err)}`);
-          }
+              message
+            })
+          });
         }
       }
+
+      if (!entries.length) return;
+
+      try {
+        const vectors = await embeddings.embed(entries.map((entry) => entry.text));
+        await table.storeMany(entries.map((entry, idx) => ({ ...entry, vector: vectors[idx] })));
+        recordCapture("timeline", entries.length, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-timeline: capture failed: ${String(err)}`);
+      }
     });
   }
 };
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, TEST_EMBEDDING, turn } from "../_shared/test-harness.js";
+import memoryTimelinePlugin from "./index.js";
+
+describe("memory-timeline", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryTimelinePlugin, {
+      dbPath: env.path("timeline"),
+      embedding: TEST_EMBEDDING,
+      alwaysRecall: true,
+      minScore: 0
+    });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("records when an event occurred apart from when it was captured", async () => {
+    await host.capture(turn({ user: "incident: 2026-01-05 checkout outage after the deploy" }));
+
+    const context = await host.recall("when was the checkout outage?");
+    expect(context).toContain("<timeline>");
+    expect(context).toContain("[2026-01-05T00:00:00.000Z]");
+    expect(context).toContain("checkout outage");
+    expect(context).toMatch(/\(recorded \d{4}-/);
+  });
+
+  test("lists a date range oldest first", async () => {
+    await host.capture(
+      turn({ user: "event: 2026-03-01 price change\nevent: 2026-01-10 kickoff\nevent: 2025-12-01 contract signed" })
+    );
+
+    const { stdout } = await host.runCli([
+      "memory",
+      "timeline",
+      "range",
+      "--since",
+      "2026-01-01",
+      "--until",
+      "2026-12-31",
+      "--json"
+    ]);
+    expect(JSON.parse(stdout).map((row) => row.event)).toEqual(["2026-01-10 kickoff", "2026-03-01 price change"]);
+  });
+
+  test("timeline_range lists the caller's events in a range, including the whole last day", async () => {
+    const ops = { agentId: "ops", sessionKey: "s-ops" };
+    await host.capture(
+      turn({ user: "deploy: 2026-04-02 14:30 search v3 rollout\nincident: 2026-04-03 search latency spike" }),
+      ops
+    );
+    await host.capture(turn({ user: "event: 2026-04-02 dev-only dry run" }), { agentId: "dev", sessionKey: "s-dev" });
+
+    const range = host.tool("timeline_range", ops);
+    const april2 = await range.execute("t1", { from: "2026-04-02", to: "2026-04-02" });
+    expect(april2.details.rows.map((row) => row.event)).toEqual(["2026-04-02 14:30 search v3 rollout"]);
+    expect(april2.content[0].text).toContain("[tl:");
+    expect(april2.content[0].text).toContain("[2026-04-02T14:30:00.000Z] 2026-04-02 14:30 search v3 rollout");
+
+    const queried = await range.execute("t2", { from: "2026-04-01", query: "latency spike", limit: 1 });
+    expect(queried.details.rows[0].event).toBe("2026-04-03 search latency spike");
+
+    const invalid = await range.execute("t3", { from: "next tuesday-ish" });
+    expect(invalid.details.error).toBe("failed");
+    expect(invalid.content[0].text).toContain("from: expected an ISO date");
+  });
+});
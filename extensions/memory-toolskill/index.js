@@ -1,7 +1,15 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import { homedir } from "node:os";
 import { join } from "node:path";
-import { recordRouting } from "../_shared/meta-routing.js";
+import { registerArchiveSource } from "../_shared/archive.js";
+import { addConfigCommand, addQueryCommand, registerLayerCli } from "../_shared/cli.js";
+import { offerContext, renderSection } from "../_shared/context-budget.js";
+import { readJson, updateJson } from "../_shared/json-store.js";
+import { recordCapture, recordRecallEmpty, recordRecallSkipped, recordRouting, timedRecall } from "../_shared/meta-routing.js";
+import { applyPreset } from "../_shared/presets.js";
+import { forget, mentions, registerPurgeTarget } from "../_shared/purge.js";
+import { createRedactor, normalizeRedactionConfig } from "../_shared/redaction.js";
 
 const DEFAULTS = {
   enabled: true,
@@ -11,10 +19,7 @@ const DEFAULTS = {
   minTotal: 2,
   minSuccessRate: 0.6,
   maxExamples: 3,
-  maxChars: 900,
-  redaction: {
-    enabled: true
-  }
+  maxChars: 900
 };
 
 function resolveDefaultDbPath() {
@@ -26,9 +31,8 @@ function toNumber(value, fallback) {
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizeConfig(raw) {
-  const cfg = raw && typeof raw === "object" ? raw : {};
-  const redaction = cfg.redaction && typeof cfg.redaction === "object" ? cfg.redaction : {};
+function normalizeConfig(raw, logger) {
+  const cfg = applyPreset("memory-toolskill", raw, logger);
 
   return {
     enabled: cfg.enabled !== false,
@@ -39,28 +43,10 @@ function normalizeConfig(raw) {
     minSuccessRate: Math.max(0, Math.min(1, toNumber(cfg.minSuccessRate, DEFAULTS.minSuccessRate))),
     maxExamples: Math.max(1, Math.floor(toNumber(cfg.maxExamples, DEFAULTS.maxExamples))),
     maxChars: Math.max(200, Math.floor(toNumber(cfg.maxChars, DEFAULTS.maxChars))),
-    redaction: {
-      enabled: redaction.enabled !== false
-    }
+    redaction: normalizeRedactionConfig(cfg.redaction)
   };
 }
 
-function redactSensitive(text, enabled) {
-  if (!enabled || !text) return text || "";
-  let out = text;
-  const patterns = [
-    /sk-[A-Za-z0-9]{20,}/g,
-    /(api[_-]?key\s*[:=]\s*\S+)/gi,
-    /(token\s*[:=]\s*\S+)/gi,
-    /(bearer\s+\S+)/gi,
-    /(authorization\s*[:=]\s*\S+)/gi
-  ];
-  for (const pattern of patterns) {
-    out = out.replace(pattern, "[redacted]");
-  }
-  return out;
-}
-
 function truncate(text, maxChars) {
   if (!text || typeof text !== "string") return "";
   if (text.length <= maxChars) return text;
@@ -116,16 +102,16 @@ function collectToolContext(messages) {
   return { toolCalls, toolResults };
 }
 
-function summarizeArgs(toolName, args, redactEnabled) {
+function summarizeArgs(toolName, args, redactor) {
   if (!args || typeof args !== "object") return "";
   if (toolName === "exec" || toolName === "bash") {
     const cmd = args.command || args.cmd || "";
     if (!cmd) return "";
-    return truncate(redactSensitive(String(cmd), redactEnabled), 140);
+    return truncate(redactor.redact(String(cmd)), 140);
   }
-  if (typeof args.path === "string") return truncate(redactSensitive(args.path, redactEnabled), 120);
-  if (typeof args.file === "string") return truncate(redactSensitive(args.file, redactEnabled), 120);
-  if (typeof args.url === "string") return truncate(redactSensitive(args.url, redactEnabled), 140);
+  if (typeof args.path === "string") return truncate(redactor.redact(args.path), 120);
+  if (typeof args.file === "string") return truncate(redactor.redact(args.file), 120);
+  if (typeof args.url === "string") return truncate(redactor.redact(args.url), 140);
   return "";
 }
 
@@ -145,25 +131,9 @@ function ensureStatsShape(stats) {
   return stats;
 }
 
-function loadStats(statsPath) {
-  try {
-    if (!fs.existsSync(statsPath)) return { tools: {} };
-    const raw = fs.readFileSync(statsPath, "utf8");
-    return ensureStatsShape(JSON.parse(raw));
-  } catch {
-    return { tools: {} };
-  }
-}
+const STATS_STORE = { fallback: () => ({ tools: {} }), normalize: ensureStatsShape };
 
-function saveStats(statsPath, stats) {
-  try {
-    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
-  } catch {
-    // best effort
-  }
-}
-
-function updateStats(stats, toolName, patternKey, success, example, maxExamples) {
+function updateStats(stats, toolName, patternKey, success, example, maxExamples, agentId) {
   if (!toolName) return stats;
   const now = Date.now();
   if (!stats.tools[toolName]) {
@@ -174,6 +144,14 @@ function updateStats(stats, toolName, patternKey, success, example, maxExamples)
   if (success) tool.success += 1;
   tool.lastUsedAt = now;
 
+  if (agentId) {
+    tool.agents = tool.agents || {};
+    const agent = tool.agents[agentId] || (tool.agents[agentId] = { total: 0, success: 0, lastUsedAt: 0 });
+    agent.total += 1;
+    if (success) agent.success += 1;
+    agent.lastUsedAt = now;
+  }
+
   if (!tool.patterns[patternKey]) {
     tool.patterns[patternKey] = { total: 0, success: 0, lastUsedAt: 0, examples: [] };
   }
@@ -190,6 +168,24 @@ function updateStats(stats, toolName, patternKey, success, example, maxExamples)
   return stats;
 }
 
+// Examples have no id; purges refer to them by a hash of their tool, pattern and text.
+function exampleId(toolName, patternKey, example) {
+  return createHash("sha1").update(`${toolName}::${patternKey}::${example}`).digest("hex").slice(0, 12);
+}
+
+// Every stored example with the pattern holding it: [{ id, toolName, pattern, example }].
+function listExamples(stats) {
+  const examples = [];
+  for (const [toolName, tool] of Object.entries(stats.tools)) {
+    for (const [patternKey, pattern] of Object.entries(tool.patterns || {})) {
+      for (const example of pattern.examples || []) {
+        examples.push({ id: exampleId(toolName, patternKey, example), toolName, pattern, example });
+      }
+    }
+  }
+  return examples;
+}
+
 function calcRate(success, total) {
   if (!total) return 0;
   return success / total;
@@ -241,26 +237,113 @@ function formatToolSummary(toolName, tool, cfg) {
   return lines.join("\n");
 }
 
+const TOP_COLUMNS = [
+  { key: "tool", width: 30 },
+  { key: "total" },
+  { key: "success" },
+  { key: "successRate", label: "rate" },
+  { key: "lastUsedAt", label: "last used", time: true },
+  { key: "topPattern", label: "top pattern" }
+];
+
+// With --agent the counts are that agent's own; tools it never used are left out.
+function topRows(stats, agent) {
+  const rows = [];
+  for (const [toolName, tool] of Object.entries(stats.tools || {})) {
+    const counts = agent ? tool.agents?.[agent] : tool;
+    if (!counts) continue;
+    const patterns = Object.entries(tool.patterns || {}).sort((a, b) => (b[1].total || 0) - (a[1].total || 0));
+    rows.push({
+      tool: toolName,
+      agentId: agent || "",
+      total: counts.total || 0,
+      success: counts.success || 0,
+      successRate: Number(calcRate(counts.success || 0, counts.total || 0).toFixed(2)),
+      lastUsedAt: counts.lastUsedAt || 0,
+      topPattern: patterns.length ? patterns[0][0] : ""
+    });
+  }
+  return rows;
+}
+
 const memoryToolSkillPlugin = {
   id: "memory-toolskill",
   name: "Memory (Tool/Skill)",
   description: "Tool usage learning with success rates and patterns",
   version: "1.0.0",
   register(api) {
-    const cfg = normalizeConfig(api.pluginConfig);
+    const cfg = normalizeConfig(api.pluginConfig, api.logger);
     if (!cfg.enabled) return;
 
     const resolvedDbPath = api.resolvePath(cfg.dbPath);
     fs.mkdirSync(resolvedDbPath, { recursive: true });
     const statsPath = join(resolvedDbPath, "toolskill.json");
+    const redactor = createRedactor(cfg.redaction, { layer: "toolskill", logger: api.logger });
+
+    registerArchiveSource(api, { id: "memory-toolskill", files: [{ name: "toolskill", path: statsPath }] });
+
+    registerPurgeTarget(api, {
+      name: "toolskill.json",
+      layer: "toolskill",
+      find: async (subject) =>
+        listExamples(readJson(statsPath, { ...STATS_STORE, logger: api.logger }))
+          .filter(({ example }) => mentions(example, subject))
+          .map(({ id, example }) => ({ id, text: example })),
+      apply: async (ids, mode, subject) => {
+        const wanted = new Set(ids);
+        let count = 0;
+        await updateJson(
+          statsPath,
+          (stats) => {
+            for (const { id, pattern, example } of listExamples(stats)) {
+              if (!wanted.has(id)) continue;
+              count += 1;
+              const index = pattern.examples.indexOf(example);
+              if (mode === "redact") pattern.examples[index] = forget(example, subject);
+              else pattern.examples.splice(index, 1);
+            }
+          },
+          { ...STATS_STORE, logger: api.logger }
+        );
+        return count;
+      }
+    });
+
+    registerLayerCli(api, { command: "toolskill", description: "Tool/skill memory (memory-toolskill)" }, (cmd) => {
+      addQueryCommand(cmd, {
+        name: "top",
+        description: "Rank tools by successful uses (or success rate with --by rate)",
+        options: [["--by <metric>", "Sort by uses or rate", "uses"]],
+        columns: TOP_COLUMNS,
+        timeKey: "lastUsedAt",
+        load: async ({ filters, opts }) => {
+          const byRate = opts.by === "rate";
+          const stats = readJson(statsPath, { ...STATS_STORE, logger: api.logger });
+          return topRows(stats, filters.agent).sort((a, b) =>
+            byRate ? b.successRate - a.successRate || b.total - a.total : b.success - a.success || b.total - a.total
+          );
+        }
+      });
+      addConfigCommand(cmd, {
+        pluginId: "memory-toolskill",
+        rawConfig: api.pluginConfig,
+        normalize: normalizeConfig,
+        logger: api.logger
+      });
+    });
 
     api.on(
       "before_agent_start",
-      async (event) => {
+      timedRecall("tool_skill", async (event, ctx) => {
         if (!event?.prompt || event.prompt.length < 3) return;
-        const stats = loadStats(statsPath);
+        const stats = readJson(statsPath, { ...STATS_STORE, logger: api.logger });
         const tools = selectToolsForPrompt(event.prompt, stats, cfg.alwaysRecall);
-        if (!tools.length) return;
+        // No tool named in the prompt is this layer's routing "no".
+        if (!tools.length) {
+          if (cfg.alwaysRecall) recordRecallEmpty("tool_skill", api.logger);
+          else recordRecallSkipped("tool_skill", api.logger);
+          return;
+        }
 
         const summaries = [];
         for (const toolName of tools) {
@@ -268,32 +351,65 @@ const memoryToolSkillPlugin = {
           if (summary) summaries.push(summary);
         }
 
-        if (!summaries.length) return;
-        const body = truncate(summaries.join("\n\n"), cfg.maxChars);
-        recordRouting("tool_skill", body.length);
-        return { prependContext: `<tool-skill-memories>\n${body}\n</tool-skill-memories>` };
-      },
+        if (!summaries.length) {
+          recordRecallEmpty("tool_skill", api.logger);
+          return;
+        }
+        const section = {
+          layer: "tool_skill",
+          tag: "tool-skill-memories",
+          joiner: "\n\n",
+          maxChars: cfg.maxChars,
+          items: summaries.map((text) => ({ text }))
+        };
+        if (offerContext(event, ctx, section)) return;
+        const prependContext = renderSection(section);
+        recordRouting("tool_skill", prependContext.length, api.logger);
+        return { prependContext };
+      }, api.logger),
       { priority: 40 }
     );
 
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, ctx) => {
       if (!event || !Array.isArray(event.messages) || event.messages.length === 0) return;
       const { toolCalls, toolResults } = collectToolContext(event.messages);
       if (!toolResults.length) return;
 
-      let stats = loadStats(statsPath);
+      const observed = [];
       for (const result of toolResults) {
         const toolName = result.toolName;
         if (!toolName) continue;
         const call = result.toolCallId ? toolCalls.get(result.toolCallId) : null;
-        const argsSummary = summarizeArgs(toolName, call ? call.args : null, cfg.redaction.enabled);
+        const argsSummary = summarizeArgs(toolName, call ? call.args : null, redactor);
         const example = argsSummary ? `${toolName}: ${argsSummary}` : toolName;
         const success = !result.isError && (typeof result.details?.exitCode !== "number" || result.details.exitCode === 0);
         const patternKey = patternKeyFor(toolName, argsSummary);
-        stats = updateStats(stats, toolName, patternKey, success, example, cfg.maxExamples);
+        observed.push({ toolName, patternKey, success, example });
+      }
+      if (!observed.length) return;
+
+      try {
+        await updateJson(
+          statsPath,
+          (stats) => {
+            for (const item of observed) {
+              updateStats(
+                stats,
+                item.toolName,
+                item.patternKey,
+                item.success,
+                item.example,
+                cfg.maxExamples,
+                ctx?.agentId || "main"
+              );
+            }
+          },
+          { ...STATS_STORE, logger: api.logger }
+        );
+        recordCapture("tool_skill", observed.length, api.logger);
+      } catch (err) {
+        api.logger?.warn?.(`memory-toolskill: save failed: ${String(err)}`);
       }
-
-      saveStats(statsPath, stats);
     });
   }
 };
@@ -0,0 +1,48 @@
+import { afterEach, beforeEach, describe, expect, test } from "vitest";
+import { createTempEnv, createTestHost, settle, turn } from "../_shared/test-harness.js";
+import memoryToolSkillPlugin from "./index.js";
+
+const kubectl = (command, exitCode = 0) => ({ name: "exec", args: { command }, exitCode });
+
+describe("memory-toolskill", () => {
+  let env;
+  let host;
+
+  beforeEach(async () => {
+    env = createTempEnv();
+    host = createTestHost();
+    await host.load(memoryToolSkillPlugin, { dbPath: env.path("toolskill") });
+  });
+
+  afterEach(async () => {
+    await settle();
+    env.cleanup();
+  });
+
+  test("recalls success rates and examples when the prompt names a tool", async () => {
+    await host.capture(turn({ tools: [kubectl("kubectl get pods"), kubectl("kubectl logs api")] }));
+    await host.capture(turn({ tools: [kubectl("kubectl rollout undo api", 1)] }));
+
+    const context = await host.recall("use kubectl to check the api pods");
+    expect(context).toContain("<tool-skill-memories>");
+    expect(context).toContain("Tool: exec | success 2/3 (67%)");
+    expect(context).toContain("- exec:kubectl: 2/3 (67%) | ex: exec: kubectl logs api");
+    expect(await host.recall("write a haiku about autumn")).toBe("");
+  });
+
+  test("waits for minTotal uses before recalling a tool", async () => {
+    await host.capture(turn({ tools: [{ name: "browser", args: { url: "https://example.com" } }] }));
+
+    expect(await host.recall("open the browser")).toBe("");
+  });
+
+  test("ranks tools per agent from the CLI", async () => {
+    await host.capture(turn({ tools: [kubectl("kubectl get pods")] }), { agentId: "ops" });
+    await host.capture(turn({ tools: [{ name: "read", args: { path: "README.md" } }] }), { agentId: "docs" });
+
+    const { stdout } = await host.runCli(["memory", "toolskill", "top", "--agent", "ops", "--json"]);
+    const rows = JSON.parse(stdout);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ tool: "exec", agentId: "ops", total: 1, success: 1 });
+  });
+});